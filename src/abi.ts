@@ -0,0 +1,540 @@
+// ========================================================
+// iWan SDK - ABI coding
+// ========================================================
+// Solidity ABI encoding of function calls, results, event topics and
+// revert data, without pulling in a full EVM library.
+
+import SHA3 from 'crypto-js/sha3';
+import Hex from 'crypto-js/enc-hex';
+import Utf8 from 'crypto-js/enc-utf8';
+import { IWanError } from './errors';
+import { toChecksumAddress } from './validation';
+import type { MultiCallResult, MultiCall2Result } from './types';
+
+// ====================== TYPES ======================
+/**
+ * One input or output of an ABI item
+ */
+export interface AbiParameter {
+  name?: string;
+  /** Solidity type, e.g. `'uint256'`, `'address[]'` or `'tuple'` */
+  type: string;
+  /** Members of a `tuple` type */
+  components?: AbiParameter[];
+  /** Event inputs stored in the topics */
+  indexed?: boolean;
+  internalType?: string;
+}
+
+/**
+ * One entry of a contract ABI
+ */
+export interface AbiItem {
+  type: 'function' | 'event' | 'error' | 'constructor' | 'fallback' | 'receive';
+  name?: string;
+  inputs?: AbiParameter[];
+  outputs?: AbiParameter[];
+  stateMutability?: 'pure' | 'view' | 'nonpayable' | 'payable';
+  /** Read-only function, in ABIs older than `stateMutability` */
+  constant?: boolean;
+  anonymous?: boolean;
+}
+
+// ====================== HASHING ======================
+/**
+ * Keccak-256 hash of a UTF-8 string, or of bytes given as a `0x` hex string
+ * @param data - The text or `0x` prefixed hex bytes
+ * @returns The hash as `0x` prefixed hex
+ */
+export function keccak256(data: string): string {
+  return /^0x([0-9a-fA-F]{2})*$/.test(data) ? keccakHex(data.slice(2)) : keccakHex(utf8Hex(data));
+}
+
+function keccakHex(hex: string): string {
+  return '0x' + SHA3(Hex.parse(hex), { outputLength: 256 }).toString(Hex);
+}
+
+function utf8Hex(text: string): string {
+  return Utf8.parse(text).toString(Hex);
+}
+
+// Canonical type of a parameter, tuples expanded into their members
+function canonicalType(param: AbiParameter): string {
+  if (!param.type.startsWith('tuple')) return param.type;
+  return `(${(param.components ?? []).map(canonicalType).join(',')})${param.type.slice('tuple'.length)}`;
+}
+
+/**
+ * Canonical signature of a function, event or error, e.g. `'transfer(address,uint256)'`
+ * @param item - The ABI item
+ */
+export function formatSignature(item: AbiItem): string {
+  return `${item.name ?? ''}(${(item.inputs ?? []).map(canonicalType).join(',')})`;
+}
+
+/**
+ * 4-byte selector of a function or error
+ * @param item - The ABI item, or its signature such as `'balanceOf(address)'`
+ * @returns The selector as `0x` prefixed hex, e.g. `'0x70a08231'`
+ */
+export function functionSelector(item: AbiItem | string): string {
+  return keccakHex(utf8Hex(typeof item === 'string' ? item : formatSignature(item))).slice(0, 10);
+}
+
+/**
+ * Topic of an event, the first topic of its logs unless the event is anonymous
+ * @param item - The event ABI item, or its signature such as `'Transfer(address,address,uint256)'`
+ * @returns The topic as `0x` prefixed hex
+ */
+export function eventTopic(item: AbiItem | string): string {
+  return keccakHex(utf8Hex(typeof item === 'string' ? item : formatSignature(item)));
+}
+
+// ====================== ENCODING ======================
+const WORD = 32;
+
+function abiError(message: string): IWanError {
+  return new IWanError(`ABI coding failed: ${message}`);
+}
+
+function strip0x(hex: string): string {
+  return hex.startsWith('0x') || hex.startsWith('0X') ? hex.slice(2) : hex;
+}
+
+function toParam(param: AbiParameter | string): AbiParameter {
+  return typeof param === 'string' ? { type: param } : param;
+}
+
+// Element type and length (null when dynamic) of an array type
+function arrayOf(param: AbiParameter): { inner: AbiParameter; length: number | null } | null {
+  const match = /^(.*)\[(\d*)\]$/.exec(param.type);
+  if (!match) return null;
+  return { inner: { ...param, type: match[1] }, length: match[2] === '' ? null : Number(match[2]) };
+}
+
+function isDynamic(param: AbiParameter): boolean {
+  if (param.type === 'string' || param.type === 'bytes') return true;
+  const array = arrayOf(param);
+  if (array) return array.length === null || isDynamic(array.inner);
+  if (param.type === 'tuple') return (param.components ?? []).some(isDynamic);
+  return false;
+}
+
+// Size in bytes of a static parameter in the head
+function staticSize(param: AbiParameter): number {
+  const array = arrayOf(param);
+  if (array) return (array.length ?? 0) * staticSize(array.inner);
+  if (param.type === 'tuple') return (param.components ?? []).reduce((sum, member) => sum + staticSize(member), 0);
+  return WORD;
+}
+
+function headSize(param: AbiParameter): number {
+  return isDynamic(param) ? WORD : staticSize(param);
+}
+
+function intBits(type: string): { signed: boolean; bits: number } | null {
+  const match = /^(u?)int(\d*)$/.exec(type);
+  return match ? { signed: match[1] === '', bits: match[2] ? Number(match[2]) : 256 } : null;
+}
+
+function encodeWord(value: bigint): string {
+  return value.toString(16).padStart(WORD * 2, '0');
+}
+
+function encodeInt(type: string, value: any, signed: boolean, bits: number): string {
+  let n: bigint;
+  try {
+    n = BigInt(value);
+  } catch {
+    throw abiError(`${JSON.stringify(value)} is not a valid ${type}`);
+  }
+  const min = signed ? -(1n << BigInt(bits - 1)) : 0n;
+  const max = signed ? (1n << BigInt(bits - 1)) - 1n : (1n << BigInt(bits)) - 1n;
+  if (n < min || n > max) throw abiError(`${value} is out of range for ${type}`);
+  return encodeWord(n < 0n ? (1n << 256n) + n : n);
+}
+
+function padRight(hex: string): string {
+  const size = Math.ceil(hex.length / (WORD * 2)) * WORD * 2;
+  return hex.padEnd(size, '0');
+}
+
+function encodeParam(param: AbiParameter, value: any): string {
+  const array = arrayOf(param);
+  if (array) {
+    if (!Array.isArray(value)) throw abiError(`${param.type} expects an array`);
+    if (array.length !== null && value.length !== array.length) throw abiError(`${param.type} expects ${array.length} items`);
+    const items = encodeTuple(value.map(() => array.inner), value);
+    return array.length === null ? encodeWord(BigInt(value.length)) + items : items;
+  }
+
+  const { type } = param;
+  if (type === 'tuple') {
+    const members = param.components ?? [];
+    const values = Array.isArray(value) ? value : members.map((member, i) => value?.[member.name ?? i] ?? value?.[i]);
+    return encodeTuple(members, values);
+  }
+  if (type === 'string' || type === 'bytes') {
+    const hex = type === 'string' ? utf8Hex(String(value)) : strip0x(String(value));
+    if (type === 'bytes' && !/^([0-9a-fA-F]{2})*$/.test(hex)) throw abiError(`${value} is not valid bytes`);
+    return encodeWord(BigInt(hex.length / 2)) + padRight(hex);
+  }
+  if (type === 'address') {
+    const hex = strip0x(String(value));
+    if (!/^[0-9a-fA-F]{40}$/.test(hex)) throw abiError(`${value} is not a valid address`);
+    return hex.toLowerCase().padStart(WORD * 2, '0');
+  }
+  if (type === 'bool') {
+    // Anything but a boolean or its exact string, such as 1, would otherwise encode as false
+    if (value !== true && value !== false && value !== 'true' && value !== 'false') throw abiError(`${value} is not a valid bool`);
+    return encodeWord(value === true || value === 'true' ? 1n : 0n);
+  }
+  const bytes = /^bytes(\d+)$/.exec(type);
+  if (bytes) {
+    const hex = strip0x(String(value));
+    if (!/^[0-9a-fA-F]*$/.test(hex) || hex.length !== Number(bytes[1]) * 2) throw abiError(`${value} is not a valid ${type}`);
+    return padRight(hex.toLowerCase());
+  }
+  const int = intBits(type);
+  if (int) return encodeInt(type, value, int.signed, int.bits);
+  throw abiError(`unsupported type ${type}`);
+}
+
+function encodeTuple(params: AbiParameter[], values: any[]): string {
+  if (values.length !== params.length) throw abiError(`expected ${params.length} values, got ${values.length}`);
+  const heads: string[] = [];
+  const tails: string[] = [];
+  let offset = params.reduce((sum, param) => sum + headSize(param), 0);
+  params.forEach((param, i) => {
+    const encoded = encodeParam(param, values[i]);
+    if (isDynamic(param)) {
+      heads.push(encodeWord(BigInt(offset)));
+      tails.push(encoded);
+      offset += encoded.length / 2;
+    } else {
+      heads.push(encoded);
+    }
+  });
+  return heads.join('') + tails.join('');
+}
+
+/**
+ * ABI-encode values. Integers may be given as bigint, number or decimal or hex string, tuples as arrays or
+ * objects keyed by member name.
+ * @param types - The parameter types, as ABI parameters or type strings
+ * @param values - One value per type
+ * @returns The encoded data as `0x` prefixed hex
+ * @example
+ * encodeParameters(['address', 'uint256'], ['0x0cc79fa3b80c5b9b02051facd02478ea88a78e2c', 10n]);
+ * // '0x0000000000000000000000000cc79fa3b80c5b9b02051facd02478ea88a78e2c000000000000000000000000000000000000000000000000000000000000000a'
+ */
+export function encodeParameters(types: Array<AbiParameter | string>, values: any[]): string {
+  return '0x' + encodeTuple(types.map(toParam), values);
+}
+
+/**
+ * Call data of a function: its selector followed by the encoded arguments
+ * @param item - The function ABI item
+ * @param args - One value per input
+ */
+export function encodeFunctionData(item: AbiItem, args: any[] = []): string {
+  return functionSelector(item) + encodeTuple(item.inputs ?? [], args);
+}
+
+/**
+ * Encode the return values of a function, as returned by an `eth_call`
+ * @param item - The function ABI item
+ * @param values - One value per output
+ */
+export function encodeFunctionResult(item: AbiItem, values: any[]): string {
+  return encodeParameters(item.outputs ?? [], values);
+}
+
+/**
+ * Convert bigint values to decimal strings, deeply, so that decoded arguments can be sent as JSON to the
+ * ABI-based methods such as `callScFunc`
+ * @param value - An argument or array of arguments
+ */
+export function toJsonValue(value: any): any {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toJsonValue(item)]));
+  }
+  return value;
+}
+
+// ====================== DECODING ======================
+function readWord(data: string, at: number): string {
+  const word = data.slice(at * 2, (at + WORD) * 2);
+  if (word.length < WORD * 2) throw abiError('data too short');
+  return word;
+}
+
+function readSize(data: string, at: number): number {
+  const size = BigInt('0x' + readWord(data, at));
+  if (size > BigInt(data.length)) throw abiError('offset or length out of range');
+  return Number(size);
+}
+
+function readBytes(data: string, at: number): string {
+  const length = readSize(data, at);
+  const hex = data.slice((at + WORD) * 2, (at + WORD + length) * 2);
+  if (hex.length < length * 2) throw abiError('data too short');
+  return hex;
+}
+
+function decodeParam(param: AbiParameter, data: string, at: number): any {
+  const array = arrayOf(param);
+  if (array) {
+    const length = array.length ?? readSize(data, at);
+    const start = array.length === null ? at + WORD : at;
+    return decodeTuple(Array.from({ length }, () => array.inner), data, start);
+  }
+
+  const { type } = param;
+  if (type === 'tuple') return decodeTuple(param.components ?? [], data, at);
+  if (type === 'string') return Utf8.stringify(Hex.parse(readBytes(data, at)));
+  if (type === 'bytes') return '0x' + readBytes(data, at);
+  if (type === 'address') return toChecksumAddress('0x' + readWord(data, at).slice(24));
+  if (type === 'bool') return BigInt('0x' + readWord(data, at)) !== 0n;
+  const bytes = /^bytes(\d+)$/.exec(type);
+  if (bytes) return '0x' + readWord(data, at).slice(0, Number(bytes[1]) * 2);
+  const int = intBits(type);
+  if (int) {
+    const n = BigInt('0x' + readWord(data, at));
+    return int.signed && n >= 1n << 255n ? n - (1n << 256n) : n;
+  }
+  throw abiError(`unsupported type ${type}`);
+}
+
+function decodeTuple(params: AbiParameter[], data: string, base: number): any[] {
+  let cursor = base;
+  return params.map(param => {
+    const at = isDynamic(param) ? base + readSize(data, cursor) : cursor;
+    cursor += headSize(param);
+    return decodeParam(param, data, at);
+  });
+}
+
+/**
+ * Decode ABI-encoded values. Integers are returned as bigint, addresses with their EIP-55 checksum, bytes as
+ * `0x` prefixed hex and tuples as arrays.
+ * @param types - The parameter types, as ABI parameters or type strings
+ * @param data - The encoded data, with or without the `0x` prefix
+ * @returns One value per type
+ */
+export function decodeParameters(types: Array<AbiParameter | string>, data: string): any[] {
+  return decodeTuple(types.map(toParam), strip0x(data), 0);
+}
+
+/**
+ * Find the function called by some call data and decode its arguments
+ * @param abi - The contract ABI
+ * @param data - The call data, selector first
+ * @returns The function and its arguments, or undefined when no function of the ABI has the selector
+ */
+export function decodeFunctionData(abi: AbiItem[], data: string): { item: AbiItem; args: any[] } | undefined {
+  const selector = data.slice(0, 10).toLowerCase();
+  const item = abi.find(entry => entry.type === 'function' && functionSelector(entry) === selector);
+  return item && { item, args: decodeTuple(item.inputs ?? [], strip0x(data).slice(8), 0) };
+}
+
+/**
+ * Decode the return data of a function
+ * @param item - The function ABI item
+ * @param data - The return data of an `eth_call`
+ * @returns One value per output
+ */
+export function decodeFunctionResult(item: AbiItem, data: string): any[] {
+  return decodeParameters(item.outputs ?? [], data);
+}
+
+// ====================== EVENTS ======================
+/**
+ * An event log decoded by {@link decodeEventLog}
+ */
+export interface DecodedEventLog {
+  eventName: string;
+  /** Canonical signature, e.g. `'Transfer(address,address,uint256)'` */
+  signature: string;
+  /**
+   * Arguments keyed by input name, or by position when unnamed. Indexed strings, bytes, arrays and tuples are
+   * stored as their hash, which is returned as is.
+   */
+  args: Record<string, any>;
+}
+
+// Indexed values that do not fit in a word are hashed into the topic
+function isHashedTopic(param: AbiParameter): boolean {
+  return isDynamic(param) || !!arrayOf(param) || param.type === 'tuple';
+}
+
+function encodeTopic(param: AbiParameter, value: any): string {
+  if (param.type === 'string') return keccakHex(utf8Hex(String(value)));
+  if (param.type === 'bytes') return keccakHex(strip0x(String(value)));
+  if (isHashedTopic(param)) throw abiError(`filtering on an indexed ${param.type} is not supported`);
+  return '0x' + encodeParam(param, value);
+}
+
+/**
+ * Topics filtering the logs of an event, for `getScEvent` or `subscribeEvent`.
+ * @param item - The event ABI item
+ * @param filter - Values of the indexed inputs, by name or by position among the indexed inputs. Missing
+ * values match any value.
+ * @returns The event topic followed by one topic per indexed input, without trailing wildcards
+ * @example
+ * const topics = encodeEventTopics(transferEvent, { to: '0x0cc79fa3b80c5b9b02051facd02478ea88a78e2c' });
+ * // ['0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef', null, '0x0000000000000000000000000cc79fa3b80c5b9b02051facd02478ea88a78e2c']
+ */
+export function encodeEventTopics(item: AbiItem, filter: Record<string, any> | any[] = {}): Array<string | null> {
+  const topics: Array<string | null> = item.anonymous ? [] : [eventTopic(item)];
+  (item.inputs ?? []).filter(input => input.indexed).forEach((input, i) => {
+    const value = Array.isArray(filter) ? filter[i] : filter[input.name ?? ''];
+    topics.push(value === undefined || value === null ? null : encodeTopic(input, value));
+  });
+  while (topics.length && topics[topics.length - 1] === null) {
+    topics.pop();
+  }
+  return topics;
+}
+
+/**
+ * Decode a log returned by `getScEvent` or pushed to `subscribeEvent`
+ * @param abi - The contract ABI
+ * @param log - The log, with its `topics` and `data`
+ * @returns The event and its arguments, or undefined when no event of the ABI matches the log
+ * @example
+ * const logs = await client.getScEvent('ETH', usdtAddress, [eventTopic(transferEvent)], { fromBlock: 20000000 });
+ * const { eventName, args } = decodeEventLog(erc20Abi, logs[0]);
+ * console.log(eventName, args.from, args.to, args.value);
+ * // Transfer 0x0cc79fa3B80c5b9b02051faCD02478Ea88a78e2c 0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed 1000000n
+ */
+export function decodeEventLog(abi: AbiItem[], log: { topics: string[]; data: string }): DecodedEventLog | undefined {
+  const [topic, ...indexedTopics] = log.topics;
+  const item = abi.find(entry => entry.type === 'event' && !entry.anonymous && eventTopic(entry) === topic?.toLowerCase()
+    && (entry.inputs ?? []).filter(input => input.indexed).length === indexedTopics.length);
+  if (!item) return undefined;
+
+  const inputs = item.inputs ?? [];
+  const values = decodeParameters(inputs.filter(input => !input.indexed), log.data);
+  const args: Record<string, any> = {};
+  let t = 0;
+  let d = 0;
+  inputs.forEach((input, i) => {
+    let value;
+    if (!input.indexed) {
+      value = values[d++];
+    } else {
+      const indexedTopic = indexedTopics[t++];
+      value = isHashedTopic(input) ? indexedTopic : decodeParameters([input], indexedTopic)[0];
+    }
+    args[input.name || String(i)] = value;
+  });
+  return { eventName: item.name ?? '', signature: formatSignature(item), args };
+}
+
+// ====================== ERRORS ======================
+/**
+ * Revert data decoded by {@link decodeRevertReason}
+ */
+export interface DecodedRevert {
+  /** `'Error'`, `'Panic'` or the name of a custom error */
+  name: string;
+  args: any[];
+  /** Readable reason, e.g. `'ERC20: transfer amount exceeds balance'` */
+  message: string;
+}
+
+const ERROR_STRING: AbiItem = { type: 'error', name: 'Error', inputs: [{ name: 'message', type: 'string' }] };
+const PANIC: AbiItem = { type: 'error', name: 'Panic', inputs: [{ name: 'code', type: 'uint256' }] };
+
+const PANIC_REASONS: Record<number, string> = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic underflow or overflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array',
+  0x31: 'pop on an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to an uninitialized function',
+};
+
+/**
+ * Decode the revert data of a failed call or transaction: `Error(string)`, `Panic(uint256)` or a custom error
+ * of the given ABI
+ * @param data - The revert data, selector first
+ * @param abi - The contract ABI, to decode its custom errors
+ * @returns The decoded error, or undefined for empty or unknown revert data
+ * @example
+ * decodeRevertReason('0x08c379a0...');
+ * // { name: 'Error', args: ['ERC20: transfer amount exceeds balance'], message: 'ERC20: transfer amount exceeds balance' }
+ */
+export function decodeRevertReason(data: string, abi: AbiItem[] = []): DecodedRevert | undefined {
+  if (!/^0x[0-9a-fA-F]{8}/.test(data)) return undefined;
+  const selector = data.slice(0, 10).toLowerCase();
+  const item = [ERROR_STRING, PANIC, ...abi.filter(entry => entry.type === 'error')]
+    .find(entry => functionSelector(entry) === selector);
+  if (!item) return undefined;
+
+  const args = decodeParameters(item.inputs ?? [], data.slice(10));
+  let message: string;
+  if (item === ERROR_STRING) {
+    message = args[0];
+  } else if (item === PANIC) {
+    const reason = PANIC_REASONS[Number(args[0])];
+    message = `panic 0x${args[0].toString(16)}${reason ? ` (${reason})` : ''}`;
+  } else {
+    message = `${item.name}(${args.map(arg => String(arg)).join(', ')})`;
+  }
+  return { name: item.name ?? '', args, message };
+}
+
+// ====================== MULTICALL ======================
+// Big numbers are serialized by the server as ethers v5 BigNumber objects
+function isBigNumberJson(value: any): boolean {
+  return !!value && typeof value === 'object' && (typeof value._hex === 'string' || (value.type === 'BigNumber' && typeof value.hex === 'string'));
+}
+
+/**
+ * Convert the serialized big numbers found in a result, such as `{ _hex: '0x0a', _isBigNumber: true }`, to bigint
+ * @param value - Any result value
+ * @returns A copy of the value with every big number converted
+ */
+export function decodeBigNumbers(value: any): any {
+  if (isBigNumberJson(value)) return BigInt(value._hex ?? value.hex);
+  if (Array.isArray(value)) return value.map(decodeBigNumbers);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeBigNumbers(item)]));
+  }
+  return value;
+}
+
+/**
+ * Decode the result of `multiCall`
+ * @param result - The result of `multiCall`
+ * @returns The block number and the transformed values keyed by their `returns` key, big numbers as bigint
+ * @example
+ * const ret = decodeMultiCallResult(await client.multiCall('ETH', calls));
+ * console.log(ret.blockNumber, ret.values.token_symbol);
+ * // 79911160n USDT
+ */
+export function decodeMultiCallResult(result: MultiCallResult): { blockNumber: bigint; values: Record<string, any> } {
+  return {
+    blockNumber: decodeBigNumbers(result.results.blockNumber),
+    values: decodeBigNumbers(result.results.transformed),
+  };
+}
+
+/**
+ * Decode the result of `multiCall2`, one entry per call
+ * @param result - The result of `multiCall2`
+ * @returns Whether each call succeeded and its values keyed by output name, big numbers as bigint
+ */
+export function decodeMultiCall2Result(result: Array<MultiCall2Result>): Array<{ success: boolean; values: Record<string, any> }> {
+  return result.flatMap(chunk => chunk.result.map((values, i) => ({
+    success: chunk.status[i] ?? false,
+    values: decodeBigNumbers(values),
+  })));
+}
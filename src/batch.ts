@@ -0,0 +1,95 @@
+// ========================================================
+// iWan SDK - Batch requests
+// ========================================================
+
+import { IWanError } from './errors';
+import type { CallOptions } from './index';
+import type { IwanMethodName, IwanResult, IwanCallArgs } from './methods';
+
+/**
+ * One call queued in a {@link BatchRequest}
+ */
+export interface BatchCall {
+  method: string;
+  params: any;
+  callOptions?: CallOptions;
+  resolve: (value: any) => void;
+  reject: (reason?: any) => void;
+}
+
+/**
+ * Collects calls and sends them as a single JSON-RPC 2.0 array frame.
+ *
+ * Created by {@link IwanClient.batch}. The promise returned by `add()` settles only after `send()`,
+ * so do not await it before sending the batch.
+ *
+ * @example
+ * ```ts
+ * const batch = client.batch();
+ * const balance = batch.add('getBalance', { chainType: 'WAN', address });
+ * const nonce = batch.add('getNonce', { chainType: 'WAN', address });
+ * await batch.send();
+ * console.log(await balance, await nonce);
+ * ```
+ */
+export class BatchRequest {
+  private readonly calls: BatchCall[] = [];
+  private sent = false;
+
+  /**
+   * @param sender - Sends the collected calls and settles each of them
+   */
+  constructor(private readonly sender: (calls: BatchCall[]) => Promise<void>) {}
+
+  /** Number of calls added so far */
+  get size(): number {
+    return this.calls.length;
+  }
+
+  /**
+   * Add a call to the batch
+   * @param method - RPC method name (e.g. 'getBalance')
+   * @param params - Parameters object, typed by {@link IwanMethods} for a registered method
+   * @param callOptions - Per-call SDK options, such as an abort signal
+   * @returns Promise with the result of this call, settled after `send()`
+   * @throws IWanError if the batch was already sent
+   */
+  add<M extends IwanMethodName>(method: M, ...args: IwanCallArgs<M>): Promise<IwanResult<M>>;
+  add<T = any, M extends string = string>(method: M extends IwanMethodName ? never : M, params?: any, callOptions?: CallOptions): Promise<T>;
+  add(method: string, params: any = {}, callOptions?: CallOptions): Promise<any> {
+    if (this.sent) {
+      throw new IWanError('Batch already sent');
+    }
+    const promise = new Promise<any>((resolve, reject) => {
+      this.calls.push({ method, params, callOptions, resolve, reject });
+    });
+    // The caller may only consume send(), keep ignored per-call rejections from going unhandled
+    promise.catch(() => {});
+    return promise;
+  }
+
+  /**
+   * Send all calls in one frame
+   * @returns Promise with the results in the order the calls were added, rejecting like `Promise.all`
+   * @throws IWanError if the batch was already sent
+   */
+  async send(): Promise<any[]> {
+    if (this.sent) {
+      throw new IWanError('Batch already sent');
+    }
+    this.sent = true;
+    if (!this.calls.length) return [];
+
+    const results = Promise.all(this.calls.map(call => new Promise((resolve, reject) => {
+      const { resolve: done, reject: fail } = call;
+      call.resolve = (value) => { done(value); resolve(value); };
+      call.reject = (reason) => { fail(reason); reject(reason); };
+    })));
+    try {
+      await this.sender(this.calls);
+    } catch (err) {
+      this.calls.forEach(call => call.reject(err));
+    }
+    return await results;
+  }
+}
@@ -0,0 +1,246 @@
+// ========================================================
+// iWan SDK - Response cache
+// ========================================================
+
+import { IWanError } from './errors';
+import { canonicalJson } from './utils';
+
+// ====================== TYPES ======================
+/**
+ * Key-value storage of a {@link ResponseCache}. Values are serialized entries, so any string store fits:
+ * a Map, `localStorage`, IndexedDB or a shared Redis behind an async adapter
+ */
+export interface CacheStore {
+  get(key: string): string | null | undefined | Promise<string | null | undefined>;
+  set(key: string, value: string): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  /** Every key in the store, used by the invalidation of a method or of the whole cache */
+  keys(): Iterable<string> | Promise<Iterable<string>>;
+}
+
+/**
+ * Options of the `cache` client option
+ */
+export interface ResponseCacheOptions {
+  /** Where entries are kept: an in-memory LRU, `localStorage` in a browser, or a custom store (default: 'memory') */
+  store?: 'memory' | 'localStorage' | CacheStore;
+  /** Largest number of entries of the 'memory' store (default: 500) */
+  maxEntries?: number;
+  /**
+   * Time to live in ms by method, merged over {@link DEFAULT_CACHE_TTLS}. `Infinity` caches a result for good,
+   * 0 stops caching a method
+   */
+  ttl?: Record<string, number>;
+  /** Prefix of the keys, keeping apart the clients sharing a store (default: a hash of the API key and the endpoint of the client) */
+  namespace?: string;
+}
+
+// Stored form of a result, `expires` is null for an immutable one
+interface CacheEntry {
+  value: any;
+  expires: number | null;
+}
+
+// ====================== POLICY ======================
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Default time to live in ms of the cached methods. Blocks found by hash are final and never expire, while a
+ * receipt from the head of the chain may still be dropped by a reorganization, so it is refreshed every minute.
+ */
+export const DEFAULT_CACHE_TTLS: Readonly<Record<string, number>> = {
+  getTokenPairs: 5 * MINUTE,
+  getTokenPairInfo: 5 * MINUTE,
+  getRegisteredTokenList: 5 * MINUTE,
+  getSupportedChainInfo: HOUR,
+  getChainConstantInfo: HOUR,
+  getTokenInfo: HOUR,
+  getStoremanGroupConfig: MINUTE,
+  getBlockByHash: Infinity,
+  getTransactionReceipt: MINUTE,
+};
+
+// Results worth caching: missing data may show up later, and a pending receipt has no block yet
+function isCacheable(method: string, result: any): boolean {
+  if (result === null || result === undefined) return false;
+  if (method === 'getTransactionReceipt') return !!result.blockHash;
+  return true;
+}
+
+// ====================== STORES ======================
+/**
+ * In-memory store dropping the least recently used entries beyond `maxEntries`
+ */
+export class MemoryCacheStore implements CacheStore {
+  private readonly entries = new Map<string, string>();
+
+  /**
+   * @param maxEntries - Largest number of entries kept
+   */
+  constructor(private readonly maxEntries = 500) {}
+
+  get(key: string): string | undefined {
+    const value = this.entries.get(key);
+    if (value !== undefined) {
+      this.entries.delete(key);
+      this.entries.set(key, value);
+    }
+    return value;
+  }
+
+  set(key: string, value: string): void {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value!);
+    }
+  }
+
+  delete(key: string): void {
+    this.entries.delete(key);
+  }
+
+  keys(): string[] {
+    return [...this.entries.keys()];
+  }
+}
+
+/**
+ * Store over a Web Storage such as `localStorage`, keeping the cache across page loads (browser only)
+ */
+export class LocalStorageCacheStore implements CacheStore {
+  private readonly storage: Storage;
+
+  /**
+   * @param prefix - Prefix of the keys in the storage
+   * @param storage - The Web Storage (default: `localStorage`)
+   */
+  constructor(private readonly prefix = 'iwan:', storage?: Storage) {
+    const target = storage ?? (globalThis as any).localStorage;
+    if (!target) throw new IWanError('localStorage is not available');
+    this.storage = target;
+  }
+
+  get(key: string): string | null {
+    return this.storage.getItem(this.prefix + key);
+  }
+
+  set(key: string, value: string): void {
+    this.storage.setItem(this.prefix + key, value);
+  }
+
+  delete(key: string): void {
+    this.storage.removeItem(this.prefix + key);
+  }
+
+  keys(): string[] {
+    const keys: string[] = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key?.startsWith(this.prefix)) keys.push(key.slice(this.prefix.length));
+    }
+    return keys;
+  }
+}
+
+// ====================== CACHE ======================
+/**
+ * Cache of the results of semi-static and immutable methods, used by the `cache` client option.
+ *
+ * A result is kept for the time to live of its method, see {@link DEFAULT_CACHE_TTLS}. Entries are keyed by
+ * method and params, whatever their key order. The cache is best effort: a failing store reads as a miss and
+ * a failed write is dropped, the call then goes to the server.
+ *
+ * @example
+ * ```ts
+ * const cache = new ResponseCache({ ttl: { getTokenPairs: 60000, getTokenInfo: 0 } });
+ * await cache.set('getTokenPairs', {}, pairs);
+ * await cache.get('getTokenPairs', {}); // pairs, for one minute
+ * ```
+ */
+export class ResponseCache {
+  private readonly store: CacheStore;
+  private readonly ttls: Record<string, number>;
+  private readonly namespace: string;
+
+  /**
+   * @param options - Store, time to live by method and namespace
+   */
+  constructor(options: ResponseCacheOptions = {}) {
+    const { store = 'memory', maxEntries, ttl = {}, namespace = 'iwan' } = options;
+    this.store = store === 'memory' ? new MemoryCacheStore(maxEntries)
+      : store === 'localStorage' ? new LocalStorageCacheStore()
+      : store;
+    this.ttls = { ...DEFAULT_CACHE_TTLS, ...ttl };
+    this.namespace = namespace;
+  }
+
+  /**
+   * Whether the results of a method are cached
+   * @param method - RPC method name
+   */
+  covers(method: string): boolean {
+    return this.ttls[method] > 0;
+  }
+
+  /**
+   * The cached result of a call, undefined on a miss or once expired
+   * @param method - RPC method name
+   * @param params - Parameters of the call
+   */
+  async get(method: string, params: Record<string, any> = {}): Promise<any> {
+    if (!this.covers(method)) return undefined;
+    const key = this.key(method, params);
+    try {
+      const data = await this.store.get(key);
+      if (typeof data !== 'string') return undefined;
+      const entry: CacheEntry = JSON.parse(data);
+      if (entry.expires !== null && entry.expires <= Date.now()) {
+        await this.store.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Cache the result of a call for the time to live of its method. Empty results, and receipts of transactions
+   * still pending, are not cached.
+   * @param method - RPC method name
+   * @param params - Parameters of the call
+   * @param result - The result returned by the server
+   */
+  async set(method: string, params: Record<string, any> = {}, result: any): Promise<void> {
+    if (!this.covers(method) || !isCacheable(method, result)) return;
+    const ttl = this.ttls[method];
+    const entry: CacheEntry = { value: result, expires: ttl === Infinity ? null : Date.now() + ttl };
+    try {
+      await this.store.set(this.key(method, params), JSON.stringify(entry));
+    } catch {
+      // A full or failing store only costs a request
+    }
+  }
+
+  /**
+   * Drop cached results: every result without arguments, the results of a method, or the result of one call
+   * @param method - RPC method name
+   * @param params - Parameters of the call
+   */
+  async invalidate(method?: string, params?: Record<string, any>): Promise<void> {
+    if (method !== undefined && params !== undefined) {
+      await this.store.delete(this.key(method, params));
+      return;
+    }
+    const prefix = method === undefined ? `${this.namespace}|` : `${this.namespace}|${method}|`;
+    for (const key of [...await this.store.keys()]) {
+      if (key.startsWith(prefix)) await this.store.delete(key);
+    }
+  }
+
+  private key(method: string, params: Record<string, any>): string {
+    return `${this.namespace}|${method}|${canonicalJson(params)}`;
+  }
+}
@@ -0,0 +1,270 @@
+// ========================================================
+// iWan SDK - Chain registry
+// ========================================================
+
+import type { SupportedChainInfo } from './types';
+
+// ====================== CONSTANTS ======================
+/**
+ * Chain types known to the SDK, for the `chainType` argument of every method
+ *
+ * @example
+ * ```ts
+ * await client.getBalance(ChainType.ETH, address);
+ * ```
+ */
+export const ChainType = {
+  WAN: 'WAN',
+  ETH: 'ETH',
+  BTC: 'BTC',
+  LTC: 'LTC',
+  DOGE: 'DOGE',
+  XRP: 'XRP',
+  EOS: 'EOS',
+  TRX: 'TRX',
+  ADA: 'ADA',
+  DOT: 'DOT',
+  ATOM: 'ATOM',
+  BNB: 'BNB',
+  ETC: 'ETC',
+  AVAX: 'AVAX',
+  MATIC: 'MATIC',
+  MOVR: 'MOVR',
+  GLMR: 'GLMR',
+  FTM: 'FTM',
+  XDC: 'XDC',
+  OKT: 'OKT',
+  ARETH: 'ARETH',
+  OETH: 'OETH',
+} as const;
+
+export type ChainType = typeof ChainType[keyof typeof ChainType];
+
+/**
+ * BIP44-style chain IDs, as used by `getChainConstantInfo`, `getCrossChainFees` and the token pairs.
+ * A SLIP-44 coin type gives the chain ID `0x80000000 + coinType`.
+ */
+export const ChainId = {
+  WAN: 2153201998,
+  ETH: 2147483708,
+  BTC: 2147483648,
+  LTC: 2147483650,
+  DOGE: 2147483651,
+  XRP: 2147483792,
+  EOS: 2147483842,
+  TRX: 2147483843,
+  ADA: 2147485463,
+  DOT: 2147484002,
+  ATOM: 2147483766,
+  BNB: 2147484362,
+  ETC: 2147483709,
+  AVAX: 2147492648,
+  MATIC: 2147484614,
+  MOVR: 2147484672,
+  GLMR: 2147484932,
+  FTM: 2147484655,
+  XDC: 2147484198,
+  OKT: 2147484644,
+  ARETH: 1073741826,
+  OETH: 2147484262,
+} as const satisfies Record<ChainType, number>;
+
+/**
+ * Address format shared by a group of chains
+ */
+export const ChainFamily = {
+  EVM: 'EVM',
+  UTXO: 'UTXO',
+  XRP: 'XRP',
+  EOS: 'EOS',
+  TRX: 'TRX',
+  ADA: 'ADA',
+  /** Any other chain, its addresses are not checked by the SDK */
+  OTHER: 'OTHER',
+} as const;
+
+export type ChainFamily = typeof ChainFamily[keyof typeof ChainFamily];
+
+/**
+ * Encoding of the account addresses of a chain
+ */
+export const AddressFormat = {
+  /** 20-byte hex with the `0x` prefix, EIP-55 checksum when mixed-case */
+  HEX: 'hex',
+  /** Base58check (P2PKH, P2SH) or bech32 (segwit) */
+  BASE58_BECH32: 'base58check/bech32',
+  /** Base58check */
+  BASE58: 'base58check',
+  /** Base58check with the Ripple alphabet */
+  RIPPLE: 'ripple',
+  /** Account name of up to 12 characters */
+  ACCOUNT_NAME: 'accountName',
+  /** Bech32 */
+  BECH32: 'bech32',
+  /** SS58 */
+  SS58: 'ss58',
+  UNKNOWN: 'unknown',
+} as const;
+
+export type AddressFormat = typeof AddressFormat[keyof typeof AddressFormat];
+
+// ====================== TYPES ======================
+/**
+ * Metadata of one chain in the {@link ChainRegistry}
+ */
+export interface ChainInfo {
+  /** The `chainType` argument of the iWan methods, e.g. 'ETH' */
+  chainType: string;
+  /** BIP44-style chain ID, e.g. 2147483708 */
+  chainId: number;
+  /** The chain ID without its hardened bit, the SLIP-44 coin type for most chains, e.g. 60 */
+  chainIndex: number;
+  family: ChainFamily;
+  /** Symbol of the native coin, e.g. 'ETH' for 'ARETH' */
+  symbol: string;
+  /** Decimals of the native coin */
+  decimals: number;
+  addressFormat: AddressFormat;
+  /** Display name, e.g. 'Ethereum' */
+  name?: string;
+  /** EVM chain ID (`transChainID`), only known after {@link ChainRegistry.update} */
+  evmChainId?: number;
+}
+
+// ====================== REGISTRY ======================
+const HARDENED = 0x80000000;
+
+function chainIndexOf(chainId: number): number {
+  return chainId >= HARDENED ? chainId - HARDENED : chainId;
+}
+
+const FAMILY_ADDRESS_FORMATS: Record<ChainFamily, AddressFormat> = {
+  EVM: AddressFormat.HEX,
+  UTXO: AddressFormat.BASE58_BECH32,
+  XRP: AddressFormat.RIPPLE,
+  EOS: AddressFormat.ACCOUNT_NAME,
+  TRX: AddressFormat.BASE58,
+  ADA: AddressFormat.BECH32,
+  OTHER: AddressFormat.UNKNOWN,
+};
+
+function chain(chainType: ChainType, family: ChainFamily, symbol: string, decimals: number, name: string, addressFormat = FAMILY_ADDRESS_FORMATS[family]): ChainInfo {
+  const chainId = ChainId[chainType];
+  return { chainType, chainId, chainIndex: chainIndexOf(chainId), family, symbol, decimals, addressFormat, name };
+}
+
+const DEFAULT_CHAINS: ChainInfo[] = [
+  chain('WAN', 'EVM', 'WAN', 18, 'Wanchain'),
+  chain('ETH', 'EVM', 'ETH', 18, 'Ethereum'),
+  chain('BTC', 'UTXO', 'BTC', 8, 'Bitcoin'),
+  chain('LTC', 'UTXO', 'LTC', 8, 'Litecoin'),
+  chain('DOGE', 'UTXO', 'DOGE', 8, 'Dogecoin', AddressFormat.BASE58),
+  chain('XRP', 'XRP', 'XRP', 6, 'XRP Ledger'),
+  chain('EOS', 'EOS', 'EOS', 4, 'EOS'),
+  chain('TRX', 'TRX', 'TRX', 6, 'Tron'),
+  chain('ADA', 'ADA', 'ADA', 6, 'Cardano'),
+  chain('DOT', 'OTHER', 'DOT', 10, 'Polkadot', AddressFormat.SS58),
+  chain('ATOM', 'OTHER', 'ATOM', 6, 'Cosmos Hub', AddressFormat.BECH32),
+  chain('BNB', 'EVM', 'BNB', 18, 'BNB Chain'),
+  chain('ETC', 'EVM', 'ETC', 18, 'Ethereum Classic'),
+  chain('AVAX', 'EVM', 'AVAX', 18, 'Avalanche C-Chain'),
+  chain('MATIC', 'EVM', 'MATIC', 18, 'Polygon'),
+  chain('MOVR', 'EVM', 'MOVR', 18, 'Moonriver'),
+  chain('GLMR', 'EVM', 'GLMR', 18, 'Moonbeam'),
+  chain('FTM', 'EVM', 'FTM', 18, 'Fantom'),
+  chain('XDC', 'EVM', 'XDC', 18, 'XDC Network'),
+  chain('OKT', 'EVM', 'OKT', 18, 'OKX Chain'),
+  chain('ARETH', 'EVM', 'ETH', 18, 'Arbitrum'),
+  chain('OETH', 'EVM', 'ETH', 18, 'Optimism'),
+];
+
+const EVM_CONTRACT = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * Chain metadata keyed by chain type, seeded with the {@link ChainType} chains.
+ *
+ * Each client holds its own registry in {@link IwanClient.chains}, used to validate `chainType` arguments and
+ * refreshed at runtime with {@link IwanClient.refreshChainRegistry}, so chains added on the server side are
+ * accepted without an SDK upgrade.
+ */
+export class ChainRegistry {
+  private readonly chains = new Map<string, ChainInfo>();
+
+  constructor(chains: ChainInfo[] = DEFAULT_CHAINS) {
+    chains.forEach(info => this.register(info));
+  }
+
+  /**
+   * Metadata of a chain type
+   * @param chainType - The chain name, e.g. 'ETH'
+   */
+  get(chainType: string): ChainInfo | undefined {
+    return this.chains.get(chainType);
+  }
+
+  /**
+   * Whether a chain type is known
+   * @param chainType - The chain name, e.g. 'ETH'
+   */
+  has(chainType: string): boolean {
+    return this.chains.has(chainType);
+  }
+
+  /**
+   * Metadata of a chain by its BIP44-style chain ID
+   * @param chainId - The chain ID, as a number or decimal string, e.g. 2153201998
+   */
+  byChainId(chainId: number | string): ChainInfo | undefined {
+    const id = Number(chainId);
+    return [...this.chains.values()].find(info => info.chainId === id);
+  }
+
+  /** All known chains */
+  all(): ChainInfo[] {
+    return [...this.chains.values()];
+  }
+
+  /**
+   * Add a chain or replace the metadata of a known one
+   * @param info - The chain metadata
+   */
+  register(info: ChainInfo): void {
+    this.chains.set(info.chainType, { ...info });
+  }
+
+  /**
+   * Merge the result of `getSupportedChainInfo`. Known chains keep their family and address format, new chains
+   * are classified as EVM when their cross chain or multicall contract has an EVM address.
+   * @param infos - The supported chain info returned by the server
+   * @returns The merged metadata of the given chains
+   */
+  update(infos: SupportedChainInfo[]): ChainInfo[] {
+    return infos.map(item => {
+      const known = this.get(item.chainType);
+      const chainId = Number(item.chainID);
+      const family = known?.family ?? ([item.crossScAddr, item.multicallAddr].some(addr => addr && EVM_CONTRACT.test(addr)) ? ChainFamily.EVM : ChainFamily.OTHER);
+      const info: ChainInfo = {
+        ...known,
+        chainType: item.chainType,
+        chainId,
+        chainIndex: chainIndexOf(chainId),
+        family,
+        symbol: item.chainSymbol ?? known?.symbol ?? item.chainType,
+        decimals: item.chainDecimals ?? known?.decimals ?? 0,
+        addressFormat: known?.addressFormat ?? FAMILY_ADDRESS_FORMATS[family],
+        name: item.chainName ?? known?.name,
+      };
+      if (item.transChainID !== undefined && item.transChainID !== '') {
+        info.evmChainId = Number(item.transChainID);
+      }
+      this.register(info);
+      return info;
+    });
+  }
+}
+
+/**
+ * Registry of the default chains, used by {@link validateParams} and {@link isValidAddress} when no registry is
+ * given. Clients keep their own copy, which {@link IwanClient.refreshChainRegistry} never writes back here.
+ */
+export const chainRegistry = new ChainRegistry();
@@ -0,0 +1,10 @@
+// ========================================================
+// CommonJS / IIFE entry
+// ========================================================
+// `require('@wandevs/iwan-sdk')` and `window.IwanClient` are the client class itself, so the named exports
+// are attached to it as statics, `default` included for code written against the ESM entry.
+
+import IwanClient from './index';
+import * as api from './index';
+
+export default Object.assign(IwanClient, api);
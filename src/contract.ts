@@ -0,0 +1,202 @@
+// ========================================================
+// iWan SDK - Contract objects
+// ========================================================
+
+import { AbiItem, AbiParameter, DecodedEventLog, decodeBigNumbers, decodeEventLog, encodeEventTopics, formatSignature, toJsonValue } from './abi';
+import { IWanError } from './errors';
+import type IwanClient from './index';
+import type { CallOptions } from './index';
+import type { BlockTag, EventLog } from './types';
+
+// ====================== TYPES ======================
+/**
+ * Options of {@link IwanClient.contract}
+ */
+export interface ContractOptions {
+  /** The version of the contract, sent with every `callScFunc`, `getScVar` and `getScMap` */
+  version?: string;
+}
+
+/**
+ * Query of {@link ContractEvent.query}
+ */
+export interface EventQuery {
+  /** The earliest block, default: 0 as for `getScEvent` */
+  fromBlock?: BlockTag;
+  /** The latest block, default: `'latest'` */
+  toBlock?: BlockTag;
+  /** Values of the indexed inputs, by name or by position among the indexed inputs */
+  filter?: Record<string, any> | any[];
+}
+
+/**
+ * A log returned by {@link ContractEvent.query}, with its decoded event
+ */
+export type DecodedLog = EventLog & DecodedEventLog;
+
+/**
+ * One event of a {@link Contract}
+ */
+export interface ContractEvent {
+  /** The event ABI item */
+  readonly abi: AbiItem;
+  /**
+   * Topics filtering the logs of the event
+   * @param filter - Values of the indexed inputs
+   */
+  topics(filter?: EventQuery['filter']): Array<string | null>;
+  /**
+   * Get and decode the logs of the event
+   * @param query - The block range and the indexed values
+   * @param callOptions - Per-call SDK options
+   */
+  query(query?: EventQuery, callOptions?: CallOptions): Promise<Array<DecodedLog>>;
+}
+
+/**
+ * Contract function bound to a {@link Contract}. Per-call SDK options may follow the arguments.
+ */
+export type ContractFunction = (...args: any[]) => Promise<any>;
+
+// ====================== RESULTS ======================
+// Results come back in the web3 format: integers as decimal strings or serialized big numbers, and
+// several outputs as one object keyed by position and by name
+function convertValue(param: AbiParameter, value: any): any {
+  const array = /^(.*)\[\d*\]$/.exec(param.type);
+  if (array && Array.isArray(value)) {
+    return value.map(item => convertValue({ ...param, type: array[1] }, item));
+  }
+  if (param.type === 'tuple' && value && typeof value === 'object') {
+    return convertOutputs(param.components ?? [], value);
+  }
+  if (/^u?int\d*$/.test(param.type) && value !== null && value !== undefined) {
+    const n = decodeBigNumbers(value);
+    return typeof n === 'bigint' ? n : BigInt(n);
+  }
+  return value;
+}
+
+// Several outputs become an object keyed by output name, or by position when unnamed
+function convertOutputs(outputs: AbiParameter[], result: any): any {
+  const ret: Record<string, any> = {};
+  outputs.forEach((output, i) => {
+    ret[output.name || String(i)] = convertValue(output, result?.[i] ?? result?.[output.name ?? '']);
+  });
+  return ret;
+}
+
+function convertResult(item: AbiItem, result: any): any {
+  const outputs = item.outputs ?? [];
+  if (!outputs.length) return undefined;
+  return outputs.length === 1 ? convertValue(outputs[0], result) : convertOutputs(outputs, result);
+}
+
+// ====================== CONTRACT ======================
+/**
+ * A contract on an EVM chain, with one method per ABI entry.
+ *
+ * Created by {@link IwanClient.contract}.
+ * - `read.<fn>(...args)` calls a view or pure function through `callScFunc`; overloaded functions are picked
+ *   by argument count, or by signature such as `read['balanceOf(address)']`
+ * - `vars.<name>()` reads a public variable through `getScVar`
+ * - `maps.<name>(key)` reads a public mapping through `getScMap`
+ * - `events.<Name>.query({fromBlock, toBlock, filter})` gets and decodes logs through `getScEvent`
+ *
+ * Integer results are returned as bigint, several outputs as an object keyed by output name.
+ * Every method takes the per-call SDK options after its arguments.
+ *
+ * @example
+ * ```ts
+ * const token = client.contract('ETH', usdtAddress, erc20Abi);
+ * const balance = await token.read.balanceOf(owner);
+ * const symbol = await token.vars.symbol();
+ * const transfers = await token.events.Transfer.query({ fromBlock: 20000000, filter: { to: owner } });
+ * console.log(balance, symbol, transfers[0].args.value);
+ * ```
+ */
+export class Contract {
+  /** View and pure functions, by name and by signature */
+  readonly read: Record<string, ContractFunction> = {};
+  /** Public variables, the functions without inputs */
+  readonly vars: Record<string, (callOptions?: CallOptions) => Promise<any>> = {};
+  /** Public mappings, the functions with one input */
+  readonly maps: Record<string, (key: any, callOptions?: CallOptions) => Promise<any>> = {};
+  /** Events, by name */
+  readonly events: Record<string, ContractEvent> = {};
+
+  /**
+   * @param client - The client sending the calls
+   * @param chainType - The chain of the contract, e.g. 'ETH'
+   * @param address - The contract address
+   * @param abi - The contract ABI
+   * @param options - The contract version
+   */
+  constructor(
+    private readonly client: IwanClient,
+    public readonly chainType: string,
+    public readonly address: string,
+    public readonly abi: AbiItem[],
+    private readonly options: ContractOptions = {},
+  ) {
+    const functions = abi.filter(item => item.type === 'function' && item.name && (item.constant || item.stateMutability === 'view' || item.stateMutability === 'pure'));
+    const overloads = new Map<string, AbiItem[]>();
+    for (const item of functions) {
+      overloads.set(item.name!, [...(overloads.get(item.name!) ?? []), item]);
+      this.read[formatSignature(item)] = (...args) => this.call(item, args);
+    }
+
+    overloads.forEach((items, name) => {
+      this.read[name] = (...args) => {
+        const item = items.find(entry => (entry.inputs ?? []).length === args.length)
+          ?? items.find(entry => (entry.inputs ?? []).length === args.length - 1);
+        if (!item) {
+          return Promise.reject(new IWanError(`No ${name} function of ${this.address} takes ${args.length} arguments`));
+        }
+        return this.call(item, args);
+      };
+      const getter = items.find(item => !(item.inputs ?? []).length);
+      if (getter) {
+        this.vars[name] = callOptions => this.getVar(getter, callOptions);
+      }
+      const mapping = items.find(item => (item.inputs ?? []).length === 1);
+      if (mapping) {
+        this.maps[name] = (key, callOptions) => this.getMap(mapping, key, callOptions);
+      }
+    });
+
+    for (const item of abi.filter(entry => entry.type === 'event' && entry.name)) {
+      this.events[item.name!] = {
+        abi: item,
+        topics: filter => encodeEventTopics(item, filter),
+        query: (query, callOptions) => this.queryEvent(item, query, callOptions),
+      };
+    }
+  }
+
+  private async call(item: AbiItem, args: any[]): Promise<any> {
+    const inputs = item.inputs ?? [];
+    const callOptions: CallOptions | undefined = args.length > inputs.length ? args[inputs.length] : undefined;
+    // Only the called entry is sent, so that overloaded functions resolve to it
+    const result = await this.client.callScFunc(this.chainType, this.address, item.name!, toJsonValue(args.slice(0, inputs.length)), [item], this.options.version, undefined, callOptions);
+    return convertResult(item, result);
+  }
+
+  private async getVar(item: AbiItem, callOptions?: CallOptions): Promise<any> {
+    const result = await this.client.getScVar(this.chainType, this.address, item.name!, [item], this.options.version, callOptions);
+    return convertResult(item, result);
+  }
+
+  private async getMap(item: AbiItem, key: any, callOptions?: CallOptions): Promise<any> {
+    const result = await this.client.getScMap(this.chainType, this.address, item.name!, toJsonValue(key), [item], this.options.version, callOptions);
+    return convertResult(item, result);
+  }
+
+  private async queryEvent(item: AbiItem, query: EventQuery = {}, callOptions?: CallOptions): Promise<Array<DecodedLog>> {
+    const { fromBlock = 0, toBlock = 'latest', filter } = query;
+    const logs = await this.client.getScEvent(this.chainType, this.address, encodeEventTopics(item, filter), { fromBlock, toBlock }, callOptions);
+    return logs.flatMap(log => {
+      const decoded = decodeEventLog([item], log);
+      return decoded ? [{ ...log, ...decoded }] : [];
+    });
+  }
+}
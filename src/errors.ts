@@ -0,0 +1,179 @@
+import type { SchemaIssue } from './schemas';
+
+// ====================== CUSTOM ERROR ======================
+/**
+ * Stable `code` values of the errors thrown by the SDK, for branching without matching messages
+ */
+export const IWanErrorCode = {
+  /** The request got no response within its timeout */
+  TIMEOUT: 'TIMEOUT',
+  /** The connection failed, dropped, or could not be re-established */
+  CONNECTION: 'CONNECTION',
+  /** The client was closed by `close()` */
+  CLOSED: 'CLOSED',
+  /** The request was aborted through its AbortSignal */
+  ABORTED: 'ABORTED',
+  /** The server answered with a JSON-RPC error */
+  RPC: 'RPC_ERROR',
+  /** The result did not match the method schema while `validateResponses` is 'throw' */
+  SCHEMA: 'SCHEMA_MISMATCH',
+  /** An argument failed client-side validation while `validateParams` is enabled */
+  VALIDATION: 'INVALID_PARAM',
+  /** A {@link ReplayTransport} has no recorded response for the request */
+  FIXTURE: 'NO_FIXTURE',
+} as const;
+
+/**
+ * Base error thrown by the iWan SDK
+ */
+export class IWanError extends Error {
+  constructor(message: string, public code?: string) {
+    super(message);
+    this.name = 'IWanError';
+  }
+}
+
+/**
+ * The request got no response within its timeout
+ */
+export class IWanTimeoutError extends IWanError {
+  constructor(message: string, public readonly method?: string) {
+    super(message, IWanErrorCode.TIMEOUT);
+    this.name = 'IWanTimeoutError';
+  }
+}
+
+/**
+ * The connection failed, dropped, or could not be re-established. Safe to retry for idempotent calls.
+ */
+export class IWanConnectionError extends IWanError {
+  constructor(message: string) {
+    super(message, IWanErrorCode.CONNECTION);
+    this.name = 'IWanConnectionError';
+  }
+}
+
+/**
+ * The client or transport was closed on purpose
+ */
+export class IWanClosedError extends IWanError {
+  constructor(message: string) {
+    super(message, IWanErrorCode.CLOSED);
+    this.name = 'IWanClosedError';
+  }
+}
+
+/**
+ * The request was aborted through its AbortSignal
+ */
+export class IWanAbortError extends IWanError {
+  constructor(message = 'Request aborted') {
+    super(message, IWanErrorCode.ABORTED);
+    this.name = 'IWanAbortError';
+  }
+}
+
+/**
+ * The server answered with a JSON-RPC error. `code` is always 'RPC_ERROR', the server code is kept in `rpcCode`.
+ */
+export class IWanRpcError extends IWanError {
+  /** The JSON-RPC error code returned by the server */
+  public readonly rpcCode?: number;
+  /** The JSON-RPC error data returned by the server */
+  public readonly data?: any;
+  /** The RPC method that failed */
+  public readonly method?: string;
+  /** The request params, without signing fields and with long values truncated */
+  public readonly params?: Record<string, string>;
+
+  constructor(error: { code?: number; message?: string; data?: any }, method?: string, params?: Record<string, any>) {
+    super(error?.message ?? 'RPC error', IWanErrorCode.RPC);
+    this.name = 'IWanRpcError';
+    this.rpcCode = error?.code;
+    this.data = error?.data;
+    this.method = method;
+    this.params = params && summarizeParams(params);
+  }
+}
+
+/**
+ * The result did not match the response schema of its method. The unchecked result is kept in `result`.
+ */
+export class IWanSchemaError extends IWanError {
+  /** The RPC method whose result failed validation */
+  public readonly method: string;
+  /** Every mismatch found in the result */
+  public readonly issues: SchemaIssue[];
+  /** The result as received */
+  public readonly result: any;
+
+  constructor(method: string, issues: SchemaIssue[], result: any) {
+    super(`Unexpected result of ${method}: ${describeIssues(issues)}`, IWanErrorCode.SCHEMA);
+    this.name = 'IWanSchemaError';
+    this.method = method;
+    this.issues = issues;
+    this.result = result;
+  }
+}
+
+/**
+ * An argument failed client-side validation, the request was not sent
+ */
+export class IWanValidationError extends IWanError {
+  /** The RPC method that was called */
+  public readonly method: string;
+  /** Name of the invalid argument, with its index for an array, e.g. `'address[1]'` */
+  public readonly argument: string;
+  /** The rejected value */
+  public readonly value: any;
+
+  constructor(method: string, argument: string, value: any, reason: string) {
+    super(`Invalid ${argument} of ${method}: ${reason}`, IWanErrorCode.VALIDATION);
+    this.name = 'IWanValidationError';
+    this.method = method;
+    this.argument = argument;
+    this.value = value;
+  }
+}
+
+/**
+ * A {@link ReplayTransport} has no recorded response matching the method and params of a request
+ */
+export class IWanFixtureError extends IWanError {
+  /** The RPC method that was called */
+  public readonly method: string;
+  /** The request params, without signing fields and with long values truncated */
+  public readonly params: Record<string, string>;
+
+  constructor(method: string, params: Record<string, any>) {
+    const summary = summarizeParams(params);
+    super(`No recorded response for ${method} ${JSON.stringify(summary)}`, IWanErrorCode.FIXTURE);
+    this.name = 'IWanFixtureError';
+    this.method = method;
+    this.params = summary;
+  }
+}
+
+const MAX_DESCRIBED_ISSUES = 3;
+
+function describeIssues(issues: SchemaIssue[]): string {
+  const described = issues
+    .slice(0, MAX_DESCRIBED_ISSUES)
+    .map(issue => `${issue.path} expected ${issue.expected}, got ${issue.received}`)
+    .join('; ');
+  const more = issues.length - MAX_DESCRIBED_ISSUES;
+  return more > 0 ? `${described} and ${more} more` : described;
+}
+
+const OMITTED_PARAMS = ['timestamp', 'signature', 'clientType', 'clientVersion'];
+const MAX_PARAM_LENGTH = 80;
+
+function summarizeParams(params: Record<string, any>): Record<string, string> {
+  const summary: Record<string, string> = {};
+  for (const [key, value] of Object.entries(params)) {
+    if (OMITTED_PARAMS.includes(key)) continue;
+    const text = typeof value === 'string' ? value : JSON.stringify(value) ?? String(value);
+    summary[key] = text.length > MAX_PARAM_LENGTH ? `${text.slice(0, MAX_PARAM_LENGTH)}...` : text;
+  }
+  return summary;
+}
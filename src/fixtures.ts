@@ -0,0 +1,113 @@
+// ========================================================
+// iWan SDK - Fixture replay
+// ========================================================
+
+import { BaseTransport } from './transport';
+import { IWanFixtureError } from './errors';
+import { canonicalJson, fixtureFrames, unsignedParams } from './utils';
+
+// ====================== TYPES ======================
+/**
+ * One recorded call of a {@link RpcFixture}
+ */
+export interface FixtureEntry {
+  method: string;
+  /** The params as sent, without the `timestamp` and `signature` added by the signing */
+  params: Record<string, any>;
+  /** The result, absent when the server answered with an error */
+  result?: any;
+  /** The JSON-RPC error returned by the server */
+  error?: { code: number; message: string; data?: any };
+  /** Later frames carrying the same id, such as the logs pushed to a `monitorEvent` subscription */
+  pushes?: any[];
+}
+
+/**
+ * Recorded RPC traffic, the content of a fixture file written by the `RecordingTransport` of
+ * `@wandevs/iwan-sdk/mock`
+ */
+export interface RpcFixture {
+  entries: FixtureEntry[];
+}
+
+// ====================== MATCHING ======================
+// The client identification is left out of the matching, so that fixtures survive an SDK upgrade
+const CLIENT_PARAMS = ['clientType', 'clientVersion'];
+
+function matchKey(params: Record<string, any>): string {
+  return canonicalJson(Object.fromEntries(Object.entries(params).filter(([key]) => !CLIENT_PARAMS.includes(key))));
+}
+
+// ====================== REPLAY ======================
+/**
+ * Transport answering calls from a recorded {@link RpcFixture}, without any network.
+ *
+ * A call is answered by the first unused entry with the same method and params, ignoring the timestamp,
+ * signature and client version; once all matching entries are used, the last one answers again. A call
+ * without a matching entry rejects with an IWanFixtureError.
+ *
+ * @example
+ * ```ts
+ * import { loadFixture } from '@wandevs/iwan-sdk/mock';
+ *
+ * const fixture = await loadFixture('tests/fixtures/balances.json');
+ * const client = new IwanClient('any', 'any', { transport: new ReplayTransport(fixture) });
+ * console.log(await client.getBalance('WAN', address));
+ * ```
+ */
+export class ReplayTransport extends BaseTransport {
+  public readonly persistent = true;
+  private open = false;
+  private readonly used = new Set<FixtureEntry>();
+
+  /**
+   * @param fixture - The recorded calls
+   */
+  constructor(private readonly fixture: RpcFixture) {
+    super();
+  }
+
+  get isOpen(): boolean {
+    return this.open;
+  }
+
+  async connect(): Promise<void> {
+    this.open = true;
+    this.emit('open');
+  }
+
+  send(data: string): void {
+    const msgs = fixtureFrames(data);
+    const answers = msgs.map(msg => {
+      const params = unsignedParams(msg.params);
+      const entry = this.match(msg.method, params);
+      if (!entry) throw new IWanFixtureError(msg.method, params);
+      return { msg, entry };
+    });
+    answers.forEach(({ entry }) => this.used.add(entry));
+
+    const responses = answers.map(({ msg, entry }) =>
+      entry.error ? { jsonrpc: '2.0', id: msg.id, error: entry.error } : { jsonrpc: '2.0', id: msg.id, result: entry.result });
+    // Answer asynchronously, as a server would
+    setTimeout(() => {
+      if (!this.open) return;
+      this.emit('message', JSON.stringify(Array.isArray(JSON.parse(data)) ? responses : responses[0]));
+      answers.forEach(({ msg, entry }) => entry.pushes?.forEach(result => this.emit('message', JSON.stringify({ jsonrpc: '2.0', id: msg.id, result }))));
+    }, 0);
+  }
+
+  ping(): void {
+    this.emit('pong');
+  }
+
+  async close(): Promise<void> {
+    this.open = false;
+    this.emit('close', { code: 1000 });
+  }
+
+  private match(method: string, params: Record<string, any>): FixtureEntry | undefined {
+    const key = matchKey(params);
+    const entries = this.fixture.entries.filter(entry => entry.method === method && matchKey(entry.params) === key);
+    return entries.find(entry => !this.used.has(entry)) ?? entries[entries.length - 1];
+  }
+}
@@ -4,6 +4,7 @@
 // Original: https://github.com/wanchain/iWan-js-sdk
 // Features:
 // - Browser + Node full support (auto detect)
+// - WebSocket or HTTP transport
 // - isTestnet convenience flag (default: false)
 // - flag option kept (matches original README)
 // - Every request 100% signed with secretKey HMAC-SHA256
@@ -15,6 +16,68 @@
 import { EventEmitter } from 'eventemitter3';
 import hmacSHA256 from 'crypto-js/hmac-sha256';
 import Base64 from 'crypto-js/enc-base64';
+import SHA256 from 'crypto-js/sha256';
+import Hex from 'crypto-js/enc-hex';
+import { IWanError, IWanTimeoutError, IWanConnectionError, IWanClosedError, IWanAbortError, IWanRpcError, IWanSchemaError } from './errors';
+import { Transport, TransportFactory, WsTransport, HttpTransport } from './transport';
+import { BatchRequest, BatchCall } from './batch';
+import { responseSchemas, validateSchema, SchemaIssue } from './schemas';
+import { validateParams, isByte32Hash } from './validation';
+import { ChainRegistry, ChainInfo } from './chains';
+import { IwanProvider, IwanProviderOptions } from './provider';
+import { Contract, ContractOptions } from './contract';
+import { MulticallAggregator, MulticallOptions } from './multicall';
+import { ResponseCache, ResponseCacheOptions } from './cache';
+import { TokenPairStore, TokenPairStoreOptions } from './pairs';
+import { AssetUnit, FormattedBalance, FormatUnitsOptions, formatUnits, toBaseUnits } from './units';
+import type { AbiItem } from './abi';
+import type {
+  ReservedOption, VersionOption, BlockRangeOption, OpReturnOutputsOption, TokenTypeOption,
+  TransByAddressBetweenBlocksOption, TransCountOption, PackTransactionOption, EstimateSmartFeeOption,
+  NetworkFeeOption, EosActionsOption, DelegatorTotalIncentiveOption, RegisteredDappOption,
+  RegisteredAdsOption, RegisteredCoinGeckoOption, RegisteredTokenLogoOption, RegisteredChainLogoOption,
+  RegisteredMultiChainOrigTokenOption, RegisteredMapTokenOption, RegisteredSubgraphOption,
+  RegisteredTokenIssuerOption, RegisteredTokenListOption, ChainIdsOption, EpochRangeOption,
+  StoremanGroupQuotaOption, StoremanStakeInfoOption, StoremanIncentiveOption, StoremanDelegatorInfoOption,
+  StoremanSlashInfoOption, TokenPairsOption, ChainConstantInfoOption, PrdInctMetricOption,
+  SelectedSmInfoOption, GroupIdOption, SmDelegatorInfoOption, LedgerOption, CrossChainFeesOption,
+  CrossChainNetworkFeeOption, CrossChainOperationFeeOption, EpochIdOption, GateWayBalancesOption,
+  TrustLinesOption, CrossChainReservedQuotaOption, MultiCallTarget, MultiCallResult, MultiCall2Target,
+  MultiCall2Result, BalanceMap, AccountBalance, TokenInfo, RegToken, CoinStoremanGroup, TokenStoremanGroup,
+  EventLog, Transaction, TransactionReceipt, Block, UTXO, OpReturnOutput, EosPackedTransaction,
+  EosCurrencyStats, BandwidthPrice, ResourcePrice, TotalStakedPercent, EosRawCodeAndAbi, EosTableRows,
+  EosChainInfo, EosAccountInfo, EosAbi, EosAction, StakerInfo, EpochIncentivePayDetail, SlotActivity,
+  ValidatorActivity, EpochActivity, ValidatorInfo, TotalIncentive, DelegatorStakeInfo, DelegatorIncentive,
+  LeaderGroupMember, EpochInfo, PosInfo, EpochBlockNumber, ValidatorSupStakeInfo, DelegatorSupStakeInfo,
+  EpochStakeOut, RegisteredValidator, RegisteredToken, RegisteredDapp, RegisteredAd, RegisteredCoinGecko,
+  RegisteredTokenLogo, RegisteredChainLogo, RegisteredMultiChainOrigToken, RegisteredSubgraph,
+  RegisteredTokenIssuer, RegisteredTokenListItem, StoremanGroupConfig, StoremanGroupInfo,
+  StoremanGroupListItem, StoremanActivity, StoremanGroupQuota, StoremanCandidate, StoremanGroupMember,
+  StoremanInfo, StoremanStakeInfo, StoremanConf, StoremanIncentive, StoremanDelegatorInfo, StoremanSlashInfo,
+  SelectedSmInfo, SmDelegatorInfo, TokenPairAncestorInfo, TokenPair, SupportedChainInfo, CrossChainFees,
+  CrossChainNetworkFee, CrossChainOperationFee, ChainQuotaHiddenFlag, WanBridgeDiscount, ChainParameter,
+  XrpLedger, XrpServerInfo, XrpGatewayBalances, XrpTrustLine, CardanoBlock, CardanoEpochParameters,
+  CardanoCostModelParameters,
+} from './types';
+import type { IwanMethodName, IwanParams, IwanResult, IwanCallArgs } from './methods';
+
+export { IWanError, IWanErrorCode, IWanTimeoutError, IWanConnectionError, IWanClosedError, IWanAbortError, IWanRpcError, IWanSchemaError, IWanValidationError, IWanFixtureError } from './errors';
+export type { Transport, TransportEvents, TransportFactory } from './transport';
+export { BaseTransport, WsTransport, HttpTransport } from './transport';
+export { BatchRequest } from './batch';
+export type * from './types';
+export type * from './methods';
+export * from './schemas';
+export * from './validation';
+export * from './chains';
+export * from './abi';
+export * from './provider';
+export * from './contract';
+export * from './multicall';
+export * from './units';
+export * from './fixtures';
+export * from './cache';
+export * from './pairs';
 
 // ====================== CONFIG ======================
 const DEFAULT_CONFIG = {
@@ -27,15 +90,107 @@ const DEFAULT_CONFIG = {
   timeout: 30000,
   pingTime: 30000,
   maxTries: 3,
-  reconnTime: 2000,
+  retry: { delay: 500, multiplier: 2, maxDelay: 10000 },
+  reconnect: {
+    initialDelay: 2000,
+    multiplier: 1.5,
+    maxDelay: 30000,
+    jitter: 0.2,
+    maxAttempts: Infinity,
+  },
   wsOptions: { handshakeTimeout: 12000, rejectUnauthorized: true },
 } as const;
 
+// Idempotent reads, the only methods `offlineQueue` buffers unless listed in `retryableMethods`.
+// Writes, subscriptions, proxied calls and any method missing here fail fast while disconnected.
+const IDEMPOTENT_METHODS: ReadonlySet<string> = new Set([
+  'callScFunc', 'checkOTAUsed', 'estimateCrossChainNetworkFee', 'estimateCrossChainOperationFee', 'estimateGas',
+  'estimateNetworkFee', 'estimateSmartFee', 'getAbi', 'getAccountInfo', 'getAccounts', 'getActions', 'getActivity',
+  'getAllBalances', 'getBalance', 'getBandwidthPrice', 'getBlockByHash', 'getBlockByNumber', 'getBlockNumber',
+  'getBlockTransactionCount', 'getChainConstantInfo', 'getChainInfo', 'getChainParameters',
+  'getChainQuotaHiddenFlagDirectionally', 'getChainQuotaHiddenFlags', 'getCode', 'getCoin2WanRatio',
+  'getCostModelParameters', 'getCrossChainFees', 'getCrossChainReservedQuota', 'getCurrencyStats',
+  'getCurrentEpochInfo', 'getCurrentStakerInfo', 'getDelegatorIncentive', 'getDelegatorStakeInfo',
+  'getDelegatorSupStakeInfo', 'getDelegatorTotalIncentive', 'getEpochID', 'getEpochIDByTime',
+  'getEpochIncentiveBlockNumber', 'getEpochIncentivePayDetail', 'getEpochLeadersByEpochID', 'getEpochParameters',
+  'getEpochStakeOut', 'getGasPrice', 'getGateWayBalances', 'getLatestBlock', 'getLeaderGroupByEpochID', 'getLedger',
+  'getLedgerVersion', 'getMaxBlockNumber', 'getMaxStableBlkNumber', 'getMinCrossChainAmount', 'getMultiBalances',
+  'getMultiStoremanGroupInfo', 'getMultiStoremanInfo', 'getMultiTokenBalance', 'getMultiTokenInfo', 'getNonce',
+  'getNonceIncludePending', 'getOTAMixSet', 'getOpReturnOutputs', 'getP2shxByHashx', 'getPosInfo',
+  'getPrdInctMetric', 'getRamPrice', 'getRandom', 'getRandomProposersByEpochID', 'getRawAbi', 'getRawCodeAndAbi',
+  'getRegTokens', 'getRegisteredAds', 'getRegisteredChainLogo', 'getRegisteredCoinGecko', 'getRegisteredDapp',
+  'getRegisteredMapToken', 'getRegisteredMultiChainOrigToken', 'getRegisteredOrigToken', 'getRegisteredSubgraph',
+  'getRegisteredToken', 'getRegisteredTokenIssuer', 'getRegisteredTokenList', 'getRegisteredTokenLogo',
+  'getRegisteredValidator', 'getRequiredKeys', 'getResource', 'getResourcePrice', 'getRewardRatio', 'getScEvent',
+  'getScMap', 'getScOwner', 'getScVar', 'getSelectedSmInfo', 'getSelectedStoreman', 'getServerInfo',
+  'getSlotActivity', 'getSlotCount', 'getSlotID', 'getSlotTime', 'getSmDelegatorInfo', 'getStakerInfo',
+  'getStoremanCandidates', 'getStoremanCandidatesV2', 'getStoremanConf', 'getStoremanDelegatorInfo',
+  'getStoremanDelegatorTotalIncentive', 'getStoremanGpkSlashInfo', 'getStoremanGroupActivity',
+  'getStoremanGroupConfig', 'getStoremanGroupInfo', 'getStoremanGroupList', 'getStoremanGroupMember',
+  'getStoremanGroupMemberV2', 'getStoremanGroupQuota', 'getStoremanGroups', 'getStoremanInfo',
+  'getStoremanSignSlashInfo', 'getStoremanStakeInfo', 'getStoremanStakeTotalIncentive', 'getSupportedChainInfo',
+  'getTableRows', 'getTimeByEpochID', 'getToken2WanRatio', 'getTokenAllowance', 'getTokenBalance', 'getTokenInfo',
+  'getTokenPairAncestorInfo', 'getTokenPairIDs', 'getTokenPairInfo', 'getTokenPairs', 'getTokenPairsHash',
+  'getTokenStoremanGroups', 'getTokenSupply', 'getTotalStaked', 'getTotalStakedPercent', 'getTotalSupply',
+  'getTransByAddress', 'getTransByAddressBetweenBlocks', 'getTransByBlock', 'getTransCount', 'getTransactionConfirm',
+  'getTransactionReceipt', 'getTrustLines', 'getTxInfo', 'getUTXO', 'getValidatorActivity', 'getValidatorInfo',
+  'getValidatorStakeInfo', 'getValidatorSupStakeInfo', 'getValidatorTotalIncentive', 'getWanBridgeDiscounts',
+  'hasHackerAccount', 'multiCall', 'multiCall2'
+]);
+
 // ====================== TYPES ======================
+/**
+ * Reconnect policy, applied after the socket closes or errors unexpectedly
+ */
+export interface ReconnectOptions {
+  /** Delay before the first attempt in ms (default: 2000) */
+  initialDelay?: number;
+  /** Factor applied to the delay after every failed attempt (default: 1.5) */
+  multiplier?: number;
+  /** Upper bound of the delay in ms (default: 30000) */
+  maxDelay?: number;
+  /** Fraction of the delay randomly removed to spread clients apart, 0 to 1 (default: 0.2) */
+  jitter?: number;
+  /** Attempts before giving up and emitting 'reconnectFailed' (default: Infinity) */
+  maxAttempts?: number;
+  /** Return false to skip reconnecting for the given close or error event (default: always reconnect) */
+  shouldReconnect?: (closeEvent: any) => boolean;
+}
+
+/**
+ * TLS settings forwarded to the Node `ws` constructor, ignored in browsers
+ */
+export interface TlsOptions {
+  /** Trusted CA certificates, replacing the system defaults */
+  ca?: string | Buffer | Array<string | Buffer>;
+  /** Client certificate chain in PEM format */
+  cert?: string | Buffer | Array<string | Buffer>;
+  /** Client private key in PEM format */
+  key?: string | Buffer | Array<string | Buffer>;
+  /** Passphrase of the client private key */
+  passphrase?: string;
+  /** Client certificate and key in PFX or PKCS12 format */
+  pfx?: string | Buffer;
+  /** Verify the server certificate against the CA list (default: true) */
+  rejectUnauthorized?: boolean;
+  /** Server name for SNI, when it differs from the endpoint host */
+  servername?: string;
+}
+
 /**
  * iWan SDK client options
  */
 export interface IwanClientOptions {
+  /**
+   * Full endpoint URL, overriding `url`, `port` and `flag`, e.g. `'ws://localhost:8080/ws/{version}/{apiKey}'`.
+   * The `{version}`, `{apiKey}` and `{flag}` placeholders are replaced, and the scheme is switched
+   * between ws(s) and http(s) to match the transport.
+   */
+  endpoint?: string;
+  /** TLS settings for the WebSocket transport in Node */
+  tls?: TlsOptions;
+  /** WebSocket handshake timeout in ms (Node only, default: 12000) */
+  handshakeTimeout?: number;
   /** RPC server hostname */
   url?: string;
   /** RPC server port */
@@ -52,8 +207,49 @@ export interface IwanClientOptions {
   timeout?: number;
   /** Use testnet instead of mainnet */
   isTestnet?: boolean;
+  /**
+   * Wire transport, a persistent WebSocket, stateless HTTP POST requests, or a custom {@link Transport}
+   * instance or factory receiving the computed endpoint URL (default: 'ws')
+   */
+  transport?: 'ws' | 'http' | Transport | TransportFactory;
+  /** Heartbeat ping interval in ms (Node only, default: 30000) */
+  pingTime?: number;
+  /** Missed heartbeats tolerated before reconnecting (default: 3) */
+  maxTries?: number;
+  /** Reconnect policy */
+  reconnect?: ReconnectOptions;
+  /** Buffer idempotent read requests while disconnected and replay them after reconnecting (default: false) */
+  offlineQueue?: boolean;
+  /** Other methods (e.g. 'sendRawTransaction') that may still be buffered by `offlineQueue` */
+  retryableMethods?: string[];
+  /**
+   * Check every result against the exported {@link responseSchemas}: 'throw' (or true) rejects a mismatching
+   * result with an IWanSchemaError, 'warn' resolves it and emits 'schemaMismatch' (default: false)
+   */
+  validateResponses?: boolean | 'throw' | 'warn';
+  /**
+   * Check chain types, hashes and addresses with {@link validateParams} before sending, rejecting an invalid
+   * call with an IWanValidationError without any network traffic (default: false)
+   */
+  validateParams?: boolean;
+  /**
+   * Coalesce concurrent `callScFunc`, `getTokenBalance` and `getTokenAllowance` calls of the same EVM chain
+   * into one `multiCall2` request with a {@link MulticallAggregator} (default: false)
+   */
+  multicall?: boolean | MulticallOptions;
+  /**
+   * Cache the results of semi-static methods such as `getTokenPairs`, and of immutable ones such as
+   * `getBlockByHash`, in a {@link ResponseCache} (default: false)
+   */
+  cache?: boolean | ResponseCacheOptions;
 }
 
+type ResolvedOptions = Required<Omit<IwanClientOptions, 'reconnect' | 'endpoint' | 'validateResponses' | 'multicall' | 'cache'>> & {
+  endpoint?: string;
+  reconnect: Required<ReconnectOptions>;
+  validateResponses: false | 'throw' | 'warn';
+};
+
 interface RPCMessage {
   jsonrpc: '2.0';
   method: string;
@@ -64,6 +260,8 @@ interface RPCMessage {
 interface RPCResponse<T = any> {
   jsonrpc: '2.0';
   id: number;
+  method?: string;
+  params?: any;
   result?: T;
   error?: { code: number; message: string };
 }
@@ -73,14 +271,125 @@ interface PendingRequest {
   reject: (reason?: any) => void;
   time: number;
   timerId: ReturnType<typeof setTimeout>;
+  payload: RPCMessage;
+  queueable: boolean;
+  priority: number;
 }
 
-// ====================== CUSTOM ERROR ======================
-class IWanError extends Error {
-  constructor(message: string, public code?: string) {
-    super(message);
-    this.name = 'IWanError';
-  }
+function abortError(): IWanError {
+  return new IWanAbortError();
+}
+
+// Settle early when the signal fires while waiting for the connection
+function abortable<T>(promise: Promise<T>, signal?: AbortSignal): Promise<T> {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError());
+  return new Promise<T>((resolve, reject) => {
+    const onAbort = () => reject(abortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// A null topic of the filter matches any topic at its position
+function matchesTopics(filter: Array<string|null>, topics: unknown): boolean {
+  const logTopics = Array.isArray(topics) ? topics : [];
+  return filter.every((topic, i) => topic === null || String(logTopics[i] ?? '').toLowerCase() === topic.toLowerCase());
+}
+
+/**
+ * Per-call SDK options, accepted as the last argument of every API method and never sent to the server
+ */
+export interface CallOptions {
+  /** Abort the call, rejecting it with an IWanAbortError whose code is 'ABORTED' */
+  signal?: AbortSignal;
+  /** Timeout of this call in ms, overriding the client `timeout` option */
+  timeout?: number;
+  /** Retries after an IWanTimeoutError or IWanConnectionError, server errors are never retried (default: 0) */
+  retries?: number;
+  /** Delay between retries */
+  backoff?: RetryBackoff;
+  /**
+   * Calls buffered while disconnected are sent highest priority first (default: 0). Only the replay of the
+   * `offlineQueue` is ordered: while connected every call is sent at once, whatever its priority
+   */
+  priority?: number;
+  /** With the `cache` client option, false skips the cached result and refreshes it from the server (default: true) */
+  cache?: boolean;
+}
+
+/**
+ * Delay policy between the retries of a call
+ */
+export interface RetryBackoff {
+  /** Delay before the first retry in ms (default: 500) */
+  delay?: number;
+  /** Factor applied to the delay after every retry (default: 2) */
+  multiplier?: number;
+  /** Upper bound of the delay in ms (default: 10000) */
+  maxDelay?: number;
+}
+
+/**
+ * Callback invoked for every log the server pushes to an event subscription
+ */
+export type EventHandler = (log: EventLog, subscription: EventSubscription) => void;
+
+/**
+ * Handle returned by {@link IwanClient.subscribeEvent}
+ */
+export interface EventSubscription {
+  /** Local subscription ID, unique per client */
+  readonly id: number;
+  /** The chain being monitored */
+  readonly chainType: string;
+  /** The contract address being monitored */
+  readonly address: string;
+  /** The topics filter sent to the server */
+  readonly topics: Array<string|null>;
+  /** Stop dispatching pushed logs to the handler and drop the subscription from reconnect replay */
+  unsubscribe(): void;
+}
+
+interface ActiveSubscription extends EventSubscription {
+  handler: EventHandler;
+  requestId: number;
+}
+
+/**
+ * Events emitted by {@link IwanClient}
+ */
+export interface IwanClientEvents {
+  /** The transport is open and ready */
+  open: () => void;
+  /** The transport closed, with the raw close event */
+  close: (event: any) => void;
+  /** The client was closed by {@link IwanClient.close} */
+  closed: () => void;
+  /** Connection or subscription error */
+  error: (err: any) => void;
+  /** A reconnect attempt was started */
+  reconnect: () => void;
+  /** A reconnect attempt was scheduled */
+  reconnecting: (info: { attempt: number; delay: number }) => void;
+  /** Reconnecting was abandoned, either by `maxAttempts` or `shouldReconnect` */
+  reconnectFailed: (info: { attempt: number; event: any }) => void;
+  /** A log was pushed to an event subscription */
+  event: (log: EventLog, subscription: EventSubscription) => void;
+  /** A result did not match its schema while `validateResponses` is 'warn' */
+  schemaMismatch: (mismatch: SchemaMismatch) => void;
+}
+
+/**
+ * Payload of the 'schemaMismatch' event
+ */
+export interface SchemaMismatch {
+  /** The RPC method whose result failed validation */
+  method: string;
+  /** Every mismatch found in the result */
+  issues: SchemaIssue[];
+  /** The result as received, still resolved to the caller */
+  result: any;
 }
 
 // ====================== CRYPTO (Node + Browser Safe) ======================
@@ -115,9 +424,10 @@ function generateSignature(secret: string, msg: string): string {
 //   return crypto.enc.Base64.stringify(crypto.HmacSHA256(msg, secret));
 // }
 
-function signPayload(payload: RPCMessage, secretKey: string): RPCMessage {
-  const newPayload = { ...payload };
-  newPayload.params.timestamp = Date.now();
+function signPayload(payload: RPCMessage, secretKey: string, timestamp = Date.now()): RPCMessage {
+  // Copy params as well, so a replayed payload is signed without the previous timestamp and signature
+  const newPayload = { ...payload, params: { ...payload.params } };
+  newPayload.params.timestamp = timestamp;
   newPayload.params.signature = generateSignature(secretKey, JSON.stringify(newPayload));
   return newPayload;
 }
@@ -133,20 +443,38 @@ function signPayload(payload: RPCMessage, secretKey: string): RPCMessage {
  * const balance = await client.getBalance('WAN', '0x...');
  * ```
  */
-export default class IwanClient extends EventEmitter {
-  private ws: WebSocket|any = null;
+export default class IwanClient extends EventEmitter<IwanClientEvents> {
+  private readonly transport: Transport;
   private readonly apiKey: string;
   private readonly secretKey: string;
-  private readonly option: Required<IwanClientOptions> & { isTestnet: boolean };
+  private readonly option: ResolvedOptions;
   private readonly isBrowser: boolean;
+  private readonly multicall: MulticallAggregator | null;
+  private readonly cache: ResponseCache | null;
+
+  /**
+   * The chains known to this client, seeded with the {@link ChainType} chains and refreshed by
+   * {@link refreshChainRegistry}. Used to validate `chainType` arguments when `validateParams` is on.
+   */
+  public readonly chains = new ChainRegistry();
 
   private index = 0;
   private pending = new Map<number, PendingRequest>();
+  private queue: number[] = [];
+  private batches: number[][] = [];
+  private batchUnsupported = false;
+  private subIndex = 0;
+  private subscriptions = new Map<number, ActiveSubscription>();
+  private tokenPairStores = new Set<TokenPairStore>();
   private heartbeatTimer: ReturnType<typeof setInterval>|null = null;
   private reconnTimer: ReturnType<typeof setTimeout>|null = null;
-  private tries = DEFAULT_CONFIG.maxTries;
+  private tries: number;
   private lockReconnect = false;
+  private reconnAttempts = 0;
+  private reconnDelay: number;
+  private reconnFailed = false;
   private manuallyClosed = false;
+  private isAlive = false;
 
   private _readyPromise: Promise<void>|null = null;
 
@@ -178,85 +506,110 @@ export default class IwanClient extends EventEmitter {
       clientVersion: option.clientVersion ?? DEFAULT_CONFIG.clientVersion,
       timeout: option.timeout ?? DEFAULT_CONFIG.timeout,
       isTestnet: option.isTestnet ?? false,
+      endpoint: option.endpoint,
+      tls: option.tls ?? {},
+      handshakeTimeout: option.handshakeTimeout ?? DEFAULT_CONFIG.wsOptions.handshakeTimeout,
+      transport: option.transport ?? 'ws',
+      offlineQueue: option.offlineQueue ?? false,
+      retryableMethods: option.retryableMethods ?? [],
+      validateResponses: option.validateResponses === true ? 'throw' : option.validateResponses || false,
+      validateParams: option.validateParams ?? false,
+      pingTime: option.pingTime ?? DEFAULT_CONFIG.pingTime,
+      maxTries: option.maxTries ?? DEFAULT_CONFIG.maxTries,
+      reconnect: {
+        ...DEFAULT_CONFIG.reconnect,
+        shouldReconnect: () => true,
+        ...option.reconnect,
+      },
     };
+    this.tries = this.option.maxTries;
+    this.reconnDelay = this.option.reconnect.initialDelay;
+    this.multicall = option.multicall
+      ? new MulticallAggregator((method, params) => this.requestWithRetries(method, params), option.multicall === true ? {} : option.multicall, this.chains)
+      : null;
+    // Results may depend on the account, so clients of other API keys sharing a store keep apart
+    const namespace = `${SHA256(apiKey).toString(Hex).slice(0, 16)}@${this.option.endpoint ?? `${this.option.url}:${this.option.port}`}`;
+    this.cache = option.cache
+      ? new ResponseCache({ namespace, ...(option.cache === true ? {} : option.cache) })
+      : null;
+
+    this.transport = this.createTransport();
+    this.bindTransport();
+
+    this.connect().catch(e => this.emit('error', e));
+  }
+
+  private endpointUrl(scheme: 'wss'|'https'): string {
+    const { endpoint, version, flag } = this.option;
+    if (!endpoint) {
+      let url = `${scheme}://${this.option.url}:${this.option.port}`;
+      if (flag) url += `/${flag}`;
+      url += `/${version}/${this.apiKey}`;
+      return url;
+    }
 
-    this.createWebSocket().catch(e => this.emit('error', e));
+    const secure = /^(wss|https):/i.test(endpoint);
+    const target = scheme === 'wss' ? (secure ? 'wss' : 'ws') : (secure ? 'https' : 'http');
+    const path = endpoint.replace(/^[a-z]+:\/\//i, '');
+    return `${target}://${path}`
+      .replace(/\{version\}/g, version)
+      .replace(/\{apiKey\}/g, this.apiKey)
+      .replace(/\{flag\}/g, flag);
   }
 
-  private get wsUrl(): string {
-    let url = `wss://${this.option.url}:${this.option.port}`;
-    if (this.option.flag) url += `/${this.option.flag}`;
-    url += `/${this.option.version}/${this.apiKey}`;
-    return url;
+  private get wsOptions(): Record<string, any> {
+    return {
+      ...DEFAULT_CONFIG.wsOptions,
+      handshakeTimeout: this.option.handshakeTimeout,
+      ...this.option.tls,
+    };
   }
 
-  private async createWebSocket() {
-    let WSConstructor: any;
-    if (this.isBrowser) {
-      WSConstructor = (window as any).WebSocket;
-    } else {
-      const module = await import('ws');
-      WSConstructor = module.default ?? module;
-    }
-
-    const options = this.isBrowser ? undefined : DEFAULT_CONFIG.wsOptions;
-    this.ws = new WSConstructor(this.wsUrl, options);
-    if (this.manuallyClosed) {
-      await this.closeWebsocket();
-    }
+  private createTransport(): Transport {
+    const transport = this.option.transport;
+    if (transport === 'http') return new HttpTransport(this.endpointUrl('https'));
+    if (transport === 'ws') return new WsTransport(this.endpointUrl('wss'), this.wsOptions);
+    return typeof transport === 'function' ? transport(this.endpointUrl('wss')) : transport;
+  }
 
-    this.ws.onopen = () => {
+  private bindTransport() {
+    this.transport.on('open', () => {
       this.manuallyClosed = false;
-      this.ws.isAlive = true;
+      this.isAlive = true;
+      this.reconnAttempts = 0;
+      this.reconnDelay = this.option.reconnect.initialDelay;
       this.emit('open');
       this._resolveReadyPromise();
 
       this.startHeartbeat();
-    };
-    this.ws.onmessage = (event: any) => this.handleMessage(event.data ?? event);
-    this.ws.onerror = (err: any) => {
+      this.resubscribeEvents();
+      this.flushQueue();
+    });
+    this.transport.on('message', (data: string) => this.handleMessage(data));
+    this.transport.on('error', (err: any) => {
       this.emit('error', err);
-      this.clearPending('Connection error, reconnecting...');
+      this.clearPending(new IWanConnectionError('Connection error, reconnecting...'), this.option.offlineQueue);
       this._rejectReadyPromise();
-      this.reconnect();
-    };
-    this.ws.onclose = (event: any) => {
+      this.reconnect(err);
+    });
+    this.transport.on('close', (event: any) => {
       this.emit('close', event);
       if (!this.manuallyClosed) {
-        this.clearPending('Connection closed by server, reconnecting...');
-        this.reconnect();
+        this.clearPending(new IWanConnectionError('Connection closed by server, reconnecting...'), this.option.offlineQueue);
+        this.reconnect(event);
       } else {
         this._rejectReadyPromise();
         this.emit('closed');
       }
-    };
-
-    if (!this.isBrowser && this.ws.on) {
-      this.ws.on('pong', () => { this.ws.isAlive = true; });
-    }
+    });
+    this.transport.on('pong', () => { this.isAlive = true; });
   }
 
-  private async closeWebsocket() {
-    if (this.ws) {
-      await new Promise<void>(resolve => {
-        const onClose = () => resolve();
-        // Compatible with Node’s ws library and browser native WebSocket
-        if (typeof this.ws.once === 'function') {
-          this.ws.once('close', onClose);
-        } else {
-          this.ws.addEventListener('close', onClose, { once: true });
-        }
-        this.ws.close(1000, 'Client manual close');
-      });
-      this.ws = null;
+  private async connect() {
+    await this.transport.connect();
+    if (this.manuallyClosed) {
+      await this.transport.close();
     }
-    // if (this.ws) {
-    //   await new Promise<void>(resolve => {
-    //     this.ws.once('close', () => resolve());
-    //     this.ws.close(1000, 'Client manual close');
-    //   });
-    //   this.ws = null;
-    // }
   }
 
   // ====================== Unified processing of ready Promise (revised core） ======================
@@ -275,13 +628,48 @@ export default class IwanClient extends EventEmitter {
   }
 
   // ====================== Clean up old requests ======================
-  private clearPending(reason: string) {
-    const err = new IWanError(reason);
-    this.pending.forEach((p) => {
+  private clearPending(err: IWanError, requeue = false) {
+    this.pending.forEach((p, id) => {
+      if (requeue && p.queueable) {
+        // Keep the timer running, the replay only gets the remaining timeout budget
+        if (!this.queue.includes(id)) this.queue.push(id);
+        return;
+      }
       clearTimeout(p.timerId);
+      this.pending.delete(id);
       p.reject(err)
     });
-    this.pending.clear();
+    if (!requeue) this.queue = [];
+  }
+
+  // ====================== Offline queue ======================
+  private isQueueable(method: string): boolean {
+    if (!this.option.offlineQueue) return false;
+    return IDEMPOTENT_METHODS.has(method) || this.option.retryableMethods.includes(method);
+  }
+
+  private flushQueue() {
+    const priority = (id: number) => this.pending.get(id)?.priority ?? 0;
+    const ids = [...this.queue].sort((a, b) => priority(b) - priority(a));
+    this.queue = [];
+    for (const id of ids) {
+      const p = this.pending.get(id);
+      if (p) this.sendPending(id, p);
+    }
+  }
+
+  private sendPending(id: number, p: PendingRequest) {
+    // A failed send only rejects this request, connection loss is handled by the transport events
+    Promise.resolve()
+      .then(() => this.transport.send(JSON.stringify(signPayload(p.payload, this.secretKey))))
+      .catch(err => this.failPending(id, p, err));
+  }
+
+  private failPending(id: number, p: PendingRequest, err: any) {
+    if (this.pending.get(id) !== p) return;
+    clearTimeout(p.timerId);
+    this.pending.delete(id);
+    p.reject(err);
   }
 
   private clearReconnTimer() {
@@ -291,39 +679,214 @@ export default class IwanClient extends EventEmitter {
     }
   }
 
-  private handleMessage(data: any) {
-    let msg: RPCResponse;
+  private handleMessage(data: string) {
+    let msg: RPCResponse|RPCResponse[];
     try {
-      const text = typeof data === 'string' ? data : data.toString();
-      msg = JSON.parse(text);
+      msg = JSON.parse(data);
     } catch {
       return;
     }
 
+    if (Array.isArray(msg)) {
+      const ids = msg.map(item => item?.id);
+      this.batches = this.batches.filter(batch => !batch.some(id => ids.includes(id)));
+      msg.forEach(item => item && this.handleResponse(item));
+    } else if (msg) {
+      this.handleResponse(msg);
+    }
+  }
+
+  private handleResponse(msg: RPCResponse) {
     const pending = this.pending.get(msg.id);
     if (pending) {
       clearTimeout(pending.timerId);
       this.pending.delete(msg.id);
-      msg.error ? pending.reject(msg.error) : pending.resolve(msg.result);
+      msg.error
+        ? pending.reject(new IWanRpcError(msg.error, pending.payload.method, pending.payload.params))
+        : this.settleResult(pending, msg.result);
+      return;
+    }
+
+    // A server without batch support answers the array with a single error that has no id
+    if (msg.error && (msg.id === null || msg.id === undefined) && this.batches.length) {
+      this.fallbackBatches();
+      return;
+    }
+
+    this.dispatchEvent(msg);
+  }
+
+  private settleResult(pending: PendingRequest, result: any) {
+    const { validateResponses } = this.option;
+    const { method } = pending.payload;
+    const schema = validateResponses && responseSchemas[method as IwanMethodName];
+    const issues = schema ? validateSchema(schema, result) : [];
+    if (!issues.length) {
+      pending.resolve(result);
+    } else if (validateResponses === 'warn') {
+      this.emit('schemaMismatch', { method, issues, result });
+      pending.resolve(result);
+    } else {
+      pending.reject(new IWanSchemaError(method, issues, result));
     }
   }
 
+  // ====================== Batch requests ======================
+  private async sendBatch(batchCalls: BatchCall[]) {
+    // An invalid call is rejected alone, the others are still sent
+    const calls = batchCalls.filter(call => {
+      try {
+        this.checkParams(call.method, call.params);
+        return true;
+      } catch (err) {
+        call.reject(err);
+        return false;
+      }
+    });
+    if (!calls.length) return;
+
+    // Cached results and multicall reads are served as through _request, the other calls share the frame
+    const uncached = [];
+    for (const call of calls) {
+      const { cache: useCache = true, ...sdkOptions } = call.callOptions ?? {};
+      const cached = useCache ? await this.cache?.get(call.method, call.params) : undefined;
+      const read = cached === undefined && this.multicall && !Object.keys(sdkOptions).length ? this.multicall.add(call.method, call.params) : undefined;
+      if (cached !== undefined) {
+        call.resolve(cached);
+      } else if (read) {
+        read.then(async result => {
+          await this.cache?.set(call.method, call.params, result);
+          call.resolve(result);
+        }, call.reject);
+      } else {
+        uncached.push({ call, sdkOptions });
+      }
+    }
+
+    if (this.batchUnsupported || uncached.length <= 1) {
+      uncached.forEach(({ call, sdkOptions }) => this.execute(call.method, call.params, sdkOptions).then(call.resolve, call.reject));
+      return;
+    }
+
+    await this.ready();
+
+    if (this.manuallyClosed || !this.isOpen()) {
+      throw this.notConnectedError();
+    }
+
+    // The frame is the first attempt of every entry, retries and caching follow as for a single call
+    const entries = uncached.map(({ call, sdkOptions }) => {
+      const payload = this.buildPayload(call.method, call.params);
+      let p!: PendingRequest;
+      const first = new Promise((resolve, reject) => {
+        p = this.addPending(payload, this.isQueueable(call.method), resolve, reject, sdkOptions);
+      });
+      this.execute(call.method, call.params, sdkOptions, first).then(call.resolve, call.reject);
+      return { id: payload.id, p };
+    });
+    const ids = entries.map(entry => entry.id);
+    this.batches = this.batches.filter(batch => batch.some(id => this.pending.has(id)));
+    this.batches.push(ids);
+
+    // The gateway checks the signature inside the params of each request, so one signature over the whole
+    // array could not be verified: entries share one timestamp and are signed one by one
+    const timestamp = Date.now();
+    const frame = entries.map(entry => signPayload(entry.p.payload, this.secretKey, timestamp));
+    Promise.resolve()
+      .then(() => this.transport.send(JSON.stringify(frame)))
+      .catch(err => entries.forEach(({ id, p }) => this.failPending(id, p, err)));
+  }
+
+  private fallbackBatches() {
+    this.batchUnsupported = true;
+    const ids = this.batches.flat();
+    this.batches = [];
+    for (const id of ids) {
+      const p = this.pending.get(id);
+      if (p) this.sendPending(id, p);
+    }
+  }
+
+  // ====================== Event subscriptions ======================
+  private dispatchEvent(msg: RPCResponse) {
+    // Pushes either reuse the id of the monitorEvent request, or arrive as a notification carrying the filter
+    let targets: ActiveSubscription[] = [];
+    let data: any;
+    // A notification names the contract only, so the topics of its logs pick the subscriptions among those of the contract
+    let notification = false;
+    if (msg.id !== undefined && msg.id !== null) {
+      targets = [...this.subscriptions.values()].filter(sub => sub.requestId === msg.id);
+      data = msg.result;
+    } else if (msg.method && msg.params) {
+      const address = String(msg.params.address ?? '').toLowerCase();
+      targets = [...this.subscriptions.values()].filter(sub =>
+        sub.address.toLowerCase() === address && (!msg.params.chainType || msg.params.chainType === sub.chainType)
+      );
+      data = msg.params.result ?? msg.params;
+      notification = true;
+    }
+
+    for (const sub of targets) {
+      if (msg.error) {
+        this.emit('error', new IWanRpcError(msg.error, 'monitorEvent', { chainType: sub.chainType, address: sub.address, topics: sub.topics }));
+        continue;
+      }
+      const logs: EventLog[] = Array.isArray(data) ? data : [data];
+      for (const log of logs) {
+        if (notification && !matchesTopics(sub.topics, log?.topics)) continue;
+        // A throwing handler must not break the message loop of the transport
+        try {
+          sub.handler(log, sub);
+        } catch (err) {
+          this.emit('error', err);
+        }
+        this.emit('event', log, sub);
+      }
+    }
+  }
+
+  // The first response acknowledges or rejects the subscription like any request, later frames carrying
+  // its id are the pushed logs
+  private sendSubscription(sub: ActiveSubscription): Promise<void> {
+    const payload = this.buildPayload('monitorEvent', {
+      chainType: sub.chainType,
+      address: sub.address,
+      topics: sub.topics,
+    });
+    sub.requestId = payload.id;
+    return new Promise((resolve, reject) => {
+      const p = this.addPending(payload, false, () => resolve(), reject);
+      this.sendPending(payload.id, p);
+    });
+  }
+
+  private resubscribeEvents() {
+    this.subscriptions.forEach(sub => {
+      this.sendSubscription(sub).catch(err => {
+        // A lost connection replays the subscription on the next open, a rejected one is dropped
+        if (err instanceof IWanConnectionError || err instanceof IWanClosedError) return;
+        if (err instanceof IWanRpcError) this.subscriptions.delete(sub.id);
+        this.emit('error', err);
+      });
+    });
+  }
+
   private startHeartbeat() {
     if (!this.isOpen() && this.manuallyClosed) return;
 
     this.stopHeartbeat();
 
     this.heartbeatTimer = setInterval(() => {
-      if (!this.isOpen() || this.manuallyClosed || this.isBrowser) return;
+      if (!this.isOpen() || this.manuallyClosed || this.isBrowser || !this.transport.ping) return;
 
-      if (!this.ws.isAlive) {
+      if (!this.isAlive) {
         this.tries--;
         if (this.tries < 0) this.reconnect();
       } else {
-        this.ws.isAlive = false;
-        this.ws.ping();
+        this.isAlive = false;
+        this.transport.ping();
       }
-    }, DEFAULT_CONFIG.pingTime);
+    }, this.option.pingTime);
   }
 
   private stopHeartbeat() {
@@ -333,56 +896,158 @@ export default class IwanClient extends EventEmitter {
     }
   }
 
-  private reconnect() {
-    if (this.manuallyClosed || this.lockReconnect) return;
+  private reconnect(event?: any) {
+    if (this.manuallyClosed || this.lockReconnect || this.reconnFailed) return;
+
+    const policy = this.option.reconnect;
+    if (this.reconnAttempts >= policy.maxAttempts || !policy.shouldReconnect(event)) {
+      this.reconnFailed = true;
+      this.clearPending(new IWanConnectionError('WebSocket reconnect failed'));
+      this.emit('reconnectFailed', { attempt: this.reconnAttempts, event });
+      return;
+    }
     this.lockReconnect = true;
 
     this.clearReconnTimer();
 
+    const attempt = ++this.reconnAttempts;
+    const delay = Math.round(this.reconnDelay * (1 - policy.jitter * Math.random()));
+    this.reconnDelay = Math.min(this.reconnDelay * policy.multiplier, policy.maxDelay);
+    this.emit('reconnecting', { attempt, delay });
+
     this.reconnTimer = setTimeout(() => {
-      this.tries = DEFAULT_CONFIG.maxTries;
-      this.createWebSocket().catch(e => this.emit('error', e));
+      this.tries = this.option.maxTries;
+      this.connect().catch(e => this.emit('error', e));
       this.lockReconnect = false;
       this.emit('reconnect');
       this.reconnTimer = null;
-    }, DEFAULT_CONFIG.reconnTime);
+    }, delay);
   }
 
-  private isOpen(): boolean {
-    return this.ws?.readyState === WebSocket.OPEN;
+  private notConnectedError(): IWanError {
+    return this.manuallyClosed
+      ? new IWanClosedError('WebSocket manually closed')
+      : new IWanConnectionError('WebSocket not connected');
   }
 
-  private async _request<T>(method: string, params: any = {}): Promise<T> {
-    await this.ready();
+  private isOpen(): boolean {
+    return this.transport.isOpen;
+  }
 
-    if (this.manuallyClosed || !this.isOpen()) {
-      throw new IWanError('WebSocket manually closed or not connected');
+  private checkParams(method: string, params: any) {
+    if (this.option.validateParams) {
+      validateParams(method, params, this.chains);
     }
+  }
 
-    const payload: RPCMessage = {
+  private buildPayload(method: string, params: any = {}): RPCMessage {
+    return {
       jsonrpc: '2.0',
       method,
       params: { ...params, clientType: this.option.clientType, clientVersion: this.option.clientVersion },
       id: ++this.index,
     };
+  }
+
+  // Registered methods are checked against IwanMethods, any other name is left untyped
+  private _request<M extends string>(method: M, params?: M extends IwanMethodName ? IwanParams<M> : any, callOptions?: CallOptions): Promise<M extends IwanMethodName ? IwanResult<M> : any>;
+  private async _request(method: string, params: any = {}, callOptions: CallOptions = {}): Promise<any> {
+    this.checkParams(method, params);
+    const { cache: useCache = true, ...sdkOptions } = callOptions;
+    const cached = useCache ? await this.cache?.get(method, params) : undefined;
+    if (cached !== undefined) return cached;
+    return await this.execute(method, params, sdkOptions);
+  }
+
+  // Send a call, through the multicall aggregator when it qualifies or else with retries, and cache its result.
+  // `first` stands for the first attempt when the call was already sent, as an entry of a batch frame.
+  private async execute(method: string, params: any, sdkOptions: CallOptions, first?: Promise<any>): Promise<any> {
+    // Calls with per-call SDK options keep their own request
+    const read = !first && this.multicall && !Object.keys(sdkOptions).length ? this.multicall.add(method, params) : undefined;
+    const result = read ? await read : await this.requestWithRetries(method, params, sdkOptions, first);
+    await this.cache?.set(method, params, result);
+    return result;
+  }
+
+  private async requestWithRetries(method: string, params: any, callOptions: CallOptions = {}, first?: Promise<any>): Promise<any> {
+    const { retries = 0, backoff = {}, signal } = callOptions;
+    const { delay = DEFAULT_CONFIG.retry.delay, multiplier = DEFAULT_CONFIG.retry.multiplier, maxDelay = DEFAULT_CONFIG.retry.maxDelay } = backoff;
+
+    let wait = delay;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await (attempt === 0 && first ? first : this.requestOnce(method, params, callOptions));
+      } catch (err) {
+        const retryable = err instanceof IWanTimeoutError || err instanceof IWanConnectionError;
+        if (attempt >= retries || !retryable || this.manuallyClosed) throw err;
+      }
+      await abortable(new Promise(resolve => setTimeout(resolve, wait)), signal);
+      wait = Math.min(wait * multiplier, maxDelay);
+    }
+  }
 
-    const signed = signPayload(payload, this.secretKey);
+  private async requestOnce<T>(method: string, params: any, callOptions: CallOptions): Promise<T> {
+    const { signal } = callOptions;
+    if (signal?.aborted) throw abortError();
 
-    return new Promise((resolve, reject) => {
-      const id = signed.id;
+    const queueable = this.isQueueable(method);
+    if (!queueable || this.manuallyClosed || this.reconnFailed) {
+      // With the offline queue on, the calls it does not buffer fail fast during a reconnect
+      if (this.option.offlineQueue && this.reconnAttempts > 0 && !this.isOpen()) {
+        throw this.notConnectedError();
+      }
+      await abortable(this.ready(), signal);
 
-      const reqTimer = setTimeout(() => {
-        if (this.pending.has(id)) {
-          this.pending.delete(id);
-          reject(new IWanError(`Request timeout ${this.option.timeout} ms`));
-        }
-      }, this.option.timeout);
-      this.pending.set(id, { resolve, reject, time: Date.now(), timerId: reqTimer });
+      if (this.manuallyClosed || !this.isOpen()) {
+        throw this.notConnectedError();
+      }
+    }
 
-      this.ws.send(JSON.stringify(signed));
+    const payload = this.buildPayload(method, params);
+
+    return new Promise((resolve, reject) => {
+      const id = payload.id;
+      const p = this.addPending(payload, queueable, resolve, reject, callOptions);
+
+      if (this.isOpen()) {
+        this.sendPending(id, p);
+      } else {
+        this.queue.push(id);
+      }
     });
   }
 
+  private addPending(payload: RPCMessage, queueable: boolean, resolve: (value: any) => void, reject: (reason?: any) => void, callOptions: CallOptions = {}): PendingRequest {
+    const { signal, timeout = this.option.timeout, priority = 0 } = callOptions;
+    const id = payload.id;
+    const reqTimer = setTimeout(() => {
+      if (this.pending.has(id)) {
+        this.queue = this.queue.filter(queued => queued !== id);
+        this.failPending(id, p, new IWanTimeoutError(`Request timeout ${timeout} ms`, payload.method));
+      }
+    }, timeout);
+
+    let settle = { resolve, reject };
+    if (signal) {
+      // A late response for an aborted id finds no pending entry and is dropped
+      const onAbort = () => {
+        this.queue = this.queue.filter(queued => queued !== id);
+        this.failPending(id, p, abortError());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      const cleanup = () => signal.removeEventListener('abort', onAbort);
+      settle = {
+        resolve: (value) => { cleanup(); resolve(value); },
+        reject: (reason) => { cleanup(); reject(reason); },
+      };
+    }
+
+    const p: PendingRequest = { ...settle, time: Date.now(), timerId: reqTimer, payload, queueable, priority };
+    this.pending.set(id, p);
+    if (signal?.aborted) this.failPending(id, p, abortError());
+    return p;
+  }
+
   /**
    * Wait for WebSocket connection to be ready
    * 
@@ -394,21 +1059,33 @@ export default class IwanClient extends EventEmitter {
    */
   public async ready(): Promise<void> {
     if (this.isOpen() && !this.manuallyClosed) return Promise.resolve();
+    if (this.reconnFailed) throw new IWanConnectionError('WebSocket reconnect failed');
 
     if (!this._readyPromise) {
       this._readyPromise = new Promise((resolve, reject) => {
+        // Whichever event settles the promise detaches the other listeners
+        const cleanup = () => {
+          this.off('open', onOpen);
+          this.off('closed', onFail);
+          this.off('error', onFail);
+          this.off('reconnectFailed', onFail);
+          this._readyPromise = null;
+        };
         const onOpen = () => {
+          cleanup();
           resolve();
-          this._readyPromise = null;
         };
         const onFail = () => {
-          reject(new IWanError('WebSocket connection failed or manually closed'));
-          this._readyPromise = null;
+          cleanup();
+          reject(this.manuallyClosed
+            ? new IWanClosedError('WebSocket manually closed')
+            : new IWanConnectionError('WebSocket connection failed'));
         };
 
-        this.once('open', onOpen);
-        this.once('closed', onFail);
-        this.once('error', onFail);
+        this.on('open', onOpen);
+        this.on('closed', onFail);
+        this.on('error', onFail);
+        this.on('reconnectFailed', onFail);
       });
     }
     return this._readyPromise;
@@ -435,35 +1112,141 @@ export default class IwanClient extends EventEmitter {
 
     this.stopHeartbeat();
     this.clearReconnTimer();
-    this.clearPending('Connection closed by client');
+    this.clearPending(new IWanClosedError('Connection closed by client'));
+    this.subscriptions.clear();
+    this.tokenPairStores.forEach(store => store.close());
+    this.tokenPairStores.clear();
 
-    await this.closeWebsocket();
+    await this.transport.close();
 
     this.removeAllListeners();
   }
 
-  // ====================== PRIVATE SDK API ======================
-  private checkByte32Hash(hash: string): boolean {
-    // check if it has the basic requirements of a hash
-    return /^(0x)?[0-9a-fA-F]{64}$/i.test(hash)
-  }
-
   // ====================== PUBLIC SDK API ======================
   /**
    * Generic RPC call (supports ALL iWan methods)
    * @since 1.1.0
    * @group CrossChain
    * @param method - RPC method name (e.g. 'getBlockNumber')
-   * @param params - Parameters object
-   * @returns Promise with result from server
+   * @param params - Parameters object, typed by {@link IwanMethods} for a registered method
+   * @param callOptions - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns Promise with result from server, typed by {@link IwanMethods} for a registered method
    * @throws IWanError on timeout, connection error, or server error
    * @example
    * const ret = await sdk.call("getBlockNumber", {chainType: "WAN"});
    * console.log(ret);
    * // 41898424
    */
-  public async call<T = any>(method: string, params: any = {}): Promise<T> {
-    return await this._request(method, params);
+  public call<M extends IwanMethodName>(method: M, ...args: IwanCallArgs<M>): Promise<IwanResult<M>>;
+  public call<T = any, M extends string = string>(method: M extends IwanMethodName ? never : M, params?: any, callOptions?: CallOptions): Promise<T>;
+  public async call(method: string, params: any = {}, callOptions?: CallOptions): Promise<any> {
+    return await this._request(method, params, callOptions);
+  }
+
+  /**
+   * Create a batch that sends several calls as one JSON-RPC 2.0 array frame.
+   *
+   * Responses are matched back to each call by id. If the server rejects batches,
+   * the calls are resent one by one and later batches are sent sequentially.
+   * Each call uses the response cache, the multicall aggregator and its `retries`
+   * like a call made on its own; only the calls left for the server join the frame.
+   * @since 2.1.0
+   * @group Common
+   * @returns {BatchRequest} - The batch builder.
+   * @example
+   * const batch = sdk.batch();
+   * const balance = batch.add("getBalance", {chainType: "WAN", address: "0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c"});
+   * const nonce = batch.add("getNonce", {chainType: "WAN", address: "0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c"});
+   * const [ret1, ret2] = await batch.send();
+   * console.log(ret1, ret2);
+   * // "10000000000000000000000" "0x0"
+   */
+  public batch(): BatchRequest {
+    return new BatchRequest(calls => this.sendBatch(calls));
+  }
+
+  /**
+   * Drop results kept by the `cache` option: all of them, those of one method, or the result of one call.
+   * Does nothing when the cache is off.
+   * @since 2.1.0
+   * @group Common
+   * @param {string} [method] - The RPC method, e.g. <code>"getTokenPairs"</code>.
+   * @param {object} [params] - The params of the call, as sent by the method.
+   * @returns {Promise<void>} - Resolves once the results are dropped.
+   * @example
+   * await sdk.invalidateCache("getTokenInfo", {chainType: "ETH", tokenScAddr: "0xdac17f958d2ee523a2206206994597c13d831ec7"});
+   * await sdk.invalidateCache("getTokenPairs");
+   * await sdk.invalidateCache();
+   */
+  public async invalidateCache(method?: string, params?: Record<string, any>): Promise<void> {
+    await this.cache?.invalidate(method, params);
+  }
+
+  /**
+   * Create an EIP-1193 provider serving the EVM JSON-RPC reads and broadcasts of one chain from iWan,
+   * for use as the backend of ethers, viem or web3.
+   *
+   * `eth_call` needs the ABI of the called contract, given in `options.abis` or with `registerAbi()`.
+   * Unsupported methods, such as signing, reject with the EIP-1193 code 4200.
+   * @since 2.1.0
+   * @group Contracts
+   * @param {string} chainType - The EVM chain, e.g. <code>"ETH"</code> or <code>"WAN"</code>.
+   * @param {IwanProviderOptions} [options] - The EVM chain ID and the ABIs of the contracts called through `eth_call`.
+   * @returns {IwanProvider} - The provider.
+   * @example
+   * const provider = sdk.provider("ETH", { abis: { "0xdac17f958d2ee523a2206206994597c13d831ec7": erc20Abi } });
+   * const ret = await provider.request({ method: "eth_blockNumber" });
+   * console.log(ret);
+   * // "0x1331e0b"
+   */
+  public provider(chainType: string, options?: IwanProviderOptions): IwanProvider {
+    return new IwanProvider(this, chainType, options);
+  }
+
+  /**
+   * Create a contract object with one method per ABI entry: `read.<fn>(...args)` through `callScFunc`,
+   * `vars.<name>()` through `getScVar`, `maps.<name>(key)` through `getScMap` and `events.<Name>.query()`
+   * through `getScEvent`, with decoded results.
+   * @since 2.1.0
+   * @group Contracts
+   * @param {string} chainType - The chain of the contract, should be <code>"WAN"</code>, <code>'ETH'</code> and other EVM chain.
+   * @param {string} address - The contract address.
+   * @param {Array<AbiItem>} abi - The ABI of the contract.
+   * @param {ContractOptions} [options] - The version of the contract, sent with every call.
+   * @returns {Contract} - The contract object.
+   * @example
+   * const token = sdk.contract("WAN", "0x28362cd634646620ef2290058744f9244bb90ed9", erc20Abi);
+   * const ret = await token.read.balanceOf("0x0cc79fa3b80c5b9b02051facd02478ea88a78e2c");
+   * console.log(ret);
+   * // 1000000000000000000n
+   */
+  public contract(chainType: string, address: string, abi: Array<AbiItem>, options?: ContractOptions): Contract {
+    return new Contract(this, chainType, address, abi, options);
+  }
+
+  /**
+   * Create a store of the cross chain token pairs, loaded once by `load()` and reloaded only when
+   * `getTokenPairsHash` changes, with lookups by ID, by chain pair and by token address.
+   *
+   * A reload emits `tokenPairsChanged` with the added, removed and modified pairs. The store stops checking
+   * the hash when it or the client is closed.
+   * @since 2.1.0
+   * @group TokensV2
+   * @param {TokenPairStoreOptions} [options] - The `getTokenPairs` filter and the interval in ms between the hash checks (default 60000).
+   * @returns {TokenPairStore} - The token pair store.
+   * @example
+   * const store = sdk.tokenPairs({ filter: { chainIds: ["2153201998", "2147483708"] } });
+   * await store.load();
+   * store.on("tokenPairsChanged", diff => console.log(diff.added.length, diff.removed.length, diff.modified.length));
+   * const ret = store.byChains("2153201998", "2147483708");
+   * console.log(ret.length);
+   * // 12
+   */
+  public tokenPairs(options?: TokenPairStoreOptions): TokenPairStore {
+    const store = new TokenPairStore(this, options);
+    this.tokenPairStores.add(store);
+    store.once('close', () => this.tokenPairStores.delete(store));
+    return store;
   }
 
   /**
@@ -473,6 +1256,7 @@ export default class IwanClient extends EventEmitter {
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
    * @param {string} address - The contract address being queried.
    * @param {string[]} address - Array of values which must each appear in the log entries. The order is important, if you want to leave topics out use null, e.g. [null, '0x00...'].
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns Promise with result from server
    * @throws IWanError on timeout, connection error, or server error
    * @example
@@ -492,8 +1276,63 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async monitorEvent(chainType: string, address: string, topics: string[]): Promise<any> {
-    return await this._request('monitorEvent', { chainType, address, topics });
+  public async monitorEvent(chainType: string, address: string, topics: string[], callOptions?: CallOptions): Promise<Array<EventLog>> {
+    return await this._request('monitorEvent', { chainType, address, topics }, callOptions);
+  }
+
+  /**
+   * Subscribe to a smart contract event monitor and receive every log the server pushes.
+   *
+   * Unlike {@link monitorEvent}, which only resolves with the first response, the subscription stays active
+   * until `unsubscribe()` or {@link close} is called, and is re-issued automatically each time the client reconnects.
+   * Every pushed log is passed to `handler` and also emitted as an `'event'` event; an error thrown by `handler`
+   * is emitted as an `'error'` event.
+   * @since 2.1.0
+   * @group Events
+   * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
+   * @param {string} address - The contract address being monitored.
+   * @param {Array<string|null>} topics - Array of values which must each appear in the log entries. The order is important, if you want to leave topics out use null, e.g. [null, '0x00...'].
+   * @param {EventHandler} handler - Callback invoked with each pushed log.
+   * @returns {Promise<EventSubscription>} - The subscription handle, once the server acknowledged the subscription.
+   * @throws IWanError on timeout, connection error, or when the server rejects the subscription
+   * @example
+   * const sub = await sdk.subscribeEvent("WAN", "0x0d18157D85c93A86Ca194DB635336E43B1Ffbd26", ["0x685c13adbbf429a7b274e90887dad988c5f9d0490c6fbedb07b03b388a1683c7"], (log) => {
+   *   console.log(log.transactionHash);
+   * });
+   * // ...
+   * sub.unsubscribe();
+   */
+  public async subscribeEvent(chainType: string, address: string, topics: Array<string|null>, handler: EventHandler): Promise<EventSubscription> {
+    if (!this.transport.persistent) {
+      throw new IWanError('Event subscriptions require a persistent transport such as WebSocket');
+    }
+    this.checkParams('monitorEvent', { chainType, address, topics });
+
+    await this.ready();
+
+    if (this.manuallyClosed || !this.isOpen()) {
+      throw this.notConnectedError();
+    }
+
+    const id = ++this.subIndex;
+    const sub: ActiveSubscription = {
+      id,
+      chainType,
+      address,
+      topics,
+      handler,
+      requestId: 0,
+      unsubscribe: () => { this.subscriptions.delete(id); },
+    };
+    // Registered before the acknowledgement, so that logs pushed right after it are not missed
+    this.subscriptions.set(id, sub);
+    try {
+      await this.sendSubscription(sub);
+    } catch (err) {
+      this.subscriptions.delete(id);
+      throw err;
+    }
+    return sub;
   }
 
   /**
@@ -502,6 +1341,7 @@ export default class IwanClient extends EventEmitter {
    * @group Accounts
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
    * @param {string} address - The account being queried.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - Balance as string.
    * @throws IWanError on timeout, connection error, or server error
    * @example
@@ -509,8 +1349,39 @@ export default class IwanClient extends EventEmitter {
    * console.log(ret);
    * // "10000000000000000000000"
    */
-  public async getBalance(chainType: string, address: string): Promise<string> {
-    return await this._request('getBalance', { chainType, address });
+  public async getBalance(chainType: string, address: string, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getBalance', { chainType, address }, callOptions);
+  }
+
+  /**
+   * Get the balance of an address with its decimals and symbol, formatted in whole units. The decimals and symbol
+   * of a token come from {@link getTokenInfo}, those of the native coin from the {@link chains} of the client.
+   * @since 2.1.0
+   * @group Accounts
+   * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
+   * @param {string} address - The account being queried.
+   * @param {string} [tokenScAddr] - The token contract address, the native coin balance when omitted.
+   * @param {FormatUnitsOptions} [formatOptions] - Locale and fraction digits of <code>formatted</code>.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<FormattedBalance>} - The raw balance, its decimals, its formatted value and the symbol.
+   * @example
+   * const ret = await sdk.getBalanceFormatted("WAN", "0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c", undefined, { locale: "en-US" });
+   * console.log(ret);
+   * // {
+   * //   "raw": "10000000000000000000000",
+   * //   "decimals": 18,
+   * //   "formatted": "10,000",
+   * //   "symbol": "WAN"
+   * // }
+   */
+  public async getBalanceFormatted(chainType: string, address: string, tokenScAddr?: string, formatOptions?: FormatUnitsOptions, callOptions?: CallOptions): Promise<FormattedBalance> {
+    const [raw, unit] = await Promise.all([
+      tokenScAddr ? this.getTokenBalance(chainType, address, tokenScAddr, undefined, callOptions) : this.getBalance(chainType, address, callOptions),
+      this.getAssetUnit(chainType, tokenScAddr, callOptions),
+    ]);
+    // Some chains return the balance in whole units, e.g. a float
+    const value = /^-?\d+$/.test(String(raw).trim()) ? String(raw).trim() : toBaseUnits(raw, unit.decimals);
+    return { raw: String(raw), decimals: unit.decimals, formatted: formatUnits(value, unit.decimals, formatOptions), symbol: unit.symbol };
   }
 
   /**
@@ -519,15 +1390,16 @@ export default class IwanClient extends EventEmitter {
    * @group Accounts
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
    * @param {Array<string>} address - An array of addresses being queried.
-   * @returns {Promise<any>} - Result of account role verification
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<BalanceMap>} - Result of account role verification
    * @throws IWanError on timeout, connection error, or server error
    * @example
    * const ret = await sdk.getMultiBalances("WAN", ['0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c']);
    * console.log(ret);
    * // {"0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c": "10000000000000000000000"}
    */
-  public async getMultiBalances(chainType: string, address: Array<string>): Promise<any> {
-    return await this._request('getMultiBalances', { chainType, address });
+  public async getMultiBalances(chainType: string, address: Array<string>, callOptions?: CallOptions): Promise<BalanceMap> {
+    return await this._request('getMultiBalances', { chainType, address }, callOptions);
   }
 
   /**
@@ -537,10 +1409,11 @@ export default class IwanClient extends EventEmitter {
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
    * @param {string} address - The contract address.
    * @param {Array<string|null>} topics - An array of string values which must each appear in the log entries. The order is important, if you want to leave topics out use null, e.g. [null, '0x00...'].
-   * @param {any} [option] - An object value which describes the range between fromBlock and toBlock.
+   * @param {BlockRangeOption} [option] - An object value which describes the range between fromBlock and toBlock.
    * <br>&nbsp;&nbsp;<code>fromBlock</code> - The number of the earliest block (latest may be given to mean the most recent, block). By default 0.
    * <br>&nbsp;&nbsp;<code>toBlock</code> - The number of the latest block (latest may be given to mean the most recent, block). By default latest.
-   * @returns {Promise<any[]>} - The smart contract event logs.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<EventLog>>} - The smart contract event logs.
    * @throws IWanError on timeout, connection error, or server error
    * @example
    * const ret = await sdk.getScEvent('WAN', '0xda5b90dc89be59365ec44f3f2d7af8b6700d1167', ["0xa4345d0839b39e5a6622a55c68bd8f83ac8a68fad252a8363a2c09dbaf85c793", "0x0000000000000000000000000000000000000000000000000000000000000000"]);
@@ -562,9 +1435,9 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getScEvent(chainType: string, address: string, topics: Array<string|null>, option?: any): Promise<any[]> {
+  public async getScEvent(chainType: string, address: string, topics: Array<string|null>, option?: BlockRangeOption, callOptions?: CallOptions): Promise<Array<EventLog>> {
     const { fromBlock, toBlock, ...otherOpts } = option || {};
-    return await this._request('getScEvent', { chainType, address, topics, fromBlock: fromBlock || 0, toBlock: toBlock || 'latest', ...otherOpts });
+    return await this._request('getScEvent', { chainType, address, topics, fromBlock: fromBlock || 0, toBlock: toBlock || 'latest', ...otherOpts }, callOptions);
   }
 
   /**
@@ -573,6 +1446,7 @@ export default class IwanClient extends EventEmitter {
    * @group Contracts
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
    * @param {string} scAddr - The token contract address for the specified token.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The owner of the specified contract.
    * @throws IWanError on timeout, connection error, or server error
    * @example
@@ -580,8 +1454,8 @@ export default class IwanClient extends EventEmitter {
    * console.log(ret);
    * // "0xbb8703ca8226f411811dd16a3f1a2c1b3f71825d"
    */
-  public async getScOwner(chainType: string, scAddr: string): Promise<string> {
-    return await this._request('getScOwner', { chainType, scAddr });
+  public async getScOwner(chainType: string, scAddr: string, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getScOwner', { chainType, scAddr }, callOptions);
   }
 
   /**
@@ -589,6 +1463,7 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChain
    * @param {string} crossChain - The cross-chain native coin name that you want to search, should be <code>"ETH"</code> or <code>"BTC"</code>.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The owner of the specified contract.
    * @throws IWanError on timeout, connection error, or server error
    * @example
@@ -596,8 +1471,8 @@ export default class IwanClient extends EventEmitter {
    * console.log(ret);
    * // "20"
    */
-  public async getCoin2WanRatio(crossChain: string): Promise<string> {
-    return await this._request('getCoin2WanRatio', { crossChain });
+  public async getCoin2WanRatio(crossChain: string, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getCoin2WanRatio', { crossChain }, callOptions);
   }
 
   /**
@@ -608,8 +1483,9 @@ export default class IwanClient extends EventEmitter {
    * @param {number} minconf - The min confirm number of BTC UTXO, usually 0.
    * @param {number} maxconf - The max confirm number of BTC UTXO, usually the confirmed blocks you want to wait for the UTXO.
    * @param {Array<string>} address - The contract address.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any[]>} - The smart contract event logs.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<UTXO>>} - The smart contract event logs.
    * @throws IWanError on timeout, connection error, or server error
    * @example
    * const ret = await sdk.getUTXO('BTC', 0, 100, ["n35aUMToGvxJhYm7QVMtyBL83PTDKzPC1R"]);
@@ -630,8 +1506,8 @@ export default class IwanClient extends EventEmitter {
    * //    }
    * // ]
    */
-  public async getUTXO(chainType: string, minconf: number, maxconf: number, address: string, option?: any): Promise<any> {
-    return await this._request('getUTXO', { chainType, address, minconf: minconf, maxconf: maxconf, ...(option || {}) });
+  public async getUTXO(chainType: string, minconf: number, maxconf: number, address: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<UTXO>> {
+    return await this._request('getUTXO', { chainType, address, minconf: minconf, maxconf: maxconf, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -639,11 +1515,12 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group Accounts
    * @param {string} chainType - The chain name that you want to search, should be <code>"BTC"</code>, <code>"LTC"</code>, <code>"DOGE"</code>.
-   * @param {any} [option] - Optional:
+   * @param {OpReturnOutputsOption} [option] - Optional:
   * <br>&nbsp;&nbsp;<code>address</code> - Optional, the address array that you want to search.
   * <br>&nbsp;&nbsp;<code>fromBlock</code> - Optional, the number of the earliest block (latest may be given to mean the most recent, block). By default 0.
   * <br>&nbsp;&nbsp;<code>toBlock</code> - Optional, the number of the latest block (latest may be given to mean the most recent, block). By default latest.
-   * @returns {Promise<any[]>} - The vout with OP_RETURN info.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<OpReturnOutput>>} - The vout with OP_RETURN info.
    * @throws IWanError on timeout, connection error, or server error
    * @example
    * const ret = await sdk.getOpReturnOutputs('BTC', {address:["n35aUMToGvxJhYm7QVMtyBL83PTDKzPC1R"]});
@@ -679,8 +1556,8 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getOpReturnOutputs(chainType: string, option?: any): Promise<any> {
-    return await this._request('getOpReturnOutputs', { chainType, ...(option || {}) });
+  public async getOpReturnOutputs(chainType: string, option?: OpReturnOutputsOption, callOptions?: CallOptions): Promise<Array<OpReturnOutput>> {
+    return await this._request('getOpReturnOutputs', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -688,8 +1565,9 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChain
    * @param {string} crossChain - The cross-chain name that you want to search, should be <code>"ETH"</code> or <code>"BTC"</code>.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any[]>} - The detailed cross-chain storemanGroup info.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<CoinStoremanGroup>>} - The detailed cross-chain storemanGroup info.
    * @example
    * const ret = await sdk.getStoremanGroups('ETH');
    * console.log(ret);
@@ -708,8 +1586,8 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getStoremanGroups(crossChain: string, option?: any): Promise<any> {
-    return await this._request('getStoremanGroups', { crossChain, ...(option || {}) });
+  public async getStoremanGroups(crossChain: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<CoinStoremanGroup>> {
+    return await this._request('getStoremanGroups', { crossChain, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -718,8 +1596,9 @@ export default class IwanClient extends EventEmitter {
    * @group CrossChain
    * @param {string} crossChain - The cross-chain name that you want to search, should be <code>"ETH"</code> or <code>"EOS"</code>.
    * @param {string} tokenScAddr - The token contract address for the specified token.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any[]>} - The detailed cross-chain storemanGroup info.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<TokenStoremanGroup>>} - The detailed cross-chain storemanGroup info.
    * @example
    * const ret = await sdk.getTokenStoremanGroups('ETH', '0x00f58d6d585f84b2d7267940cede30ce2fe6eae8');
    * console.log(ret);
@@ -739,8 +1618,8 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getTokenStoremanGroups(crossChain: string, tokenScAddr: string, option?: any): Promise<any> {
-    return await this._request('getTokenStoremanGroups', { crossChain, tokenScAddr, ...(option || {}) });
+  public async getTokenStoremanGroups(crossChain: string, tokenScAddr: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<TokenStoremanGroup>> {
+    return await this._request('getTokenStoremanGroups', { crossChain, tokenScAddr, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -748,15 +1627,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group Status
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The current gas price in wei.
    * @example
    * const ret = await sdk.getGasPrice('WAN');
    * console.log(ret);
    * // "180000000000"
    */
-  public async getGasPrice(chainType: string, option?: any): Promise<string> {
-    return await this._request('getGasPrice', { chainType, ...(option || {}) });
+  public async getGasPrice(chainType: string, option?: ReservedOption, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getGasPrice', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -766,15 +1646,16 @@ export default class IwanClient extends EventEmitter {
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
    * @param {string} address - The account being queried.
    * @param {string} tokenScAddr - The token contract address for specified token. I.e., If chainType is <code>'WAN'</code>, it should be the token address for <code>"WETH"</code> or <code>"WBTC"</code>.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The current token balance.
    * @example
    * const ret = await sdk.getTokenBalance("WAN", "0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c", "0x63eed4943abaac5f43f657d8eec098ca6d6a546e");
    * console.log(ret);
    * // "10000000000000000000000"
    */
-  public async getTokenBalance(chainType: string, address: string, tokenScAddr: string, option?: any): Promise<string> {
-    return await this._request('getTokenBalance', { chainType, address, tokenScAddr, ...(option || {}) });
+  public async getTokenBalance(chainType: string, address: string, tokenScAddr: string, option?: ReservedOption, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getTokenBalance', { chainType, address, tokenScAddr, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -784,8 +1665,9 @@ export default class IwanClient extends EventEmitter {
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
    * @param {Array<string>} address - An array of addresses being queried.
    * @param {string} tokenScAddr - The token contract address for specified token. I.e., If chainType is <code>'WAN'</code>, it should be the token address for <code>"WETH"</code> or <code>"WBTC"</code>.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<string>} - The current token balance.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<BalanceMap>} - The current token balance.
    * @example
    * const ret = await sdk.getMultiTokenBalance("WAN", ["0xfac95c16da814d24cc64b3186348afecf527324f","0xfac95c16da814d24cc64b3186348afecf527324e"], "0x63eed4943abaac5f43f657d8eec098ca6d6a546e");
    * console.log(ret);
@@ -794,8 +1676,8 @@ export default class IwanClient extends EventEmitter {
    * //   "0xfac95c16da814d24cc64b3186348afecf527324e": "0"
    * // }
    */
-  public async getMultiTokenBalance(chainType: string, address: Array<string>, tokenScAddr: string, option?: any): Promise<any> {
-    return await this._request('getMultiTokenBalance', { chainType, address, tokenScAddr, ...(option || {}) });
+  public async getMultiTokenBalance(chainType: string, address: Array<string>, tokenScAddr: string, option?: ReservedOption, callOptions?: CallOptions): Promise<BalanceMap> {
+    return await this._request('getMultiTokenBalance', { chainType, address, tokenScAddr, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -804,8 +1686,9 @@ export default class IwanClient extends EventEmitter {
    * @group Tokens
    * @param {string} chainType - chainType The chain being queried. Currently supports <code>'XRP'</code>.
    * @param {string} address - String of address being queried.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<string>} - The current balances.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<AccountBalance>>} - The current balances.
    * @example
    * const ret = await sdk.getAllBalances("WAN", "rgiPXoiRiwYXrzmpno6rRnKdKtsvvvJmn");
    * console.log(ret);
@@ -826,8 +1709,8 @@ export default class IwanClient extends EventEmitter {
    * //     }
    * // ]
    */
-  public async getAllBalances(chainType: string, address: string, option?: any): Promise<any> {
-    return await this._request('getAllBalances', { chainType, address, ...(option || {}) });
+  public async getAllBalances(chainType: string, address: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<AccountBalance>> {
+    return await this._request('getAllBalances', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -836,15 +1719,16 @@ export default class IwanClient extends EventEmitter {
    * @group Tokens
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
    * @param {string} tokenScAddr - The token contract address for the specified token.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The current token supply.
    * @example
    * const ret = await sdk.getTokenSupply("WAN", "0x63eed4943abaac5f43f657d8eec098ca6d6a546e");
    * console.log(ret);
    * // "30000000000000000000000"
    */
-  public async getTokenSupply(chainType: string, tokenScAddr: string, option?: any): Promise<string> {
-    return await this._request('getTokenSupply', { chainType, tokenScAddr, ...(option || {}) });
+  public async getTokenSupply(chainType: string, tokenScAddr: string, option?: ReservedOption, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getTokenSupply', { chainType, tokenScAddr, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -855,15 +1739,16 @@ export default class IwanClient extends EventEmitter {
    * @param {string} tokenScAddr - The token contract address for the specified token.
    * @param {string} ownerAddr - The owner address on the specified contract.
    * @param {string} spenderAddr - The spender address on the specified contract.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The token allowance for one specific account on one contract for one specific spender account.
    * @example
    * const ret = await sdk.getTokenAllowance("ETH", "0xc5bc855056d99ef4bda0a4ae937065315e2ae11a", "0xc27ecd85faa4ae80bf5e28daf91b605db7be1ba8", "0xcdc96fea7e2a6ce584df5dc22d9211e53a5b18b1");
    * console.log(ret);
    * // "999999999999980000000000000"
    */
-  public async getTokenAllowance(chainType: string, tokenScAddr: string, ownerAddr: string, spenderAddr: string, option?: any): Promise<string> {
-    return await this._request('getTokenAllowance', { chainType, tokenScAddr, ownerAddr, spenderAddr, ...(option || {}) });
+  public async getTokenAllowance(chainType: string, tokenScAddr: string, ownerAddr: string, spenderAddr: string, option?: ReservedOption, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getTokenAllowance', { chainType, tokenScAddr, ownerAddr, spenderAddr, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -872,9 +1757,10 @@ export default class IwanClient extends EventEmitter {
    * @group Tokens
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
    * @param {string} tokenScAddr - The token contract address for the specified token.
-   * @param {any} [option] - Optional:
+   * @param {TokenTypeOption} [option] - Optional:
    * <br>&nbsp;&nbsp;<code>tokenType</code> - The token type, Currently supports <code>'Erc20'</code> and <code>'Erc721'</code>.
-   * @returns {Promise<string>} - The token info.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<TokenInfo>} - The token info.
    * @example
    * const ret = await sdk.getTokenInfo("ETH", "0xc5bc855056d99ef4bda0a4ae937065315e2ae11a");
    * console.log(ret);
@@ -883,8 +1769,36 @@ export default class IwanClient extends EventEmitter {
    * //   "decimals": "18"
    * // }
    */
-  public async getTokenInfo(chainType: string, tokenScAddr: string, option?: any): Promise<any> {
-    return await this._request('getTokenInfo', { chainType, tokenScAddr, ...(option || {}) });
+  public async getTokenInfo(chainType: string, tokenScAddr: string, option?: TokenTypeOption, callOptions?: CallOptions): Promise<TokenInfo> {
+    return await this._request('getTokenInfo', { chainType, tokenScAddr, ...(option || {}) }, callOptions);
+  }
+
+  /**
+   * Get the symbol and decimals of a token from {@link getTokenInfo}, or of the native coin of a chain from the
+   * {@link chains} of the client, for {@link toBaseUnits} and {@link fromBaseUnits}.
+   * @since 2.1.0
+   * @group Tokens
+   * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
+   * @param {string} [tokenScAddr] - The token contract address, the native coin when omitted.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<AssetUnit>} - The symbol and decimals.
+   * @throws IWanError if the chain of a native coin is not in the registry
+   * @example
+   * const { decimals } = await sdk.getAssetUnit("ETH", "0xdac17f958d2ee523a2206206994597c13d831ec7");
+   * const ret = toBaseUnits("12.5", decimals);
+   * console.log(ret);
+   * // 12500000n
+   */
+  public async getAssetUnit(chainType: string, tokenScAddr?: string, callOptions?: CallOptions): Promise<AssetUnit> {
+    if (tokenScAddr) {
+      const info = await this.getTokenInfo(chainType, tokenScAddr, undefined, callOptions);
+      return { symbol: info.symbol, decimals: Number(info.decimals) };
+    }
+    const chain = this.chains.get(chainType);
+    if (!chain) {
+      throw new IWanError(`Unknown chain type: ${chainType}`);
+    }
+    return { symbol: chain.symbol, decimals: chain.decimals };
   }
 
   /**
@@ -893,9 +1807,10 @@ export default class IwanClient extends EventEmitter {
    * @group Tokens
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
    * @param {Array<string>} tokenScAddrArray - The token address array for the tokens that you want to query.
-   * @param {any} [option] - Optional:
+   * @param {TokenTypeOption} [option] - Optional:
    * <br>&nbsp;&nbsp;<code>tokenType</code> - The token type, Currently supports <code>'Erc20'</code> and <code>'Erc721'</code>.
-   * @returns {Promise<string>} - The information for multiple tokens.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Record<string, TokenInfo>>} - The information for multiple tokens.
    * @example
    * const ret = await sdk.getMultiTokenInfo("ETH", ["0xc5bc855056d99ef4bda0a4ae937065315e2ae11a","0x7017500899433272b4088afe34c04d742d0ce7df"]);
    * console.log(ret);
@@ -910,8 +1825,8 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // }
    */
-  public async getMultiTokenInfo(chainType: string, tokenScAddrArray: Array<string>, option?: any): Promise<any> {
-    return await this._request('getMultiTokenInfo', { chainType, tokenScAddrArray, ...(option || {}) });
+  public async getMultiTokenInfo(chainType: string, tokenScAddrArray: Array<string>, option?: TokenTypeOption, callOptions?: CallOptions): Promise<Record<string, TokenInfo>> {
+    return await this._request('getMultiTokenInfo', { chainType, tokenScAddrArray, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -920,15 +1835,16 @@ export default class IwanClient extends EventEmitter {
    * @group Accounts
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
    * @param {string} address - The account being queried.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The nonce.
    * @example
    * const ret = await sdk.getNonce("WAN", "0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c");
    * console.log(ret);
    * // "0x0"
    */
-  public async getNonce(chainType: string, address: string, option?: any): Promise<string> {
-    return await this._request('getNonce', { chainType, address, ...(option || {}) });
+  public async getNonce(chainType: string, address: string, option?: ReservedOption, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getNonce', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -937,15 +1853,16 @@ export default class IwanClient extends EventEmitter {
    * @group Accounts
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
    * @param {string} address - The account being queried.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The pending nonce.
    * @example
    * const ret = await sdk.getNonceIncludePending("WAN", "0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c");
    * console.log(ret);
    * // "0x0"
    */
-  public async getNonceIncludePending(chainType: string, address: string, option?: any): Promise<string> {
-    return await this._request('getNonceIncludePending', { chainType, address, ...(option || {}) });
+  public async getNonceIncludePending(chainType: string, address: string, option?: ReservedOption, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getNonceIncludePending', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -953,15 +1870,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group Blocks
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The current latest block number.
    * @example
    * const ret = await sdk.getBlockNumber("WAN");
    * console.log(ret);
    * // "119858"
    */
-  public async getBlockNumber(chainType: string, option?: any): Promise<string> {
-    return await this._request('getBlockNumber', { chainType, ...(option || {}) });
+  public async getBlockNumber(chainType: string, option?: ReservedOption, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getBlockNumber', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -970,15 +1888,16 @@ export default class IwanClient extends EventEmitter {
    * @group Transactions
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>,  <code>"BTC"</code>, and other chains.
    * @param {string} signedTx - The signedTx you want to send.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The transaction hash.
    * @example
    * const ret = await sdk.sendRawTransaction('WAN', '0xf86e0109852e90edd000832dc6c0946ed9c11cbd8a6ae8355fa62ebca48493da572661880de0b6b3a7640000801ca0bd349ec9f51dd171eb5c59df9a6b8c5656eacb6793bed945a7ec69135f191abfa0359da11e8a4fdd51b52a8752ac32f9125d168441546d011406736bce67b8a356');
    * console.log(ret);
    * // "0x4dcfc82728b5a9307f249ac095c8e6fcc436db4f85a094a0c5a457255c20f80f"
    */
-  public async sendRawTransaction(chainType: string, signedTx: string, option?: any): Promise<string> {
-    return await this._request('sendRawTransaction', { chainType, signedTx, ...(option || {}) });
+  public async sendRawTransaction(chainType: string, signedTx: string, option?: ReservedOption, callOptions?: CallOptions): Promise<string> {
+    return await this._request('sendRawTransaction', { chainType, signedTx, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -987,8 +1906,9 @@ export default class IwanClient extends EventEmitter {
    * @group Transactions
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, <code>"BTC"</code>, and other chains.
    * @param {string} txHash - The transaction hash you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The transaction detail.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Transaction>} - The transaction detail.
    * @example
    * const ret = await sdk.getTxInfo("WAN", "0xd2a5b1f403594dbc881e466d46a4cac3d6cf202476b1277876f0b24923d032da");
    * console.log(ret);
@@ -1010,8 +1930,8 @@ export default class IwanClient extends EventEmitter {
    * //   "s": "0x3a79e17290fe2a9f4e5b5c5431eb322882729d68ca0d736c5d9b1f3285c9169e"
    * // }
    */
-  public async getTxInfo(chainType: string, txHash: string, option?: any): Promise<any> {
-    return await this._request('getTxInfo', { chainType, txHash, ...(option || {}) });
+  public async getTxInfo(chainType: string, txHash: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Transaction> {
+    return await this._request('getTxInfo', { chainType, txHash, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1021,9 +1941,10 @@ export default class IwanClient extends EventEmitter {
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
    * @param {number} waitBlocks - The confirm-block-number you want to set.
    * @param {string} txHash - The transaction hash you want to search.
-   * @param {any} [option] - Optional.
+   * @param {VersionOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>version</code> - The result format version you want to search, using <code>undefined</code> that means legacy format as default.
-   * @returns {Promise<any>} - The transaction mined result.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<TransactionReceipt>} - The transaction mined result.
    * @example
    * const ret = await sdk.getTransactionConfirm("WAN", 6, "0xd2a5b1f403594dbc881e466d46a4cac3d6cf202476b1277876f0b24923d032da");
    * console.log(ret);
@@ -1052,8 +1973,8 @@ export default class IwanClient extends EventEmitter {
    * //   "transactionIndex": 0
    * // }
    */
-  public async getTransactionConfirm(chainType: string, waitBlocks: number, txHash: string, option?: any): Promise<any> {
-    return await this._request('getTransactionConfirm', { chainType, waitBlocks, txHash, ...(option || {}) });
+  public async getTransactionConfirm(chainType: string, waitBlocks: number, txHash: string, option?: VersionOption, callOptions?: CallOptions): Promise<TransactionReceipt> {
+    return await this._request('getTransactionConfirm', { chainType, waitBlocks, txHash, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1062,9 +1983,10 @@ export default class IwanClient extends EventEmitter {
    * @group Transactions
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
    * @param {string} txHash - The transaction hash you want to search.
-   * @param {any} [option] - Optional.
+   * @param {VersionOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>version</code> - The result format version you want to search, using <code>undefined</code> that means legacy format as default.
-   * @returns {Promise<any>} - The receipt of a transaction.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<TransactionReceipt>} - The receipt of a transaction.
    * @example
    * const ret = await sdk.getTransactionReceipt("WAN", "0xc18c4bdf0d40c4bb2f34f0273eaf4dc674171fbf33c3301127e1d4c85c574ebe");
    * console.log(ret);
@@ -1083,8 +2005,8 @@ export default class IwanClient extends EventEmitter {
    * //   "transactionIndex": 0
    * // }
    */
-  public async getTransactionReceipt(chainType: string, txHash: string, option?: any): Promise<any> {
-    return await this._request('getTransactionReceipt', { chainType, txHash, ...(option || {}) });
+  public async getTransactionReceipt(chainType: string, txHash: string, option?: VersionOption, callOptions?: CallOptions): Promise<TransactionReceipt> {
+    return await this._request('getTransactionReceipt', { chainType, txHash, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1093,8 +2015,9 @@ export default class IwanClient extends EventEmitter {
    * @group Transactions
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
    * @param {string} blockHashOrBlockNumber - The blockHash or the blockNumber you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The transaction information.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<Transaction>>} - The transaction information.
    * @example
    * const ret = await sdk.getTransByBlock("WAN", "0xc18c4bdf0d40c4bb2f34f0273eaf4dc674171fbf33c3301127e1d4c85c574ebe");
    * // const ret = await sdk.getTransByBlock("WAN", "984133");
@@ -1119,9 +2042,9 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getTransByBlock(chainType: string, blockHashOrBlockNumber: string, option?: any): Promise<any> {
-    const blockOpt = this.checkByte32Hash(blockHashOrBlockNumber) ? { blockHash: blockHashOrBlockNumber } : { blockNumber: blockHashOrBlockNumber };
-    return await this._request('getTransByBlock', { chainType, ...blockOpt, ...(option || {}) });
+  public async getTransByBlock(chainType: string, blockHashOrBlockNumber: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<Transaction>> {
+    const blockOpt = isByte32Hash(blockHashOrBlockNumber) ? { blockHash: blockHashOrBlockNumber } : { blockNumber: blockHashOrBlockNumber };
+    return await this._request('getTransByBlock', { chainType, ...blockOpt, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1130,8 +2053,9 @@ export default class IwanClient extends EventEmitter {
    * @group Transactions
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
    * @param {string} address - The account's address that you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The transaction information.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<Transaction>>} - The transaction information.
    * @example
    * const ret = await sdk.getTransByAddress("WAN", "0xbb9003ca8226f411811dd16a3f1a2c1b3f71825d");
    * console.log(ret);
@@ -1172,8 +2096,8 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getTransByAddress(chainType: string, address: string, option?: any): Promise<any> {
-    return await this._request('getTransByAddress', { chainType, address, ...(option || {}) });
+  public async getTransByAddress(chainType: string, address: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<Transaction>> {
+    return await this._request('getTransByAddress', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1190,14 +2114,15 @@ export default class IwanClient extends EventEmitter {
    * @param {string} address - The account's address that you want to search.
    * @param {number} startBlockNo - The start block number that you want to search from.
    * @param {number} endBlockNo - The end block number that you want to search to.
-   * @param {any} [option] - Optional.
+   * @param {TransByAddressBetweenBlocksOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>counterparty</code> - The string of account's address that you want to search. Only for <code>"XRP"</code>. If provided, only return transactions with this account as a counterparty to the transaction.
    * <br>&nbsp;&nbsp;<code>earliestFirst</code> - Boolean. Only for <code>"XRP"</code>. If true, sort transactions so that the earliest ones come first. By default, the newest transactions will come first.
    * <br>&nbsp;&nbsp;<code>initiated</code> - Boolean. Only for <code>"XRP"</code>. If true, return only transactions initiated by the account specified by address. If false, return only transactions not initiated by the account specified by address.
    * <br>&nbsp;&nbsp;<code>limit</code> - Number. Only for <code>"XRP"</code>. If specified, return at most this many transactions.
    * <br>&nbsp;&nbsp;<code>types</code> - Array. Only for <code>"XRP"</code>. Only return transactions of the specified Transaction Types. Currently supports <code>"payment"</code>, <code>"order"</code>, <code>"orderCancellation"</code>, <code>"trustline"</code>, <code>"settings"</code>, <code>"escrowCreation"</code>, <code>"escrowCancellation"</code>, <code>"escrowExecution"</code>, <code>"checkCreate"</code>, <code>"checkCancel"</code>, <code>"checkCash"</code>, <code>"paymentChannelCreate"</code>, <code>"paymentChannelFund"</code>, <code>"paymentChannelClaim"</code>, <code>"ticketCreate"</code>.
    * <br>&nbsp;&nbsp;<code>version</code> - The result format version you want to search, using <code>undefined</code> that means legacy format as default.
-   * @returns {Promise<any>} - The transaction information.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<Transaction>>} - The transaction information.
    * @example
    * const ret = await sdk.getTransByAddressBetweenBlocks("WAN", "0xbb9003ca8226f411811dd16a3f1a2c1b3f71825d", 984119, 984120);
    * console.log(ret);
@@ -1221,8 +2146,8 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getTransByAddressBetweenBlocks(chainType: string, address: string, startBlockNo: number, endBlockNo: number, option?: any): Promise<any> {
-    return await this._request('getTransByAddressBetweenBlocks', { chainType, address, startBlockNo, endBlockNo, ...(option || {}) });
+  public async getTransByAddressBetweenBlocks(chainType: string, address: string, startBlockNo: number, endBlockNo: number, option?: TransByAddressBetweenBlocksOption, callOptions?: CallOptions): Promise<Array<Transaction>> {
+    return await this._request('getTransByAddressBetweenBlocks', { chainType, address, startBlockNo, endBlockNo, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1231,8 +2156,9 @@ export default class IwanClient extends EventEmitter {
    * @group Blocks
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
    * @param {number|string} blockNumber - The blockNumber you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The block information.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Block>} - The block information.
    * @example
    * const ret = await sdk.getBlockByNumber("WAN", "670731");
    * console.log(ret);
@@ -1259,8 +2185,8 @@ export default class IwanClient extends EventEmitter {
    * //   "transactionsRoot": "0x96fc902544191c38f1c9a2725ea2ae29e34246fb4e95728f3e72added7c9574b"
    * // }
    */
-  public async getBlockByNumber(chainType: string, blockNumber: string, option?: any): Promise<any> {
-    return await this._request('getBlockByNumber', { chainType, blockNumber, ...(option || {}) });
+  public async getBlockByNumber(chainType: string, blockNumber: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Block> {
+    return await this._request('getBlockByNumber', { chainType, blockNumber, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1269,8 +2195,9 @@ export default class IwanClient extends EventEmitter {
    * @group Blocks
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
    * @param {string} blockHash - The blockHash you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The block information.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Block>} - The block information.
    * @example
    * const ret = await sdk.getBlockByHash("WAN", "0xeb3b437d765d4da9210481c2dd612fa9d0c51e0e83120ee7f573ed9d6296e9a8");
    * console.log(ret);
@@ -1297,8 +2224,8 @@ export default class IwanClient extends EventEmitter {
    * //   "transactionsRoot": "0x96fc902544191c38f1c9a2725ea2ae29e34246fb4e95728f3e72added7c9574b"
    * // }
    */
-  public async getBlockByHash(chainType: string, blockHash: string, option?: any): Promise<any> {
-    return await this._request('getBlockByHash', { chainType, blockHash, ...(option || {}) });
+  public async getBlockByHash(chainType: string, blockHash: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Block> {
+    return await this._request('getBlockByHash', { chainType, blockHash, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1307,7 +2234,8 @@ export default class IwanClient extends EventEmitter {
    * @group Blocks
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
    * @param {string} blockHashOrBlockNumber - The blockHash or the blockNumber you want to search.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<number>} - The block transaction count.
    * @example
    * const ret = await sdk.getBlockTransactionCount("WAN", "0xeb3b437d765d4da9210481c2dd612fa9d0c51e0e83120ee7f573ed9d6296e9a8");
@@ -1315,9 +2243,9 @@ export default class IwanClient extends EventEmitter {
    * console.log(ret);
    * // 1
    */
-  public async getBlockTransactionCount(chainType: string, blockHashOrBlockNumber: string, option?: any): Promise<number> {
-    const blockOpt = this.checkByte32Hash(blockHashOrBlockNumber) ? { blockHash: blockHashOrBlockNumber } : { blockNumber: blockHashOrBlockNumber };
-    return await this._request('getBlockTransactionCount', { chainType, ...blockOpt, ...(option || {}) });
+  public async getBlockTransactionCount(chainType: string, blockHashOrBlockNumber: string, option?: ReservedOption, callOptions?: CallOptions): Promise<number> {
+    const blockOpt = isByte32Hash(blockHashOrBlockNumber) ? { blockHash: blockHashOrBlockNumber } : { blockNumber: blockHashOrBlockNumber };
+    return await this._request('getBlockTransactionCount', { chainType, ...blockOpt, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1325,18 +2253,19 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group Transactions
    * @param {string} chainType - The chain being queried, should be <code>"WAN"</code>.
-   * @param {any} [option] - Optional.
+   * @param {TransCountOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>address</code> - The account's address that you want to search.
    * <br>&nbsp;&nbsp;<code>startBlockNo</code> - The start block number that you want to search from.
    * <br>&nbsp;&nbsp;<code>endBlockNo</code> - The end block number that you want to search to.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<number>} - The transaction count.
    * @example
    * const ret = await sdk.getTransCount("WAN", {"address":"0x0b80f69fcb2564479058e4d28592e095828d24aa", "startBlockNo":3607100, "endBlockNo":3607130});
    * console.log(ret);
    * // 1
    */
-  public async getTransCount(chainType: string, option?: any): Promise<number> {
-    return await this._request('getTransCount', { chainType, ...(option || {}) });
+  public async getTransCount(chainType: string, option?: TransCountOption, callOptions?: CallOptions): Promise<number> {
+    return await this._request('getTransCount', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1349,9 +2278,10 @@ export default class IwanClient extends EventEmitter {
    * <br>&nbsp;&nbsp;<code>blocksBehind</code> - Optional, default is 3.
    * <br>&nbsp;&nbsp;<code>expireSeconds</code> - Optional, default is 30.
    * <br> If <code>blocksBehind</code> and <code>expireSeconds</code> are set, the block <code>blocksBehind</code> the head block retrieved from JsonRpc's <code>get_info</code> is set as the reference block and the transaction header is serialized using this reference block and the expiration field.
-   * @param {any} [option] - Optional.
+   * @param {PackTransactionOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>version</code> - The result format version you want to search, using <code>undefined</code> that means legacy format as default.
-   * @returns {Promise<any>} - The packed transaction.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<EosPackedTransaction>} - The packed transaction.
    * @example
    * const ret = await sdk.packTransaction("EOS", {"actions":[{"account":"eosio","name":"delegatebw","authorization":[{"actor":"aarontestnet","permission":"active"}],"data":{"from":"aarontestnet","receiver":"aarontestnet","stake_net_quantity":"0.0001 EOS","stake_cpu_quantity":"0.0001 EOS","transfer":false}}]});
    * console.log(ret);
@@ -1369,8 +2299,8 @@ export default class IwanClient extends EventEmitter {
    * //   "signatures": []
    * // }
    */
-  public async packTransaction(chainType: string, tx: any, option?: any): Promise<any> {
-    return await this._request('packTransaction', { chainType, tx, ...(option || {}) });
+  public async packTransaction(chainType: string, tx: any, option?: PackTransactionOption, callOptions?: CallOptions): Promise<EosPackedTransaction> {
+    return await this._request('packTransaction', { chainType, tx, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1381,14 +2311,16 @@ export default class IwanClient extends EventEmitter {
    * @param {string} scAddr - The token contract address for the specified token.
    * @param {string} name - The name of the specific contract parameter.
    * @param {Array} abi - The ABI of the specific contract.
+   * @param {string} [version] - The version of the contract, not sent when omitted.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<any>} - The specific public parameter value.
    * @example
    * const ret = await sdk.getScVar("WAN", "0x55ba61f4da3166487a804bccde7ee4015f609f45", "addr", [/The Abi of the contracts/]);
    * console.log(ret);
    * // "0x2ecb855170c941f239ffe3495f3e07cceabd8421"
    */
-  public async getScVar(chainType: string, scAddr: string, name: string, abi: Array<any>, version: string): Promise<any> {
-    return await this._request('getScVar', { chainType, scAddr, name, abi, version });
+  public async getScVar(chainType: string, scAddr: string, name: string, abi: Array<any>, version?: string, callOptions?: CallOptions): Promise<any> {
+    return await this._request('getScVar', { chainType, scAddr, name, abi, version }, callOptions);
   }
 
   /**
@@ -1400,14 +2332,16 @@ export default class IwanClient extends EventEmitter {
    * @param {string} name - The name of the specific contract parameter.
    * @param {string} key - The key of parameter of the specific contract public map.
    * @param {Array} abi - The ABI of the specific contract.
+   * @param {string} [version] - The version of the contract, not sent when omitted.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<any>} - The specific public map value.
    * @example
    * const ret = await sdk.getScMap("WAN", "0x55ba61f4da3166487a804bccde7ee4015f609f45", "mapAddr", "key", [/The Abi of the contracts/]);
    * console.log(ret);
    * // "0x2ecb855170c941f239ffe3495f3e07cceabd8421"
    */
-  public async getScMap(chainType: string, scAddr: string, name: string, key: string, abi: Array<any>, version: string): Promise<any> {
-    return await this._request('getScMap', { chainType, scAddr, name, key, abi, version });
+  public async getScMap(chainType: string, scAddr: string, name: string, key: string, abi: Array<any>, version?: string, callOptions?: CallOptions): Promise<any> {
+    return await this._request('getScMap', { chainType, scAddr, name, key, abi, version }, callOptions);
   }
 
   /**
@@ -1419,15 +2353,17 @@ export default class IwanClient extends EventEmitter {
    * @param {string} name - The name of the specific contract parameter.
    * @param {Array} args - The parameters array a of the specific contract public function.
    * @param {Array} abi - The ABI of the specific contract.
-   * @param {any} [option] - A reserved parameter.
+   * @param {string} [version] - The version of the contract, not sent when omitted.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<any>} - The result to call the specific public function.
    * @example
    * const ret = await sdk.callScFunc("WAN", "0x55ba61f4da3166487a804bccde7ee4015f609f45", "getPriAddress", [], [/The Abi of the contracts/]);
    * console.log(ret);
    * // "0x8cc420e422b3fa1c416a14fc600b3354e3312524"
    */
-  public async callScFunc(chainType: string, scAddr: string, name: string, args: Array<any>, abi: Array<any>, version: string, option?: any): Promise<any> {
-    return await this._request('callScFunc', { chainType, scAddr, name, args, abi, version, ...(option || {}) });
+  public async callScFunc(chainType: string, scAddr: string, name: string, args: Array<any>, abi: Array<any>, version?: string, option?: ReservedOption, callOptions?: CallOptions): Promise<any> {
+    return await this._request('callScFunc', { chainType, scAddr, name, args, abi, version, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1436,14 +2372,15 @@ export default class IwanClient extends EventEmitter {
    * @group CrossChain
    * @param {string} chainType - The chain being queried, should be <code>"BTC"</code>.
    * @param {string} hashX - The certain hashX that you want to search.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The x value of p2sh by hash(x).
    * @example
    * const ret = await sdk.getP2shxByHashx("BTC", "d2a5b1f403594dbc881e466d46a4cac3d6cf202476b1277876f0b24923d032da");
    * console.log(ret);
    * // "2ecb855170c941f239ffe3495f3e07cceabd8421"
    */
-  public async getP2shxByHashx(chainType: string, hashX: string): Promise<string> {
-    return await this._request('getP2shxByHashx', { chainType, hashX });
+  public async getP2shxByHashx(chainType: string, hashX: string, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getP2shxByHashx', { chainType, hashX }, callOptions);
   }
 
   /**
@@ -1452,14 +2389,15 @@ export default class IwanClient extends EventEmitter {
    * @group Accounts
    * @param {string} chainType - The chain being queried, should be <code>"BTC"</code>.
    * @param {string} address - The BTC account address you want to import to the node to scan transactions.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>}
    * @example
    * const ret = await sdk.importAddress("BTC", "mmmmmsdfasdjflaksdfasdf");
    * console.log(ret);
    * // "success"
    */
-  public async importAddress(chainType: string, address: string): Promise<string> {
-    return await this._request('importAddress', { chainType, address });
+  public async importAddress(chainType: string, address: string, callOptions?: CallOptions): Promise<string> {
+    return await this._request('importAddress', { chainType, address }, callOptions);
   }
 
   /**
@@ -1467,18 +2405,19 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group Accounts
    * @param {string} chainType - The chain name that you want to search, should be <code>"BTC"</code>, <code>"LTC"</code> and <code>"DOGE"</code>.
-   * @param {any} [option] - Optional:
+   * @param {EstimateSmartFeeOption} [option] - Optional:
    * <br>&nbsp;&nbsp;<code>target</code> - The numeric of confirmation target in blocks (1 - 1008).
    * <br>&nbsp;&nbsp;<code>mode</code> - The string of fee estimate mode.
    * <br>&nbsp;&nbsp;<code>version</code> - The result format version you want to search, using <code>undefined</code> that means legacy format as default.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string|number>} - The result of <code>'estimatesmartfee'</code>.
    * @example
    * const ret = await sdk.estimateSmartFee("BTC");
    * console.log(ret);
    * // "10500000000000"
    */
-  public async estimateSmartFee(chainType: string, option?: any): Promise<string|number> {
-    return await this._request('estimateSmartFee', { chainType, ...(option || {}) });
+  public async estimateSmartFee(chainType: string, option?: EstimateSmartFeeOption, callOptions?: CallOptions): Promise<string|number> {
+    return await this._request('estimateSmartFee', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1486,8 +2425,9 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChain
    * @param {string} crossChain - The cross-chain name that you want to search, should be <code>"ETH"</code>.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The information of tokens.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<RegToken>>} - The information of tokens.
    * @example
    * const ret = await sdk.getRegTokens("ETH");
    * console.log(ret);
@@ -1524,8 +2464,8 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getRegTokens(crossChain: string, option?: any): Promise<Array<any>> {
-    return await this._request('getRegTokens', { crossChain, ...(option || {}) });
+  public async getRegTokens(crossChain: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<RegToken>> {
+    return await this._request('getRegTokens', { crossChain, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1534,14 +2474,15 @@ export default class IwanClient extends EventEmitter {
    * @group CrossChain
    * @param {string} crossChain - The cross-chain name that you want to search, should be <code>"ETH"</code>.
    * @param {string} tokenScAddr - The token contract address for the specified token.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The result of ratio.
    * @example
    * const ret = await sdk.getToken2WanRatio("ETH", "0x00f58d6d585f84b2d7267940cede30ce2fe6eae8");
    * console.log(ret);
    * // "3000"
    */
-  public async getToken2WanRatio(crossChain: string, tokenScAddr: string): Promise<string> {
-    return await this._request('getToken2WanRatio', { crossChain, tokenScAddr });
+  public async getToken2WanRatio(crossChain: string, tokenScAddr: string, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getToken2WanRatio', { crossChain, tokenScAddr }, callOptions);
   }
 
   /**
@@ -1551,6 +2492,7 @@ export default class IwanClient extends EventEmitter {
    * @param {string} address - The OTA address
    * @param {number} num - The privateTx:ringSize.
    * @param {string} chainType - Optional, the chain being queried. Currently supports <code>'WAN'</code>.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<Array<string>>} - The array about OTA mix set.
    * @example
    * const ret = await sdk.getOTAMixSet("0x02539dD49A75d6Cf4c5cc857bc87BC3836E74F1c845A08eC5E009A4dCa59D47C7c0298697d22cfa7d35A670B45C3531ea9D3aAc39E58c929d440Ac1392BDeB8926e7", 8);
@@ -1565,8 +2507,8 @@ export default class IwanClient extends EventEmitter {
    * //   '0x03bf32510e236f8bafd3127a3598f9c36f60612371f798ed766214183d1d2c3f1b027de375bc1112030300b843172f39031a735fc626f76e823e6b3e0367d89b269d'
    * // ]
    */
-  public async getOTAMixSet(address: string, num: number, chainType: string): Promise<Array<string>> {
-    return await this._request('getOTAMixSet', { address, number: num, chainType });
+  public async getOTAMixSet(address: string, num: number, chainType: string, callOptions?: CallOptions): Promise<Array<string>> {
+    return await this._request('getOTAMixSet', { address, number: num, chainType }, callOptions);
   }
 
   /**
@@ -1575,15 +2517,16 @@ export default class IwanClient extends EventEmitter {
    * @group PrivateTrans
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
    * @param {any} tx - The transaction object see eth.sendTransaction, with the difference that for calls the from property is optional as well.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<number|string>} - The estimated gas.
    * @example
    * const ret = await sdk.estimateGas("WAN", {from:'0xde0B295669a9FD93d5F28D9Ec85E40f4cb697BAe', to:'0x11f4d0A3c12e86B4b5F39B213F7E19D048276DAe', value:'1000000000000000'});
    * console.log(ret);
    * // 21000
    */
-  public async estimateGas(chainType: string, tx: any, option?: any): Promise<number|string> {
-    return await this._request('estimateGas', { chainType, ...tx, ...(option || {}) });
+  public async estimateGas(chainType: string, tx: any, option?: ReservedOption, callOptions?: CallOptions): Promise<number|string> {
+    return await this._request('estimateGas', { chainType, ...tx, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1591,8 +2534,9 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChain
    * @param {string} chainType - The chain being queried. Currently supports <code>'EOS'</code>.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The blockchain info.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<EosChainInfo>} - The blockchain info.
    * @example
    * const ret = await sdk.getChainInfo("EOS");
    * console.log(ret);
@@ -1615,8 +2559,8 @@ export default class IwanClient extends EventEmitter {
    * //   server_full_version_string: 'v2.0.2-aa60b9caf9b7e2bd2411bb199c0c1d9fd8f085d5'
    * // }
    */
-  public async getChainInfo(chainType: string, option?: any): Promise<any> {
-    return await this._request('getChainInfo', { chainType, ...(option || {}) });
+  public async getChainInfo(chainType: string, option?: ReservedOption, callOptions?: CallOptions): Promise<EosChainInfo> {
+    return await this._request('getChainInfo', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1627,8 +2571,9 @@ export default class IwanClient extends EventEmitter {
    * @param {string} chainType - The chain being queried. Currently supports <code>'EOS'</code>.
    * @param {string} tokenScAddr - EOS contract code.
    * @param {string} symbol - A string representation of an EOSIO symbol.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The stats info.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<EosCurrencyStats>} - The stats info.
    * @example
    * const ret = await sdk.getStats("EOS", "eosio.token", "EOS");
    * console.log(ret);
@@ -1638,8 +2583,8 @@ export default class IwanClient extends EventEmitter {
    * //   "issuer": "eosio"
    * // }
    */
-  public async getStats(chainType: string, tokenScAddr: string, symbol: string, option?: any): Promise<any> {
-    return await this._request('getCurrencyStats', { chainType, tokenScAddr, symbol, ...(option || {}) });
+  public async getStats(chainType: string, tokenScAddr: string, symbol: string, option?: ReservedOption, callOptions?: CallOptions): Promise<EosCurrencyStats> {
+    return await this._request('getCurrencyStats', { chainType, tokenScAddr, symbol, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1648,9 +2593,10 @@ export default class IwanClient extends EventEmitter {
    * @group Accounts
    * @param {string} chainType - The chain being queried. Currently supports <code>'XRP'</code>.
    * @param {string} address - The account code.
-   * @param {any} [option] - Optional.
+   * @param {VersionOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>version</code> - The result format version you want to search, using <code>undefined</code> that means legacy format as default.
-   * @returns {Promise<any>} - The account info.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<EosAccountInfo>} - The account info.
    * @example
    * const ret = await sdk.getAccountInfo("EOS", "aarontestnet");
    * console.log(ret);
@@ -1716,8 +2662,8 @@ export default class IwanClient extends EventEmitter {
    * //   "rex_info": null
    * // }
    */
-  public async getAccountInfo(chainType: string, address: string, option?: any): Promise<any> {
-    return await this._request('getAccountInfo', { chainType, address, ...(option || {}) });
+  public async getAccountInfo(chainType: string, address: string, option?: VersionOption, callOptions?: CallOptions): Promise<EosAccountInfo> {
+    return await this._request('getAccountInfo', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1728,16 +2674,17 @@ export default class IwanClient extends EventEmitter {
    * @param {string} chainType - The chain being queried. Currently supports <code>'EOS'</code>.
    * @param {string} addressOrPublicKey - The account name or the public key.
    * <br>&nbsp;&nbsp;<code>version</code> - The result format version you want to search, using <code>undefined</code> that means legacy format as default.
-   * @returns {Array<any>} - The accounts.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<string>>} - The accounts.
    * @example
    * const ret = await sdk.getAccounts("EOS", "EOS6yEsFdisRXLpk4xg4AEnYJDW5bLrjwBDoHNREsDsxcwFEncErK");
    * // const ret = await sdk.getAccounts("EOS", "aarontestnet");
    * console.log(ret);
    * // [ "wanchainbbbb", "wanchainaaaa" ]
    */
-  public async getAccounts(chainType: string, addressOrPublicKey: string): Promise<any> {
+  public async getAccounts(chainType: string, addressOrPublicKey: string, callOptions?: CallOptions): Promise<Array<string>> {
     const option = (addressOrPublicKey.startsWith("EOS")) ? { publicKey: addressOrPublicKey } : { address: addressOrPublicKey };
-    return await this._request('getAccounts', { chainType, ...option });
+    return await this._request('getAccounts', { chainType, ...option }, callOptions);
   }
 
   /**
@@ -1756,14 +2703,15 @@ export default class IwanClient extends EventEmitter {
    * <br>&nbsp;&nbsp;<code>actions</code> - required Array of objects (Action).
    * <br>&nbsp;&nbsp;<code>transaction_extensions</code> - Array of Array of integers or strings (Extension).
    * <br>&nbsp;&nbsp;<code>available_keys</code> - Array of strings (PublicKey) Provide the available keys.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<Array<string>>} - The required keys.
    * @example
    * const ret = await sdk.getRequiredKeys("EOS", {"transaction":{"expiration":"2020-04-03T06:06:41","ref_block_num":15105,"ref_block_prefix":2116318876,"max_net_usage_words":"","max_cpu_usage_ms":"","delay_sec":0,"context_free_actions":[],"actions":[{"account":"eosio.token","name":"transfer","authorization":[{"actor":"cuiqiangtest","permission":"active"}],"data":"90D5CC58E549AF3180626ED39986A6E1010000000000000004454F530000000000"}],"transaction_extensions":[]},"available_keys":["EOS7MiJnddv2dHhjS82i9SQWMpjLoBbxP1mmpDmwn6ALGz4mpkddv"]});
    * console.log(ret);
    * // ['PUB_K1_69X3383RzBZj41k73CSjUNXM5MYGpnDxyPnWUKPEtYQmVzqTY7']
    */
-  public async getRequiredKeys(chainType: string, txArgs: any, option?: any): Promise<Array<string>> {
-    return await this._request('getRequiredKeys', { chainType, txArgs, ...(option || {}) });
+  public async getRequiredKeys(chainType: string, txArgs: any, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<string>> {
+    return await this._request('getRequiredKeys', { chainType, txArgs, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -1773,14 +2721,15 @@ export default class IwanClient extends EventEmitter {
    * @deprecated The EOS blockchain has been delisted.
    * @param {string} chainType - The chain being queried. Currently supports <code>'EOS'</code>.
    * @param {string} scAddr - The contract account name.
-   * @returns {Promise<any>} - The raw code and ABI.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<EosRawCodeAndAbi>} - The raw code and ABI.
    * @example
    * const ret = await sdk.getRawCodeAndAbi("EOS", "wanchainhtlc");
    * console.log(ret);
    * // { "account_name": "wanchainhtlc", "wasm": "...", "abi": "..." }
    */
-  public async getRawCodeAndAbi(chainType: string, scAddr: string): Promise<any> {
-    return await this._request('getRawCodeAndAbi', { chainType, scAddr });
+  public async getRawCodeAndAbi(chainType: string, scAddr: string, callOptions?: CallOptions): Promise<EosRawCodeAndAbi> {
+    return await this._request('getRawCodeAndAbi', { chainType, scAddr }, callOptions);
   }
 
   /**
@@ -1790,7 +2739,8 @@ export default class IwanClient extends EventEmitter {
    * @deprecated The EOS blockchain has been delisted.
    * @param {string} chainType - The chain being queried. Currently supports <code>'EOS'</code>.
    * @param {string} scAddr - The contract account name.
-   * @returns {Promise<any>} - The ABI.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<EosAbi>} - The ABI.
    * @example
    * const ret = await sdk.getAbi("EOS", "wanchainhtlc");
    * console.log(ret);
@@ -2038,8 +2988,8 @@ export default class IwanClient extends EventEmitter {
    * //   "variants": []
    * // }
    */
-  public async getAbi(chainType: string, scAddr: string): Promise<any> {
-    return await this._request('getAbi', { chainType, scAddr });
+  public async getAbi(chainType: string, scAddr: string, callOptions?: CallOptions): Promise<EosAbi> {
+    return await this._request('getAbi', { chainType, scAddr }, callOptions);
   }
 
   /**
@@ -2048,7 +2998,8 @@ export default class IwanClient extends EventEmitter {
    * @group EOS
    * @param {string} chainType - The chain being queried. Currently supports <code>'EOS'</code>.
    * @param {string} scAddr - The contract account name.
-   * @returns {Promise<any>} - The accounts.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Record<string, number>>} - The accounts.
    * @example
    * const ret = await sdk.getRawAbi("EOS", "wanchainhtlc");
    * console.log(ret);
@@ -2061,8 +3012,8 @@ export default class IwanClient extends EventEmitter {
    * //   "1557": 0
    * // }
    */
-  public async getRawAbi(chainType: string, scAddr: string, option?: any): Promise<any> {
-    return await this._request('getRawAbi', { chainType, scAddr, ...(option || {}) });
+  public async getRawAbi(chainType: string, scAddr: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Record<string, number>> {
+    return await this._request('getRawAbi', { chainType, scAddr, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2072,7 +3023,7 @@ export default class IwanClient extends EventEmitter {
    * @deprecated The EOS blockchain has been delisted.
    * @param {string} chainType - The chain being queried. Currently supports <code>'EOS'</code>.
    * @param {string} address - The account name you want to query.
-   * @param {any} option - Optional, the filter for actions.
+   * @param {EosActionsOption} option - Optional, the filter for actions.
    * <br>&nbsp;&nbsp;<strong>For eosjs 16.0.0</strong>:
    * <br>&nbsp;&nbsp;&nbsp;&nbsp;<code>pos</code> - An int32 that is absolute sequence positon, -1 is the end/last action.
    * <br>&nbsp;&nbsp;&nbsp;&nbsp;<code>offset</code> - The number of actions relative to pos, negative numbers return [pos-offset,pos), positive numbers return [pos,pos+offset).
@@ -2089,7 +3040,8 @@ export default class IwanClient extends EventEmitter {
    * <br>&nbsp;&nbsp;&nbsp;&nbsp;<code>transfer_symbol</code> - The string to transfer filter symbol.
    * <br>&nbsp;&nbsp;&nbsp;&nbsp;<code>act_name</code> - The string for act name. 
    * <br>&nbsp;&nbsp;&nbsp;&nbsp;<code>act_account</code> - The string for act account. 
-   * @returns {Promise<any>} - The actions.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<EosAction>>} - The actions.
    * @example
    * const ret = await sdk.getActions("EOS", "wanchainhtlc", {filter: "wanchainhtlc:outlock", limit: 2});
    * console.log(ret);
@@ -2114,8 +3066,8 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getActions(chainType: string, address: string, option: any): Promise<any> {
-    return await this._request('getActions', { chainType, address, ...(option || {}) });
+  public async getActions(chainType: string, address: string, option: EosActionsOption, callOptions?: CallOptions): Promise<Array<EosAction>> {
+    return await this._request('getActions', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2124,7 +3076,8 @@ export default class IwanClient extends EventEmitter {
    * @group EOS
    * @deprecated The EOS blockchain has been delisted.
    * @param {string} chainType - The chain being queried. Currently supports <code>'EOS'</code>.
-   * @returns {Promise<any>} - The resource info.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Record<string, number|string>>} - The resource info.
    * @example
    * const ret = await sdk.getResource("EOS");
    * console.log(ret);
@@ -2161,8 +3114,8 @@ export default class IwanClient extends EventEmitter {
    * //   "last_name_close": "2020-04-04T13:37:20.500"
    * // }
    */
-  public async getResource(chainType: string): Promise<any> {
-    return await this._request('getResource', { chainType });
+  public async getResource(chainType: string, callOptions?: CallOptions): Promise<Record<string, number|string>> {
+    return await this._request('getResource', { chainType }, callOptions);
   }
 
   /**
@@ -2172,14 +3125,15 @@ export default class IwanClient extends EventEmitter {
    * @deprecated The EOS blockchain has been delisted.
    * @param {string} chainType - The chain being queried. Currently supports <code>'EOS'</code>.
    * @param {string} address - The producer's account.
-   * @returns {Promise<any>} - The resource price.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<ResourcePrice>} - The resource price.
    * @example
    * const ret = await sdk.getResourcePrice("EOS", "junglesweden");
    * console.log(ret);
    * // { "net": "0.005301073461471487", "cpu": "0.005637367015436455", "ram": "0.050223917691993435" }
    */
-  public async getResourcePrice(chainType: string, address: string): Promise<any> {
-    return await this._request('getResourcePrice', { chainType, address });
+  public async getResourcePrice(chainType: string, address: string, callOptions?: CallOptions): Promise<ResourcePrice> {
+    return await this._request('getResourcePrice', { chainType, address }, callOptions);
   }
 
   /**
@@ -2189,14 +3143,15 @@ export default class IwanClient extends EventEmitter {
    * @deprecated The EOS blockchain has been delisted.
    * @param {string} chainType - The chain being queried. Currently supports <code>'EOS'</code>.
    * @param {string} address - The producer's account.
-   * @returns {Promise<any>} - The bandwidth price.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<BandwidthPrice>} - The bandwidth price.
    * @example
    * const ret = await sdk.getBandwidthPrice("EOS", "junglesweden");
    * console.log(ret);
    * // { "net": "0.005301073461471487", "cpu": "0.005637367015436455" }
    */
-  public async getBandwidthPrice(chainType: string, address: string): Promise<any> {
-    return await this._request('getBandwidthPrice', { chainType, address });
+  public async getBandwidthPrice(chainType: string, address: string, callOptions?: CallOptions): Promise<BandwidthPrice> {
+    return await this._request('getBandwidthPrice', { chainType, address }, callOptions);
   }
 
   /**
@@ -2205,14 +3160,15 @@ export default class IwanClient extends EventEmitter {
    * @group EOS
    * @deprecated The EOS blockchain has been delisted.
    * @param {string} chainType - The chain being queried. Currently supports <code>'EOS'</code>.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The ram price.
    * @example
    * const ret = await sdk.getRamPrice("EOS");
    * console.log(ret);
    * // "0.05022503944229491"
    */
-  public async getRamPrice(chainType: string): Promise<string> {
-    return await this._request('getRamPrice', { chainType });
+  public async getRamPrice(chainType: string, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getRamPrice', { chainType }, callOptions);
   }
 
   /**
@@ -2221,14 +3177,15 @@ export default class IwanClient extends EventEmitter {
    * @group EOS
    * @deprecated The EOS blockchain has been delisted.
    * @param {string} chainType - The chain being queried. Currently supports <code>'EOS'</code>.
-   * @returns {Promise<any>} - The ram price.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<EosCurrencyStats>} - The ram price.
    * @example
    * const ret = await sdk.getTotalSupply("EOS");
    * console.log(ret);
    * // { "supply": "10757681325.5591 EOS", "max_supply": "100000000000.0000 EOS", "issuer": "eosio" }
    */
-  public async getTotalSupply(chainType: string): Promise<any> {
-    return await this._request('getTotalSupply', { chainType });
+  public async getTotalSupply(chainType: string, callOptions?: CallOptions): Promise<EosCurrencyStats> {
+    return await this._request('getTotalSupply', { chainType }, callOptions);
   }
 
   /**
@@ -2237,14 +3194,15 @@ export default class IwanClient extends EventEmitter {
    * @group EOS
    * @deprecated The EOS blockchain has been delisted.
    * @param {string} chainType - The chain being queried. Currently supports <code>'EOS'</code>.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The current 'EOS' stake amount.
    * @example
    * const ret = await sdk.getTotalStaked("EOS");
    * console.log(ret);
    * // "2868049208.8674 EOS"
    */
-  public async getTotalStaked(chainType: string): Promise<string> {
-    return await this._request('getTotalStaked', { chainType });
+  public async getTotalStaked(chainType: string, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getTotalStaked', { chainType }, callOptions);
   }
 
   /**
@@ -2253,14 +3211,15 @@ export default class IwanClient extends EventEmitter {
    * @group EOS
    * @deprecated The EOS blockchain has been delisted.
    * @param {string} chainType - The chain being queried. Currently supports <code>'EOS'</code>.
-   * @returns {Promise<any>} - The stake info.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<TotalStakedPercent>} - The stake info.
    * @example
    * const ret = await sdk.getTotalStakedPercent("EOS");
    * console.log(ret);
    * // { "totalStaked": 2868049208.8674, "totalSup": 10757681325.5591, "percent": 0.266604774957706 }
    */
-  public async getTotalStakedPercent(chainType: string): Promise<any> {
-    return await this._request('getTotalStakedPercent', { chainType });
+  public async getTotalStakedPercent(chainType: string, callOptions?: CallOptions): Promise<TotalStakedPercent> {
+    return await this._request('getTotalStakedPercent', { chainType }, callOptions);
   }
 
   /**
@@ -2272,7 +3231,8 @@ export default class IwanClient extends EventEmitter {
    * @param {string} scAddr - The name of the smart contract that controls the provided table.
    * @param {string} scope - The account to which this data belongs.
    * @param {string} table - The name of the table to query.
-   * @returns {Promise<any>} - The object containing rows from the specified table.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<EosTableRows>} - The object containing rows from the specified table.
    * @example
    * const ret = await sdk.getTableRows("EOS", "wanchainhtlc", "wanchainhtlc", "transfers");
    * console.log(ret);
@@ -2307,8 +3267,8 @@ export default class IwanClient extends EventEmitter {
    * //   "next_key": "3"
    * // }
    */
-  public async getTableRows(chainType: string, scAddr: string, scope: string, table: string): Promise<any> {
-    return await this._request('getTableRows', { chainType, scAddr, scope, table });
+  public async getTableRows(chainType: string, scAddr: string, scope: string, table: string, callOptions?: CallOptions): Promise<EosTableRows> {
+    return await this._request('getTableRows', { chainType, scAddr, scope, table }, callOptions);
   }
 
   /**
@@ -2316,15 +3276,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<number>} - The current epoch ID.
    * @example
    * const ret = await sdk.getEpochID("WAN");
    * console.log(ret);
    * // 18102
    */
-  public async getEpochID(chainType: string, option?: any): Promise<number> {
-    return await this._request('getEpochID', { chainType, ...(option || {}) });
+  public async getEpochID(chainType: string, option?: ReservedOption, callOptions?: CallOptions): Promise<number> {
+    return await this._request('getEpochID', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2332,15 +3293,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<number>} - The current epoch slot ID.
    * @example
    * const ret = await sdk.getSlotID("WAN");
    * console.log(ret);
    * // 2541
    */
-  public async getSlotID(chainType: string, option?: any): Promise<number> {
-    return await this._request('getSlotID', { chainType, ...(option || {}) });
+  public async getSlotID(chainType: string, option?: ReservedOption, callOptions?: CallOptions): Promise<number> {
+    return await this._request('getSlotID', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2349,8 +3311,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {number} epochID - The epochID you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The public key list.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Record<string, string>>} - The public key list.
    * @example
    * const ret = await sdk.getEpochLeadersByEpochID("WAN", 18102);
    * console.log(ret);
@@ -2364,8 +3327,8 @@ export default class IwanClient extends EventEmitter {
    * //   "000049": "04fdb485b566c2ddb40e2f4341b1e5746479a7c45e3d8101b1360b8bdba6206deee520ceecc9e9897e3b05b53e3ffa6fa659bef47c384984c0bc021a843df10847"
    * // }
    */
-  public async getEpochLeadersByEpochID(chainType: string, epochID: number, option?: any): Promise<any> {
-    return await this._request('getEpochLeadersByEpochID', { chainType, epochID, ...(option || {}) });
+  public async getEpochLeadersByEpochID(chainType: string, epochID: number, option?: ReservedOption, callOptions?: CallOptions): Promise<Record<string, string>> {
+    return await this._request('getEpochLeadersByEpochID', { chainType, epochID, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2374,8 +3337,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {number} epochID - The epochID you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The Random Number Proposer public keys.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Record<string, string>>} - The Random Number Proposer public keys.
    * @example
    * const ret = await sdk.getRandomProposersByEpochID("WAN", 18102);
    * console.log(ret);
@@ -2389,8 +3353,8 @@ export default class IwanClient extends EventEmitter {
    *   "000024": "2094589617397846c5125cf5922ba993643c401998ae8817d5005fe21245f4bc0fbb25158c54446757d2b03d89da10d7dfbbaa23afa38c6e87115dcebe2a8e4d"
    * }
    */
-  public async getRandomProposersByEpochID(chainType: string, epochID: number, option?: any): Promise<any> {
-    return await this._request('getRandomProposersByEpochID', { chainType, epochID, ...(option || {}) });
+  public async getRandomProposersByEpochID(chainType: string, epochID: number, option?: ReservedOption, callOptions?: CallOptions): Promise<Record<string, string>> {
+    return await this._request('getRandomProposersByEpochID', { chainType, epochID, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2399,8 +3363,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {number} blockNumber - The blockNumber you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The specified block staker info.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StakerInfo>>} - The specified block staker info.
    * @example
    * const ret = await sdk.getEpochID("WAN");
    * console.log(ret);
@@ -2431,8 +3396,8 @@ export default class IwanClient extends EventEmitter {
    * //    ... ...
    * // ]
    */
-  public async getStakerInfo(chainType: string, blockNumber: number, option?: any): Promise<Array<any>> {
-    return await this._request('getStakerInfo', { chainType, blockNumber, ...(option || {}) });
+  public async getStakerInfo(chainType: string, blockNumber: number, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<StakerInfo>> {
+    return await this._request('getStakerInfo', { chainType, blockNumber, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2441,8 +3406,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {number} epochID - The epochID you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The reward information.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<EpochIncentivePayDetail>>} - The reward information.
    * @example
    * const ret = await sdk.getEpochIncentivePayDetail("WAN", 18101);
    * console.log(ret);
@@ -2479,8 +3445,8 @@ export default class IwanClient extends EventEmitter {
    * //      ... ...
    * // ]
    */
-  public async getEpochIncentivePayDetail(chainType: string, epochID: number, option?: any): Promise<Array<any>> {
-    return await this._request('getEpochIncentivePayDetail', { chainType, epochID, ...(option || {}) });
+  public async getEpochIncentivePayDetail(chainType: string, epochID: number, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<EpochIncentivePayDetail>> {
+    return await this._request('getEpochIncentivePayDetail', { chainType, epochID, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2489,8 +3455,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {number} epochID - The epochID you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The activity information.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<EpochActivity>} - The activity information.
    * @example
    * const ret = await sdk.getActivity("WAN", 18102);
    * console.log(ret);
@@ -2558,8 +3525,8 @@ export default class IwanClient extends EventEmitter {
    * //   "slCtrlCount":0
    * //   }
    */
-  public async getActivity(chainType: string, epochID: number, option?: any): Promise<any> {
-    return await this._request('getActivity', { chainType, epochID, ...(option || {}) });
+  public async getActivity(chainType: string, epochID: number, option?: ReservedOption, callOptions?: CallOptions): Promise<EpochActivity> {
+    return await this._request('getActivity', { chainType, epochID, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2568,8 +3535,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {number} epochID - The epochID you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The slot leader activity information.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<SlotActivity>} - The slot leader activity information.
    * @example
    * const ret = await sdk.getEpochID("WAN");
    * console.log(ret);
@@ -2597,8 +3565,8 @@ export default class IwanClient extends EventEmitter {
    * //   "slCtrlCount": 8849
    * //   }
    */
-  public async getSlotActivity(chainType: string, epochID: number, option?: any): Promise<any> {
-    return await this._request('getSlotActivity', { chainType, epochID, ...(option || {}) });
+  public async getSlotActivity(chainType: string, epochID: number, option?: ReservedOption, callOptions?: CallOptions): Promise<SlotActivity> {
+    return await this._request('getSlotActivity', { chainType, epochID, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2607,8 +3575,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {number} epochID - The epochID you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The validator activity information.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<ValidatorActivity>} - The validator activity information.
    * @example
    * const ret = await sdk.getValidatorActivity("WAN", 18102);
    * console.log(ret);
@@ -2672,8 +3641,8 @@ export default class IwanClient extends EventEmitter {
    * //   "rpActivity":[1,1,1,1,0,1,1,1,1,0,1,0,0,1,0,0,1,1,0,0,0,0,1,1,1]
    * // }
    */
-  public async getValidatorActivity(chainType: string, epochID: number, option?: any): Promise<any> {
-    return await this._request('getValidatorActivity', { chainType, epochID, ...(option || {}) });
+  public async getValidatorActivity(chainType: string, epochID: number, option?: ReservedOption, callOptions?: CallOptions): Promise<ValidatorActivity> {
+    return await this._request('getValidatorActivity', { chainType, epochID, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2681,15 +3650,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<number>} - The current highest stable block number.
    * @example
    * const ret = await sdk.getValidatorActivity("WAN", 18102);
    * console.log(ret);
    * // 4018017
    */
-  public async getMaxStableBlkNumber(chainType: string, option?: any): Promise<number> {
-    return await this._request('getMaxStableBlkNumber', { chainType, ...(option || {}) });
+  public async getMaxStableBlkNumber(chainType: string, option?: ReservedOption, callOptions?: CallOptions): Promise<number> {
+    return await this._request('getMaxStableBlkNumber', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2699,15 +3669,16 @@ export default class IwanClient extends EventEmitter {
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {number} epochID - The epochID you want to search.
    * @param {number} blockNumber - The blockNumber you want to search. If blockNumber is -1, use the latest block.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The current highest stable block number.
    * @example
    * const ret = await sdk.getRandom("WAN", 18102, -1);
    * console.log(ret);
    * // "0x3a4277627fa45c3bf691014d79c05da2427f8eb115a076b71af7690cdb3a0b5e"
    */
-  public async getRandom(chainType: string, epochID: number, blockNumber: number, option?: any): Promise<string> {
-    return await this._request('getRandom', { chainType, epochID, blockNumber, ...(option || {}) });
+  public async getRandom(chainType: string, epochID: number, blockNumber: number, option?: ReservedOption, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getRandom', { chainType, epochID, blockNumber, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2716,15 +3687,16 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {string} address - The validator address you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The specified validator info.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<ValidatorInfo>} - The specified validator info.
    * @example
    * const ret = await sdk.getValidatorInfo("WAN", "0xda8fa1aee77709d37f59fb96afd4cf10ccaeb6ce");
    * console.log(ret);
    * // { "address": "0xda8fa1aee77709d37f59fb96afd4cf10ccaeb6ce", "amount": "5.01e+22", "feeRate": 1500 }
    */
-  public async getValidatorInfo(chainType: string, address: string, option?: any): Promise<any> {
-    return await this._request('getValidatorInfo', { chainType, address, ...(option || {}) });
+  public async getValidatorInfo(chainType: string, address: string, option?: ReservedOption, callOptions?: CallOptions): Promise<ValidatorInfo> {
+    return await this._request('getValidatorInfo', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2733,8 +3705,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {string} address - The validator owner address you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The specified validator staking info.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StakerInfo>>} - The specified validator staking info.
    * @example
    * const ret = await sdk.getValidatorStakeInfo("WAN", "0x086b4cfadfd9f232b068c2e8263d608baee85163");
    * console.log(ret);
@@ -2784,8 +3757,8 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getValidatorStakeInfo(chainType: string, address: string, option?: any): Promise<Array<any>> {
-    return await this._request('getValidatorStakeInfo', { chainType, address, ...(option || {}) });
+  public async getValidatorStakeInfo(chainType: string, address: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<StakerInfo>> {
+    return await this._request('getValidatorStakeInfo', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2794,8 +3767,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {string|Array<string>} address - The validator address you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The specified validator's total incentives.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<TotalIncentive>>} - The specified validator's total incentives.
    * @example
    * const ret = await sdk.getValidatorTotalIncentive("WAN", "0xda8fa1aee77709d37f59fb96afd4cf10ccaeb6ce");
    * console.log(ret);
@@ -2808,8 +3782,8 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getValidatorTotalIncentive(chainType: string, address: string, option?: any): Promise<Array<any>> {
-    return await this._request('getValidatorTotalIncentive', { chainType, address, ...(option || {}) });
+  public async getValidatorTotalIncentive(chainType: string, address: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<TotalIncentive>> {
+    return await this._request('getValidatorTotalIncentive', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2818,8 +3792,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {string} address - The delegator address you want to query.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The identified delegator's staking info.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<DelegatorStakeInfo>>} - The identified delegator's staking info.
    * @example
    * const ret = await sdk.getDelegatorStakeInfo("WAN", "0xa6de4408d9003ee992b5dc0e1bf27968e48727dc");
    * console.log(ret);
@@ -2846,8 +3821,8 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getDelegatorStakeInfo(chainType: string, address: string, option?: any): Promise<Array<any>> {
-    return await this._request('getDelegatorStakeInfo', { chainType, address, ...(option || {}) });
+  public async getDelegatorStakeInfo(chainType: string, address: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<DelegatorStakeInfo>> {
+    return await this._request('getDelegatorStakeInfo', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2856,8 +3831,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {string} address - The delegator address you want to query.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The identified delegator rewards.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<DelegatorIncentive>>} - The identified delegator rewards.
    * @example
    * const ret = await sdk.getDelegatorIncentive("WAN", "0xa6de4408d9003ee992b5dc0e1bf27968e48727dc");
    * console.log(ret);
@@ -2875,8 +3851,8 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getDelegatorIncentive(chainType: string, address: string, option?: any): Promise<Array<any>> {
-    return await this._request('getDelegatorIncentive', { chainType, address, ...(option || {}) });
+  public async getDelegatorIncentive(chainType: string, address: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<DelegatorIncentive>> {
+    return await this._request('getDelegatorIncentive', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2885,11 +3861,12 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {string} address - The delegator address you want to query.
-   * @param {any} [option] - Optional.
+   * @param {DelegatorTotalIncentiveOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>validatorAddress</code> - The validator's address you want to query.
    * <br>&nbsp;&nbsp;<code>from</code> - The number that starting epochID you want to query.
    * <br>&nbsp;&nbsp;<code>to</code> - The number that ending epochID you want to query.
-   * @returns {Promise<Array<any>>} - The identified delegator's total incentives.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<TotalIncentive>>} - The identified delegator's total incentives.
    * @example
    * const ret = await sdk.getDelegatorTotalIncentive("WAN", "0xa6de4408d9003ee992b5dc0e1bf27968e48727dc");
    * console.log(ret);
@@ -2909,8 +3886,8 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getDelegatorTotalIncentive(chainType: string, address: string, option?: any): Promise<Array<any>> {
-    return await this._request('getDelegatorTotalIncentive', { chainType, address, ...(option || {}) });
+  public async getDelegatorTotalIncentive(chainType: string, address: string, option?: DelegatorTotalIncentiveOption, callOptions?: CallOptions): Promise<Array<TotalIncentive>> {
+    return await this._request('getDelegatorTotalIncentive', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2919,8 +3896,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {number} epochID - The epochID you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The Epoch Leader and Random Number Proposer addresses and public key lists.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<LeaderGroupMember>>} - The Epoch Leader and Random Number Proposer addresses and public key lists.
    * @example
    * const ret = await sdk.getLeaderGroupByEpochID("WAN", 18102);
    * console.log(ret);
@@ -2952,8 +3930,8 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getLeaderGroupByEpochID(chainType: string, epochID: number, option?: any): Promise<Array<any>> {
-    return await this._request('getLeaderGroupByEpochID', { chainType, epochID, ...(option || {}) });
+  public async getLeaderGroupByEpochID(chainType: string, epochID: number, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<LeaderGroupMember>> {
+    return await this._request('getLeaderGroupByEpochID', { chainType, epochID, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2961,15 +3939,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The current epoch info.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<EpochInfo>} - The current epoch info.
    * @example
    * const ret = await sdk.getCurrentEpochInfo("WAN");
    * console.log(ret);
    * // { "blockNumber": 3938057, "slotId": 5661, "epochId": 18102 }
    */
-  public async getCurrentEpochInfo(chainType: string, option?: any): Promise<any> {
-    return await this._request('getCurrentEpochInfo', { chainType, ...(option || {}) });
+  public async getCurrentEpochInfo(chainType: string, option?: ReservedOption, callOptions?: CallOptions): Promise<EpochInfo> {
+    return await this._request('getCurrentEpochInfo', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -2977,8 +3956,9 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The information on each of the current validators.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StakerInfo>>} - The information on each of the current validators.
    * @example
    * const ret = await sdk.getRandom("WAN", 18102, -1);
    * console.log(ret);
@@ -3010,8 +3990,8 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getCurrentStakerInfo(chainType: string, option?: any): Promise<Array<any>> {
-    return await this._request('getCurrentStakerInfo', { chainType, ...(option || {}) });
+  public async getCurrentStakerInfo(chainType: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<StakerInfo>> {
+    return await this._request('getCurrentStakerInfo', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3019,15 +3999,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<number>} - The total number of slots in an epoch.
    * @example
    * const ret = await sdk.apiTest.getSlotCount("WAN");
    * console.log(ret);
    * // 17280
    */
-  public async getSlotCount(chainType: string, option?: any): Promise<number> {
-    return await this._request('getSlotCount', { chainType, ...(option || {}) });
+  public async getSlotCount(chainType: string, option?: ReservedOption, callOptions?: CallOptions): Promise<number> {
+    return await this._request('getSlotCount', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3035,15 +4016,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<number>} - The time span of a slot in seconds.
    * @example
    * const ret = await sdk.getSlotTime("WAN");
    * console.log(ret);
    * // 5
    */
-  public async getSlotTime(chainType: string, option?: any): Promise<number> {
-    return await this._request('getSlotTime', { chainType, ...(option || {}) });
+  public async getSlotTime(chainType: string, option?: ReservedOption, callOptions?: CallOptions): Promise<number> {
+    return await this._request('getSlotTime', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3052,15 +4034,16 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {number} epochID - The epochID you want to search.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<number>} - The specified epoch's start time in UTC time seconds.
    * @example
    * const ret = await sdk.getTimeByEpochID("WAN", 18108);
    * console.log(ret);
    * // 1564531200
    */
-  public async getTimeByEpochID(chainType: string, epochID: number, option?: any): Promise<number> {
-    return await this._request('getTimeByEpochID', { chainType, epochID, ...(option || {}) });
+  public async getTimeByEpochID(chainType: string, epochID: number, option?: ReservedOption, callOptions?: CallOptions): Promise<number> {
+    return await this._request('getTimeByEpochID', { chainType, epochID, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3069,15 +4052,16 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {number} time - The UTC time seconds you want to query.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<number>} - The current highest stable block number.
    * @example
    * const ret = await sdk.getEpochIDByTime("WAN", 1564550000);
    * console.log(ret);
    * // 18108
    */
-  public async getEpochIDByTime(chainType: string, time: number, option?: any): Promise<number> {
-    return await this._request('getEpochIDByTime', { chainType, time, ...(option || {}) });
+  public async getEpochIDByTime(chainType: string, time: number, option?: ReservedOption, callOptions?: CallOptions): Promise<number> {
+    return await this._request('getEpochIDByTime', { chainType, time, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3086,7 +4070,8 @@ export default class IwanClient extends EventEmitter {
    * @group Service
    * @param {string|Array<string>|number|undefined} [address] - The validator address you want to search.
    * @param {number|undefined} [after] - The timestamp after you want to search.
-   * @returns {Promise<Array<any>>} - The records of registered validators information.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<RegisteredValidator>>} - The records of registered validators information.
    * @example
    * const ret = await sdk.getRegisteredValidator();
    * console.log(ret);
@@ -3102,7 +4087,7 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getRegisteredValidator(address?: string|Array<string>|number|undefined, after?: number|undefined): Promise<Array<any>> {
+  public async getRegisteredValidator(address?: string|Array<string>|number|undefined, after?: number|undefined, callOptions?: CallOptions): Promise<Array<RegisteredValidator>> {
     let option = {};
     if ('number' === typeof address) {
       option = { after: address };
@@ -3111,7 +4096,7 @@ export default class IwanClient extends EventEmitter {
     } else if ('string' === typeof address || Array.isArray(address)) {
       option = { address };
     }
-    return await this._request('getRegisteredValidator', { ...option });
+    return await this._request('getRegisteredValidator', { ...option }, callOptions);
   }
 
   /**
@@ -3120,7 +4105,8 @@ export default class IwanClient extends EventEmitter {
    * @group Service
    * @param {string|Array<string>|undefined} [tokenOrigAccount] - The original token account of chain.
    * @param {number|undefined} [after] - The timestamp after you want to search.
-   * @returns {Promise<Array<any>>} - The records of registered tokens information.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<RegisteredToken>>} - The records of registered tokens information.
    * @example
    * const ret = await sdk.getRegisteredValidator();
    * console.log(ret);
@@ -3141,7 +4127,7 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getRegisteredToken(tokenOrigAccount?: string, after?: number): Promise<Array<any>> {
+  public async getRegisteredToken(tokenOrigAccount?: string, after?: number, callOptions?: CallOptions): Promise<Array<RegisteredToken>> {
     let option = {};
     if ('number' === typeof tokenOrigAccount) {
       option = { after: tokenOrigAccount };
@@ -3150,14 +4136,14 @@ export default class IwanClient extends EventEmitter {
     } else if ('string' === typeof tokenOrigAccount || Array.isArray(tokenOrigAccount)) {
       option = { tokenOrigAccount };
     }
-    return await this._request('getRegisteredToken', { tokenOrigAccount, after });
+    return await this._request('getRegisteredToken', { tokenOrigAccount, after }, callOptions);
   }
 
   /**
    * Get records of registered Dapps information.
    * @since 1.1.0
    * @group Service
-   * @param {any} [option] - Optional.
+   * @param {RegisteredDappOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>chainType</code> - The chain type being queried. Currently supports <code>'WAN'</code>.
    * <br>&nbsp;&nbsp;<code>url</code> - The URL being queried.
    * <br>&nbsp;&nbsp;<code>language</code> - The supported language being queried.
@@ -3166,7 +4152,8 @@ export default class IwanClient extends EventEmitter {
    * <br>&nbsp;&nbsp;<code>after</code> - The timestamp after you want to search.
    * <br>&nbsp;&nbsp;<code>pageIndex</code> - The page index you want to search. If you want to query with the <code>pageIndex</code>, <code>page</code> is needed.
    * <br>&nbsp;&nbsp;<code>page</code> - The page size you want to search.
-   * @returns {Promise<Array<any>>} - The records of registered Dapps information.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<RegisteredDapp>>} - The records of registered Dapps information.
    * @example
    * const ret = await sdk.getRegisteredDapp({after:1577155812700, platform:["desktop"]});
    * console.log(ret);
@@ -3196,18 +4183,19 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getRegisteredDapp(option?: any): Promise<Array<any>> {
-    return await this._request('getRegisteredDapp', { ...(option || {}) });
+  public async getRegisteredDapp(option?: RegisteredDappOption, callOptions?: CallOptions): Promise<Array<RegisteredDapp>> {
+    return await this._request('getRegisteredDapp', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get records of registered advertisements information.
    * @since 1.1.0
    * @group Service
-   * @param {any} [option] - Optional.
+   * @param {RegisteredAdsOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>name</code> - The advertisement name you want to search.
    * <br>&nbsp;&nbsp;<code>after</code> - The timestamp after you want to search.
-   * @returns {Promise<Array<any>>} - The records of registered advertisements information.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<RegisteredAd>>} - The records of registered advertisements information.
    * @example
    * const ret = await sdk.getRegisteredAds();
    * console.log(ret);
@@ -3222,18 +4210,19 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getRegisteredAds(option?: any): Promise<Array<any>> {
-    return await this._request('getRegisteredAds', { ...(option || {}) });
+  public async getRegisteredAds(option?: RegisteredAdsOption, callOptions?: CallOptions): Promise<Array<RegisteredAd>> {
+    return await this._request('getRegisteredAds', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get records of registered coingecko information.
    * @since 1.1.0
    * @group Service
-   * @param {any} [option] - Optional.
+   * @param {RegisteredCoinGeckoOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>symbol</code> - The array of coingecko symbol you want to search.
    * <br>&nbsp;&nbsp;<code>after</code> - The timestamp after you want to search.
-   * @returns {Promise<Array<any>>} - The records of registered coingecko information.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<RegisteredCoinGecko>>} - The records of registered coingecko information.
    * @example
    * const ret = await sdk.getRegisteredCoinGecko({symbol:["wan"]});
    * console.log(ret);
@@ -3247,8 +4236,8 @@ export default class IwanClient extends EventEmitter {
    * //    ... ...
    * // ]
    */
-  public async getRegisteredCoinGecko(option?: any): Promise<Array<any>> {
-    return await this._request('getRegisteredCoinGecko', { ...(option || {}) });
+  public async getRegisteredCoinGecko(option?: RegisteredCoinGeckoOption, callOptions?: CallOptions): Promise<Array<RegisteredCoinGecko>> {
+    return await this._request('getRegisteredCoinGecko', { ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3256,15 +4245,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
-   * @param {any} [option] - A reserved parameter
-   * @returns {Promise<any>} - The POS info.
+   * @param {ReservedOption} [option] - A reserved parameter
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<PosInfo>} - The POS info.
    * @example
    * const ret = await sdk.getPosInfo("WAN");
    * console.log(ret);
    * // { "firstBlockNumber": 3560000, "firstEpochId": 18078 }
    */
-  public async getPosInfo(chainType: string, option?: any): Promise<any> {
-    return await this._request('getPosInfo', { chainType, ...(option || {}) });
+  public async getPosInfo(chainType: string, option?: ReservedOption, callOptions?: CallOptions): Promise<PosInfo> {
+    return await this._request('getPosInfo', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3273,15 +4263,16 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {number} epochID - The epochID you want to search.
-   * @param {any} [option] - A reserved parameter
-   * @returns {Promise<Array<any>>} - The the highest block number.
+   * @param {ReservedOption} [option] - A reserved parameter
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<EpochBlockNumber>>} - The the highest block number.
    * @example
    * const ret = await sdk.getMaxBlockNumber("WAN", [18102, 18101]);
    * console.log(ret);
    * // [ { "epochId": 18102, "blockNumber": 3938057, }, { "epochId": 18101, "blockNumber": 3933152, } ]
    */
-  public async getMaxBlockNumber(chainType: string, epochID: number, option?: any): Promise<Array<any>> {
-    return await this._request('getMaxBlockNumber', { chainType, epochID, ...(option || {}) });
+  public async getMaxBlockNumber(chainType: string, epochID: number, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<EpochBlockNumber>> {
+    return await this._request('getMaxBlockNumber', { chainType, epochID, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3290,8 +4281,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {string|Array<string>} address - The validator address you want to search.
-   * @param {any} [option] - A reserved parameter
-   * @returns {Promise<Array<any>>} - The supplementary information.
+   * @param {ReservedOption} [option] - A reserved parameter
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<ValidatorSupStakeInfo>>} - The supplementary information.
    * @example
    * const ret = await sdk.getValidatorSupStakeInfo("WAN", ["0x158bae682e6278a16d09d7c7311074585d38b54d","0x85dae7e5c7b433a1682c54eee63adf63d835d272"]);
    * console.log(ret);
@@ -3308,8 +4300,8 @@ export default class IwanClient extends EventEmitter {
    * //     }
    * // ]
    */
-  public async getValidatorSupStakeInfo(chainType: string, address: string|Array<string>, option?: any): Promise<Array<any>> {
-    return await this._request('getValidatorSupStakeInfo', { chainType, address, ...(option || {}) });
+  public async getValidatorSupStakeInfo(chainType: string, address: string|Array<string>, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<ValidatorSupStakeInfo>> {
+    return await this._request('getValidatorSupStakeInfo', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3318,8 +4310,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {string|Array<string>} address - The delegator's address you want to query.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The supplementary information.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<DelegatorSupStakeInfo>>} - The supplementary information.
    * @example
    * const ret = await sdk.getDelegatorSupStakeInfo("WAN", ["0xc45089dfcf6308d80b377b0a6ffc8bd314273ce0"]);
    * console.log(ret);
@@ -3339,8 +4332,8 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getDelegatorSupStakeInfo(chainType: string, address: string|Array<string>, option?: any): Promise<Array<any>> {
-    return await this._request('getDelegatorSupStakeInfo', { chainType, address, ...(option || {}) });
+  public async getDelegatorSupStakeInfo(chainType: string, address: string|Array<string>, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<DelegatorSupStakeInfo>> {
+    return await this._request('getDelegatorSupStakeInfo', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3349,15 +4342,16 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {number} epochID - The epochID you want to search.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<number>} - The block number.
    * @example
    * const ret = await sdk.getEpochIncentiveBlockNumber("WAN", 18106);
    * console.log(ret);
    * // 4003788
    */
-  public async getEpochIncentiveBlockNumber(chainType: string, epochID: number, option?: any): Promise<number> {
-    return await this._request('getEpochIncentiveBlockNumber', { chainType, epochID, ...(option || {}) });
+  public async getEpochIncentiveBlockNumber(chainType: string, epochID: number, option?: ReservedOption, callOptions?: CallOptions): Promise<number> {
+    return await this._request('getEpochIncentiveBlockNumber', { chainType, epochID, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3366,8 +4360,9 @@ export default class IwanClient extends EventEmitter {
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {number} epochID - The epochID you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The record of stake out infomation.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<EpochStakeOut>>} - The record of stake out infomation.
    * @example
    * const ret = await sdk.getEpochStakeOut("WAN", 18106);
    * console.log(ret);
@@ -3379,8 +4374,8 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getEpochStakeOut(chainType: string, epochID: number, option?: any): Promise<Array<any>> {
-    return await this._request('getEpochStakeOut', { chainType, epochID, ...(option || {}) });
+  public async getEpochStakeOut(chainType: string, epochID: number, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<EpochStakeOut>> {
+    return await this._request('getEpochStakeOut', { chainType, epochID, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3389,15 +4384,16 @@ export default class IwanClient extends EventEmitter {
    * @group Accounts
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
    * @param {string} image - The OTA address.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<boolean>}
    * @example
    * const ret = await sdk.checkOTAUsed("WAN", "xxxxxxx");
    * console.log(ret);
    * // true
    */
-  public async checkOTAUsed(chainType: string, image: string, option?: any): Promise<boolean> {
-    return await this._request('checkOTAUsed', { chainType, image, ...(option || {}) });
+  public async checkOTAUsed(chainType: string, image: string, option?: ReservedOption, callOptions?: CallOptions): Promise<boolean> {
+    return await this._request('checkOTAUsed', { chainType, image, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3407,15 +4403,16 @@ export default class IwanClient extends EventEmitter {
    * @param {string} srvType - The service type.
    * @param {string} funcName - The service URI.
    * @param {string} type - The http request method as string. Currently supports <code>'GET'</code> and <code>'POST'</code>.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<any>} - The service infomation.
    * @example
    * const ret = await sdk.fetchService("bp", "getAddress", "POST", {});
    * console.log(ret);
    * // { "name": "test", "address":"0x3786038ef9c2f659772c6c2ee8402bdfdc511bb5" }
    */
-  public async fetchService(srvType: string, funcName: string, type: string, option?: any): Promise<any> {
-    return await this._request('fetchService', { srvType, funcName, type, ...(option || {}) });
+  public async fetchService(srvType: string, funcName: string, type: string, option?: ReservedOption, callOptions?: CallOptions): Promise<any> {
+    return await this._request('fetchService', { srvType, funcName, type, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3424,15 +4421,16 @@ export default class IwanClient extends EventEmitter {
    * @group Service
    * @param {string} url - The special service request url absolutely.
    * @param {string} type - The http request method as string. Currently supports <code>'GET'</code> and <code>'POST'</code>.
-   * @param {any} [option] - The arguments passing to service API.
+   * @param {ReservedOption} [option] - The arguments passing to service API.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<any>} - The service infomation.
    * @example
    * const ret = await sdk.fetchSpecialService("https://xxx.com:443/getAddress", "POST", {});
    * console.log(ret);
    * // { "name": "test", "address":"0x3786038ef9c2f659772c6c2ee8402bdfdc511bb5" }
    */
-  public async fetchSpecialService(url: string, type: string, option?: any): Promise<any> {
-    return await this._request('fetchSpecialService', { url, type, ...(option || {}) });
+  public async fetchSpecialService(url: string, type: string, option?: ReservedOption, callOptions?: CallOptions): Promise<any> {
+    return await this._request('fetchSpecialService', { url, type, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3440,7 +4438,7 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group Service
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
-   * @param {any} [option] - Optional.
+   * @param {RegisteredTokenLogoOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>tokenScAddr</code> - The token account of <code>'WAN'</code> chain.
    * <br>&nbsp;&nbsp;<code>after</code> - The timestamp after you want to search.
    * <br>&nbsp;&nbsp;<code>isEqual</code> - If you want to query with the <code>isEqual</code>, <code>after</code> is needed. The timestamp including <code>after</code> after you want to search.
@@ -3451,7 +4449,8 @@ export default class IwanClient extends EventEmitter {
    * Set to <code>false</code> (the default) to return the default token logo.
    * <br>&nbsp;&nbsp;&nbsp;&nbsp;
    * Set to <code>true</code> to return all token type logo.
-   * @returns {Promise<Array<any>>} - The records of registered tokens information
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<RegisteredTokenLogo>>} - The records of registered tokens information
    * @example
    * const ret = await sdk.getRegisteredOrigToken("WAN", {after:1577155812700});
    * console.log(ret);
@@ -3465,8 +4464,8 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getRegisteredOrigToken(chainType: string, option?: any): Promise<Array<any>> {
-    return await this._request('getRegisteredOrigToken', { chainType, ...(option || {}) });
+  public async getRegisteredOrigToken(chainType: string, option?: RegisteredTokenLogoOption, callOptions?: CallOptions): Promise<Array<RegisteredTokenLogo>> {
+    return await this._request('getRegisteredOrigToken', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3474,7 +4473,7 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group Service
    * @param {string} chainType - The chain being queried. Currently supports <code>'WAN'</code>, default: <code>'WAN'</code>.
-   * @param {any} [option] - Optional.
+   * @param {RegisteredTokenLogoOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>tokenScAddr</code> - The token account of <code>'WAN'</code> chain.
    * <br>&nbsp;&nbsp;<code>after</code> - The timestamp after you want to search.
    * <br>&nbsp;&nbsp;<code>isEqual</code> - If you want to query with the <code>isEqual</code>, <code>after</code> is needed. The timestamp including <code>after</code> after you want to search.
@@ -3485,7 +4484,8 @@ export default class IwanClient extends EventEmitter {
    * Set to <code>false</code> (the default) to return the default token logo.
    * <br>&nbsp;&nbsp;&nbsp;&nbsp;
    * Set to <code>true</code> to return all token type logo.
-   * @returns {Promise<Array<any>>} - The records of registered token's logo
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<RegisteredTokenLogo>>} - The records of registered token's logo
    * @example
    * const ret = await sdk.getRegisteredTokenLogo("WAN", {after:1577155812700});
    * console.log(ret);
@@ -3499,15 +4499,15 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getRegisteredTokenLogo(chainType: string, option?: any): Promise<Array<any>> {
-    return await this._request('getRegisteredTokenLogo', { chainType, ...(option || {}) });
+  public async getRegisteredTokenLogo(chainType: string, option?: RegisteredTokenLogoOption, callOptions?: CallOptions): Promise<Array<RegisteredTokenLogo>> {
+    return await this._request('getRegisteredTokenLogo', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
    * Get records of registered chain logo.
    * @since 1.1.0
    * @group Service
-   * @param {any} [option] - Optional.
+   * @param {RegisteredChainLogoOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>chainType</code> - The chainType you want to search.
    * <br>&nbsp;&nbsp;<code>after</code> - The timestamp after you want to search.
    * <br>&nbsp;&nbsp;<code>pageIndex</code> - The page index you want to search. If you want to query with the <code>pageIndex</code>, <code>page</code> is needed.
@@ -3516,7 +4516,8 @@ export default class IwanClient extends EventEmitter {
    * Set to <code>false</code> (the default) to return the default token logo.
    * <br>&nbsp;&nbsp;&nbsp;&nbsp;
    * Set to <code>true</code> to return all token type logo.
-   * @returns {Promise<Array<any>>} The records of registered chain logo.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<RegisteredChainLogo>>} - The records of registered chain logo.
    * @example
    * const ret = await sdk.getRegisteredChainLogo({chainType:"WAN", after:1577155812700});
    * console.log(ret);
@@ -3530,18 +4531,19 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getRegisteredChainLogo(option?: any): Promise<Array<any>> {
-    return await this._request('getRegisteredChainLogo', { ...(option || {}) });
+  public async getRegisteredChainLogo(option?: RegisteredChainLogoOption, callOptions?: CallOptions): Promise<Array<RegisteredChainLogo>> {
+    return await this._request('getRegisteredChainLogo', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get records of registered cross-chain token of multi-chain asset.
    * @since 1.1.0
    * @group Service
-   * @param {any} [option] - Optional.
+   * @param {RegisteredMultiChainOrigTokenOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>chainType</code> - The chainType you want to search.
    * <br>&nbsp;&nbsp;<code>symbol</code> - The symbol you want to search.
-   * @returns {Promise<Array<any>>} - The records of registered cross-chain token.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<RegisteredMultiChainOrigToken>>} - The records of registered cross-chain token.
    * @example
    * const ret = await sdk.getRegisteredMultiChainOrigToken({chainType:"ETH"});
    * console.log(ret);
@@ -3553,8 +4555,8 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getRegisteredMultiChainOrigToken(option?: any): Promise<Array<any>> {
-    return await this._request('getRegisteredMultiChainOrigToken', { ...(option || {}) });
+  public async getRegisteredMultiChainOrigToken(option?: RegisteredMultiChainOrigTokenOption, callOptions?: CallOptions): Promise<Array<RegisteredMultiChainOrigToken>> {
+    return await this._request('getRegisteredMultiChainOrigToken', { ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3562,12 +4564,13 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group Service
    * @param {string} chainType - The chain being queried. Default: <code>'WAN'</code>.
-   * @param {any} [option] - Optional.
+   * @param {RegisteredMapTokenOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>tokenScAddr</code> - The token account of <code>'WAN'</code> chain.
    * <br>&nbsp;&nbsp;<code>after</code> - The timestamp after you want to search.
    * <br>&nbsp;&nbsp;<code>pageIndex</code> - The page index you want to search. If you want to query with the <code>pageIndex</code>, <code>page</code> is needed.
    * <br>&nbsp;&nbsp;<code>page</code> - The page size you want to search.
-   * @returns {Promise<Array<any>>} - The records of registered mapping tokens information.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<RegisteredTokenLogo>>} - The records of registered mapping tokens information.
    * @example
    * const ret = await sdk.getRegisteredMapToken("WAN", {after:1577155812700});
    * console.log(ret);
@@ -3581,18 +4584,19 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getRegisteredMapToken(chainType: string, option?: any): Promise<Array<any>> {
-    return await this._request('getRegisteredMapToken', { chainType, ...(option || {}) });
+  public async getRegisteredMapToken(chainType: string, option?: RegisteredMapTokenOption, callOptions?: CallOptions): Promise<Array<RegisteredTokenLogo>> {
+    return await this._request('getRegisteredMapToken', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
    * Get records of registered subgraph info.
    * @since 1.1.0
    * @group Service
-   * @param {any} [option] - Optional.
+   * @param {RegisteredSubgraphOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>chainType</code> - The chainType you want to search.
    * <br>&nbsp;&nbsp;<code>keywords</code> - The keywords you want to search.
-   * @returns {Promise<Array<any>>} - The records of registered subgraph info.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<RegisteredSubgraph>>} - The records of registered subgraph info.
    * @example
    * const ret = await sdk.getRegisteredSubgraph({chainType:"ETH", keywords:["0x..."]});
    * console.log(ret);
@@ -3605,52 +4609,55 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getRegisteredSubgraph(option?: any): Promise<Array<any>> {
-    return await this._request('getRegisteredSubgraph', { ...(option || {}) });
+  public async getRegisteredSubgraph(option?: RegisteredSubgraphOption, callOptions?: CallOptions): Promise<Array<RegisteredSubgraph>> {
+    return await this._request('getRegisteredSubgraph', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get records of registered token issuer info.
    * @since 1.1.0
    * @group Service
-   * @param {any} [option] - Optional.
+   * @param {RegisteredTokenIssuerOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>chainType</code> - The chainType you want to search.
    * <br>&nbsp;&nbsp;<code>tokenScAddr</code> - The tokenScAddr you want to search.
-   * @returns {Promise<Array<any>>} - The records of registered token issuer info.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<RegisteredTokenIssuer>>} - The records of registered token issuer info.
    * @example
    * const ret = await sdk.getRegisteredTokenIssuer({chainType:"ETH", tokenScAddr:"0x0000000000000000000000000000000000000000"});
    * console.log(ret);
    * // [{"chainType":"ETH","isNativeCoin":true,"issuer":"Ethereum","tokenScAddr":"0x0000000000000000000000000000000000000000","tokenType":"erc20","updatedAt":1680000764477}]
    */
-  public async getRegisteredTokenIssuer(option?: any): Promise<Array<any>> {
-    return await this._request('getRegisteredTokenIssuer', { ...(option || {}) });
+  public async getRegisteredTokenIssuer(option?: RegisteredTokenIssuerOption, callOptions?: CallOptions): Promise<Array<RegisteredTokenIssuer>> {
+    return await this._request('getRegisteredTokenIssuer', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get records of registered token list info.
    * @since 1.1.0
    * @group Service
-   * @param {any} [option] - Optional.
+   * @param {RegisteredTokenListOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>chainType</code> - The chainType you want to search.
    * <br>&nbsp;&nbsp;<code>tags</code> - The array of tag you want to search.
    * <br>&nbsp;&nbsp;<code>tokenTypes</code> - The array of token type you want to search.
-   * @returns {Promise<Array<any>>} - The records of registered token list info.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<RegisteredTokenListItem>>} - The records of registered token list info.
    * @example
    * const ret = await sdk.getRegisteredTokenList({chainType:"ETH", tags:["desktop"], tokenTypes:["erc20"]});
    * console.log(ret);
    * // [{"groupTag":"ETH","address":"0x0000000000000000000000000000000000000000","name":"ethereum","symbol":"ETH","decimals":"18","tokenType":"erc20","chainType":"ETH"},{"groupTag":"WAN","address":"0xdd22d37d976648071277306fbf4883cb21ea86c6","name":"WAN@ethereum","symbol":"WAN","decimals":"18","tokenType":"erc20","chainType":"ETH"},...]
    */
-  public async getRegisteredTokenList(option?: any): Promise<Array<any>> {
-    return await this._request('getRegisteredTokenList', { ...(option || {}) });
+  public async getRegisteredTokenList(option?: RegisteredTokenListOption, callOptions?: CallOptions): Promise<Array<RegisteredTokenListItem>> {
+    return await this._request('getRegisteredTokenList', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get all the active storemanGroups, include the info like the groupid, etc.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} [option] - Optional.
+   * @param {ChainIdsOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>chainIds</code> -  Array of chain IDs about the cross chain pair.
-   * @returns {Promise<Array<any>>} - The storeman group active information.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StoremanGroupListItem>>} - The storeman group active information.
    * @example
    * const ret = await sdk.getStoremanGroupList();
    * console.log(ret);
@@ -3703,8 +4710,8 @@ export default class IwanClient extends EventEmitter {
    * //     ... ...
    * // ]
    */
-  public async getStoremanGroupList(option?: any): Promise<Array<any>> {
-    return await this._request('getStoremanGroupList', { ...(option || {}) });
+  public async getStoremanGroupList(option?: ChainIdsOption, callOptions?: CallOptions): Promise<Array<StoremanGroupListItem>> {
+    return await this._request('getStoremanGroupList', { ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3712,10 +4719,11 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChainV2
    * @param {string} groupId - The storeman group ID.
-   * @param {any} [option] - Optional.
+   * @param {EpochRangeOption} [option] - Optional.
    * <br>&nbsp;&nbsp;<code>fromEpoch</code> - The number that begin epochID you want to search.
    * <br>&nbsp;&nbsp;<code>toEpoch</code> - The number that end epochID you want to search.
-   * @returns {Promise<any>} - The storeman group active information.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Record<string, StoremanActivity>>} - The storeman group active information.
    * @example
    * const ret = await sdk.getStoremanGroupActivity("0x0000000000000000000000000000000000000000000031353937383131313430");
    * console.log(ret);
@@ -3727,8 +4735,8 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // }
    */
-  public async getStoremanGroupActivity(groupId: string, option?: any): Promise<any> {
-    return await this._request('getStoremanGroupActivity', { groupId, ...(option || {}) });
+  public async getStoremanGroupActivity(groupId: string, option?: EpochRangeOption, callOptions?: CallOptions): Promise<Record<string, StoremanActivity>> {
+    return await this._request('getStoremanGroupActivity', { groupId, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3738,21 +4746,22 @@ export default class IwanClient extends EventEmitter {
    * @param {string} chainType - The from chain being queried, default: <code>'WAN'</code>.
    * @param {string} groupId - The storeman group ID.
    * @param {Array<string>} symbol - The array of symbol being queried.
-   * @param {any} option - Object:
+   * @param {StoremanGroupQuotaOption} option - Object:
    * <br>&nbsp;&nbsp;<code>targetChainType</code> - The target chain being queried.
    * <br>&nbsp;&nbsp;<code>ignoreReservation</code> - Optional. Whether to ignore the reservation quota:
    * <br>&nbsp;&nbsp;&nbsp;&nbsp;
    * Set to <code>false</code> (the default) to return the quota that deducts the reserved amount.
    * <br>&nbsp;&nbsp;&nbsp;&nbsp;
    * Set to <code>true</code> to return the quota without deducting the reservation amount.
-   * @returns {Promise<Array<any>>} - The storeman group quota information.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StoremanGroupQuota>>} - The storeman group quota information.
    * @example
    * const ret = await sdk.getStoremanInfo("0x13F5c27b1475a61A5fdEaF4e547D9611417c7375");
    * console.log(ret);
    * // [ { "symbol": "BTC", "minQuota": "2", "maxQuota": "3312485144" } ]
    */
-  public async getStoremanGroupQuota(chainType: string, groupId: string, symbol: Array<string>, option: any): Promise<Array<any>> {
-    return await this._request('getStoremanGroupQuota', { chainType, groupId, symbol, ...(option || {}) });
+  public async getStoremanGroupQuota(chainType: string, groupId: string, symbol: Array<string>, option: StoremanGroupQuotaOption, callOptions?: CallOptions): Promise<Array<StoremanGroupQuota>> {
+    return await this._request('getStoremanGroupQuota', { chainType, groupId, symbol, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3760,15 +4769,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChainV2
    * @param {string} groupId - The storeman group ID.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The detail info of one certain storemanGroup.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<StoremanGroupInfo>} - The detail info of one certain storemanGroup.
    * @example
    * const ret = await sdk.getStoremanGroupInfo("0x000000000000000000000000000000000000000000000000006465765f323631");
    * console.log(ret);
    * // {"groupId":"0x000000000000000000000000000000000000000000000000006465765f323631","status":"7","deposit":"1360409999999999999936800","depositWeight":"1506809999999999999905200","selectedCount":"29","memberCount":"29","whiteCount":"1","whiteCountAll":"10","startTime":"1764129600","endTime":"1764734400","registerTime":"1763957830","registerDuration":"779","memberCountDesign":"29","threshold":"21","chain1":"2153201998","chain2":"2147483708","curve1":"1","curve2":"0","tickedCount":"0","minStakeIn":"10000000000000000000000","minDelegateIn":"100000000000000000000","minPartIn":"10000000000000000000000","crossIncoming":"0","gpk1":"0x0bcf65cefe1f016f6578317be6ba72d37d4ff2b79430eec2ca35fd3413fa9ca420d50eedf68f78432982c09bd19043c41ccee1e018ffe5bd474ee535e110ab2f","gpk2":"0x1ac23caa6723194a943e257f294d14308d12055286a1ecb59fd46bcccb9ac56d9451ce3d5a17f3322ebb646f32b5e1823951615d8b32893b220eae27a3126022","delegateFee":"1000","algo1":"1","algo2":"0","gpk3":"0xacafdcc977e4672bf1252eb2d2ba96f8f97c6828c092b6b3dac17c7f2c991fdc4621506ce12f995a464405ad23f9a719cdc650be636ad60dd517a6dfaa7694dc","curve3":"0","algo3":"2"}
    */
-  public async getStoremanGroupInfo(groupId: string, option?: any): Promise<any> {
-    return await this._request('getStoremanGroupInfo', { groupId, ...(option || {}) });
+  public async getStoremanGroupInfo(groupId: string, option?: ReservedOption, callOptions?: CallOptions): Promise<StoremanGroupInfo> {
+    return await this._request('getStoremanGroupInfo', { groupId, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3776,15 +4786,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChainV2
    * @param {Array<string>} groupId - The Array of storeman group ID.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The detail info of multi-storemanGroup.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StoremanGroupInfo>>} - The detail info of multi-storemanGroup.
    * @example
    * const ret = await sdk.getMultiStoremanGroupInfo(["0x000000000000000000000000000000000000000000000000006465765f323631"]);
    * console.log(ret);
    * // [{"groupId":"0x000000000000000000000000000000000000000000000000006465765f323631","status":"7","deposit":"1360409999999999999936800","depositWeight":"1506809999999999999905200","selectedCount":"29","memberCount":"29","whiteCount":"1","whiteCountAll":"10","startTime":"1764129600","endTime":"1764734400","registerTime":"1763957830","registerDuration":"779","memberCountDesign":"29","threshold":"21","chain1":"2153201998","chain2":"2147483708","curve1":"1","curve2":"0","tickedCount":"0","minStakeIn":"10000000000000000000000","minDelegateIn":"100000000000000000000","minPartIn":"10000000000000000000000","crossIncoming":"0","gpk1":"0x0bcf65cefe1f016f6578317be6ba72d37d4ff2b79430eec2ca35fd3413fa9ca420d50eedf68f78432982c09bd19043c41ccee1e018ffe5bd474ee535e110ab2f","gpk2":"0x1ac23caa6723194a943e257f294d14308d12055286a1ecb59fd46bcccb9ac56d9451ce3d5a17f3322ebb646f32b5e1823951615d8b32893b220eae27a3126022","delegateFee":"1000","algo1":"1","algo2":"0","gpk3":"0xacafdcc977e4672bf1252eb2d2ba96f8f97c6828c092b6b3dac17c7f2c991fdc4621506ce12f995a464405ad23f9a719cdc650be636ad60dd517a6dfaa7694dc","curve3":"0","algo3":"2"}]
    */
-  public async getMultiStoremanGroupInfo(groupId: Array<string>, option?: any): Promise<Array<any>> {
-    return await this._request('getMultiStoremanGroupInfo', { groupId, ...(option || {}) });
+  public async getMultiStoremanGroupInfo(groupId: Array<string>, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<StoremanGroupInfo>> {
+    return await this._request('getMultiStoremanGroupInfo', { groupId, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3792,15 +4803,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChainV2
    * @param {string} groupId - The storeman group ID.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The detail config of one certain storemanGroup.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<StoremanGroupConfig>} - The detail config of one certain storemanGroup.
    * @example
    * const ret = await sdk.getStoremanGroupConfig("0x000000000000000000000000000000000000000000000000006465765f323631");
    * console.log(ret);
    * // {"groupId":"0x000000000000000000000000000000000000000000000000006465765f323631","status":"7","deposit":"1360409999999999999936800","chain1":"2153201998","chain2":"2147483708","curve1":"1","curve2":"0","gpk1":"0x0bcf65cefe1f016f6578317be6ba72d37d4ff2b79430eec2ca35fd3413fa9ca420d50eedf68f78432982c09bd19043c41ccee1e018ffe5bd474ee535e110ab2f","gpk2":"0x1ac23caa6723194a943e257f294d14308d12055286a1ecb59fd46bcccb9ac56d9451ce3d5a17f3322ebb646f32b5e1823951615d8b32893b220eae27a3126022","startTime":"1764129600","endTime":"1764734400"}
    */
-  public async getStoremanGroupConfig(groupId: string, option?: any): Promise<any> {
-    return await this._request('getStoremanGroupConfig', { groupId, ...(option || {}) });
+  public async getStoremanGroupConfig(groupId: string, option?: ReservedOption, callOptions?: CallOptions): Promise<StoremanGroupConfig> {
+    return await this._request('getStoremanGroupConfig', { groupId, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3808,15 +4820,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChainV2
    * @param {string} wkAddr - The storeman wkAddr being queried.
-   * @param {any} [option] - A reserved parameter
-   * @returns {Promise<any>} - The detail info of one certain storeman.
+   * @param {ReservedOption} [option] - A reserved parameter
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<StoremanInfo>} - The detail info of one certain storeman.
    * @example
    * const ret = await sdk.getStoremanInfo("0x13F5c27b1475a61A5fdEaF4e547D9611417c7375");
    * console.log(ret);
    * // {"sender":"0xAf840473fDd273fB1e3347F8e6e555cb8F2a240F","enodeID":"0x39c0251b5f6b8acf1458d14cb6a0c237fdc88460832c441b02b0fa3abb21dc7bbab2698e0800035bbf4e0c3c4c210f30ec400273a7ae985200bff2a7a8ad6972","PK":"0x20490b3a57ca48824c496307a5c8c8b23fed70b8304defd936200ff6d3efffa7bb8395ff73da3bdd4240f73d20c55e95dc0b3971595a652bb893fc7eca2eeb13","wkAddr":"0x13F5c27b1475a61A5fdEaF4e547D9611417c7375","isWhite":false,"quited":false,"delegatorCount":"2","delegateDeposit":"200000000000000000000","partnerCount":"0","partnerDeposit":"0","crossIncoming":"34482758620689655","slashedCount":"0","incentivedDelegator":"0","incentivedDay":"20531","groupId":"0x000000000000000000000000000000000000000000000000006465765f323737","nextGroupId":"0x0000000000000000000000000000000000000000000000000000000000000000","deposit":"10099999999999999998600","incentive":"3794897724406368827197","delegatorInCount":"1","delegateInDeposit":"100000000000000000000"}
    */
-  public async getStoremanInfo(wkAddr: string, option?: any): Promise<any> {
-    return await this._request('getStoremanInfo', { wkAddr, ...(option || {}) });
+  public async getStoremanInfo(wkAddr: string, option?: ReservedOption, callOptions?: CallOptions): Promise<StoremanInfo> {
+    return await this._request('getStoremanInfo', { wkAddr, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3824,30 +4837,32 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChainV2
    * @param {string} wkAddr - The storeman wkAddr being queried.
-   * @param {any} [option] - A reserved parameter
-   * @returns {Promise<Array<any>>} - The detail info of multi certain storeman.
+   * @param {ReservedOption} [option] - A reserved parameter
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StoremanInfo>>} - The detail info of multi certain storeman.
    * @example
    * const ret = await sdk.getMultiStoremanInfo(["0x13F5c27b1475a61A5fdEaF4e547D9611417c7375"]);
    * console.log(ret);
    * // [{"sender":"0xAf840473fDd273fB1e3347F8e6e555cb8F2a240F","enodeID":"0x39c0251b5f6b8acf1458d14cb6a0c237fdc88460832c441b02b0fa3abb21dc7bbab2698e0800035bbf4e0c3c4c210f30ec400273a7ae985200bff2a7a8ad6972","PK":"0x20490b3a57ca48824c496307a5c8c8b23fed70b8304defd936200ff6d3efffa7bb8395ff73da3bdd4240f73d20c55e95dc0b3971595a652bb893fc7eca2eeb13","wkAddr":"0x13F5c27b1475a61A5fdEaF4e547D9611417c7375","isWhite":false,"quited":false,"delegatorCount":"2","delegateDeposit":"200000000000000000000","partnerCount":"0","partnerDeposit":"0","crossIncoming":"34482758620689655","slashedCount":"0","incentivedDelegator":"0","incentivedDay":"20531","groupId":"0x000000000000000000000000000000000000000000000000006465765f323737","nextGroupId":"0x0000000000000000000000000000000000000000000000000000000000000000","deposit":"10099999999999999998600","incentive":"3794897724406368827197","delegatorInCount":"1","delegateInDeposit":"100000000000000000000"}]
    */
-  public async getMultiStoremanInfo(wkAddr: Array<string>, option?: any): Promise<Array<any>> {
-    return await this._request('getMultiStoremanInfo', { wkAddr, ...(option || {}) });
+  public async getMultiStoremanInfo(wkAddr: Array<string>, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<StoremanInfo>> {
+    return await this._request('getMultiStoremanInfo', { wkAddr, ...(option || {}) }, callOptions);
   }
 
   /**
    * Get the conf info of one certain storeman, include the info about backupCount, standaloneWeight, delegatorDeposit and delegationMulti.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} [option] - A reserved parameter
-   * @returns {Promise<any>} - The conf info.
+   * @param {ReservedOption} [option] - A reserved parameter
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<StoremanConf>} - The conf info.
    * @example
    * const ret = await sdk.getStoremanConf();
    * console.log(ret);
    * // {"backupCount":"9","standaloneWeight":"15000","delegationMulti":"10"}
    */
-  public async getStoremanConf(option?: any): Promise<any> {
-    return await this._request('getStoremanConf', { ...(option || {}) });
+  public async getStoremanConf(option?: ReservedOption, callOptions?: CallOptions): Promise<StoremanConf> {
+    return await this._request('getStoremanConf', { ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3855,8 +4870,9 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChainV2
    * @param {string} groupId - The storeman group ID.
-   * @param {any} [option] - A reserved parameter
-   * @returns {Promise<Arr<any>>} - The storeman candidates info.
+   * @param {ReservedOption} [option] - A reserved parameter
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StoremanCandidate>>} - The storeman candidates info.
    * @example
    * const ret = await sdk.getStoremanCandidates("0x0000000000000000000000000000000000000000000000003133323936333039");
    * console.log(ret);
@@ -3878,15 +4894,15 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getStoremanCandidates(groupId: string, option?: any): Promise<Array<any>> {
-    return await this._request('getStoremanCandidates', { groupId, ...(option || {}) });
+  public async getStoremanCandidates(groupId: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<StoremanCandidate>> {
+    return await this._request('getStoremanCandidates', { groupId, ...(option || {}) }, callOptions);
   }
 
   /**
   * @ignore
   */
-  public async getStoremanCandidatesV2(groupId: string, option?: any): Promise<Array<any>> {
-    return await this._request('getStoremanCandidatesV2', { groupId, ...(option || {}) });
+  public async getStoremanCandidatesV2(groupId: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<StoremanCandidate>> {
+    return await this._request('getStoremanCandidatesV2', { groupId, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -3894,8 +4910,9 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChainV2
    * @param {string} groupId - The storeman group ID being queried.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The storeman member info.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StoremanGroupMember>>} - The storeman member info.
    * @example
    * const ret = await sdk.getStoremanGroupMember("0x0000000000000000000000000000000000000000000031353938353934383939");
    * console.log(ret);
@@ -3922,82 +4939,86 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getStoremanGroupMember(groupId: string, option?: any): Promise<Array<any>> {
-    return await this._request('getStoremanGroupMember', { groupId, ...(option || {}) });
+  public async getStoremanGroupMember(groupId: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<StoremanGroupMember>> {
+    return await this._request('getStoremanGroupMember', { groupId, ...(option || {}) }, callOptions);
   }
 
   /**
   * @ignore
   */
-  public async getStoremanGroupMemberV2(groupId: string, option?: any): Promise<Array<any>> {
-    return await this._request('getStoremanGroupMemberV2', { groupId, ...(option || {}) });
+  public async getStoremanGroupMemberV2(groupId: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<StoremanGroupMember>> {
+    return await this._request('getStoremanGroupMemberV2', { groupId, ...(option || {}) }, callOptions);
   }
 
   /**
    * Get the stake info of certain storeman.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} [option] - Optional:
+   * @param {StoremanStakeInfoOption} [option] - Optional:
    * <br>&nbsp;&nbsp;<code>address</code> - The array of storeman from address being queried.
    * <br>&nbsp;&nbsp;<code>wkAddr</code> - The string of storeman work address being queried.
    * <br>&nbsp;&nbsp;<code>groupId</code> - The string of storeman group ID being queried.
-   * @returns {Promise<Array<any>>} - The stake info.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StoremanStakeInfo>>} - The stake info.
    * @example
    * const ret = await sdk.getSupportedChainInfo();
    * console.log(ret);
    * // [{"enodeID":"0x39c0251b5f6b8acf1458d14cb6a0c237fdc88460832c441b02b0fa3abb21dc7bbab2698e0800035bbf4e0c3c4c210f30ec400273a7ae985200bff2a7a8ad6972","PK":"0x20490b3a57ca48824c496307a5c8c8b23fed70b8304defd936200ff6d3efffa7bb8395ff73da3bdd4240f73d20c55e95dc0b3971595a652bb893fc7eca2eeb13","wkAddr":"0x13F5c27b1475a61A5fdEaF4e547D9611417c7375","isWhite":false,"quited":false,"delegatorCount":"2","delegateDeposit":"100000000000000000000","partnerCount":"0","partnerDeposit":"0","crossIncoming":"34482758620689655","slashedCount":"0","incentivedDelegator":"0","incentivedDay":"20531","groupId":"0x000000000000000000000000000000000000000000000000006465765f323737","nextGroupId":"0x0000000000000000000000000000000000000000000000000000000000000000","deposit":"10099999999999999998600","incentive":"3794897724406368827197","canStakeOut":true,"canStakeClaim":false,"selectedCount":29,"rank":19,"activity":1,"from":"0xAf840473fDd273fB1e3347F8e6e555cb8F2a240F"}]
    */
-  public async getStoremanStakeInfo(option?: any): Promise<Array<any>> {
-    return await this._request('getStoremanStakeInfo', { ...(option || {}) });
+  public async getStoremanStakeInfo(option?: StoremanStakeInfoOption, callOptions?: CallOptions): Promise<Array<StoremanStakeInfo>> {
+    return await this._request('getStoremanStakeInfo', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get the total incentive info of certain storeman stake.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} option - Object:
+   * @param {StoremanIncentiveOption} option - Object:
    * <br>&nbsp;&nbsp;<code>address</code> - Optional, the array of storeman from address being queried.
    * <br>&nbsp;&nbsp;<code>wkAddr</code> - Optional, the string of storeman work address being queried.
    * <br>&nbsp;&nbsp;<code>groupId</code> - Optional, the string of storeman group ID being queried.
    * <br>&nbsp;&nbsp;<code>fromBlock</code> - Optional, the number of the earliest block (latest may be given to mean the most recent, block). By default 0.
    * <br>&nbsp;&nbsp;<code>toBlock</code> - Optional, the number of the latest block (latest may be given to mean the most recent, block). By default latest.
-   * @returns {Promise<Array<any>>} - The total incentive info.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StoremanIncentive>>} - The total incentive info.
    * @example
    * const ret = await sdk.getStoremanStakeTotalIncentive({wkAddr: "0xe1e90b389ACB31c4C16aC5a2b5BBfFA927823c69"});
    * console.log(ret);
    * // [{"wkAddr":"0xe1e90b389ACB31c4C16aC5a2b5BBfFA927823c69","amount":"0","from":"0x0F02ac5D6015521b4fC33eE45Dce87870489781b","timestamp":1602319385},{"wkAddr":"0x2bbCf2f1F8F0BB3dC2E68dEcc292836E91f1BDF1","amount":"14444518831464769629339","from":"0x0F02ac5D6015521b4fC33eE45Dce87870489781b","timestamp":1650425785}]
    */
-  public async getStoremanStakeTotalIncentive(option: any): Promise<Array<any>> {
-    return await this._request('getStoremanStakeTotalIncentive', { ...(option || {}) });
+  public async getStoremanStakeTotalIncentive(option: StoremanIncentiveOption, callOptions?: CallOptions): Promise<Array<StoremanIncentive>> {
+    return await this._request('getStoremanStakeTotalIncentive', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get the delegator info on certain storeman.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} option - Object:
+   * @param {StoremanDelegatorInfoOption} option - Object:
    * <br>&nbsp;&nbsp;<code>address</code> - Optional, the array of delegator's address being queried.
    * <br>&nbsp;&nbsp;<code>wkAddr</code> - Optional, the array of storeman work address being queried.
-   * @returns {Promise<Array<any>>} - The total incentive info.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StoremanDelegatorInfo>>} - The total incentive info.
    * @example
    * const ret = await sdk.getStoremanDelegatorInfo({wkAddr: ["0xef1Df88aB86Ce47baCB01ccB52818E87DdE08137"]});
    * console.log(ret);
    * // [{"from":"0x3Bc3048da78D305613482ef4199015d899bb4A01","wkAddr":"0xef1Df88aB86Ce47baCB01ccB52818E87DdE08137","deposit":"100000000000000000000","incentive":"2091483709531610240","groupId":"0x000000000000000000000000000000000000000000746573746e65745f303836","wkStake":{"deposit":"1889000000000000000000000","delegateDeposit":"136232000000000000000000","partnerDeposit":"10001000000000000000000"},"chain1":[2153201998,"WAN","Wanchain",5718350],"chain2":[2147483708,"ETH","Ethereum",60],"quited":true,"canDelegateOut":false,"canDelegateClaim":true}]
    */
-  public async getStoremanDelegatorInfo(option: any): Promise<Array<any>> {
-    return await this._request('getStoremanDelegatorInfo', { ...(option || {}) });
+  public async getStoremanDelegatorInfo(option: StoremanDelegatorInfoOption, callOptions?: CallOptions): Promise<Array<StoremanDelegatorInfo>> {
+    return await this._request('getStoremanDelegatorInfo', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get the delegator total incentive info.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} option - Object:
+   * @param {StoremanIncentiveOption} option - Object:
    * <br>&nbsp;&nbsp;<code>address</code> - The array of storeman from address being queried.
    * <br>&nbsp;&nbsp;<code>wkAddr</code> - The string of storeman work address being queried.
    * <br>&nbsp;&nbsp;<code>fromBlock</code> - Optional, the number of the earliest block (latest may be given to mean the most recent, block). By default `0`.
    * <br>&nbsp;&nbsp;<code>toBlock</code> - Optional, the number of the latest block (latest may be given to mean the most recent, block). By default `latest`.
-   * @returns {Promise<Array<any>>} - The total incentive info.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StoremanIncentive>>} - The total incentive info.
    * @example
    * const ret = await sdk.getStoremanDelegatorTotalIncentive({"wkAddr":"0x5c770cbf582d770b93ca90adad7e6bd33fabc44c"});
    * console.log(ret);
@@ -4011,20 +5032,21 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getStoremanDelegatorTotalIncentive(option: any): Promise<Array<any>> {
-    return await this._request('getStoremanDelegatorTotalIncentive', { ...(option || {}) });
+  public async getStoremanDelegatorTotalIncentive(option: StoremanIncentiveOption, callOptions?: CallOptions): Promise<Array<StoremanIncentive>> {
+    return await this._request('getStoremanDelegatorTotalIncentive', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get the gpk slash info of certain storeman.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} option - Object:
+   * @param {StoremanSlashInfoOption} option - Object:
    * <br>&nbsp;&nbsp;<code>wkAddr</code> - The array of storeman work address being queried.
    * <br>&nbsp;&nbsp;<code>groupId</code> - The string of storeman group ID being queried.
    * <br>&nbsp;&nbsp;<code>fromBlock</code> - Optional, the number of the earliest block (latest may be given to mean the most recent, block). By default 0.
    * <br>&nbsp;&nbsp;<code>toBlock</code> - Optional, the number of the latest block (latest may be given to mean the most recent, block). By default latest.
-   * @returns {Promise<Array<any>>} - The gpk slash info.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StoremanSlashInfo>>} - The gpk slash info.
    * @example
    * const ret = await sdk.getStoremanGpkSlashInfo({"wkAddr":["0x2EBE3b8D6019AFb1ee724F56081D91b803e8553f"]});
    * console.log(ret);
@@ -4040,20 +5062,21 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getStoremanGpkSlashInfo(option: any): Promise<Array<any>> {
-    return await this._request('getStoremanGpkSlashInfo', { ...(option || {}) });
+  public async getStoremanGpkSlashInfo(option: StoremanSlashInfoOption, callOptions?: CallOptions): Promise<Array<StoremanSlashInfo>> {
+    return await this._request('getStoremanGpkSlashInfo', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get the sign slash info of certain storeman.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} option - Object:
+   * @param {StoremanSlashInfoOption} option - Object:
    * <br>&nbsp;&nbsp;<code>wkAddr</code> - The array of storeman work address being queried.
    * <br>&nbsp;&nbsp;<code>groupId</code> - The string of storeman group ID being queried.
    * <br>&nbsp;&nbsp;<code>fromBlock</code> - Optional, the number of the earliest block (latest may be given to mean the most recent, block). By default 0.
    * <br>&nbsp;&nbsp;<code>toBlock</code> - Optional, the number of the latest block (latest may be given to mean the most recent, block). By default latest.
-   * @returns {Promise<Array<any>>} - The sign slash info.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<StoremanSlashInfo>>} - The sign slash info.
    * @example
    * const ret = await sdk.getStoremanSignSlashInfo({groupId:"0x000000000000000000000000000000000000000000746573746e65745f303032", "wkAddr":["0x5793e629c061e7fd642ab6a1b4d552cec0e2d606"]});
    * console.log(ret);
@@ -4069,19 +5092,20 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getStoremanSignSlashInfo(option: any): Promise<Array<any>> {
-    return await this._request('getStoremanSignSlashInfo', { ...(option || {}) });
+  public async getStoremanSignSlashInfo(option: StoremanSlashInfoOption, callOptions?: CallOptions): Promise<Array<StoremanSlashInfo>> {
+    return await this._request('getStoremanSignSlashInfo', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get the info of all register tokenPairs, like fromChainID, toChainID, tokenAddress.
    * @since 1.1.0
    * @group TokensV2
-   * @param {any} [option] - Optional:
+   * @param {TokenPairsOption} [option] - Optional:
    * <br>&nbsp;&nbsp;<code>chainIds</code> - Optional, the array of two chain IDs of cross chain pair.
    * <br>&nbsp;&nbsp;<code>tags</code> - Optional, the array of tag of cross chain pair, should be in [<code>"desktop"</code>, <code>"bridge"</code>, <code>"bridgeBeta"</code>].
    * <br>&nbsp;&nbsp;<code>isAllTokenPairs</code> - Optional, the boolean flag of cross chain pair, using true to return all token pairs, include not yet online token pairs.
-   * @returns {Promise<Array<any>>} - The token pairs.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<TokenPair>>} - The token pairs.
    * @example
    * const ret = await sdk.getSupportedChainInfo();
    * console.log(ret);
@@ -4111,8 +5135,8 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getTokenPairs(option?: any): Promise<Array<any>> {
-    return await this._request('getTokenPairs', { ...(option || {}) });
+  public async getTokenPairs(option?: TokenPairsOption, callOptions?: CallOptions): Promise<Array<TokenPair>> {
+    return await this._request('getTokenPairs', { ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4120,8 +5144,9 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group TokensV2
    * @param {string} id - The ID of tokenPair being queried.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The token pair infomation.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<TokenPair>} - The token pair infomation.
    * @example
    * const ret = await sdk.getTokenPairInfo("1"));
    * console.log(ret);
@@ -4146,8 +5171,8 @@ export default class IwanClient extends EventEmitter {
    * //   toAccountType: 'Erc20'
    * // }
    */
-  public async getTokenPairInfo(id: string, option?: any): Promise<any> {
-    return await this._request('getTokenPairInfo', { id, ...(option || {}) });
+  public async getTokenPairInfo(id: string, option?: ReservedOption, callOptions?: CallOptions): Promise<TokenPair> {
+    return await this._request('getTokenPairInfo', { id, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4155,8 +5180,9 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group TokensV2
    * @param {string} id - The ID of tokenPair being queried.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The info of tokenPair Ancestor.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<TokenPairAncestorInfo>} - The info of tokenPair Ancestor.
    * @example
    * const ret = await sdk.getTokenPairAncestorInfo("1"));
    * console.log(ret);
@@ -4168,34 +5194,36 @@ export default class IwanClient extends EventEmitter {
    * //   chainId: '2147483708'
    * // }
    */
-  public async getTokenPairAncestorInfo(id: string, option?: any): Promise<any> {
-    return await this._request('getTokenPairAncestorInfo', { id, ...(option || {}) });
+  public async getTokenPairAncestorInfo(id: string, option?: ReservedOption, callOptions?: CallOptions): Promise<TokenPairAncestorInfo> {
+    return await this._request('getTokenPairAncestorInfo', { id, ...(option || {}) }, callOptions);
   }
 
   /**
    * Get all register tokenPairIDs.
    * @since 1.1.0
    * @group TokensV2
-   * @param {any} [option] - Optional:
+   * @param {ChainIdsOption} [option] - Optional:
    * <br>&nbsp;&nbsp;<code>chainIds</code> - Optional, the array of two chain IDs of cross chain pair.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<Array<string>>} - The token pairs.
    * @example
    * const ret = await sdk.getTokenPairIDs();
    * console.log(ret);
    * // [ '1',   '2',   '3', ... ]
    */
-  public async getTokenPairIDs(option?: any): Promise<Array<string>> {
-    return await this._request('getTokenPairIDs', { ...(option || {}) });
+  public async getTokenPairIDs(option?: ChainIdsOption, callOptions?: CallOptions): Promise<Array<string>> {
+    return await this._request('getTokenPairIDs', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get the chainInfo by the chain id which is used as hardened derivation in BIP44.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} option - Object:
+   * @param {ChainConstantInfoOption} option - Object:
    * <br>&nbsp;&nbsp;<code>chainId</code> - The chain id that you want to search, should like <code>"2153201998"</code>. Adding it to 2^31 to get the final hardened key index, 0x80000000 + 5718350(chain index) = 0x8057414e.
    * <br>&nbsp;&nbsp;<code>symbol</code> - The chain symbol that you want to search, should like <code>"WAN"</code>.
    * <br>&nbsp;&nbsp;<code>index</code> - The chain index that you want to search, should like <code>"5718350"</code>.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<Array<string|number>>} - The chain infomation.
    * @example
    * const ret = await sdk.getChainConstantInfo({"chainId":"2153201998"});
@@ -4207,16 +5235,17 @@ export default class IwanClient extends EventEmitter {
    * //   "5718350" // chainIndex
    * // ]
    */
-  public async getChainConstantInfo(option: any): Promise<Array<string|number>> {
-    return await this._request('getChainConstantInfo', { ...(option || {}) });
+  public async getChainConstantInfo(option: ChainConstantInfoOption, callOptions?: CallOptions): Promise<Array<string|number>> {
+    return await this._request('getChainConstantInfo', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get the supported chain info.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The supported chain info.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<SupportedChainInfo>>} - The supported chain info.
    * @example
    * const ret = await sdk.getSupportedChainInfo();
    * console.log(ret);
@@ -4235,51 +5264,82 @@ export default class IwanClient extends EventEmitter {
    * //   ... ...
    * // ]
    */
-  public async getSupportedChainInfo(option?: any): Promise<Array<any>> {
-    return await this._request('getSupportedChainInfo', { ...(option || {}) });
+  public async getSupportedChainInfo(option?: ReservedOption, callOptions?: CallOptions): Promise<Array<SupportedChainInfo>> {
+    return await this._request('getSupportedChainInfo', { ...(option || {}) }, callOptions);
+  }
+
+  /**
+   * Refresh the {@link chains} of this client from {@link getSupportedChainInfo}, so that chains added on the
+   * server side pass `chainType` validation and resolve by chain ID. Other clients and the shared
+   * {@link chainRegistry} are left unchanged.
+   * @since 2.1.0
+   * @group CrossChainV2
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<ChainInfo>>} - The metadata of the supported chains.
+   * @example
+   * await sdk.refreshChainRegistry();
+   * console.log(sdk.chains.byChainId(2153201998));
+   * // {
+   * //   chainType: 'WAN',
+   * //   chainId: 2153201998,
+   * //   chainIndex: 5718350,
+   * //   family: 'EVM',
+   * //   symbol: 'WAN',
+   * //   decimals: 18,
+   * //   addressFormat: 'hex',
+   * //   name: 'Wanchain',
+   * //   evmChainId: 888
+   * // }
+   */
+  public async refreshChainRegistry(callOptions?: CallOptions): Promise<Array<ChainInfo>> {
+    const infos = await this.getSupportedChainInfo(undefined, callOptions);
+    return this.chains.update(infos);
   }
 
   /**
    * Get incentive count of all store man during special epochs.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} option - Object:
+   * @param {PrdInctMetricOption} option - Object:
    * <br>&nbsp;&nbsp;<code>groupId</code> - The string of storeman group ID being queried.
    * <br>&nbsp;&nbsp;<code>fromEpoch</code> - Optional, the number of start epoch ID being queried.
    * <br>&nbsp;&nbsp;<code>toEpoch</code> - Optional, the number of end epoch ID being queried.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<Array<string>>} - The incentive count.
    * @example
    * const ret = await sdk.getPrdInctMetric({groupId: "0x000000000000000000000000000000000000000000000000006465765f323736"});
    * console.log(ret);
    * // ["4","4","4", ... ]
    */
-  public async getPrdInctMetric(option: any): Promise<Array<string>> {
-    return await this._request('getPrdInctMetric', { ...(option || {}) });
+  public async getPrdInctMetric(option: PrdInctMetricOption, callOptions?: CallOptions): Promise<Array<string>> {
+    return await this._request('getPrdInctMetric', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get the selected storeman information of the specified index, including wkAddr, PK, enodeId, etc.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} option - Object:
+   * @param {SelectedSmInfoOption} option - Object:
    * <br>&nbsp;&nbsp;<code>groupId</code> - The string of storeman group ID being queried.
    * <br>&nbsp;&nbsp;<code>index</code> - The number of index being queried.
-   * @returns {Promise<any>} - The selected storeman information.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<SelectedSmInfo>} - The selected storeman information.
    * @example
    * const ret = await sdk.getSelectedSmInfo({groupId: "0x000000000000000000000000000000000000000000000000006465765f323736", index: 0});
    * console.log(ret);
    * // {"wkAddr":"0x6f72Ca2ee51b765baEB744dc59734DE68134f7e9","PK":"0xcbadd190d961a8ec5b990cc1f2c1f6478cdc1f914aa3d85e86febc9ad8cd939183175e91a2b7fdf7db57ad6c877bf8d149f67a2a31638b35249d949c74157e85","enodeId":"0xcb715d7e634dc428beed2ecabf8bc9600cb32a7566866cfeb412b0caf80bfebd03712e75a788e6716f633eaa7defb3fa85079ca9b5573df45ede836c0b38ac8d"}
    */
-  public async getSelectedSmInfo(option: any): Promise<any> {
-    return await this._request('getSelectedSmInfo', { ...(option || {}) });
+  public async getSelectedSmInfo(option: SelectedSmInfoOption, callOptions?: CallOptions): Promise<SelectedSmInfo> {
+    return await this._request('getSelectedSmInfo', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get all the selected storeman.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} option - Object:
+   * @param {GroupIdOption} option - Object:
    * <br>&nbsp;&nbsp;<code>groupId</code> - The string of storeman group ID being queried.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<Array<string>>} - The array of all selected storeman information.
    * @example
    * const ret = await sdk.getSelectedStoreman({groupId: "0x000000000000000000000000000000000000000000000000006465765f323736"});
@@ -4316,40 +5376,42 @@ export default class IwanClient extends EventEmitter {
    * //   "0x0ca7D37367898a2eb2a7B3bD0Bc1e95AA26779b6"
    * // ]
    */
-  public async getSelectedStoreman(option: any): Promise<Array<string>> {
-    return await this._request('getSelectedStoreman', { ...(option || {}) });
+  public async getSelectedStoreman(option: GroupIdOption, callOptions?: CallOptions): Promise<Array<string>> {
+    return await this._request('getSelectedStoreman', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get the information delegated to certain storeman.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} option - Object:
+   * @param {SmDelegatorInfoOption} option - Object:
    * <br>&nbsp;&nbsp;<code>address</code> - Optional, the array of delegator's address being queried.
    * <br>&nbsp;&nbsp;<code>wkAddr</code> - The string of storeman work address being queried.
-   * @returns {Promise<any>} - The information delegated to certain storeman.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<SmDelegatorInfo>} - The information delegated to certain storeman.
    * @example
    * const ret = await sdk.getSmDelegatorInfo({address:"0x713668d2a4dfb3bb8265054615cfe83217c07d8b",wkAddr:"0x5a82fbfc7d85fed5e30387f1b3df7cc24e282591"});
    * console.log(ret);
    * // {"sender":"0x713668D2a4dfB3Bb8265054615cFe83217c07d8b","deposit":"0","incentive":"0","quited":false}
    */
-  public async getSmDelegatorInfo(option: any): Promise<any> {
-    return await this._request('getSmDelegatorInfo', { ...(option || {}) });
+  public async getSmDelegatorInfo(option: SmDelegatorInfoOption, callOptions?: CallOptions): Promise<SmDelegatorInfo> {
+    return await this._request('getSmDelegatorInfo', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get the reward ratio.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The reward ratio.
    * @example
    * const ret = await sdk.getRewardRatio();
    * console.log(ret);
    * // "0.1000"
    */
-  public async getRewardRatio(option?: any): Promise<string> {
-    return await this._request('getRewardRatio', { ...(option || {}) });
+  public async getRewardRatio(option?: ReservedOption, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getRewardRatio', { ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4357,16 +5419,17 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChainV2
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
-   * @param {Array<any>} calls - The array of call data.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The code at a specific address.
+   * @param {Array<MultiCallTarget>} calls - The array of call data.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<MultiCallResult>} - The code at a specific address.
    * @example
    * const ret = await sdk.multiCall("XDC", [{"target":"0xd4b5f10d61916bd6e0860144a91ac658de8a1437","call":["symbol()(string)"],"returns":[["token_symbol"]]}]);
    * console.log(ret);
    * // {"results":{"blockNumber":{"_hex":"0x04c358f8"},"original":{"token_symbol":"USDT"},"transformed":{"token_symbol":"USDT"}},"keyToArgMap":{}}
    */
-  public async multiCall(chainType: string, calls: Array<any>, option?: any): Promise<any> {
-    return await this._request('multiCall', { chainType, calls, ...(option || {}) });
+  public async multiCall(chainType: string, calls: Array<MultiCallTarget>, option?: ReservedOption, callOptions?: CallOptions): Promise<MultiCallResult> {
+    return await this._request('multiCall', { chainType, calls, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4374,9 +5437,10 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChainV2
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
-   * @param {Array<any>} calls - The array of call data.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The code at a specific address.
+   * @param {Array<MultiCall2Target>} calls - The array of call data.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<MultiCall2Result>>} - The code at a specific address.
    * @example
    * var targetInfo = [{
         address:"0xd4b5f10d61916bd6e0860144a91ac658de8a1437"
@@ -4390,8 +5454,8 @@ export default class IwanClient extends EventEmitter {
    * console.log(ret);
    * // [{"result":[{"token_symbol":"USDT"}],"status":[true]}]
    */
-  public async multiCall2(chainType: string, calls: Array<any>, option?: any): Promise<any> {
-    return await this._request('multiCall2', { chainType, calls, ...(option || {}) });
+  public async multiCall2(chainType: string, calls: Array<MultiCall2Target>, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<MultiCall2Result>> {
+    return await this._request('multiCall2', { chainType, calls, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4400,15 +5464,16 @@ export default class IwanClient extends EventEmitter {
    * @group CrossChainV2
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other EVM chains.
    * @param {string} address - The account being queried.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The code at a specific address.
    * @example
    * const ret = await sdk.getCode("WAN", "0x5543C66182209CDB5d3763a25990781853461610");
    * console.log(ret);
    * // "0x608060..."
    */
-  public async getCode(chainType: string, address: string, option?: any): Promise<string> {
-    return await this._request('getCode', { chainType, address, ...(option || {}) });
+  public async getCode(chainType: string, address: string, option?: ReservedOption, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getCode', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4417,18 +5482,19 @@ export default class IwanClient extends EventEmitter {
    * @group PrivateTrans
    * @param {string} chainType - The chain being queried. Currently supports <code>'BTC'</code>.
    * @param {string} feeType - The type of fee that you want to search, should be <code>"lock"</code> or <code>"release"</code>.
-   * @param {any} [option] - Optional:
+   * @param {NetworkFeeOption} [option] - Optional:
    * <br>&nbsp;&nbsp;<code>target</code> - The numeric of confirmation target in blocks (1 - 1008), use 1 as default.
    * <br>&nbsp;&nbsp;<code>mode</code> - The string of fee estimate mode, use "CONSERVATIVE" as default.
    * <br>&nbsp;&nbsp;<code>feeRate</code> - The numeric of estimate fee rate.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string|number>} - The network fee.
    * @example
    * const ret = await sdk.estimateNetworkFee("BTC", "lock", {feeRate: 34});
    * console.log(ret);
    * // "16864"
    */
-  public async estimateNetworkFee(chainType: string, feeType: 'lock'|'release', option?: any): Promise<string|number> {
-    return await this._request('estimateNetworkFee', { chainType, feeType, ...(option || {}) });
+  public async estimateNetworkFee(chainType: string, feeType: 'lock'|'release', option?: NetworkFeeOption, callOptions?: CallOptions): Promise<string|number> {
+    return await this._request('estimateNetworkFee', { chainType, feeType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4436,15 +5502,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group Blocks
    * @param {string} chainType - The chain being queried. Currently supports <code>"XRP"</code>.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The current latest ledger version.
    * @example
    * const ret = await sdk.getLedgerVersion("XRP");
    * console.log(ret);
    * // 15905577
    */
-  public async getLedgerVersion(chainType: string, option?: any): Promise<string|number> {
-    return await this._request('getLedgerVersion', { chainType, ...(option || {}) });
+  public async getLedgerVersion(chainType: string, option?: ReservedOption, callOptions?: CallOptions): Promise<string|number> {
+    return await this._request('getLedgerVersion', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4452,11 +5519,12 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group Blocks
    * @param {string} chainType - The chain being queried. Currently supports <code>"XRP"</code>.
-   * @param {any} option - Object:
+   * @param {LedgerOption} option - Object:
    * <br>&nbsp;&nbsp;<code>ledgerHash</code> - Optional, the ledger hash you want to search.
    * <br>&nbsp;&nbsp;<code>ledgerVersion</code> - Optional, the ledger version you want to search.
    * <br>&nbsp;&nbsp;<code>version</code> - The result format version you want to search.
-   * @returns {Promise<any>} - The ledger information.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<XrpLedger>} - The ledger information.
    * @example
    * const ret = await sdk.getLedger("XRP", {ledgerHash: "8319E0F8538525840EBE2E709A48659BB2A4783C9996ECDE93DE2E387C6F5183"});
    * // const ret = await sdk.getLedger("XRP", {ledgerVersion: 15905577});
@@ -4478,8 +5546,8 @@ export default class IwanClient extends EventEmitter {
    * //   ]
    * // }
    */
-  public async getLedger(chainType: string, option: any): Promise<any> {
-    return await this._request('getLedger', { chainType, ...(option || {}) });
+  public async getLedger(chainType: string, option: LedgerOption, callOptions?: CallOptions): Promise<XrpLedger> {
+    return await this._request('getLedger', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4487,9 +5555,10 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group Blocks
    * @param {string} chainType - The chain being queried. Currently supports <code>"XRP"</code>.
-   * @param {any} [option] - Optional:
+   * @param {VersionOption} [option] - Optional:
    * <br>&nbsp;&nbsp;<code>version</code> - The result format version you want to search.
-   * @returns {Promise<any>} - The server information.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<XrpServerInfo>} - The server information.
    * @example
    * const ret = await sdk.getServerInfo('XRP', {version: 'v2'});
    * console.log(ret);
@@ -4561,8 +5630,8 @@ export default class IwanClient extends EventEmitter {
    * //   "validation_quorum": 5
    * // }
    */
-  public async getServerInfo(chainType: string, option?: any): Promise<any> {
-    return await this._request('getServerInfo', { chainType, ...(option || {}) });
+  public async getServerInfo(chainType: string, option?: VersionOption, callOptions?: CallOptions): Promise<XrpServerInfo> {
+    return await this._request('getServerInfo', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4572,17 +5641,18 @@ export default class IwanClient extends EventEmitter {
    * @deprecated Use {@link estimateCrossChainNetworkFee} instead.
    * @param {string} chainType - The chain being queried. Currently supports <code>"XRP"</code>.
    * @param {[number|string, number|string]} chainIds - Array of chain pair IDs about cross chain.
-   * @param {any} option - Object:
+   * @param {CrossChainFeesOption} option - Object:
    * <br>&nbsp;&nbsp;<code>tokenPairID</code> - The ID of token pair you want to search.
    * <br>&nbsp;&nbsp;<code>version</code> - The result format version you want to search.
-   * @returns {Promise<any>} - The cross chain fees.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<CrossChainFees>} - The cross chain fees.
    * @example
    * const ret = await sdk.getCrossChainFees("WAN", ["2153201998", "2147483708"], {tokenPairID:"1", version: "v2"});
    * console.log(ret);
    * // {"contractFee":"8583910607716746438","agentFee":"0"}
    */
-  public async getCrossChainFees(chainType: string, chainIds: [number|string, number|string], option: any): Promise<any> {
-    return await this._request('getCrossChainFees', { chainType, chainIds, ...(option || {}) });
+  public async getCrossChainFees(chainType: string, chainIds: [number|string, number|string], option: CrossChainFeesOption, callOptions?: CallOptions): Promise<CrossChainFees> {
+    return await this._request('getCrossChainFees', { chainType, chainIds, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4591,15 +5661,16 @@ export default class IwanClient extends EventEmitter {
    * @group CrossChain
    * @param {string} crossChain - The destination chainType that you want to search.
    * @param {string} symbol - The symbol that you want to search.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The minimum cross-chain amount.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Record<string, string>>} - The minimum cross-chain amount.
    * @example
    * const ret = await sdk.getMinCrossChainAmount("ETH", ["BTC"]);
    * console.log(ret);
    * // {"BTC":"100"}
    */
-  public async getMinCrossChainAmount(crossChain: string, symbol: string, option?: any): Promise<any> {
-    return await this._request('getMinCrossChainAmount', { crossChain, symbol, ...(option || {}) });
+  public async getMinCrossChainAmount(crossChain: string, symbol: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Record<string, string>> {
+    return await this._request('getMinCrossChainAmount', { crossChain, symbol, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4608,19 +5679,20 @@ export default class IwanClient extends EventEmitter {
    * @group CrossChain
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
    * @param {string} targetChainType - The target chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
-   * @param {any} option - Object:
+   * @param {CrossChainOperationFeeOption} option - Object:
    * <br>&nbsp;&nbsp;<code>tokenPairID</code> - The ID of token pair you want to search.
    * <br>&nbsp;&nbsp;<code>address</code> - The array of address being queried.
    * <br>&nbsp;&nbsp;<code>bridge</code> - The supported third-party bridge. Currently supports 'CCTPV1' and 'CCTPV2'.
    * <br>&nbsp;&nbsp;<code>includeAtaCreation</code> - Include rent fee for creating Associated Token Account on Solana or not.
-   * @returns {Promise<any>} - The operation fee.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<CrossChainOperationFee>} - The operation fee.
    * @example
    * const ret = await sdk.estimateCrossChainOperationFee("ARETH", "OETH", {bridge: "CCTPV2", tokenPairID: "...", address:["0x1...","0x2..."]}));
    * console.log(ret);
    * // { value: '0.00013', isPercent: true, forwardFee: '200828', discountPercent: '1' }
    */
-  public async estimateCrossChainOperationFee(chainType: string, targetChainType: string, option: any): Promise<any> {
-    return await this._request('estimateCrossChainOperationFee', { chainType, targetChainType, ...(option || {}) });
+  public async estimateCrossChainOperationFee(chainType: string, targetChainType: string, option: CrossChainOperationFeeOption, callOptions?: CallOptions): Promise<CrossChainOperationFee> {
+    return await this._request('estimateCrossChainOperationFee', { chainType, targetChainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4629,18 +5701,19 @@ export default class IwanClient extends EventEmitter {
    * @group CrossChain
    * @param {string} chainType - The chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
    * @param {string} targetChainType - The target chain being queried, should be <code>"ETH"</code>,  <code>"WAN"</code>, and other chains.
-   * @param {any} option - Object:
+   * @param {CrossChainNetworkFeeOption} option - Object:
    * <br>&nbsp;&nbsp;<code>tokenPairID</code> - The ID of token pair you want to search.
    * <br>&nbsp;&nbsp;<code>address</code> - Optional, the array of address being queried.
    * <br>&nbsp;&nbsp;<code>bridge</code> - Optional, the supported third-party bridge. Currently supports 'CCTPV1' and 'CCTPV2'.
-   * @returns {Promise<any>} - The network fee.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<CrossChainNetworkFee>} - The network fee.
    * @example
    * const ret = await sdk.estimateCrossChainNetworkFee("ARETH", "OETH", {bridge: "CCTPV2", tokenPairID: "...", address:["0x1...","0x2..."]});
    * console.log(ret);
    * // { value: '69074274557747', isPercent: false, discountPercent: '1' }
    */
-  public async estimateCrossChainNetworkFee(chainType: string, targetChainType: string, option: any): Promise<any> {
-    return await this._request('estimateCrossChainNetworkFee', { chainType, targetChainType, ...(option || {}) });
+  public async estimateCrossChainNetworkFee(chainType: string, targetChainType: string, option: CrossChainNetworkFeeOption, callOptions?: CallOptions): Promise<CrossChainNetworkFee> {
+    return await this._request('estimateCrossChainNetworkFee', { chainType, targetChainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4648,8 +5721,9 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group Blocks
    * @param {string} chainType - The chain being queried, should be <code>"ADA"</code>,  and other chains.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<any>} - The latest block information.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<CardanoBlock>} - The latest block information.
    * @example
    * const ret = await sdk.getLatestBlock("ADA");
    * console.log(ret);
@@ -4671,8 +5745,8 @@ export default class IwanClient extends EventEmitter {
    * //   "confirmations": 0
    * // }
    */
-  public async getLatestBlock(chainType: string, option?: any): Promise<any> {
-    return await this._request('getLatestBlock', { chainType, ...(option || {}) });
+  public async getLatestBlock(chainType: string, option?: ReservedOption, callOptions?: CallOptions): Promise<CardanoBlock> {
+    return await this._request('getLatestBlock', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4680,9 +5754,10 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>"ADA"</code>.
-   * @param {any} [option] - Optional:
+   * @param {EpochIdOption} [option] - Optional:
    * <br>&nbsp;&nbsp;<code>epochID</code> - The ID of epoch you want to search.
-   * @returns {Promise<any>} - The epoch parameters.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<CardanoEpochParameters>} - The epoch parameters.
    * @example
    * const ret = await sdk.getEpochParameters("ADA", {"epochID":180});
    * console.log(ret);
@@ -4704,8 +5779,8 @@ export default class IwanClient extends EventEmitter {
    * //   "minFeeRefScriptCostPerByte": "15"
    * // }
    */
-  public async getEpochParameters(chainType: string, option?: any): Promise<any> {
-    return await this._request('getEpochParameters', { chainType, ...(option || {}) });
+  public async getEpochParameters(chainType: string, option?: EpochIdOption, callOptions?: CallOptions): Promise<CardanoEpochParameters> {
+    return await this._request('getEpochParameters', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4713,31 +5788,33 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group POS
    * @param {string} chainType - The chain being queried. Currently supports <code>"ADA"</code>.
-   * @param {any} [option] - Optional:
+   * @param {EpochIdOption} [option] - Optional:
    * <br>&nbsp;&nbsp;<code>epochID</code> - The ID of epoch you want to search.
-   * @returns {Promise<any>} - The epoch mofrl parameters.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<CardanoCostModelParameters>} - The epoch mofrl parameters.
    * @example
    * const ret = await sdk.getCostModelParameters("ADA", {"epochID":180});
    * console.log(ret);
    * // {"minFeeCoefficient":44,"minFeeConstant":155381,"maxBlockBodySize":90112,"maxBlockHeaderSize":1100,"maxTxSize":16384,"stakeKeyDeposit":2000000,"poolDeposit":500000000,"poolRetirementEpochBound":18,"desiredNumberOfPools":500,"poolInfluence":"3/10","monetaryExpansion":"3/1000","treasuryExpansion":"1/5","protocolVersion":{"major":10,"minor":0},"minPoolCost":170000000,"coinsPerUtxoByte":4310,"prices":{"memory":"577/10000","steps":"721/10000000"},"maxExecutionUnitsPerTransaction":{"memory":16500000,"steps":10000000000},"maxExecutionUnitsPerBlock":{"memory":72000000,"steps":20000000000},"maxValueSize":5000,"collateralPercentage":150,"maxCollateralInputs":3,"range":25600,"minFeeRefScriptCostPerByte":15,"base":15,"multiplier":1.2,"costModels":{"PlutusV1":{"addInteger-cpu-arguments-intercept":100788,"addInteger-cpu-arguments-slope":420,"addInteger-memory-arguments-intercept":1,"addInteger-memory-arguments-slope":1,"appendByteString-cpu-arguments-intercept":1000,"appendByteString-cpu-arguments-slope":173,"appendByteString-memory-arguments-intercept":0,"appendByteString-memory-arguments-slope":1,"appendString-cpu-arguments-intercept":1000,"appendString-cpu-arguments-slope":59957,"appendString-memory-arguments-intercept":4,"appendString-memory-arguments-slope":1,"bData-cpu-arguments":11183,"bData-memory-arguments":32,"blake2b_256-cpu-arguments-intercept":201305,"blake2b_256-cpu-arguments-slope":8356,"blake2b_256-memory-arguments":4,"cekApplyCost-exBudgetCPU":16000,"cekApplyCost-exBudgetMemory":100,"cekBuiltinCost-exBudgetCPU":16000,"cekBuiltinCost-exBudgetMemory":100,"cekConstCost-exBudgetCPU":16000,"cekConstCost-exBudgetMemory":100,"cekDelayCost-exBudgetCPU":16000,"cekDelayCost-exBudgetMemory":100,"cekForceCost-exBudgetCPU":16000,"cekForceCost-exBudgetMemory":100,"cekLamCost-exBudgetCPU":16000,"cekLamCost-exBudgetMemory":100,"cekStartupCost-exBudgetCPU":100,"cekStartupCost-exBudgetMemory":100,"cekVarCost-exBudgetCPU":16000,"cekVarCost-exBudgetMemory":100,"chooseData-cpu-arguments":94375,"chooseData-memory-arguments":32,"chooseList-cpu-arguments":132994,"chooseList-memory-arguments":32,"chooseUnit-cpu-arguments":61462,"chooseUnit-memory-arguments":4,"consByteString-cpu-arguments-intercept":72010,"consByteString-cpu-arguments-slope":178,"consByteString-memory-arguments-intercept":0,"consByteString-memory-arguments-slope":1,"constrData-cpu-arguments":22151,"constrData-memory-arguments":32,"decodeUtf8-cpu-arguments-intercept":91189,"decodeUtf8-cpu-arguments-slope":769,"decodeUtf8-memory-arguments-intercept":4,"decodeUtf8-memory-arguments-slope":2,"divideInteger-cpu-arguments-constant":85848,"divideInteger-cpu-arguments-model-arguments-intercept":228465,"divideInteger-cpu-arguments-model-arguments-slope":122,"divideInteger-memory-arguments-intercept":0,"divideInteger-memory-arguments-minimum":1,"divideInteger-memory-arguments-slope":1,"encodeUtf8-cpu-arguments-intercept":1000,"encodeUtf8-cpu-arguments-slope":42921,"encodeUtf8-memory-arguments-intercept":4,"encodeUtf8-memory-arguments-slope":2,"equalsByteString-cpu-arguments-constant":24548,"equalsByteString-cpu-arguments-intercept":29498,"equalsByteString-cpu-arguments-slope":38,"equalsByteString-memory-arguments":1,"equalsData-cpu-arguments-intercept":898148,"equalsData-cpu-arguments-slope":27279,"equalsData-memory-arguments":1,"equalsInteger-cpu-arguments-intercept":51775,"equalsInteger-cpu-arguments-slope":558,"equalsInteger-memory-arguments":1,"equalsString-cpu-arguments-constant":39184,"equalsString-cpu-arguments-intercept":1000,"equalsString-cpu-arguments-slope":60594,"equalsString-memory-arguments":1,"fstPair-cpu-arguments":141895,"fstPair-memory-arguments":32,"headList-cpu-arguments":83150,"headList-memory-arguments":32,"iData-cpu-arguments":15299,"iData-memory-arguments":32,"ifThenElse-cpu-arguments":76049,"ifThenElse-memory-arguments":1,"indexByteString-cpu-arguments":13169,"indexByteString-memory-arguments":4,"lengthOfByteString-cpu-arguments":22100,"lengthOfByteString-memory-arguments":10,"lessThanByteString-cpu-arguments-intercept":28999,"lessThanByteString-cpu-arguments-slope":74,"lessThanByteString-memory-arguments":1,"lessThanEqualsByteString-cpu-arguments-intercept":28999,"lessThanEqualsByteString-cpu-arguments-slope":74,"lessThanEqualsByteString-memory-arguments":1,"lessThanEqualsInteger-cpu-arguments-intercept":43285,"lessThanEqualsInteger-cpu-arguments-slope":552,"lessThanEqualsInteger-memory-arguments":1,"lessThanInteger-cpu-arguments-intercept":44749,"lessThanInteger-cpu-arguments-slope":541,"lessThanInteger-memory-arguments":1,"listData-cpu-arguments":33852,"listData-memory-arguments":32,"mapData-cpu-arguments":68246,"mapData-memory-arguments":32,"mkCons-cpu-arguments":72362,"mkCons-memory-arguments":32,"mkNilData-cpu-arguments":7243,"mkNilData-memory-arguments":32,"mkNilPairData-cpu-arguments":7391,"mkNilPairData-memory-arguments":32,"mkPairData-cpu-arguments":11546,"mkPairData-memory-arguments":32,"modInteger-cpu-arguments-constant":85848,"modInteger-cpu-arguments-model-arguments-intercept":228465,"modInteger-cpu-arguments-model-arguments-slope":122,"modInteger-memory-arguments-intercept":0,"modInteger-memory-arguments-minimum":1,"modInteger-memory-arguments-slope":1,"multiplyInteger-cpu-arguments-intercept":90434,"multiplyInteger-cpu-arguments-slope":519,"multiplyInteger-memory-arguments-intercept":0,"multiplyInteger-memory-arguments-slope":1,"nullList-cpu-arguments":74433,"nullList-memory-arguments":32,"quotientInteger-cpu-arguments-constant":85848,"quotientInteger-cpu-arguments-model-arguments-intercept":228465,"quotientInteger-cpu-arguments-model-arguments-slope":122,"quotientInteger-memory-arguments-intercept":0,"quotientInteger-memory-arguments-minimum":1,"quotientInteger-memory-arguments-slope":1,"remainderInteger-cpu-arguments-constant":85848,"remainderInteger-cpu-arguments-model-arguments-intercept":228465,"remainderInteger-cpu-arguments-model-arguments-slope":122,"remainderInteger-memory-arguments-intercept":0,"remainderInteger-memory-arguments-minimum":1,"remainderInteger-memory-arguments-slope":1,"sha2_256-cpu-arguments-intercept":270652,"sha2_256-cpu-arguments-slope":22588,"sha2_256-memory-arguments":4,"sha3_256-cpu-arguments-intercept":1457325,"sha3_256-cpu-arguments-slope":64566,"sha3_256-memory-arguments":4,"sliceByteString-cpu-arguments-intercept":20467,"sliceByteString-cpu-arguments-slope":1,"sliceByteString-memory-arguments-intercept":4,"sliceByteString-memory-arguments-slope":0,"sndPair-cpu-arguments":141992,"sndPair-memory-arguments":32,"subtractInteger-cpu-arguments-intercept":100788,"subtractInteger-cpu-arguments-slope":420,"subtractInteger-memory-arguments-intercept":1,"subtractInteger-memory-arguments-slope":1,"tailList-cpu-arguments":81663,"tailList-memory-arguments":32,"trace-cpu-arguments":59498,"trace-memory-arguments":32,"unBData-cpu-arguments":20142,"unBData-memory-arguments":32,"unConstrData-cpu-arguments":24588,"unConstrData-memory-arguments":32,"unIData-cpu-arguments":20744,"unIData-memory-arguments":32,"unListData-cpu-arguments":25933,"unListData-memory-arguments":32,"unMapData-cpu-arguments":24623,"unMapData-memory-arguments":32,"verifyEd25519Signature-cpu-arguments-intercept":53384111,"verifyEd25519Signature-cpu-arguments-slope":14333,"verifyEd25519Signature-memory-arguments":10},"PlutusV2":{"addInteger-cpu-arguments-intercept":100788,"addInteger-cpu-arguments-slope":420,"addInteger-memory-arguments-intercept":1,"addInteger-memory-arguments-slope":1,"appendByteString-cpu-arguments-intercept":1000,"appendByteString-cpu-arguments-slope":173,"appendByteString-memory-arguments-intercept":0,"appendByteString-memory-arguments-slope":1,"appendString-cpu-arguments-intercept":1000,"appendString-cpu-arguments-slope":59957,"appendString-memory-arguments-intercept":4,"appendString-memory-arguments-slope":1,"bData-cpu-arguments":11183,"bData-memory-arguments":32,"blake2b_256-cpu-arguments-intercept":201305,"blake2b_256-cpu-arguments-slope":8356,"blake2b_256-memory-arguments":4,"cekApplyCost-exBudgetCPU":16000,"cekApplyCost-exBudgetMemory":100,"cekBuiltinCost-exBudgetCPU":16000,"cekBuiltinCost-exBudgetMemory":100,"cekConstCost-exBudgetCPU":16000,"cekConstCost-exBudgetMemory":100,"cekDelayCost-exBudgetCPU":16000,"cekDelayCost-exBudgetMemory":100,"cekForceCost-exBudgetCPU":16000,"cekForceCost-exBudgetMemory":100,"cekLamCost-exBudgetCPU":16000,"cekLamCost-exBudgetMemory":100,"cekStartupCost-exBudgetCPU":100,"cekStartupCost-exBudgetMemory":100,"cekVarCost-exBudgetCPU":16000,"cekVarCost-exBudgetMemory":100,"chooseData-cpu-arguments":94375,"chooseData-memory-arguments":32,"chooseList-cpu-arguments":132994,"chooseList-memory-arguments":32,"chooseUnit-cpu-arguments":61462,"chooseUnit-memory-arguments":4,"consByteString-cpu-arguments-intercept":72010,"consByteString-cpu-arguments-slope":178,"consByteString-memory-arguments-intercept":0,"consByteString-memory-arguments-slope":1,"constrData-cpu-arguments":22151,"constrData-memory-arguments":32,"decodeUtf8-cpu-arguments-intercept":91189,"decodeUtf8-cpu-arguments-slope":769,"decodeUtf8-memory-arguments-intercept":4,"decodeUtf8-memory-arguments-slope":2,"divideInteger-cpu-arguments-constant":85848,"divideInteger-cpu-arguments-model-arguments-intercept":228465,"divideInteger-cpu-arguments-model-arguments-slope":122,"divideInteger-memory-arguments-intercept":0,"divideInteger-memory-arguments-minimum":1,"divideInteger-memory-arguments-slope":1,"encodeUtf8-cpu-arguments-intercept":1000,"encodeUtf8-cpu-arguments-slope":42921,"encodeUtf8-memory-arguments-intercept":4,"encodeUtf8-memory-arguments-slope":2,"equalsByteString-cpu-arguments-constant":24548,"equalsByteString-cpu-arguments-intercept":29498,"equalsByteString-cpu-arguments-slope":38,"equalsByteString-memory-arguments":1,"equalsData-cpu-arguments-intercept":898148,"equalsData-cpu-arguments-slope":27279,"equalsData-memory-arguments":1,"equalsInteger-cpu-arguments-intercept":51775,"equalsInteger-cpu-arguments-slope":558,"equalsInteger-memory-arguments":1,"equalsString-cpu-arguments-constant":39184,"equalsString-cpu-arguments-intercept":1000,"equalsString-cpu-arguments-slope":60594,"equalsString-memory-arguments":1,"fstPair-cpu-arguments":141895,"fstPair-memory-arguments":32,"headList-cpu-arguments":83150,"headList-memory-arguments":32,"iData-cpu-arguments":15299,"iData-memory-arguments":32,"ifThenElse-cpu-arguments":76049,"ifThenElse-memory-arguments":1,"indexByteString-cpu-arguments":13169,"indexByteString-memory-arguments":4,"lengthOfByteString-cpu-arguments":22100,"lengthOfByteString-memory-arguments":10,"lessThanByteString-cpu-arguments-intercept":28999,"lessThanByteString-cpu-arguments-slope":74,"lessThanByteString-memory-arguments":1,"lessThanEqualsByteString-cpu-arguments-intercept":28999,"lessThanEqualsByteString-cpu-arguments-slope":74,"lessThanEqualsByteString-memory-arguments":1,"lessThanEqualsInteger-cpu-arguments-intercept":43285,"lessThanEqualsInteger-cpu-arguments-slope":552,"lessThanEqualsInteger-memory-arguments":1,"lessThanInteger-cpu-arguments-intercept":44749,"lessThanInteger-cpu-arguments-slope":541,"lessThanInteger-memory-arguments":1,"listData-cpu-arguments":33852,"listData-memory-arguments":32,"mapData-cpu-arguments":68246,"mapData-memory-arguments":32,"mkCons-cpu-arguments":72362,"mkCons-memory-arguments":32,"mkNilData-cpu-arguments":7243,"mkNilData-memory-arguments":32,"mkNilPairData-cpu-arguments":7391,"mkNilPairData-memory-arguments":32,"mkPairData-cpu-arguments":11546,"mkPairData-memory-arguments":32,"modInteger-cpu-arguments-constant":85848,"modInteger-cpu-arguments-model-arguments-intercept":228465,"modInteger-cpu-arguments-model-arguments-slope":122,"modInteger-memory-arguments-intercept":0,"modInteger-memory-arguments-minimum":1,"modInteger-memory-arguments-slope":1,"multiplyInteger-cpu-arguments-intercept":90434,"multiplyInteger-cpu-arguments-slope":519,"multiplyInteger-memory-arguments-intercept":0,"multiplyInteger-memory-arguments-slope":1,"nullList-cpu-arguments":74433,"nullList-memory-arguments":32,"quotientInteger-cpu-arguments-constant":85848,"quotientInteger-cpu-arguments-model-arguments-intercept":228465,"quotientInteger-cpu-arguments-model-arguments-slope":122,"quotientInteger-memory-arguments-intercept":0,"quotientInteger-memory-arguments-minimum":1,"quotientInteger-memory-arguments-slope":1,"remainderInteger-cpu-arguments-constant":85848,"remainderInteger-cpu-arguments-model-arguments-intercept":228465,"remainderInteger-cpu-arguments-model-arguments-slope":122,"remainderInteger-memory-arguments-intercept":0,"remainderInteger-memory-arguments-minimum":1,"remainderInteger-memory-arguments-slope":1,"serialiseData-cpu-arguments-intercept":955506,"serialiseData-cpu-arguments-slope":213312,"serialiseData-memory-arguments-intercept":0,"serialiseData-memory-arguments-slope":2,"sha2_256-cpu-arguments-intercept":270652,"sha2_256-cpu-arguments-slope":22588,"sha2_256-memory-arguments":4,"sha3_256-cpu-arguments-intercept":1457325,"sha3_256-cpu-arguments-slope":64566,"sha3_256-memory-arguments":4,"sliceByteString-cpu-arguments-intercept":20467,"sliceByteString-cpu-arguments-slope":1,"sliceByteString-memory-arguments-intercept":4,"sliceByteString-memory-arguments-slope":0,"sndPair-cpu-arguments":141992,"sndPair-memory-arguments":32,"subtractInteger-cpu-arguments-intercept":100788,"subtractInteger-cpu-arguments-slope":420,"subtractInteger-memory-arguments-intercept":1,"subtractInteger-memory-arguments-slope":1,"tailList-cpu-arguments":81663,"tailList-memory-arguments":32,"trace-cpu-arguments":59498,"trace-memory-arguments":32,"unBData-cpu-arguments":20142,"unBData-memory-arguments":32,"unConstrData-cpu-arguments":24588,"unConstrData-memory-arguments":32,"unIData-cpu-arguments":20744,"unIData-memory-arguments":32,"unListData-cpu-arguments":25933,"unListData-memory-arguments":32,"unMapData-cpu-arguments":24623,"unMapData-memory-arguments":32,"verifyEcdsaSecp256k1Signature-cpu-arguments":43053543,"verifyEcdsaSecp256k1Signature-memory-arguments":10,"verifyEd25519Signature-cpu-arguments-intercept":53384111,"verifyEd25519Signature-cpu-arguments-slope":14333,"verifyEd25519Signature-memory-arguments":10,"verifySchnorrSecp256k1Signature-cpu-arguments-intercept":43574283,"verifySchnorrSecp256k1Signature-cpu-arguments-slope":26308,"verifySchnorrSecp256k1Signature-memory-arguments":10},"PlutusV3":{"addInteger-cpu-arguments-intercept":100788,"addInteger-cpu-arguments-slope":420,"addInteger-memory-arguments-intercept":1,"addInteger-memory-arguments-slope":1,"appendByteString-cpu-arguments-intercept":1000,"appendByteString-cpu-arguments-slope":173,"appendByteString-memory-arguments-intercept":0,"appendByteString-memory-arguments-slope":1,"appendString-cpu-arguments-intercept":1000,"appendString-cpu-arguments-slope":59957,"appendString-memory-arguments-intercept":4,"appendString-memory-arguments-slope":1,"bData-cpu-arguments":11183,"bData-memory-arguments":32,"blake2b_256-cpu-arguments-intercept":201305,"blake2b_256-cpu-arguments-slope":8356,"blake2b_256-memory-arguments":4,"cekApplyCost-exBudgetCPU":16000,"cekApplyCost-exBudgetMemory":100,"cekBuiltinCost-exBudgetCPU":16000,"cekBuiltinCost-exBudgetMemory":100,"cekConstCost-exBudgetCPU":16000,"cekConstCost-exBudgetMemory":100,"cekDelayCost-exBudgetCPU":16000,"cekDelayCost-exBudgetMemory":100,"cekForceCost-exBudgetCPU":16000,"cekForceCost-exBudgetMemory":100,"cekLamCost-exBudgetCPU":16000,"cekLamCost-exBudgetMemory":100,"cekStartupCost-exBudgetCPU":100,"cekStartupCost-exBudgetMemory":100,"cekVarCost-exBudgetCPU":16000,"cekVarCost-exBudgetMemory":100,"chooseData-cpu-arguments":94375,"chooseData-memory-arguments":32,"chooseList-cpu-arguments":132994,"chooseList-memory-arguments":32,"chooseUnit-cpu-arguments":61462,"chooseUnit-memory-arguments":4,"consByteString-cpu-arguments-intercept":72010,"consByteString-cpu-arguments-slope":178,"consByteString-memory-arguments-intercept":0,"consByteString-memory-arguments-slope":1,"constrData-cpu-arguments":22151,"constrData-memory-arguments":32,"decodeUtf8-cpu-arguments-intercept":91189,"decodeUtf8-cpu-arguments-slope":769,"decodeUtf8-memory-arguments-intercept":4,"decodeUtf8-memory-arguments-slope":2,"divideInteger-cpu-arguments-constant":85848,"divideInteger-cpu-arguments-model-arguments-c00":123203,"divideInteger-cpu-arguments-model-arguments-c01":7305,"divideInteger-cpu-arguments-model-arguments-c02":-900,"divideInteger-cpu-arguments-model-arguments-c10":1716,"divideInteger-cpu-arguments-model-arguments-c11":549,"divideInteger-cpu-arguments-model-arguments-c20":57,"divideInteger-cpu-arguments-model-arguments-minimum":85848,"divideInteger-memory-arguments-intercept":0,"divideInteger-memory-arguments-minimum":1,"divideInteger-memory-arguments-slope":1,"encodeUtf8-cpu-arguments-intercept":1000,"encodeUtf8-cpu-arguments-slope":42921,"encodeUtf8-memory-arguments-intercept":4,"encodeUtf8-memory-arguments-slope":2,"equalsByteString-cpu-arguments-constant":24548,"equalsByteString-cpu-arguments-intercept":29498,"equalsByteString-cpu-arguments-slope":38,"equalsByteString-memory-arguments":1,"equalsData-cpu-arguments-intercept":898148,"equalsData-cpu-arguments-slope":27279,"equalsData-memory-arguments":1,"equalsInteger-cpu-arguments-intercept":51775,"equalsInteger-cpu-arguments-slope":558,"equalsInteger-memory-arguments":1,"equalsString-cpu-arguments-constant":39184,"equalsString-cpu-arguments-intercept":1000,"equalsString-cpu-arguments-slope":60594,"equalsString-memory-arguments":1,"fstPair-cpu-arguments":141895,"fstPair-memory-arguments":32,"headList-cpu-arguments":83150,"headList-memory-arguments":32,"iData-cpu-arguments":15299,"iData-memory-arguments":32,"ifThenElse-cpu-arguments":76049,"ifThenElse-memory-arguments":1,"indexByteString-cpu-arguments":13169,"indexByteString-memory-arguments":4,"lengthOfByteString-cpu-arguments":22100,"lengthOfByteString-memory-arguments":10,"lessThanByteString-cpu-arguments-intercept":28999,"lessThanByteString-cpu-arguments-slope":74,"lessThanByteString-memory-arguments":1,"lessThanEqualsByteString-cpu-arguments-intercept":28999,"lessThanEqualsByteString-cpu-arguments-slope":74,"lessThanEqualsByteString-memory-arguments":1,"lessThanEqualsInteger-cpu-arguments-intercept":43285,"lessThanEqualsInteger-cpu-arguments-slope":552,"lessThanEqualsInteger-memory-arguments":1,"lessThanInteger-cpu-arguments-intercept":44749,"lessThanInteger-cpu-arguments-slope":541,"lessThanInteger-memory-arguments":1,"listData-cpu-arguments":33852,"listData-memory-arguments":32,"mapData-cpu-arguments":68246,"mapData-memory-arguments":32,"mkCons-cpu-arguments":72362,"mkCons-memory-arguments":32,"mkNilData-cpu-arguments":7243,"mkNilData-memory-arguments":32,"mkNilPairData-cpu-arguments":7391,"mkNilPairData-memory-arguments":32,"mkPairData-cpu-arguments":11546,"mkPairData-memory-arguments":32,"modInteger-cpu-arguments-constant":85848,"modInteger-cpu-arguments-model-arguments-c00":123203,"modInteger-cpu-arguments-model-arguments-c01":7305,"modInteger-cpu-arguments-model-arguments-c02":-900,"modInteger-cpu-arguments-model-arguments-c10":1716,"modInteger-cpu-arguments-model-arguments-c11":549,"modInteger-cpu-arguments-model-arguments-c20":57,"modInteger-cpu-arguments-model-arguments-minimum":85848,"modInteger-memory-arguments-intercept":0,"modInteger-memory-arguments-slope":1,"multiplyInteger-cpu-arguments-intercept":90434,"multiplyInteger-cpu-arguments-slope":519,"multiplyInteger-memory-arguments-intercept":0,"multiplyInteger-memory-arguments-slope":1,"nullList-cpu-arguments":74433,"nullList-memory-arguments":32,"quotientInteger-cpu-arguments-constant":85848,"quotientInteger-cpu-arguments-model-arguments-c00":123203,"quotientInteger-cpu-arguments-model-arguments-c01":7305,"quotientInteger-cpu-arguments-model-arguments-c02":-900,"quotientInteger-cpu-arguments-model-arguments-c10":1716,"quotientInteger-cpu-arguments-model-arguments-c11":549,"quotientInteger-cpu-arguments-model-arguments-c20":57,"quotientInteger-cpu-arguments-model-arguments-minimum":85848,"quotientInteger-memory-arguments-intercept":0,"quotientInteger-memory-arguments-slope":1,"remainderInteger-cpu-arguments-constant":1,"remainderInteger-cpu-arguments-model-arguments-c00":85848,"remainderInteger-cpu-arguments-model-arguments-c01":123203,"remainderInteger-cpu-arguments-model-arguments-c02":7305,"remainderInteger-cpu-arguments-model-arguments-c10":-900,"remainderInteger-cpu-arguments-model-arguments-c11":1716,"remainderInteger-cpu-arguments-model-arguments-c20":549,"remainderInteger-cpu-arguments-model-arguments-minimum":57,"remainderInteger-memory-arguments-intercept":85848,"remainderInteger-memory-arguments-minimum":0,"remainderInteger-memory-arguments-slope":1,"serialiseData-cpu-arguments-intercept":955506,"serialiseData-cpu-arguments-slope":213312,"serialiseData-memory-arguments-intercept":0,"serialiseData-memory-arguments-slope":2,"sha2_256-cpu-arguments-intercept":270652,"sha2_256-cpu-arguments-slope":22588,"sha2_256-memory-arguments":4,"sha3_256-cpu-arguments-intercept":1457325,"sha3_256-cpu-arguments-slope":64566,"sha3_256-memory-arguments":4,"sliceByteString-cpu-arguments-intercept":20467,"sliceByteString-cpu-arguments-slope":1,"sliceByteString-memory-arguments-intercept":4,"sliceByteString-memory-arguments-slope":0,"sndPair-cpu-arguments":141992,"sndPair-memory-arguments":32,"subtractInteger-cpu-arguments-intercept":100788,"subtractInteger-cpu-arguments-slope":420,"subtractInteger-memory-arguments-intercept":1,"subtractInteger-memory-arguments-slope":1,"tailList-cpu-arguments":81663,"tailList-memory-arguments":32,"trace-cpu-arguments":59498,"trace-memory-arguments":32,"unBData-cpu-arguments":20142,"unBData-memory-arguments":32,"unConstrData-cpu-arguments":24588,"unConstrData-memory-arguments":32,"unIData-cpu-arguments":20744,"unIData-memory-arguments":32,"unListData-cpu-arguments":25933,"unListData-memory-arguments":32,"unMapData-cpu-arguments":24623,"unMapData-memory-arguments":32,"verifyEcdsaSecp256k1Signature-cpu-arguments":43053543,"verifyEcdsaSecp256k1Signature-memory-arguments":10,"verifyEd25519Signature-cpu-arguments-intercept":53384111,"verifyEd25519Signature-cpu-arguments-slope":14333,"verifyEd25519Signature-memory-arguments":10,"verifySchnorrSecp256k1Signature-cpu-arguments-intercept":43574283,"verifySchnorrSecp256k1Signature-cpu-arguments-slope":26308,"verifySchnorrSecp256k1Signature-memory-arguments":10,"cekConstrCost-exBudgetCPU":16000,"cekConstrCost-exBudgetMemory":100,"cekCaseCost-exBudgetCPU":16000,"cekCaseCost-exBudgetMemory":100,"bls12_381_G1_add-cpu-arguments":962335,"bls12_381_G1_add-memory-arguments":18,"bls12_381_G1_compress-cpu-arguments":2780678,"bls12_381_G1_compress-memory-arguments":6,"bls12_381_G1_equal-cpu-arguments":442008,"bls12_381_G1_equal-memory-arguments":1,"bls12_381_G1_hashToGroup-cpu-arguments-intercept":52538055,"bls12_381_G1_hashToGroup-cpu-arguments-slope":3756,"bls12_381_G1_hashToGroup-memory-arguments":18,"bls12_381_G1_neg-cpu-arguments":267929,"bls12_381_G1_neg-memory-arguments":18,"bls12_381_G1_scalarMul-cpu-arguments-intercept":76433006,"bls12_381_G1_scalarMul-cpu-arguments-slope":8868,"bls12_381_G1_scalarMul-memory-arguments":18,"bls12_381_G1_uncompress-cpu-arguments":52948122,"bls12_381_G1_uncompress-memory-arguments":18,"bls12_381_G2_add-cpu-arguments":1995836,"bls12_381_G2_add-memory-arguments":36,"bls12_381_G2_compress-cpu-arguments":3227919,"bls12_381_G2_compress-memory-arguments":12,"bls12_381_G2_equal-cpu-arguments":901022,"bls12_381_G2_equal-memory-arguments":1,"bls12_381_G2_hashToGroup-cpu-arguments-intercept":166917843,"bls12_381_G2_hashToGroup-cpu-arguments-slope":4307,"bls12_381_G2_hashToGroup-memory-arguments":36,"bls12_381_G2_neg-cpu-arguments":284546,"bls12_381_G2_neg-memory-arguments":36,"bls12_381_G2_scalarMul-cpu-arguments-intercept":158221314,"bls12_381_G2_scalarMul-cpu-arguments-slope":26549,"bls12_381_G2_scalarMul-memory-arguments":36,"bls12_381_G2_uncompress-cpu-arguments":74698472,"bls12_381_G2_uncompress-memory-arguments":36,"bls12_381_finalVerify-cpu-arguments":333849714,"bls12_381_finalVerify-memory-arguments":1,"bls12_381_millerLoop-cpu-arguments":254006273,"bls12_381_millerLoop-memory-arguments":72,"bls12_381_mulMlResult-cpu-arguments":2174038,"bls12_381_mulMlResult-memory-arguments":72,"keccak_256-cpu-arguments-intercept":2261318,"keccak_256-cpu-arguments-slope":64571,"keccak_256-memory-arguments":4,"blake2b_224-cpu-arguments-intercept":207616,"blake2b_224-cpu-arguments-slope":8310,"blake2b_224-memory-arguments":4,"integerToByteString-cpu-arguments-c0":1293828,"integerToByteString-cpu-arguments-c1":28716,"integerToByteString-cpu-arguments-c2":63,"integerToByteString-memory-arguments-intercept":0,"integerToByteString-memory-arguments-slope":1,"byteStringToInteger-cpu-arguments-c0":1006041,"byteStringToInteger-cpu-arguments-c1":43623,"byteStringToInteger-cpu-arguments-c2":251,"byteStringToInteger-memory-arguments-intercept":0,"byteStringToInteger-memory-arguments-slope":1}}}
    */
-  public async getCostModelParameters(chainType: string, option?: any): Promise<any> {
-    return await this._request('getCostModelParameters', { chainType, ...(option || {}) });
+  public async getCostModelParameters(chainType: string, option?: EpochIdOption, callOptions?: CallOptions): Promise<CardanoCostModelParameters> {
+    return await this._request('getCostModelParameters', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
    * Get token pairs hash.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<string>} - The token pairs hash.
    * @example
    * const ret = await sdk.getTokenPairsHash();
    * console.log(ret);
    * // "352bef4b54d176c31520d89a148c4b38"
    */
-  public async getTokenPairsHash(option?: any): Promise<string> {
-    return await this._request('getTokenPairsHash', { ...(option || {}) });
+  public async getTokenPairsHash(option?: ReservedOption, callOptions?: CallOptions): Promise<string> {
+    return await this._request('getTokenPairsHash', { ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4746,16 +5823,17 @@ export default class IwanClient extends EventEmitter {
    * @group XRP
    * @param {string} chainType - The chain being queried. Currently supports <code>'XRP'</code>.
    * @param {string} address - The Address to check. This should be the issuing address.
-   * @param {any} [option] - Optional:
+   * @param {GateWayBalancesOption} [option] - Optional:
    * <br>&nbsp;&nbsp;<code>excludeAddresses</code> - Optional, the array of addresses to exclude from the balances issued.
-   * @returns {Promise<any>} - The total balances issued by a given account.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<XrpGatewayBalances>} - The total balances issued by a given account.
    * @example
    * const ret = await sdk.getGateWayBalances("XRP", "rLZGBrdXNvS1RPjjJB7Z4FeA4w5Hggtt7t");
    * console.log(ret);
    * // {"account":"rLZGBrdXNvS1RPjjJB7Z4FeA4w5Hggtt7t","ledger_hash":"16452CB42D4CC620541CB343195146D2C0E447ECD60A30E4034727799ECBD0DC","ledger_index":15906583,"validated":true}
    */
-  public async getGateWayBalances(chainType: string, address: string, option?: any): Promise<any> {
-    return await this._request('getGateWayBalances', { chainType, address, ...(option || {}) });
+  public async getGateWayBalances(chainType: string, address: string, option?: GateWayBalancesOption, callOptions?: CallOptions): Promise<XrpGatewayBalances> {
+    return await this._request('getGateWayBalances', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4764,34 +5842,36 @@ export default class IwanClient extends EventEmitter {
    * @group XRP
    * @param {string} chainType - The chain being queried. Currently supports <code>'XRP'</code>.
    * @param {string} address - A unique identifier for the account, most commonly the account's Address.
-   * @param {any} [option] - Optional:
+   * @param {TrustLinesOption} [option] - Optional:
    * <br>&nbsp;&nbsp;<code>peer</code> - Optional, the Address of a second account. If provided, show only lines of trust connecting the two accounts.
    * <br>&nbsp;&nbsp;<code>ledgerVersion</code> - Optional, the ledger version of the ledger to use.
-   * @returns {Promise<Array<any>>} - The infomation of account's trust lines.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<XrpTrustLine>>} - The infomation of account's trust lines.
    * @example
    * const ret = await sdk.getTrustLines("XRP", "rKFgsDG5mqxaMG45GR8J1CeESFCJ3xpqHS");
    * console.log(ret);
    * // [{"account":"rnqc3LJgN6E2Ern7G4tdciihoFtcatm7FX","balance":"1000000000","currency":"BAR","limit":"1000000000","limit_peer":"0","quality_in":0,"quality_out":0},{"account":"rh1FqPEZ4AvptV6vXr3WUgPHCgpkS2nb9G","balance":"0","currency":"FOO","limit":"100000","limit_peer":"0","no_ripple_peer":true,"quality_in":0,"quality_out":0}]
    */
-  public async getTrustLines(chainType: string, address: string, option?: any): Promise<Array<any>> {
-    return await this._request('getTrustLines', { chainType, address, ...(option || {}) });
+  public async getTrustLines(chainType: string, address: string, option?: TrustLinesOption, callOptions?: CallOptions): Promise<Array<XrpTrustLine>> {
+    return await this._request('getTrustLines', { chainType, address, ...(option || {}) }, callOptions);
   }
 
   /**
    * Get cross chain reserved quota.
    * @since 1.1.0
    * @group Accounts
-   * @param {any} option - Object:
+   * @param {CrossChainReservedQuotaOption} option - Object:
    * <br>&nbsp;&nbsp;<code>targetChainType</code> - The target chain being queried.
    * <br>&nbsp;&nbsp;<code>symbols</code> - The array of token symbol being queried.
-   * @returns {Promise<any>} - The cross chain reserved quota.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Record<string, string>>} - The cross chain reserved quota.
    * @example
    * const ret = await sdk.getCrossChainReservedQuota({"targetChainType":"BTC", symbols:["BTC"]});
    * console.log(ret);
    * // {"BTC":"0.5"}
    */
-  public async getCrossChainReservedQuota(option: any): Promise<any> {
-    return await this._request('getCrossChainReservedQuota', { ...(option || {}) });
+  public async getCrossChainReservedQuota(option: CrossChainReservedQuotaOption, callOptions?: CallOptions): Promise<Record<string, string>> {
+    return await this._request('getCrossChainReservedQuota', { ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4799,15 +5879,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChainV2
    * @param {Array<string>} address - The Array of address you want to check.
-   * @param {any} [option] - A reserved parameter.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
    * @returns {Promise<boolean>} - The token pairs hash.
    * @example
    * const ret = await sdk.hasHackerAccount(["0x..."]);
    * console.log(ret);
    * // false
    */
-  public async hasHackerAccount(address: Array<string>, option?: any): Promise<boolean> {
-    return await this._request('hasHackerAccount', { address, ...(option || {}) });
+  public async hasHackerAccount(address: Array<string>, option?: ReservedOption, callOptions?: CallOptions): Promise<boolean> {
+    return await this._request('hasHackerAccount', { address, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4815,15 +5896,16 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group Contracts
    * @param {string} chainType - The chain being queried. Currently supports <code>'TRX'</code>.
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The parameters.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<ChainParameter>>} - The parameters.
    * @example
    * const ret = await sdk.getChainParameters("TRX");
    * console.log(ret);
    * // [{"key":"getMaintenanceTimeInterval","value":1800000},{"key":"getAccountUpgradeCost","value":9999000000},{"key":"getCreateAccountFee","value":100000},{"key":"getTransactionFee","value":1000},{"key":"getAssetIssueFee","value":1024000000},{"key":"getWitnessPayPerBlock","value":8000000},{"key":"getWitnessStandbyAllowance","value":100000000},{"key":"getCreateNewAccountFeeInSystemContract","value":1000000},{"key":"getCreateNewAccountBandwidthRate","value":1},{"key":"getAllowCreationOfContracts","value":1},{"key":"getRemoveThePowerOfTheGr","value":-1},{"key":"getEnergyFee","value":100},{"key":"getExchangeCreateFee","value":1024000000},{"key":"getMaxCpuTimeOfOneTx","value":160},{"key":"getAllowUpdateAccountName"},{"key":"getAllowSameTokenName","value":1},{"key":"getAllowDelegateResource","value":1},{"key":"getTotalEnergyLimit","value":180000000000},{"key":"getAllowTvmTransferTrc10","value":1},{"key":"getTotalEnergyCurrentLimit","value":180000000000},{"key":"getAllowMultiSign","value":1},{"key":"getAllowAdaptiveEnergy"},{"key":"getTotalEnergyTargetLimit","value":12500000},{"key":"getTotalEnergyAverageUsage"},{"key":"getUpdateAccountPermissionFee","value":100000000},{"key":"getMultiSignFee","value":1000000},{"key":"getAllowAccountStateRoot"},{"key":"getAllowProtoFilterNum"},{"key":"getAllowTvmConstantinople","value":1},{"key":"getAllowTvmSolidity059","value":1},{"key":"getAllowTvmIstanbul","value":1},{"key":"getAllowShieldedTRC20Transaction","value":1},{"key":"getForbidTransferToContract"},{"key":"getAdaptiveResourceLimitTargetRatio","value":10},{"key":"getAdaptiveResourceLimitMultiplier","value":1000},{"key":"getChangeDelegation","value":1},{"key":"getWitness127PayPerBlock","value":128000000},{"key":"getAllowMarketTransaction"},{"key":"getMarketSellFee"},{"key":"getMarketCancelFee"},{"key":"getAllowPBFT","value":1},{"key":"getAllowTransactionFeePool"},{"key":"getMaxFeeLimit","value":15000000000},{"key":"getAllowOptimizeBlackHole","value":1},{"key":"getAllowNewResourceModel"},{"key":"getAllowTvmFreeze","value":1},{"key":"getAllowTvmVote","value":1},{"key":"getAllowTvmLondon","value":1},{"key":"getAllowTvmCompatibleEvm"},{"key":"getAllowAccountAssetOptimization"},{"key":"getFreeNetLimit","value":600},{"key":"getTotalNetLimit","value":43200000000},{"key":"getAllowHigherLimitForMaxCpuTimeOfOneTx","value":1},{"key":"getAllowAssetOptimization","value":1},{"key":"getAllowNewReward","value":1},{"key":"getMemoFee","value":1000000},{"key":"getAllowDelegateOptimization","value":1},{"key":"getUnfreezeDelayDays","value":1},{"key":"getAllowOptimizedReturnValueOfChainId","value":1},{"key":"getAllowDynamicEnergy","value":1},{"key":"getDynamicEnergyThreshold","value":5000000000},{"key":"getDynamicEnergyIncreaseFactor","value":2000},{"key":"getDynamicEnergyMaxFactor","value":34000},{"key":"getAllowTvmShangHai","value":1},{"key":"getAllowCancelAllUnfreezeV2","value":1},{"key":"getMaxDelegateLockPeriod","value":144000},{"key":"getAllowOldRewardOpt","value":1},{"key":"getAllowEnergyAdjustment","value":1},{"key":"getMaxCreateAccountTxSize","value":1000},{"key":"getAllowStrictMath","value":1},{"key":"getConsensusLogicOptimization","value":1},{"key":"getAllowTvmCancun","value":1},{"key":"getAllowTvmBlob","value":1},{"key":"getAllowTvmSelfdestructRestriction","value":1},{"key":"getProposalExpireTime","value":600000}]
    */
-  public async getChainParameters(chainType: string, option?: any): Promise<Array<any>> {
-    return await this._request('getChainParameters', { chainType, ...(option || {}) });
+  public async getChainParameters(chainType: string, option?: ReservedOption, callOptions?: CallOptions): Promise<Array<ChainParameter>> {
+    return await this._request('getChainParameters', { chainType, ...(option || {}) }, callOptions);
   }
 
   /**
@@ -4831,40 +5913,43 @@ export default class IwanClient extends EventEmitter {
    * @since 1.1.0
    * @group CrossChainV2
    * @deprecated use {@link getChainQuotaHiddenFlagDirectionally} instead.
-   * @param {any} [option] - Optional:
+   * @param {ChainIdsOption} [option] - Optional:
    * <br>&nbsp;&nbsp;<code>chainIds</code> -  Array of chain IDs about the cross chain pair.
-   * @returns {Promise<any>} - The cross chain quota hidden flags.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Record<string, ChainQuotaHiddenFlag>>} - The cross chain quota hidden flags.
    * @example
    * const ret = await sdk.getChainQuotaHiddenFlags({chainIds:["1073741834", "2147484458", "2153201998"]});
    * console.log(ret);
    * // {}
    */
-  public async getChainQuotaHiddenFlags(option?: any): Promise<any> {
-    return await this._request('getChainQuotaHiddenFlags', { ...(option || {}) });
+  public async getChainQuotaHiddenFlags(option?: ChainIdsOption, callOptions?: CallOptions): Promise<Record<string, ChainQuotaHiddenFlag>> {
+    return await this._request('getChainQuotaHiddenFlags', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get cross chain quota hidden flags.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} [option] - Optional:
+   * @param {ChainIdsOption} [option] - Optional:
    * <br>&nbsp;&nbsp;<code>chainIds</code> -  Array of chain bip44 IDs about the cross chain pair.
-   * @returns {Promise<any>} - The cross chain quota hidden flags.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Record<string, ChainQuotaHiddenFlag>>} - The cross chain quota hidden flags.
    * @example
    * const ret = await sdk.getChainQuotaHiddenFlagDirectionally({chainIds:["1073741834", "2147484458", "2153201998"]});
    * console.log(ret);
    * // {"2153201998":{"hiddenSourceChainQuota":false,"hiddenTargetChainQuota":false}}
    */
-  public async getChainQuotaHiddenFlagDirectionally(option?: any): Promise<any> {
-    return await this._request('getChainQuotaHiddenFlagDirectionally', { ...(option || {}) });
+  public async getChainQuotaHiddenFlagDirectionally(option?: ChainIdsOption, callOptions?: CallOptions): Promise<Record<string, ChainQuotaHiddenFlag>> {
+    return await this._request('getChainQuotaHiddenFlagDirectionally', { ...(option || {}) }, callOptions);
   }
 
   /**
    * Get discount info.
    * @since 1.1.0
    * @group CrossChainV2
-   * @param {any} [option] - A reserved parameter.
-   * @returns {Promise<Array<any>>} - The discount info.
+   * @param {ReservedOption} [option] - A reserved parameter.
+   * @param {CallOptions} [callOptions] - Per-call SDK options: abort signal, timeout, retries and priority. Not sent to the server.
+   * @returns {Promise<Array<WanBridgeDiscount>>} - The discount info.
    * @example
    * const ret = await sdk.getWanBridgeDiscounts();
    * console.log(ret);
@@ -4895,8 +5980,8 @@ export default class IwanClient extends EventEmitter {
    * //   }
    * // ]
    */
-  public async getWanBridgeDiscounts(option?: any): Promise<Array<any>> {
-    return await this._request('getWanBridgeDiscounts', { ...(option || {}) });
+  public async getWanBridgeDiscounts(option?: ReservedOption, callOptions?: CallOptions): Promise<Array<WanBridgeDiscount>> {
+    return await this._request('getWanBridgeDiscounts', { ...(option || {}) }, callOptions);
   }
 
 
@@ -0,0 +1,706 @@
+// ========================================================
+// iWan SDK - Method registry
+// ========================================================
+
+import type {
+  ReservedOption, VersionOption, BlockRangeOption, OpReturnOutputsOption, TokenTypeOption,
+  TransByAddressBetweenBlocksOption, TransCountOption, PackTransactionOption, EstimateSmartFeeOption,
+  NetworkFeeOption, EosActionsOption, DelegatorTotalIncentiveOption, RegisteredDappOption,
+  RegisteredAdsOption, RegisteredCoinGeckoOption, RegisteredTokenLogoOption, RegisteredChainLogoOption,
+  RegisteredMultiChainOrigTokenOption, RegisteredMapTokenOption, RegisteredSubgraphOption,
+  RegisteredTokenIssuerOption, RegisteredTokenListOption, ChainIdsOption, EpochRangeOption,
+  StoremanGroupQuotaOption, StoremanStakeInfoOption, StoremanIncentiveOption, StoremanDelegatorInfoOption,
+  StoremanSlashInfoOption, TokenPairsOption, ChainConstantInfoOption, PrdInctMetricOption,
+  SelectedSmInfoOption, GroupIdOption, SmDelegatorInfoOption, LedgerOption, CrossChainFeesOption,
+  CrossChainNetworkFeeOption, CrossChainOperationFeeOption, EpochIdOption, GateWayBalancesOption,
+  TrustLinesOption, CrossChainReservedQuotaOption, MultiCallTarget, MultiCallResult, MultiCall2Target,
+  MultiCall2Result, BalanceMap, AccountBalance, TokenInfo, RegToken, CoinStoremanGroup, TokenStoremanGroup,
+  EventLog, Transaction, TransactionReceipt, Block, UTXO, OpReturnOutput, EosPackedTransaction,
+  EosCurrencyStats, BandwidthPrice, ResourcePrice, TotalStakedPercent, EosRawCodeAndAbi, EosTableRows,
+  EosChainInfo, EosAccountInfo, EosAbi, EosAction, StakerInfo, EpochIncentivePayDetail, SlotActivity,
+  ValidatorActivity, EpochActivity, ValidatorInfo, TotalIncentive, DelegatorStakeInfo, DelegatorIncentive,
+  LeaderGroupMember, EpochInfo, PosInfo, EpochBlockNumber, ValidatorSupStakeInfo, DelegatorSupStakeInfo,
+  EpochStakeOut, RegisteredValidator, RegisteredToken, RegisteredDapp, RegisteredAd, RegisteredCoinGecko,
+  RegisteredTokenLogo, RegisteredChainLogo, RegisteredMultiChainOrigToken, RegisteredSubgraph,
+  RegisteredTokenIssuer, RegisteredTokenListItem, StoremanGroupConfig, StoremanGroupInfo,
+  StoremanGroupListItem, StoremanActivity, StoremanGroupQuota, StoremanCandidate, StoremanGroupMember,
+  StoremanInfo, StoremanStakeInfo, StoremanConf, StoremanIncentive, StoremanDelegatorInfo, StoremanSlashInfo,
+  SelectedSmInfo, SmDelegatorInfo, TokenPairAncestorInfo, TokenPair, SupportedChainInfo, CrossChainFees,
+  CrossChainNetworkFee, CrossChainOperationFee, ChainQuotaHiddenFlag, WanBridgeDiscount, ChainParameter,
+  XrpLedger, XrpServerInfo, XrpGatewayBalances, XrpTrustLine, CardanoBlock, CardanoEpochParameters,
+  CardanoCostModelParameters,
+} from './types';
+import type { CallOptions } from './index';
+
+/**
+ * Block of {@link IwanClient.getTransByBlock} and {@link IwanClient.getBlockTransactionCount}, by hash or by number
+ */
+export type BlockSelector = { blockHash: string } | { blockNumber: number | string };
+
+/**
+ * Params and result of every iWan RPC method, keyed by the method name sent to the server.
+ *
+ * The named wrappers of {@link IwanClient}, the typed {@link IwanClient.call} and {@link BatchRequest.add}
+ * are all checked against it, so a method is described once here.
+ */
+export interface IwanMethods {
+  monitorEvent: {
+    params: { chainType: string; address: string; topics: string[] };
+    result: Array<EventLog>;
+  };
+  getBalance: {
+    params: { chainType: string; address: string };
+    result: string;
+  };
+  getMultiBalances: {
+    params: { chainType: string; address: Array<string> };
+    result: BalanceMap;
+  };
+  getScEvent: {
+    params: { chainType: string; address: string; topics: Array<string|null> } & BlockRangeOption;
+    result: Array<EventLog>;
+  };
+  getScOwner: {
+    params: { chainType: string; scAddr: string };
+    result: string;
+  };
+  getCoin2WanRatio: {
+    params: { crossChain: string };
+    result: string;
+  };
+  getUTXO: {
+    params: { chainType: string; address: string; minconf: number; maxconf: number } & ReservedOption;
+    result: Array<UTXO>;
+  };
+  getOpReturnOutputs: {
+    params: { chainType: string } & OpReturnOutputsOption;
+    result: Array<OpReturnOutput>;
+  };
+  getStoremanGroups: {
+    params: { crossChain: string } & ReservedOption;
+    result: Array<CoinStoremanGroup>;
+  };
+  getTokenStoremanGroups: {
+    params: { crossChain: string; tokenScAddr: string } & ReservedOption;
+    result: Array<TokenStoremanGroup>;
+  };
+  getGasPrice: {
+    params: { chainType: string } & ReservedOption;
+    result: string;
+  };
+  getTokenBalance: {
+    params: { chainType: string; address: string; tokenScAddr: string } & ReservedOption;
+    result: string;
+  };
+  getMultiTokenBalance: {
+    params: { chainType: string; address: Array<string>; tokenScAddr: string } & ReservedOption;
+    result: BalanceMap;
+  };
+  getAllBalances: {
+    params: { chainType: string; address: string } & ReservedOption;
+    result: Array<AccountBalance>;
+  };
+  getTokenSupply: {
+    params: { chainType: string; tokenScAddr: string } & ReservedOption;
+    result: string;
+  };
+  getTokenAllowance: {
+    params: { chainType: string; tokenScAddr: string; ownerAddr: string; spenderAddr: string } & ReservedOption;
+    result: string;
+  };
+  getTokenInfo: {
+    params: { chainType: string; tokenScAddr: string } & TokenTypeOption;
+    result: TokenInfo;
+  };
+  getMultiTokenInfo: {
+    params: { chainType: string; tokenScAddrArray: Array<string> } & TokenTypeOption;
+    result: Record<string, TokenInfo>;
+  };
+  getNonce: {
+    params: { chainType: string; address: string } & ReservedOption;
+    result: string;
+  };
+  getNonceIncludePending: {
+    params: { chainType: string; address: string } & ReservedOption;
+    result: string;
+  };
+  getBlockNumber: {
+    params: { chainType: string } & ReservedOption;
+    result: string;
+  };
+  sendRawTransaction: {
+    params: { chainType: string; signedTx: string } & ReservedOption;
+    result: string;
+  };
+  getTxInfo: {
+    params: { chainType: string; txHash: string } & ReservedOption;
+    result: Transaction;
+  };
+  getTransactionConfirm: {
+    params: { chainType: string; waitBlocks: number; txHash: string } & VersionOption;
+    result: TransactionReceipt;
+  };
+  getTransactionReceipt: {
+    params: { chainType: string; txHash: string } & VersionOption;
+    result: TransactionReceipt;
+  };
+  getTransByBlock: {
+    params: { chainType: string } & BlockSelector & ReservedOption;
+    result: Array<Transaction>;
+  };
+  getTransByAddress: {
+    params: { chainType: string; address: string } & ReservedOption;
+    result: Array<Transaction>;
+  };
+  getTransByAddressBetweenBlocks: {
+    params: { chainType: string; address: string; startBlockNo: number; endBlockNo: number } & TransByAddressBetweenBlocksOption;
+    result: Array<Transaction>;
+  };
+  getBlockByNumber: {
+    params: { chainType: string; blockNumber: string } & ReservedOption;
+    result: Block;
+  };
+  getBlockByHash: {
+    params: { chainType: string; blockHash: string } & ReservedOption;
+    result: Block;
+  };
+  getBlockTransactionCount: {
+    params: { chainType: string } & BlockSelector & ReservedOption;
+    result: number;
+  };
+  getTransCount: {
+    params: { chainType: string } & TransCountOption;
+    result: number;
+  };
+  packTransaction: {
+    params: { chainType: string; tx: any } & PackTransactionOption;
+    result: EosPackedTransaction;
+  };
+  getScVar: {
+    params: { chainType: string; scAddr: string; name: string; abi: Array<any>; version?: string };
+    result: any;
+  };
+  getScMap: {
+    params: { chainType: string; scAddr: string; name: string; key: string; abi: Array<any>; version?: string };
+    result: any;
+  };
+  callScFunc: {
+    params: { chainType: string; scAddr: string; name: string; args: Array<any>; abi: Array<any>; version?: string } & ReservedOption;
+    result: any;
+  };
+  getP2shxByHashx: {
+    params: { chainType: string; hashX: string };
+    result: string;
+  };
+  importAddress: {
+    params: { chainType: string; address: string };
+    result: string;
+  };
+  estimateSmartFee: {
+    params: { chainType: string } & EstimateSmartFeeOption;
+    result: string|number;
+  };
+  getRegTokens: {
+    params: { crossChain: string } & ReservedOption;
+    result: Array<RegToken>;
+  };
+  getToken2WanRatio: {
+    params: { crossChain: string; tokenScAddr: string };
+    result: string;
+  };
+  getOTAMixSet: {
+    params: { address: string; number: number; chainType: string };
+    result: Array<string>;
+  };
+  estimateGas: {
+    params: { chainType: string } & Record<string, any>;
+    result: number|string;
+  };
+  getChainInfo: {
+    params: { chainType: string } & ReservedOption;
+    result: EosChainInfo;
+  };
+  getCurrencyStats: {
+    params: { chainType: string; tokenScAddr: string; symbol: string } & ReservedOption;
+    result: EosCurrencyStats;
+  };
+  getAccountInfo: {
+    params: { chainType: string; address: string } & VersionOption;
+    result: EosAccountInfo;
+  };
+  getAccounts: {
+    params: { chainType: string } & ({ address: string } | { publicKey: string });
+    result: Array<string>;
+  };
+  getRequiredKeys: {
+    params: { chainType: string; txArgs: any } & ReservedOption;
+    result: Array<string>;
+  };
+  getRawCodeAndAbi: {
+    params: { chainType: string; scAddr: string };
+    result: EosRawCodeAndAbi;
+  };
+  getAbi: {
+    params: { chainType: string; scAddr: string };
+    result: EosAbi;
+  };
+  getRawAbi: {
+    params: { chainType: string; scAddr: string } & ReservedOption;
+    result: Record<string, number>;
+  };
+  getActions: {
+    params: { chainType: string; address: string } & EosActionsOption;
+    result: Array<EosAction>;
+  };
+  getResource: {
+    params: { chainType: string };
+    result: Record<string, number|string>;
+  };
+  getResourcePrice: {
+    params: { chainType: string; address: string };
+    result: ResourcePrice;
+  };
+  getBandwidthPrice: {
+    params: { chainType: string; address: string };
+    result: BandwidthPrice;
+  };
+  getRamPrice: {
+    params: { chainType: string };
+    result: string;
+  };
+  getTotalSupply: {
+    params: { chainType: string };
+    result: EosCurrencyStats;
+  };
+  getTotalStaked: {
+    params: { chainType: string };
+    result: string;
+  };
+  getTotalStakedPercent: {
+    params: { chainType: string };
+    result: TotalStakedPercent;
+  };
+  getTableRows: {
+    params: { chainType: string; scAddr: string; scope: string; table: string };
+    result: EosTableRows;
+  };
+  getEpochID: {
+    params: { chainType: string } & ReservedOption;
+    result: number;
+  };
+  getSlotID: {
+    params: { chainType: string } & ReservedOption;
+    result: number;
+  };
+  getEpochLeadersByEpochID: {
+    params: { chainType: string; epochID: number } & ReservedOption;
+    result: Record<string, string>;
+  };
+  getRandomProposersByEpochID: {
+    params: { chainType: string; epochID: number } & ReservedOption;
+    result: Record<string, string>;
+  };
+  getStakerInfo: {
+    params: { chainType: string; blockNumber: number } & ReservedOption;
+    result: Array<StakerInfo>;
+  };
+  getEpochIncentivePayDetail: {
+    params: { chainType: string; epochID: number } & ReservedOption;
+    result: Array<EpochIncentivePayDetail>;
+  };
+  getActivity: {
+    params: { chainType: string; epochID: number } & ReservedOption;
+    result: EpochActivity;
+  };
+  getSlotActivity: {
+    params: { chainType: string; epochID: number } & ReservedOption;
+    result: SlotActivity;
+  };
+  getValidatorActivity: {
+    params: { chainType: string; epochID: number } & ReservedOption;
+    result: ValidatorActivity;
+  };
+  getMaxStableBlkNumber: {
+    params: { chainType: string } & ReservedOption;
+    result: number;
+  };
+  getRandom: {
+    params: { chainType: string; epochID: number; blockNumber: number } & ReservedOption;
+    result: string;
+  };
+  getValidatorInfo: {
+    params: { chainType: string; address: string } & ReservedOption;
+    result: ValidatorInfo;
+  };
+  getValidatorStakeInfo: {
+    params: { chainType: string; address: string } & ReservedOption;
+    result: Array<StakerInfo>;
+  };
+  getValidatorTotalIncentive: {
+    params: { chainType: string; address: string } & ReservedOption;
+    result: Array<TotalIncentive>;
+  };
+  getDelegatorStakeInfo: {
+    params: { chainType: string; address: string } & ReservedOption;
+    result: Array<DelegatorStakeInfo>;
+  };
+  getDelegatorIncentive: {
+    params: { chainType: string; address: string } & ReservedOption;
+    result: Array<DelegatorIncentive>;
+  };
+  getDelegatorTotalIncentive: {
+    params: { chainType: string; address: string } & DelegatorTotalIncentiveOption;
+    result: Array<TotalIncentive>;
+  };
+  getLeaderGroupByEpochID: {
+    params: { chainType: string; epochID: number } & ReservedOption;
+    result: Array<LeaderGroupMember>;
+  };
+  getCurrentEpochInfo: {
+    params: { chainType: string } & ReservedOption;
+    result: EpochInfo;
+  };
+  getCurrentStakerInfo: {
+    params: { chainType: string } & ReservedOption;
+    result: Array<StakerInfo>;
+  };
+  getSlotCount: {
+    params: { chainType: string } & ReservedOption;
+    result: number;
+  };
+  getSlotTime: {
+    params: { chainType: string } & ReservedOption;
+    result: number;
+  };
+  getTimeByEpochID: {
+    params: { chainType: string; epochID: number } & ReservedOption;
+    result: number;
+  };
+  getEpochIDByTime: {
+    params: { chainType: string; time: number } & ReservedOption;
+    result: number;
+  };
+  getRegisteredValidator: {
+    params: { address?: string|Array<string>; after?: number };
+    result: Array<RegisteredValidator>;
+  };
+  getRegisteredToken: {
+    params: { tokenOrigAccount?: string; after?: number };
+    result: Array<RegisteredToken>;
+  };
+  getRegisteredDapp: {
+    params: RegisteredDappOption;
+    result: Array<RegisteredDapp>;
+  };
+  getRegisteredAds: {
+    params: RegisteredAdsOption;
+    result: Array<RegisteredAd>;
+  };
+  getRegisteredCoinGecko: {
+    params: RegisteredCoinGeckoOption;
+    result: Array<RegisteredCoinGecko>;
+  };
+  getPosInfo: {
+    params: { chainType: string } & ReservedOption;
+    result: PosInfo;
+  };
+  getMaxBlockNumber: {
+    params: { chainType: string; epochID: number } & ReservedOption;
+    result: Array<EpochBlockNumber>;
+  };
+  getValidatorSupStakeInfo: {
+    params: { chainType: string; address: string|Array<string> } & ReservedOption;
+    result: Array<ValidatorSupStakeInfo>;
+  };
+  getDelegatorSupStakeInfo: {
+    params: { chainType: string; address: string|Array<string> } & ReservedOption;
+    result: Array<DelegatorSupStakeInfo>;
+  };
+  getEpochIncentiveBlockNumber: {
+    params: { chainType: string; epochID: number } & ReservedOption;
+    result: number;
+  };
+  getEpochStakeOut: {
+    params: { chainType: string; epochID: number } & ReservedOption;
+    result: Array<EpochStakeOut>;
+  };
+  checkOTAUsed: {
+    params: { chainType: string; image: string } & ReservedOption;
+    result: boolean;
+  };
+  fetchService: {
+    params: { srvType: string; funcName: string; type: string } & ReservedOption;
+    result: any;
+  };
+  fetchSpecialService: {
+    params: { url: string; type: string } & ReservedOption;
+    result: any;
+  };
+  getRegisteredOrigToken: {
+    params: { chainType: string } & RegisteredTokenLogoOption;
+    result: Array<RegisteredTokenLogo>;
+  };
+  getRegisteredTokenLogo: {
+    params: { chainType: string } & RegisteredTokenLogoOption;
+    result: Array<RegisteredTokenLogo>;
+  };
+  getRegisteredChainLogo: {
+    params: RegisteredChainLogoOption;
+    result: Array<RegisteredChainLogo>;
+  };
+  getRegisteredMultiChainOrigToken: {
+    params: RegisteredMultiChainOrigTokenOption;
+    result: Array<RegisteredMultiChainOrigToken>;
+  };
+  getRegisteredMapToken: {
+    params: { chainType: string } & RegisteredMapTokenOption;
+    result: Array<RegisteredTokenLogo>;
+  };
+  getRegisteredSubgraph: {
+    params: RegisteredSubgraphOption;
+    result: Array<RegisteredSubgraph>;
+  };
+  getRegisteredTokenIssuer: {
+    params: RegisteredTokenIssuerOption;
+    result: Array<RegisteredTokenIssuer>;
+  };
+  getRegisteredTokenList: {
+    params: RegisteredTokenListOption;
+    result: Array<RegisteredTokenListItem>;
+  };
+  getStoremanGroupList: {
+    params: ChainIdsOption;
+    result: Array<StoremanGroupListItem>;
+  };
+  getStoremanGroupActivity: {
+    params: { groupId: string } & EpochRangeOption;
+    result: Record<string, StoremanActivity>;
+  };
+  getStoremanGroupQuota: {
+    params: { chainType: string; groupId: string; symbol: Array<string> } & StoremanGroupQuotaOption;
+    result: Array<StoremanGroupQuota>;
+  };
+  getStoremanGroupInfo: {
+    params: { groupId: string } & ReservedOption;
+    result: StoremanGroupInfo;
+  };
+  getMultiStoremanGroupInfo: {
+    params: { groupId: Array<string> } & ReservedOption;
+    result: Array<StoremanGroupInfo>;
+  };
+  getStoremanGroupConfig: {
+    params: { groupId: string } & ReservedOption;
+    result: StoremanGroupConfig;
+  };
+  getStoremanInfo: {
+    params: { wkAddr: string } & ReservedOption;
+    result: StoremanInfo;
+  };
+  getMultiStoremanInfo: {
+    params: { wkAddr: Array<string> } & ReservedOption;
+    result: Array<StoremanInfo>;
+  };
+  getStoremanConf: {
+    params: ReservedOption;
+    result: StoremanConf;
+  };
+  getStoremanCandidates: {
+    params: { groupId: string } & ReservedOption;
+    result: Array<StoremanCandidate>;
+  };
+  getStoremanCandidatesV2: {
+    params: { groupId: string } & ReservedOption;
+    result: Array<StoremanCandidate>;
+  };
+  getStoremanGroupMember: {
+    params: { groupId: string } & ReservedOption;
+    result: Array<StoremanGroupMember>;
+  };
+  getStoremanGroupMemberV2: {
+    params: { groupId: string } & ReservedOption;
+    result: Array<StoremanGroupMember>;
+  };
+  getStoremanStakeInfo: {
+    params: StoremanStakeInfoOption;
+    result: Array<StoremanStakeInfo>;
+  };
+  getStoremanStakeTotalIncentive: {
+    params: StoremanIncentiveOption;
+    result: Array<StoremanIncentive>;
+  };
+  getStoremanDelegatorInfo: {
+    params: StoremanDelegatorInfoOption;
+    result: Array<StoremanDelegatorInfo>;
+  };
+  getStoremanDelegatorTotalIncentive: {
+    params: StoremanIncentiveOption;
+    result: Array<StoremanIncentive>;
+  };
+  getStoremanGpkSlashInfo: {
+    params: StoremanSlashInfoOption;
+    result: Array<StoremanSlashInfo>;
+  };
+  getStoremanSignSlashInfo: {
+    params: StoremanSlashInfoOption;
+    result: Array<StoremanSlashInfo>;
+  };
+  getTokenPairs: {
+    params: TokenPairsOption;
+    result: Array<TokenPair>;
+  };
+  getTokenPairInfo: {
+    params: { id: string } & ReservedOption;
+    result: TokenPair;
+  };
+  getTokenPairAncestorInfo: {
+    params: { id: string } & ReservedOption;
+    result: TokenPairAncestorInfo;
+  };
+  getTokenPairIDs: {
+    params: ChainIdsOption;
+    result: Array<string>;
+  };
+  getChainConstantInfo: {
+    params: ChainConstantInfoOption;
+    result: Array<string|number>;
+  };
+  getSupportedChainInfo: {
+    params: ReservedOption;
+    result: Array<SupportedChainInfo>;
+  };
+  getPrdInctMetric: {
+    params: PrdInctMetricOption;
+    result: Array<string>;
+  };
+  getSelectedSmInfo: {
+    params: SelectedSmInfoOption;
+    result: SelectedSmInfo;
+  };
+  getSelectedStoreman: {
+    params: GroupIdOption;
+    result: Array<string>;
+  };
+  getSmDelegatorInfo: {
+    params: SmDelegatorInfoOption;
+    result: SmDelegatorInfo;
+  };
+  getRewardRatio: {
+    params: ReservedOption;
+    result: string;
+  };
+  multiCall: {
+    params: { chainType: string; calls: Array<MultiCallTarget> } & ReservedOption;
+    result: MultiCallResult;
+  };
+  multiCall2: {
+    params: { chainType: string; calls: Array<MultiCall2Target> } & ReservedOption;
+    result: Array<MultiCall2Result>;
+  };
+  getCode: {
+    params: { chainType: string; address: string } & ReservedOption;
+    result: string;
+  };
+  estimateNetworkFee: {
+    params: { chainType: string; feeType: 'lock'|'release' } & NetworkFeeOption;
+    result: string|number;
+  };
+  getLedgerVersion: {
+    params: { chainType: string } & ReservedOption;
+    result: string|number;
+  };
+  getLedger: {
+    params: { chainType: string } & LedgerOption;
+    result: XrpLedger;
+  };
+  getServerInfo: {
+    params: { chainType: string } & VersionOption;
+    result: XrpServerInfo;
+  };
+  getCrossChainFees: {
+    params: { chainType: string; chainIds: [number|string, number|string] } & CrossChainFeesOption;
+    result: CrossChainFees;
+  };
+  getMinCrossChainAmount: {
+    params: { crossChain: string; symbol: string } & ReservedOption;
+    result: Record<string, string>;
+  };
+  estimateCrossChainOperationFee: {
+    params: { chainType: string; targetChainType: string } & CrossChainOperationFeeOption;
+    result: CrossChainOperationFee;
+  };
+  estimateCrossChainNetworkFee: {
+    params: { chainType: string; targetChainType: string } & CrossChainNetworkFeeOption;
+    result: CrossChainNetworkFee;
+  };
+  getLatestBlock: {
+    params: { chainType: string } & ReservedOption;
+    result: CardanoBlock;
+  };
+  getEpochParameters: {
+    params: { chainType: string } & EpochIdOption;
+    result: CardanoEpochParameters;
+  };
+  getCostModelParameters: {
+    params: { chainType: string } & EpochIdOption;
+    result: CardanoCostModelParameters;
+  };
+  getTokenPairsHash: {
+    params: ReservedOption;
+    result: string;
+  };
+  getGateWayBalances: {
+    params: { chainType: string; address: string } & GateWayBalancesOption;
+    result: XrpGatewayBalances;
+  };
+  getTrustLines: {
+    params: { chainType: string; address: string } & TrustLinesOption;
+    result: Array<XrpTrustLine>;
+  };
+  getCrossChainReservedQuota: {
+    params: CrossChainReservedQuotaOption;
+    result: Record<string, string>;
+  };
+  hasHackerAccount: {
+    params: { address: Array<string> } & ReservedOption;
+    result: boolean;
+  };
+  getChainParameters: {
+    params: { chainType: string } & ReservedOption;
+    result: Array<ChainParameter>;
+  };
+  getChainQuotaHiddenFlags: {
+    params: ChainIdsOption;
+    result: Record<string, ChainQuotaHiddenFlag>;
+  };
+  getChainQuotaHiddenFlagDirectionally: {
+    params: ChainIdsOption;
+    result: Record<string, ChainQuotaHiddenFlag>;
+  };
+  getWanBridgeDiscounts: {
+    params: ReservedOption;
+    result: Array<WanBridgeDiscount>;
+  };
+}
+
+/**
+ * Name of a registered iWan RPC method
+ */
+export type IwanMethodName = keyof IwanMethods;
+
+/**
+ * Params sent to the server for a registered method, without the signing fields
+ */
+export type IwanParams<M extends IwanMethodName> = IwanMethods[M]['params'];
+
+/**
+ * Result returned by the server for a registered method
+ */
+export type IwanResult<M extends IwanMethodName> = IwanMethods[M]['result'];
+
+/**
+ * Arguments following the method name in {@link IwanClient.call} and {@link BatchRequest.add},
+ * where params may be left out when none of them is required
+ */
+export type IwanCallArgs<M extends IwanMethodName> = {} extends IwanParams<M>
+  ? [params?: IwanParams<M>, callOptions?: CallOptions]
+  : [params: IwanParams<M>, callOptions?: CallOptions];
@@ -0,0 +1,332 @@
+// ========================================================
+// iWan SDK - Mock server
+// ========================================================
+
+import hmacSHA256 from 'crypto-js/hmac-sha256';
+import Base64 from 'crypto-js/enc-base64';
+import type { WebSocket, WebSocketServer } from 'ws';
+import type { IncomingMessage } from 'http';
+
+// Recording fixtures writes files, so it ships with the mock server in the Node-only entry
+export * from './recording';
+
+// ====================== TYPES ======================
+/**
+ * One call received by a {@link MockIwanServer}
+ */
+export interface MockRequest {
+  /** The API key of the connection */
+  apiKey: string;
+  id: number;
+  method: string;
+  /** The params without the `timestamp` and `signature` added by the client */
+  params: Record<string, any>;
+}
+
+/**
+ * Result of a method of a {@link MockIwanServer}: a canned result, or a function computing it from the params.
+ * A function may be async, and throws to answer with an error, the `code` of the thrown error being sent
+ * (default: -32000).
+ */
+export type MockHandler = ((params: Record<string, any>, request: MockRequest) => any) | string | number | boolean | null | object;
+
+/**
+ * Options of {@link createMockIwanServer}
+ */
+export interface MockIwanServerOptions {
+  /** Port to listen on, 0 for a free one (default: 0) */
+  port?: number;
+  /** Host to listen on (default: '127.0.0.1') */
+  host?: string;
+  /** The accepted API key (default: 'mockApiKey') */
+  apiKey?: string;
+  /** The secret key of `apiKey`, checking the signatures (default: 'mockSecretKey') */
+  secretKey?: string;
+  /** Largest difference in ms between the request timestamp and the server clock (default: 300000) */
+  maxClockSkew?: number;
+  /** Delay in ms before every response (default: 0) */
+  latency?: number;
+  /** Answer JSON-RPC batches, or reject them like a gateway without batch support (default: true) */
+  batch?: boolean;
+  /** Handlers by method name */
+  handlers?: Record<string, MockHandler>;
+}
+
+/**
+ * Error codes sent by a {@link MockIwanServer} for malformed or unsigned calls
+ */
+export const MockErrorCode = {
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_SIGNATURE: -32001,
+  EXPIRED_TIMESTAMP: -32002,
+  SERVER_ERROR: -32000,
+} as const;
+
+export type MockErrorCode = typeof MockErrorCode[keyof typeof MockErrorCode];
+
+interface MockSubscription {
+  socket: WebSocket;
+  id: number;
+  chainType: string;
+  address: string;
+}
+
+// ====================== SERVER ======================
+function sign(secretKey: string, msg: string): string {
+  return Base64.stringify(hmacSHA256(msg, secretKey));
+}
+
+/**
+ * In-process iWan gateway over a local WebSocket server, for tests without network access (Node only).
+ *
+ * Calls are checked like the real gateway does: the API key is the last segment of the URL path, and every
+ * call must carry a recent `timestamp` and the HMAC-SHA256 `signature` of the payload by the secret key.
+ * Each method answers from its handler; `monitorEvent` subscriptions receive the logs sent by {@link push}.
+ *
+ * Created by {@link createMockIwanServer}.
+ *
+ * @example
+ * ```ts
+ * const server = await createMockIwanServer({ handlers: { getBalance: '10000000000000000000000' } });
+ * const client = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint });
+ * console.log(await client.getBalance('WAN', address));
+ * await client.close();
+ * await server.close();
+ * ```
+ */
+export class MockIwanServer {
+  /** The calls received so far, in order */
+  readonly requests: MockRequest[] = [];
+  /** The accepted API key */
+  readonly apiKey: string;
+  /** The secret key of `apiKey` */
+  readonly secretKey: string;
+  /** Delay in ms before every response */
+  latency: number;
+  /** Answer JSON-RPC batches */
+  batch: boolean;
+
+  private readonly handlers = new Map<string, MockHandler>();
+  private readonly sockets = new Set<WebSocket>();
+  private subscriptions: MockSubscription[] = [];
+  private readonly maxClockSkew: number;
+  private server: WebSocketServer | null = null;
+  private listenPort = 0;
+
+  constructor(private readonly options: MockIwanServerOptions = {}) {
+    this.apiKey = options.apiKey ?? 'mockApiKey';
+    this.secretKey = options.secretKey ?? 'mockSecretKey';
+    this.maxClockSkew = options.maxClockSkew ?? 300000;
+    this.latency = options.latency ?? 0;
+    this.batch = options.batch ?? true;
+    Object.entries(options.handlers ?? {}).forEach(([method, handler]) => this.handle(method, handler));
+  }
+
+  /** The port the server listens on */
+  get port(): number {
+    return this.listenPort;
+  }
+
+  /** The `endpoint` client option reaching this server, e.g. `'ws://127.0.0.1:40123/ws/{version}/{apiKey}'` */
+  get endpoint(): string {
+    return `ws://${this.options.host ?? '127.0.0.1'}:${this.listenPort}/ws/{version}/{apiKey}`;
+  }
+
+  /** Number of open client connections */
+  get connections(): number {
+    return this.sockets.size;
+  }
+
+  /**
+   * Start listening
+   * @returns Promise resolved once the server accepts connections
+   */
+  async listen(): Promise<void> {
+    const module = await import('ws');
+    const Server = module.WebSocketServer ?? (module as any).default.WebSocketServer;
+    const server: WebSocketServer = new Server({
+      port: this.options.port ?? 0,
+      host: this.options.host ?? '127.0.0.1',
+      // Unknown API keys are refused during the handshake
+      verifyClient: (info: { req: IncomingMessage }) => this.apiKeyOf(info.req) === this.apiKey,
+    });
+    this.server = server;
+    await new Promise<void>((resolve, reject) => {
+      server.once('listening', resolve);
+      server.once('error', reject);
+    });
+    this.listenPort = (server.address() as { port: number }).port;
+
+    server.on('connection', (socket, req) => {
+      const apiKey = this.apiKeyOf(req);
+      this.sockets.add(socket);
+      socket.on('message', data => this.onMessage(socket, apiKey, data.toString()));
+      socket.on('close', () => {
+        this.sockets.delete(socket);
+        this.subscriptions = this.subscriptions.filter(sub => sub.socket !== socket);
+      });
+    });
+  }
+
+  /**
+   * Set the handler of a method, replacing the previous one
+   * @param method - RPC method name (e.g. 'getBalance')
+   * @param handler - A canned result, or a function of the params
+   * @returns This server, for chaining
+   */
+  handle(method: string, handler: MockHandler): this {
+    this.handlers.set(method, handler);
+    return this;
+  }
+
+  /**
+   * Push logs to the `monitorEvent` subscriptions of a contract
+   * @param chainType - The chain of the subscriptions, e.g. 'WAN'
+   * @param address - The contract address
+   * @param logs - The pushed logs
+   * @returns The number of subscriptions reached
+   */
+  push(chainType: string, address: string, logs: any[]): number {
+    const targets = this.subscriptions.filter(sub => sub.chainType === chainType && sub.address.toLowerCase() === address.toLowerCase());
+    targets.forEach(sub => this.send(sub.socket, { jsonrpc: '2.0', id: sub.id, result: logs }));
+    return targets.length;
+  }
+
+  /**
+   * Push logs as one `monitorEvent` notification per connection subscribed to a contract, without the id of
+   * a subscription, leaving the client to pick its subscriptions by the topics of the logs
+   * @param chainType - The chain of the subscriptions, e.g. 'WAN'
+   * @param address - The contract address
+   * @param logs - The pushed logs
+   * @returns The number of connections reached
+   */
+  notify(chainType: string, address: string, logs: any[]): number {
+    const sockets = new Set(this.subscriptions
+      .filter(sub => sub.chainType === chainType && sub.address.toLowerCase() === address.toLowerCase())
+      .map(sub => sub.socket));
+    sockets.forEach(socket => this.send(socket, { jsonrpc: '2.0', method: 'monitorEvent', params: { chainType, address, result: logs } }));
+    return sockets.size;
+  }
+
+  /**
+   * Drop every client connection without a close handshake, as a network failure would
+   */
+  disconnect(): void {
+    this.sockets.forEach(socket => socket.terminate());
+  }
+
+  /**
+   * Disconnect the clients and stop listening
+   */
+  async close(): Promise<void> {
+    const server = this.server;
+    if (!server) return;
+    this.server = null;
+    this.disconnect();
+    await new Promise<void>(resolve => server.close(() => resolve()));
+  }
+
+  private apiKeyOf(req: IncomingMessage): string {
+    const path = (req.url ?? '').split('?')[0];
+    return decodeURIComponent(path.split('/').filter(Boolean).pop() ?? '');
+  }
+
+  private async onMessage(socket: WebSocket, apiKey: string, data: string) {
+    let msg: any;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      this.send(socket, { jsonrpc: '2.0', id: null, error: { code: MockErrorCode.INVALID_REQUEST, message: 'Parse error' } });
+      return;
+    }
+
+    if (Array.isArray(msg)) {
+      if (!this.batch) {
+        this.send(socket, { jsonrpc: '2.0', id: null, error: { code: MockErrorCode.INVALID_REQUEST, message: 'Batch requests are not supported' } });
+        return;
+      }
+      const responses = await Promise.all(msg.map(item => this.answer(socket, apiKey, item)));
+      this.send(socket, responses.filter(Boolean));
+      return;
+    }
+
+    const response = await this.answer(socket, apiKey, msg);
+    if (response) this.send(socket, response);
+  }
+
+  // The response of one call, or null when there is none to send
+  private async answer(socket: WebSocket, apiKey: string, msg: any): Promise<object | null> {
+    const id = msg?.id ?? null;
+    const fail = (code: number, message: string, data?: any) => ({ jsonrpc: '2.0', id, error: { code, message, ...(data !== undefined ? { data } : {}) } });
+    if (!msg || typeof msg.method !== 'string' || !msg.params || typeof msg.params !== 'object') {
+      return fail(MockErrorCode.INVALID_REQUEST, 'Invalid request');
+    }
+
+    // The signature covers the payload with its timestamp, which is how the client computes it
+    const { signature, ...signed } = msg.params;
+    if (typeof signature !== 'string' || sign(this.secretKey, JSON.stringify({ ...msg, params: signed })) !== signature) {
+      return fail(MockErrorCode.INVALID_SIGNATURE, 'Invalid signature');
+    }
+    if (typeof signed.timestamp !== 'number' || Math.abs(Date.now() - signed.timestamp) > this.maxClockSkew) {
+      return fail(MockErrorCode.EXPIRED_TIMESTAMP, 'Timestamp expired');
+    }
+
+    const { timestamp, ...params } = signed;
+    const request: MockRequest = { apiKey, id, method: msg.method, params };
+    this.requests.push(request);
+
+    // Subscriptions are acknowledged with no logs, unless a handler answers or rejects them
+    const subscribe = () => {
+      if (msg.method === 'monitorEvent') this.subscriptions.push({ socket, id, chainType: params.chainType, address: String(params.address ?? '') });
+    };
+    if (msg.method === 'monitorEvent' && !this.handlers.has('monitorEvent')) {
+      subscribe();
+      return { jsonrpc: '2.0', id, result: [] };
+    }
+
+    if (!this.handlers.has(msg.method)) {
+      return fail(MockErrorCode.METHOD_NOT_FOUND, `Method not found: ${msg.method}`);
+    }
+    const handler = this.handlers.get(msg.method);
+    try {
+      const result = typeof handler === 'function' ? await handler(params, request) : handler;
+      subscribe();
+      return { jsonrpc: '2.0', id, result };
+    } catch (err: any) {
+      return fail(typeof err?.code === 'number' ? err.code : MockErrorCode.SERVER_ERROR, err?.message ?? String(err), err?.data);
+    }
+  }
+
+  private send(socket: WebSocket, message: any) {
+    const data = JSON.stringify(message);
+    const write = () => {
+      if (socket.readyState === socket.OPEN) socket.send(data);
+    };
+    this.latency > 0 ? setTimeout(write, this.latency) : write();
+  }
+}
+
+/**
+ * Start an in-process iWan gateway for offline tests (Node only)
+ * @param options - Keys, handlers, latency and batch support
+ * @returns Promise with the listening {@link MockIwanServer}
+ * @example
+ * ```ts
+ * import { createMockIwanServer } from '@wandevs/iwan-sdk/mock';
+ *
+ * const server = await createMockIwanServer({
+ *   handlers: {
+ *     getBlockNumber: 1000,
+ *     getBalance: ({ address }) => balances[address] ?? '0',
+ *     sendRawTransaction: () => { throw Object.assign(new Error('nonce too low'), { code: -32000 }); },
+ *   },
+ * });
+ * const client = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint });
+ * ```
+ */
+export async function createMockIwanServer(options: MockIwanServerOptions = {}): Promise<MockIwanServer> {
+  const server = new MockIwanServer(options);
+  await server.listen();
+  return server;
+}
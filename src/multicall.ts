@@ -0,0 +1,208 @@
+// ========================================================
+// iWan SDK - Multicall aggregation
+// ========================================================
+
+import { AbiItem, AbiParameter, decodeBigNumbers, toJsonValue } from './abi';
+import { chainRegistry, ChainRegistry } from './chains';
+import type { MultiCall2Target, MultiCall2Result } from './types';
+
+// ====================== TYPES ======================
+/**
+ * Options of the `multicall` client option
+ */
+export interface MulticallOptions {
+  /** Time in ms to collect calls before sending them, 0 for the calls of the same tick (default: 0) */
+  wait?: number;
+  /** Largest number of calls in one `multiCall2` request (default: 100) */
+  maxCalls?: number;
+}
+
+/**
+ * Sends one request on its own, bypassing the aggregator
+ */
+export type MulticallSender = (method: string, params: any) => Promise<any>;
+
+interface PendingRead {
+  method: string;
+  params: any;
+  target: MultiCall2Target;
+  decode: (values: Record<string, any>) => any;
+  resolve: (value: any) => void;
+  reject: (reason?: any) => void;
+}
+
+// ====================== TARGETS ======================
+const UINT256_OUTPUT: AbiParameter = { name: 'value', type: 'uint256' };
+
+// Integers come back as serialized big numbers, callScFunc returns them as decimal strings
+function toDecimal(value: any): string {
+  return BigInt(decodeBigNumbers(value)).toString();
+}
+
+function hasOnly(params: Record<string, any>, keys: string[]): boolean {
+  return Object.keys(params).every(key => keys.includes(key) || params[key] === undefined);
+}
+
+function tokenBalanceRead(params: any): Pick<PendingRead, 'target' | 'decode'> | undefined {
+  const { address, tokenScAddr } = params;
+  if (!hasOnly(params, ['chainType', 'address', 'tokenScAddr'])) return undefined;
+  return {
+    target: {
+      address: tokenScAddr,
+      funcName: 'balanceOf',
+      inputTypes: [{ name: 'account', type: 'address' }],
+      outputTypes: [UINT256_OUTPUT],
+      outputNames: ['value'],
+      args: [address],
+    },
+    decode: values => toDecimal(values.value),
+  };
+}
+
+function tokenAllowanceRead(params: any): Pick<PendingRead, 'target' | 'decode'> | undefined {
+  const { tokenScAddr, ownerAddr, spenderAddr } = params;
+  if (!hasOnly(params, ['chainType', 'tokenScAddr', 'ownerAddr', 'spenderAddr'])) return undefined;
+  return {
+    target: {
+      address: tokenScAddr,
+      funcName: 'allowance',
+      inputTypes: [{ name: 'owner', type: 'address' }, { name: 'spender', type: 'address' }],
+      outputTypes: [UINT256_OUTPUT],
+      outputNames: ['value'],
+      args: [ownerAddr, spenderAddr],
+    },
+    decode: values => toDecimal(values.value),
+  };
+}
+
+// A call of a versioned contract, or of a name matching several functions, keeps its own request
+function scFuncRead(params: any): Pick<PendingRead, 'target' | 'decode'> | undefined {
+  const { scAddr, name, args, abi, version } = params;
+  if (version !== undefined || !Array.isArray(args) || !Array.isArray(abi)) return undefined;
+  if (!hasOnly(params, ['chainType', 'scAddr', 'name', 'args', 'abi', 'version'])) return undefined;
+
+  const items = (abi as AbiItem[]).filter(item => item.type === 'function' && item.name === name && (item.inputs ?? []).length === args.length);
+  const outputs = items[0]?.outputs ?? [];
+  if (items.length !== 1 || !outputs.length) return undefined;
+
+  const outputNames = outputs.map((_, i) => `output${i}`);
+  return {
+    target: { address: scAddr, funcName: name, inputTypes: items[0].inputs ?? [], outputTypes: outputs, outputNames, args },
+    // Shaped like the callScFunc result: the value of a single output, or an object keyed by position and by name
+    decode: values => {
+      const results = outputNames.map(key => toJsonValue(decodeBigNumbers(values[key])));
+      if (results.length === 1) return results[0];
+      const ret: Record<string, any> = {};
+      outputs.forEach((output, i) => {
+        ret[i] = results[i];
+        if (output.name) ret[output.name] = results[i];
+      });
+      return ret;
+    },
+  };
+}
+
+const READS: Record<string, (params: any) => Pick<PendingRead, 'target' | 'decode'> | undefined> = {
+  getTokenBalance: tokenBalanceRead,
+  getTokenAllowance: tokenAllowanceRead,
+  callScFunc: scFuncRead,
+};
+
+// ====================== AGGREGATOR ======================
+/**
+ * Coalesces concurrent contract reads of the same EVM chain into one `multiCall2` request.
+ *
+ * Enabled by the `multicall` client option. `callScFunc`, `getTokenBalance` and `getTokenAllowance` calls
+ * without per-call SDK options are collected for `wait` ms, then sent per chain and split back to their
+ * promises. A chain with a single call, a call that cannot be expressed as a multicall target, and a call
+ * whose multicall failed are sent as a normal request, so they settle exactly as without aggregation.
+ *
+ * @example
+ * ```ts
+ * const client = new IwanClient(apiKey, secretKey, { multicall: true });
+ * // One multiCall2 request
+ * const [usdt, usdc] = await Promise.all([
+ *   client.getTokenBalance('ETH', owner, usdtAddress),
+ *   client.getTokenBalance('ETH', owner, usdcAddress),
+ * ]);
+ * ```
+ */
+export class MulticallAggregator {
+  private reads = new Map<string, PendingRead[]>();
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private readonly wait: number;
+  private readonly maxCalls: number;
+
+  /**
+   * @param sender - Sends a request on its own, for `multiCall2` and the fallback calls
+   * @param options - Collecting delay and request size
+   * @param registry - The chain metadata telling the EVM chains, the shared {@link chainRegistry} by default
+   */
+  constructor(private readonly sender: MulticallSender, options: MulticallOptions = {}, private readonly registry: ChainRegistry = chainRegistry) {
+    this.wait = options.wait ?? 0;
+    this.maxCalls = Math.max(options.maxCalls ?? 100, 1);
+  }
+
+  /**
+   * Queue a read for the next `multiCall2` of its chain
+   * @param method - RPC method name (e.g. 'getTokenBalance')
+   * @param params - Parameters object
+   * @returns Promise with the result of the call, or undefined when the call cannot be aggregated
+   */
+  add(method: string, params: any): Promise<any> | undefined {
+    const { chainType } = params ?? {};
+    const read = READS[method]?.(params);
+    if (!read || typeof chainType !== 'string' || this.registry.get(chainType)?.family !== 'EVM') return undefined;
+
+    return new Promise<any>((resolve, reject) => {
+      this.reads.set(chainType, [...(this.reads.get(chainType) ?? []), { method, params, ...read, resolve, reject }]);
+      this.timer ??= setTimeout(() => this.flush(), this.wait);
+    });
+  }
+
+  private flush() {
+    const reads = this.reads;
+    this.reads = new Map();
+    this.timer = null;
+    reads.forEach((items, chainType) => {
+      for (let i = 0; i < items.length; i += this.maxCalls) {
+        void this.send(chainType, items.slice(i, i + this.maxCalls));
+      }
+    });
+  }
+
+  private async send(chainType: string, reads: PendingRead[]) {
+    if (reads.length === 1) {
+      this.fallback(reads[0]);
+      return;
+    }
+
+    let results: Array<{ success: boolean; values: Record<string, any> }>;
+    try {
+      const ret: Array<MultiCall2Result> = await this.sender('multiCall2', { chainType, calls: reads.map(read => read.target) });
+      results = ret.flatMap(chunk => chunk.result.map((values, i) => ({ success: chunk.status[i] ?? false, values })));
+    } catch {
+      // e.g. no multicall contract on this chain
+      reads.forEach(read => this.fallback(read));
+      return;
+    }
+
+    reads.forEach((read, i) => {
+      const result = results.length === reads.length ? results[i] : undefined;
+      if (!result?.success) {
+        // A reverted call is sent again, to reject with the error of the server
+        this.fallback(read);
+        return;
+      }
+      try {
+        read.resolve(read.decode(result.values));
+      } catch {
+        this.fallback(read);
+      }
+    });
+  }
+
+  private fallback(read: PendingRead) {
+    this.sender(read.method, read.params).then(read.resolve, read.reject);
+  }
+}
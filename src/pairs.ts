@@ -0,0 +1,274 @@
+// ========================================================
+// iWan SDK - Token pair store
+// ========================================================
+// Keeps the cross chain token pairs in memory and refreshes them only when
+// the bridge reports a new token pairs hash.
+
+import { EventEmitter } from 'eventemitter3';
+import { canonicalJson } from './utils';
+import type IwanClient from './index';
+import type { TokenPair, TokenPairAncestorInfo, TokenPairsOption } from './types';
+
+// ====================== TYPES ======================
+/**
+ * Options of {@link IwanClient.tokenPairs}
+ */
+export interface TokenPairStoreOptions {
+  /** Option of `getTokenPairs`, loading the pairs of some chains or tags only */
+  filter?: TokenPairsOption;
+  /** Interval in ms between the checks of `getTokenPairsHash`, 0 to refresh by hand only (default: 60000) */
+  interval?: number;
+}
+
+/**
+ * Changes of the token pairs between two hashes
+ */
+export interface TokenPairsDiff {
+  /** The new token pairs hash */
+  hash: string;
+  added: TokenPair[];
+  removed: TokenPair[];
+  /** The pairs whose ID stayed but whose content changed */
+  modified: Array<{ previous: TokenPair; current: TokenPair }>;
+}
+
+/**
+ * Events emitted by a {@link TokenPairStore}
+ */
+export interface TokenPairStoreEvents {
+  /** The token pairs hash changed and the pairs were reloaded */
+  tokenPairsChanged: (diff: TokenPairsDiff) => void;
+  /** A background check of the hash failed, the next interval tries again */
+  error: (err: any) => void;
+  /** The store was closed and stopped checking the hash */
+  close: () => void;
+}
+
+// ====================== INDEXES ======================
+function chainKey(fromChainID: string | number, toChainID: string | number): string {
+  return `${fromChainID}-${toChainID}`;
+}
+
+function push<T>(index: Map<string, T[]>, key: string, value: T) {
+  const list = index.get(key);
+  if (list) list.push(value);
+  else index.set(key, [value]);
+}
+
+/**
+ * Compare two lists of token pairs by ID
+ * @param previous - The pairs before
+ * @param current - The pairs after
+ * @param hash - The token pairs hash of `current`
+ */
+export function diffTokenPairs(previous: TokenPair[], current: TokenPair[], hash: string): TokenPairsDiff {
+  const before = new Map(previous.map(pair => [pair.id, pair]));
+  const after = new Map(current.map(pair => [pair.id, pair]));
+  return {
+    hash,
+    added: current.filter(pair => !before.has(pair.id)),
+    removed: previous.filter(pair => !after.has(pair.id)),
+    modified: current.flatMap(pair => {
+      const old = before.get(pair.id);
+      return old && canonicalJson(old) !== canonicalJson(pair) ? [{ previous: old, current: pair }] : [];
+    }),
+  };
+}
+
+// ====================== STORE ======================
+/**
+ * The cross chain token pairs, loaded once and reloaded only when `getTokenPairsHash` changes.
+ *
+ * Created by {@link IwanClient.tokenPairs}. `load()` fetches the pairs and starts checking the hash every
+ * `interval`; a new hash reloads the pairs and emits `tokenPairsChanged` with the added, removed and modified
+ * pairs. Lookups by ID, by chain pair and by token address are then synchronous. Pair details and ancestor
+ * infos are fetched on first use and kept until their pair changes.
+ *
+ * @example
+ * ```ts
+ * const store = client.tokenPairs({ interval: 30000 });
+ * await store.load();
+ * store.on('tokenPairsChanged', ({ added, removed, modified }) => console.log(added.length, removed.length, modified.length));
+ * const pairs = store.byChains('2153201998', '2147483708');
+ * const usdt = store.byToken('0xdac17f958d2ee523a2206206994597c13d831ec7');
+ * store.close();
+ * ```
+ */
+export class TokenPairStore extends EventEmitter<TokenPairStoreEvents> {
+  private pairs: TokenPair[] = [];
+  private ids = new Map<string, TokenPair>();
+  private chains = new Map<string, TokenPair[]>();
+  private tokens = new Map<string, TokenPair[]>();
+  private details = new Map<string, Promise<TokenPair>>();
+  private ancestors = new Map<string, Promise<TokenPairAncestorInfo>>();
+  private timer: ReturnType<typeof setInterval> | null = null;
+  private refreshing: Promise<boolean> | null = null;
+  private loading: Promise<void> | null = null;
+  private _hash: string | null = null;
+
+  /**
+   * @param client - The client serving the requests
+   * @param options - The pairs to load and the checking interval
+   */
+  constructor(private readonly client: IwanClient, private readonly options: TokenPairStoreOptions = {}) {
+    super();
+  }
+
+  /** The token pairs hash of the loaded pairs, null before `load()` */
+  get hash(): string | null {
+    return this._hash;
+  }
+
+  /** Every loaded pair */
+  get all(): TokenPair[] {
+    return [...this.pairs];
+  }
+
+  /**
+   * Load the pairs and start checking the hash. Later calls resolve with the first load.
+   * @returns Promise resolving once the pairs are loaded
+   */
+  load(): Promise<void> {
+    if (!this.loading) {
+      this.loading = this.reload().then(() => this.start());
+      this.loading.catch(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Check the token pairs hash now, reloading the pairs if it changed
+   * @returns Promise resolving to true when the pairs were reloaded
+   */
+  refresh(): Promise<boolean> {
+    if (!this.refreshing) {
+      this.refreshing = this.checkHash().finally(() => { this.refreshing = null; });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Stop checking the hash and emit `close`, which releases the store from its client. The loaded pairs stay
+   * available. Called by {@link IwanClient.close} for the stores of the client.
+   */
+  close(): void {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    this.emit('close');
+  }
+
+  // ====================== LOOKUPS ======================
+  /**
+   * The pair with an ID
+   * @param id - The token pair ID
+   */
+  byId(id: string | number): TokenPair | undefined {
+    return this.ids.get(String(id));
+  }
+
+  /**
+   * The pairs between two chains, in either direction
+   * @param chainID - BIP44 ID of one chain, e.g. '2153201998'
+   * @param otherChainID - BIP44 ID of the other chain
+   */
+  byChains(chainID: string | number, otherChainID: string | number): TokenPair[] {
+    return [...this.chains.get(chainKey(chainID, otherChainID)) ?? []];
+  }
+
+  /**
+   * The pairs of a token, by its account on the source or destination chain
+   * @param address - The token account, compared without case
+   * @param chainID - BIP44 ID of the chain of the account, to tell apart accounts of several chains
+   */
+  byToken(address: string, chainID?: string | number): TokenPair[] {
+    const pairs = this.tokens.get(address.toLowerCase()) ?? [];
+    if (chainID === undefined) return [...pairs];
+    const id = String(chainID);
+    const account = address.toLowerCase();
+    return pairs.filter(pair => (pair.fromChainID === id && pair.fromAccount.toLowerCase() === account)
+      || (pair.toChainID === id && pair.toAccount.toLowerCase() === account));
+  }
+
+  /**
+   * The details of a pair by `getTokenPairInfo`, fetched once, including the pairs left out by the filter
+   * @param id - The token pair ID
+   */
+  info(id: string | number): Promise<TokenPair> {
+    return this.memoize(this.details, String(id), () => this.client.getTokenPairInfo(String(id)));
+  }
+
+  /**
+   * The ancestor token of a pair by `getTokenPairAncestorInfo`, fetched once
+   * @param id - The token pair ID
+   */
+  ancestor(id: string | number): Promise<TokenPairAncestorInfo> {
+    return this.memoize(this.ancestors, String(id), () => this.client.getTokenPairAncestorInfo(String(id)));
+  }
+
+  // ====================== LOADING ======================
+  private start() {
+    const { interval = 60000 } = this.options;
+    if (this.timer || interval <= 0) return;
+    this.timer = setInterval(() => {
+      this.refresh().catch(err => this.emit('error', err));
+    }, interval);
+    // The checks alone do not keep a Node process running
+    (this.timer as { unref?: () => void }).unref?.();
+  }
+
+  private async checkHash(): Promise<boolean> {
+    const hash = await this.client.getTokenPairsHash();
+    if (hash === this._hash) return false;
+    const previous = this.pairs;
+    await this.reload(hash);
+    const diff = diffTokenPairs(previous, this.pairs, hash);
+    // Only the cached details of the changed pairs are dropped, the other pairs keep theirs
+    for (const pair of [...diff.removed, ...diff.modified.map(({ current }) => current)]) {
+      this.details.delete(pair.id);
+      this.ancestors.delete(pair.id);
+      await this.client.invalidateCache('getTokenPairInfo', { id: pair.id });
+    }
+    if (diff.added.length || diff.removed.length || diff.modified.length) {
+      this.emit('tokenPairsChanged', diff);
+    }
+    return true;
+  }
+
+  private async reload(hash?: string) {
+    // Bypass the response cache, which may still hold the pairs of the previous hash
+    const [pairs, current] = await Promise.all([
+      this.client.getTokenPairs(this.options.filter, { cache: false }),
+      hash ?? this.client.getTokenPairsHash(),
+    ]);
+    this.index(pairs);
+    this._hash = current;
+  }
+
+  private index(pairs: TokenPair[]) {
+    this.pairs = pairs;
+    this.ids = new Map(pairs.map(pair => [String(pair.id), pair]));
+    this.chains = new Map();
+    this.tokens = new Map();
+    for (const pair of pairs) {
+      push(this.chains, chainKey(pair.fromChainID, pair.toChainID), pair);
+      if (pair.fromChainID !== pair.toChainID) push(this.chains, chainKey(pair.toChainID, pair.fromChainID), pair);
+      const from = pair.fromAccount.toLowerCase();
+      const to = pair.toAccount.toLowerCase();
+      push(this.tokens, from, pair);
+      if (to !== from) push(this.tokens, to, pair);
+    }
+  }
+
+  // A failed fetch is forgotten, so that the next lookup tries again
+  private memoize<T>(map: Map<string, Promise<T>>, id: string, fetch: () => Promise<T>): Promise<T> {
+    let promise = map.get(id);
+    if (!promise) {
+      promise = fetch();
+      map.set(id, promise);
+      promise.catch(() => {
+        if (map.get(id) === promise) map.delete(id);
+      });
+    }
+    return promise;
+  }
+}
@@ -0,0 +1,304 @@
+// ========================================================
+// iWan SDK - EIP-1193 provider
+// ========================================================
+// Serves the read and broadcast methods of an EVM JSON-RPC node from the
+// iWan API, so ethers, viem or web3 can use iWan as their backend.
+
+import { EventEmitter } from 'eventemitter3';
+import { IWanConnectionError, IWanClosedError, IWanTimeoutError, IWanRpcError, IWanValidationError } from './errors';
+import { AbiItem, decodeFunctionData, encodeFunctionResult, toJsonValue } from './abi';
+import type IwanClient from './index';
+import type { BlockTag } from './types';
+
+// ====================== TYPES ======================
+/**
+ * Arguments of {@link IwanProvider.request}
+ */
+export interface RequestArguments {
+  readonly method: string;
+  readonly params?: readonly unknown[] | object;
+}
+
+/**
+ * Events emitted by an {@link IwanProvider}, as defined by EIP-1193
+ */
+export interface IwanProviderEvents {
+  /** The client connected, with the hex EVM chain ID */
+  connect: (info: { chainId: string }) => void;
+  /** The client lost its connection */
+  disconnect: (error: ProviderRpcError) => void;
+}
+
+/**
+ * Options of {@link IwanClient.provider}
+ */
+export interface IwanProviderOptions {
+  /**
+   * EVM chain ID returned by `eth_chainId`, e.g. 1 for Ethereum. Looked up in the {@link IwanClient.chains} when
+   * omitted, refreshing it from the server if needed.
+   */
+  chainId?: number;
+  /**
+   * ABIs of the contracts called through `eth_call`, keyed by address. iWan runs contract calls by function
+   * name, so the raw call data is decoded against these ABIs.
+   */
+  abis?: Record<string, AbiItem[]>;
+}
+
+// ====================== ERRORS ======================
+/**
+ * Standard EIP-1193 and JSON-RPC error codes
+ */
+export const ProviderErrorCode = {
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  UNSUPPORTED_METHOD: 4200,
+  DISCONNECTED: 4900,
+} as const;
+
+/**
+ * Error thrown by {@link IwanProvider.request}, with a numeric EIP-1193 `code`. The SDK error is kept in `data`.
+ */
+export class ProviderRpcError extends Error {
+  constructor(message: string, public readonly code: number, public readonly data?: unknown) {
+    super(message);
+    this.name = 'ProviderRpcError';
+  }
+}
+
+function toProviderError(err: any): ProviderRpcError {
+  if (err instanceof ProviderRpcError) return err;
+  if (err instanceof IWanValidationError) return new ProviderRpcError(err.message, ProviderErrorCode.INVALID_PARAMS, err);
+  if (err instanceof IWanConnectionError || err instanceof IWanClosedError) return new ProviderRpcError(err.message, ProviderErrorCode.DISCONNECTED, err);
+  if (err instanceof IWanRpcError) return new ProviderRpcError(err.message, err.rpcCode ?? ProviderErrorCode.INTERNAL_ERROR, err);
+  if (err instanceof IWanTimeoutError) return new ProviderRpcError(err.message, ProviderErrorCode.INTERNAL_ERROR, err);
+  return new ProviderRpcError(err?.message ?? String(err), ProviderErrorCode.INTERNAL_ERROR, err);
+}
+
+function invalidParams(message: string): ProviderRpcError {
+  return new ProviderRpcError(message, ProviderErrorCode.INVALID_PARAMS);
+}
+
+// ====================== FORMATTING ======================
+// Numeric fields returned as numbers or decimal strings by iWan, and as hex quantities by EVM nodes
+const QUANTITY_FIELDS = [
+  'blockNumber', 'transactionIndex', 'logIndex', 'cumulativeGasUsed', 'gasUsed', 'effectiveGasPrice',
+  'number', 'size', 'timestamp', 'gasLimit', 'difficulty', 'totalDifficulty', 'baseFeePerGas',
+  'gas', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'nonce', 'value', 'type', 'chainId',
+];
+
+function toQuantity(value: any): string {
+  if (typeof value === 'string' && /^0x/i.test(value)) return value;
+  return '0x' + BigInt(value).toString(16);
+}
+
+function formatObject(obj: any): any {
+  if (!obj || typeof obj !== 'object') return obj ?? null;
+  const ret: Record<string, any> = { ...obj };
+  for (const key of QUANTITY_FIELDS) {
+    if (ret[key] !== undefined && ret[key] !== null && ret[key] !== '') ret[key] = toQuantity(ret[key]);
+  }
+  if (typeof ret.status === 'boolean') ret.status = ret.status ? '0x1' : '0x0';
+  if (Array.isArray(ret.logs)) ret.logs = ret.logs.map(formatObject);
+  if (Array.isArray(ret.transactions)) ret.transactions = ret.transactions.map(formatObject);
+  return ret;
+}
+
+// iWan takes decimal block numbers and the 'latest' tag
+function toBlockTag(tag: unknown): BlockTag {
+  if (tag === undefined || tag === null || ['latest', 'pending', 'safe', 'finalized'].includes(tag as string)) return 'latest';
+  if (tag === 'earliest') return 0;
+  if (typeof tag === 'number') return tag;
+  if (typeof tag === 'string' && /^0x[0-9a-fA-F]+$/.test(tag)) return Number(tag);
+  throw invalidParams(`Invalid block tag ${JSON.stringify(tag)}`);
+}
+
+// The state reads of iWan only see the latest block, so an older block cannot be answered
+function latestOnly(method: string, tag: unknown) {
+  if (tag !== undefined && tag !== 'latest') {
+    throw invalidParams(`${method} only supports the 'latest' block, got ${JSON.stringify(tag)}`);
+  }
+}
+
+// ====================== PROVIDER ======================
+/**
+ * EIP-1193 provider for one EVM chain, backed by an {@link IwanClient}.
+ *
+ * Created by {@link IwanClient.provider}. It answers the methods below from the matching iWan methods; any
+ * other method, including signing, rejects with code 4200, so accounts stay with the wallet or the library.
+ * A block tag other than `'latest'` on the state reads, or `'pending'` for the nonce, rejects with code -32602.
+ * Call `dispose()` once the provider is no longer used, to stop following the connection of the client.
+ *
+ * | EVM method | iWan method |
+ * | --- | --- |
+ * | `eth_chainId`, `net_version` | {@link IwanClient.chains} |
+ * | `eth_blockNumber` | `getBlockNumber` |
+ * | `eth_getBalance` | `getBalance`, `'latest'` block only |
+ * | `eth_getTransactionCount` | `getNonce` for `'latest'`, `getNonceIncludePending` for `'pending'` |
+ * | `eth_getTransactionReceipt` | `getTransactionReceipt` |
+ * | `eth_getTransactionByHash` | `getTxInfo` |
+ * | `eth_getBlockByNumber`, `eth_getBlockByHash` | `getBlockByNumber`, `getBlockByHash` |
+ * | `eth_getCode` | `getCode`, `'latest'` block only |
+ * | `eth_estimateGas` | `estimateGas` |
+ * | `eth_gasPrice` | `getGasPrice` |
+ * | `eth_sendRawTransaction` | `sendRawTransaction` |
+ * | `eth_getLogs` | `getScEvent`, for one contract address |
+ * | `eth_call` | `callScFunc`, `'latest'` block only, for the contracts whose ABI is registered |
+ *
+ * @example
+ * ```ts
+ * const provider = client.provider('ETH', { abis: { [usdtAddress]: erc20Abi } });
+ * const ethersProvider = new ethers.BrowserProvider(provider);
+ * const viemClient = createPublicClient({ transport: custom(provider) });
+ * ```
+ */
+export class IwanProvider extends EventEmitter<IwanProviderEvents> {
+  private readonly abis = new Map<string, AbiItem[]>();
+  private readonly onOpen = () => {
+    this.chainId().then(chainId => this.emit('connect', { chainId }), () => {});
+  };
+  private readonly onClose = (event?: any) => {
+    this.emit('disconnect', new ProviderRpcError(`Disconnected (${event?.code ?? 'unknown'})`, ProviderErrorCode.DISCONNECTED, event));
+  };
+
+  /**
+   * @param client - The client serving the requests
+   * @param chainType - The EVM chain, e.g. 'ETH'
+   * @param options - The chain ID and the contract ABIs
+   */
+  constructor(private readonly client: IwanClient, public readonly chainType: string, private readonly options: IwanProviderOptions = {}) {
+    super();
+    Object.entries(options.abis ?? {}).forEach(([address, abi]) => this.registerAbi(address, abi));
+    client.on('open', this.onOpen);
+    client.on('close', this.onClose);
+  }
+
+  /**
+   * Stop following the connection of the client and drop the listeners of the provider. Requests still work.
+   */
+  dispose(): void {
+    this.client.off('open', this.onOpen);
+    this.client.off('close', this.onClose);
+    this.removeAllListeners();
+  }
+
+  /**
+   * Register the ABI of a contract, so that `eth_call` can reach it
+   * @param address - The contract address
+   * @param abi - The contract ABI
+   */
+  registerAbi(address: string, abi: AbiItem[]): void {
+    this.abis.set(address.toLowerCase(), abi);
+  }
+
+  /**
+   * Send an EIP-1193 request
+   * @param args - The EVM JSON-RPC method and its params
+   * @returns Promise with the result, formatted as by an EVM node
+   * @throws ProviderRpcError with code 4200 for an unsupported method, -32602 for invalid params
+   */
+  async request(args: RequestArguments): Promise<any> {
+    const { method } = args;
+    const params: any[] = Array.isArray(args.params) ? args.params : [];
+    try {
+      return await this.dispatch(method, params);
+    } catch (err) {
+      throw toProviderError(err);
+    }
+  }
+
+  private async dispatch(method: string, params: any[]): Promise<any> {
+    const { client, chainType } = this;
+    switch (method) {
+      case 'eth_chainId':
+        return await this.chainId();
+      case 'net_version':
+        return BigInt(await this.chainId()).toString();
+      case 'eth_blockNumber':
+        return toQuantity(await client.getBlockNumber(chainType));
+      case 'eth_getBalance':
+        latestOnly(method, params[1]);
+        return toQuantity(await client.getBalance(chainType, this.address(params[0])));
+      case 'eth_getTransactionCount':
+        if (params[1] !== 'pending') latestOnly(method, params[1]);
+        return toQuantity(params[1] === 'pending'
+          ? await client.getNonceIncludePending(chainType, this.address(params[0]))
+          : await client.getNonce(chainType, this.address(params[0])));
+      case 'eth_getTransactionReceipt':
+        return formatObject(await client.getTransactionReceipt(chainType, params[0]));
+      case 'eth_getTransactionByHash':
+        return formatObject(await client.getTxInfo(chainType, params[0]));
+      case 'eth_getBlockByNumber': {
+        const tag = toBlockTag(params[0]);
+        const blockNumber = tag === 'latest' ? await client.getBlockNumber(chainType) : tag;
+        return formatObject(await client.getBlockByNumber(chainType, String(blockNumber)));
+      }
+      case 'eth_getBlockByHash':
+        return formatObject(await client.getBlockByHash(chainType, params[0]));
+      case 'eth_getCode':
+        latestOnly(method, params[1]);
+        return await client.getCode(chainType, this.address(params[0]));
+      case 'eth_estimateGas':
+        return toQuantity(await client.estimateGas(chainType, params[0]));
+      case 'eth_gasPrice':
+        return toQuantity(await client.getGasPrice(chainType));
+      case 'eth_sendRawTransaction':
+        return await client.sendRawTransaction(chainType, params[0]);
+      case 'eth_getLogs':
+        return await this.getLogs(params[0]);
+      case 'eth_call':
+        latestOnly(method, params[1]);
+        return await this.call(params[0]);
+      default:
+        throw new ProviderRpcError(`The method ${method} is not supported by the iWan provider`, ProviderErrorCode.UNSUPPORTED_METHOD);
+    }
+  }
+
+  private address(value: unknown): string {
+    if (typeof value !== 'string') throw invalidParams('Missing address');
+    return value;
+  }
+
+  private async chainId(): Promise<string> {
+    let chainId = this.options.chainId ?? this.client.chains.get(this.chainType)?.evmChainId;
+    if (chainId === undefined) {
+      await this.client.refreshChainRegistry();
+      chainId = this.client.chains.get(this.chainType)?.evmChainId;
+    }
+    if (chainId === undefined) throw new ProviderRpcError(`Unknown EVM chain ID of ${this.chainType}`, ProviderErrorCode.INTERNAL_ERROR);
+    return toQuantity(chainId);
+  }
+
+  private async getLogs(filter: any = {}): Promise<any[]> {
+    const addresses = Array.isArray(filter.address) ? filter.address : [filter.address];
+    if (addresses.length !== 1 || typeof addresses[0] !== 'string') {
+      throw invalidParams('eth_getLogs needs exactly one contract address');
+    }
+    if (filter.blockHash) {
+      throw invalidParams('eth_getLogs does not support blockHash, use fromBlock and toBlock');
+    }
+    const logs = await this.client.getScEvent(this.chainType, addresses[0], filter.topics ?? [], {
+      fromBlock: toBlockTag(filter.fromBlock),
+      toBlock: toBlockTag(filter.toBlock),
+    });
+    return logs.map(formatObject);
+  }
+
+  private async call(tx: any = {}): Promise<string> {
+    if (typeof tx.to !== 'string' || typeof (tx.data ?? tx.input) !== 'string') {
+      throw invalidParams('eth_call needs a contract address and call data');
+    }
+    const abi = this.abis.get(tx.to.toLowerCase());
+    const decoded = abi && decodeFunctionData(abi, tx.data ?? tx.input);
+    if (!decoded) {
+      throw invalidParams(`No registered ABI of ${tx.to} matches the called function, see registerAbi()`);
+    }
+
+    // Only the called entry is sent, so that overloaded functions resolve to it
+    const { item, args } = decoded;
+    const result = await this.client.callScFunc(this.chainType, tx.to, item.name!, toJsonValue(args), [item]);
+    const outputs = item.outputs ?? [];
+    const values = outputs.length === 1 ? [result] : outputs.map((output, i) => result?.[i] ?? result?.[output.name ?? '']);
+    return encodeFunctionResult(item, values);
+  }
+}
@@ -0,0 +1,143 @@
+// ========================================================
+// iWan SDK - Fixture recording (Node only)
+// ========================================================
+// Exported by the '@wandevs/iwan-sdk/mock' entry, so that the main bundle stays free of Node modules.
+// The recorded fixtures replay anywhere through the ReplayTransport of the main entry.
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { BaseTransport, Transport } from './transport';
+import type { FixtureEntry, RpcFixture } from './fixtures';
+import { fixtureFrames, unsignedParams } from './utils';
+
+// ====================== TYPES ======================
+/**
+ * Options of {@link RecordingTransport}
+ */
+export interface RecordingOptions {
+  /** JSON file written with the recorded calls when the transport closes */
+  file?: string;
+}
+
+// ====================== FILES ======================
+/**
+ * Read a fixture file
+ * @param file - Path of the JSON file
+ */
+export async function loadFixture(file: string): Promise<RpcFixture> {
+  return JSON.parse(await readFile(file, 'utf8'));
+}
+
+/**
+ * Write a fixture file, creating its directory
+ * @param file - Path of the JSON file
+ * @param fixture - The recorded calls
+ */
+export async function saveFixture(file: string, fixture: RpcFixture): Promise<void> {
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+// ====================== RECORDING ======================
+/**
+ * Transport recording the calls and responses going through another transport.
+ *
+ * Every call is recorded with its method, unsigned params and result or error, in the order the calls were
+ * sent. Without the timestamp and signature, the recorded traffic replays with any keys, so fixtures survive
+ * a key rotation.
+ *
+ * @example
+ * ```ts
+ * import { RecordingTransport } from '@wandevs/iwan-sdk/mock';
+ *
+ * const client = new IwanClient(apiKey, secretKey, {
+ *   transport: url => new RecordingTransport(new WsTransport(url), { file: 'tests/fixtures/balances.json' }),
+ * });
+ * await client.getBalance('WAN', address);
+ * await client.close(); // writes the fixture file
+ * ```
+ */
+export class RecordingTransport extends BaseTransport {
+  private readonly calls = new Map<number, FixtureEntry>();
+  private readonly recorded: FixtureEntry[] = [];
+  /** Heartbeats, when the inner transport supports them */
+  readonly ping?: () => void;
+
+  /**
+   * @param inner - The transport reaching the server
+   * @param options - The fixture file
+   */
+  constructor(private readonly inner: Transport, private readonly options: RecordingOptions = {}) {
+    super();
+    if (inner.ping) this.ping = () => inner.ping!();
+    inner.on('open', () => this.emit('open'));
+    inner.on('close', event => this.emit('close', event));
+    inner.on('error', err => this.emit('error', err));
+    inner.on('pong', () => this.emit('pong'));
+    inner.on('message', data => {
+      this.record(data);
+      this.emit('message', data);
+    });
+  }
+
+  get isOpen(): boolean {
+    return this.inner.isOpen;
+  }
+
+  get persistent(): boolean {
+    return this.inner.persistent;
+  }
+
+  /** The calls answered so far */
+  get fixture(): RpcFixture {
+    return { entries: this.recorded.filter(entry => 'result' in entry || 'error' in entry) };
+  }
+
+  async connect(): Promise<void> {
+    await this.inner.connect();
+  }
+
+  async send(data: string): Promise<void> {
+    for (const msg of fixtureFrames(data)) {
+      if (typeof msg?.method !== 'string' || typeof msg.id !== 'number') continue;
+      const entry: FixtureEntry = { method: msg.method, params: unsignedParams(msg.params) };
+      this.calls.set(msg.id, entry);
+      this.recorded.push(entry);
+    }
+    await this.inner.send(data);
+  }
+
+  async close(): Promise<void> {
+    await this.inner.close();
+    await this.save();
+  }
+
+  /**
+   * Write the recorded calls to the `file` option, if any
+   */
+  async save(): Promise<void> {
+    if (this.options.file) {
+      await saveFixture(this.options.file, this.fixture);
+    }
+  }
+
+  private record(data: string) {
+    let msgs: any[];
+    try {
+      msgs = fixtureFrames(data);
+    } catch {
+      return;
+    }
+    for (const msg of msgs) {
+      const entry = typeof msg?.id === 'number' ? this.calls.get(msg.id) : undefined;
+      if (!entry) continue;
+      if ('result' in entry || 'error' in entry) {
+        entry.pushes = [...(entry.pushes ?? []), msg.result];
+      } else if (msg.error) {
+        entry.error = msg.error;
+      } else {
+        entry.result = msg.result;
+      }
+    }
+  }
+}
@@ -0,0 +1,1146 @@
+// ========================================================
+// iWan SDK - Response schemas
+// ========================================================
+
+import type { IwanMethodName } from './methods';
+
+// ====================== SCHEMA ======================
+/**
+ * One place where a value did not match its schema
+ */
+export interface SchemaIssue {
+  /** Location of the value, e.g. `'result.logs[0].blockNumber'` */
+  path: string;
+  /** The expected type */
+  expected: string;
+  /** The type found, `'missing'` for an absent required field */
+  received: string;
+}
+
+/**
+ * Runtime description of a response shape
+ */
+export interface Schema {
+  /** Short type description used in issues, e.g. `'Array<string>'` */
+  readonly description: string;
+  /** The field may be absent from its parent object */
+  readonly optional?: boolean;
+  /** Append an issue for every mismatch found under `path` */
+  check(value: unknown, path: string, issues: SchemaIssue[]): void;
+}
+
+function typeOf(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function primitive(type: 'string' | 'number' | 'boolean'): Schema {
+  return {
+    description: type,
+    check(value, path, issues) {
+      if (typeof value !== type) issues.push({ path, expected: type, received: typeOf(value) });
+    },
+  };
+}
+
+/**
+ * Schema builders. Objects accept extra fields, so additions on the server side are not reported.
+ */
+export const schema = {
+  any(): Schema {
+    return { description: 'any', check() {} };
+  },
+  string: () => primitive('string'),
+  number: () => primitive('number'),
+  boolean: () => primitive('boolean'),
+  optional(inner: Schema): Schema {
+    return {
+      description: inner.description,
+      optional: true,
+      check(value, path, issues) {
+        if (value !== undefined) inner.check(value, path, issues);
+      },
+    };
+  },
+  nullable(inner: Schema): Schema {
+    return {
+      description: `${inner.description}|null`,
+      optional: inner.optional,
+      check(value, path, issues) {
+        if (value !== null) inner.check(value, path, issues);
+      },
+    };
+  },
+  union(...options: Schema[]): Schema {
+    const description = options.map(option => option.description).join('|');
+    return {
+      description,
+      check(value, path, issues) {
+        const matched = options.some(option => {
+          const found: SchemaIssue[] = [];
+          option.check(value, path, found);
+          return !found.length;
+        });
+        if (!matched) issues.push({ path, expected: description, received: typeOf(value) });
+      },
+    };
+  },
+  array(item: Schema): Schema {
+    const description = `Array<${item.description}>`;
+    return {
+      description,
+      check(value, path, issues) {
+        if (!Array.isArray(value)) {
+          issues.push({ path, expected: description, received: typeOf(value) });
+          return;
+        }
+        value.forEach((element, i) => item.check(element, `${path}[${i}]`, issues));
+      },
+    };
+  },
+  record(item: Schema): Schema {
+    const description = `Record<string, ${item.description}>`;
+    return {
+      description,
+      check(value, path, issues) {
+        if (typeOf(value) !== 'object') {
+          issues.push({ path, expected: description, received: typeOf(value) });
+          return;
+        }
+        for (const [key, element] of Object.entries(value as object)) {
+          item.check(element, `${path}.${key}`, issues);
+        }
+      },
+    };
+  },
+  object(shape: Record<string, Schema>): Schema {
+    return {
+      description: 'object',
+      check(value, path, issues) {
+        if (typeOf(value) !== 'object') {
+          issues.push({ path, expected: 'object', received: typeOf(value) });
+          return;
+        }
+        for (const [key, field] of Object.entries(shape)) {
+          const element = (value as Record<string, unknown>)[key];
+          if (element === undefined && !field.optional) {
+            issues.push({ path: `${path}.${key}`, expected: field.description, received: 'missing' });
+          } else {
+            field.check(element, `${path}.${key}`, issues);
+          }
+        }
+      },
+    };
+  },
+  /** Object schema made of shared fields plus its own */
+  extend(base: Record<string, Schema>, shape: Record<string, Schema>): Schema {
+    return schema.object({ ...base, ...shape });
+  },
+};
+
+/**
+ * Check a value against a schema
+ * @param {Schema} target - The schema to check against.
+ * @param {any} value - The value to check.
+ * @param {string} [path] - Name of the value in issue paths, default: `'result'`.
+ * @returns {Array<SchemaIssue>} - The mismatches, empty when the value matches.
+ */
+export function validateSchema(target: Schema, value: unknown, path = 'result'): SchemaIssue[] {
+  const issues: SchemaIssue[] = [];
+  target.check(value, path, issues);
+  return issues;
+}
+
+const { any, string, number, boolean, optional, nullable, union, array, record, object } = schema;
+
+// ====================== ACCOUNTS AND TOKENS ======================
+export const BalanceMapSchema = record(string());
+
+export const AccountBalanceSchema = object({
+  currency: string(),
+  value: string(),
+  issuer: optional(string()),
+});
+
+export const TokenInfoSchema = object({
+  symbol: string(),
+  decimals: string(),
+});
+
+export const RegTokenSchema = object({
+  tokenOrigAddr: string(),
+  tokenWanAddr: string(),
+  ratio: string(),
+  minDeposit: string(),
+  origHtlc: string(),
+  wanHtlc: string(),
+  withdrawDelayTime: string(),
+  tokenHash: string(),
+  name: string(),
+  symbol: string(),
+  decimals: string(),
+  iconData: string(),
+  iconType: string(),
+});
+
+export const CoinStoremanGroupSchema = object({
+  wanAddress: string(),
+  ethAddress: string(),
+  deposit: string(),
+  txFeeRatio: string(),
+  quota: string(),
+  inboundQuota: string(),
+  outboundQuota: string(),
+  receivable: string(),
+  payable: string(),
+  debt: string(),
+});
+
+export const TokenStoremanGroupSchema = object({
+  tokenOrigAddr: string(),
+  smgWanAddr: string(),
+  smgOrigAddr: string(),
+  wanDeposit: string(),
+  quota: string(),
+  txFeeRatio: string(),
+  inboundQuota: string(),
+  outboundQuota: string(),
+  receivable: string(),
+  payable: string(),
+  debt: string(),
+});
+
+// ====================== BLOCKS AND TRANSACTIONS ======================
+export const EventLogSchema = object({
+  address: string(),
+  topics: array(string()),
+  data: string(),
+  blockNumber: number(),
+  transactionHash: string(),
+  transactionIndex: number(),
+  blockHash: string(),
+  logIndex: number(),
+  removed: boolean(),
+});
+
+export const TransactionSchema = object({
+  txType: optional(string()),
+  blockHash: string(),
+  blockNumber: number(),
+  from: string(),
+  gas: number(),
+  gasPrice: string(),
+  hash: string(),
+  input: string(),
+  nonce: number(),
+  to: nullable(string()),
+  transactionIndex: number(),
+  value: string(),
+  v: string(),
+  r: string(),
+  s: string(),
+});
+
+export const TransactionReceiptSchema = object({
+  blockHash: string(),
+  blockNumber: number(),
+  contractAddress: nullable(string()),
+  cumulativeGasUsed: number(),
+  from: string(),
+  gasUsed: number(),
+  logs: array(EventLogSchema),
+  logsBloom: string(),
+  status: string(),
+  to: nullable(string()),
+  transactionHash: string(),
+  transactionIndex: number(),
+});
+
+export const BlockSchema = object({
+  size: number(),
+  timestamp: number(),
+  transactions: array(union(string(), TransactionSchema)),
+  uncles: array(string()),
+  difficulty: string(),
+  extraData: string(),
+  gasLimit: number(),
+  gasUsed: number(),
+  hash: string(),
+  logsBloom: string(),
+  miner: string(),
+  mixHash: string(),
+  nonce: string(),
+  number: number(),
+  parentHash: string(),
+  receiptsRoot: string(),
+  sha3Uncles: string(),
+  stateRoot: string(),
+  totalDifficulty: string(),
+  transactionsRoot: string(),
+});
+
+export const UTXOSchema = object({
+  txid: string(),
+  vout: number(),
+  address: string(),
+  account: string(),
+  scriptPubKey: string(),
+  amount: number(),
+  confirmations: number(),
+  spendable: boolean(),
+  solvable: boolean(),
+  safe: boolean(),
+  value: number(),
+});
+
+export const OpReturnOutputSchema = object({
+  txid: string(),
+  height: number(),
+  vout: array(object({
+    scriptPubKey: object({
+      addresses: optional(array(string())),
+      asm: string(),
+      hex: string(),
+      reqSigs: optional(number()),
+      type: string(),
+    }),
+    value: number(),
+    index: number(),
+  })),
+});
+
+// ====================== EOS ======================
+export const EosPackedTransactionSchema = object({
+  serializedTransaction: record(number()),
+  signatures: array(string()),
+});
+
+export const EosCurrencyStatsSchema = object({
+  supply: string(),
+  max_supply: string(),
+  issuer: string(),
+});
+
+const bandwidthPrice = {
+  net: string(),
+  cpu: string(),
+};
+
+export const BandwidthPriceSchema = object(bandwidthPrice);
+
+export const ResourcePriceSchema = schema.extend(bandwidthPrice, {
+  ram: string(),
+});
+
+export const TotalStakedPercentSchema = object({
+  totalStaked: number(),
+  totalSup: number(),
+  percent: number(),
+});
+
+export const EosRawCodeAndAbiSchema = object({
+  account_name: string(),
+  wasm: string(),
+  abi: string(),
+});
+
+export const EosTableRowsSchema = object({
+  rows: array(record(any())),
+  more: boolean(),
+  next_key: optional(string()),
+});
+
+export const EosChainInfoSchema = object({
+  head_block_num: number(),
+  last_irreversible_block_num: number(),
+});
+
+export const EosAccountInfoSchema = object({
+  account_name: string(),
+  core_liquid_balance: optional(string()),
+  ram_quota: number(),
+  ram_usage: number(),
+  permissions: array(any()),
+});
+
+export const EosAbiSchema = object({
+  version: string(),
+  types: array(any()),
+  structs: array(any()),
+  actions: array(any()),
+  tables: array(any()),
+});
+
+export const EosActionSchema = object({
+  act: object({
+    account: string(),
+    name: string(),
+    authorization: array(any()),
+    data: any(),
+  }),
+  block_num: number(),
+  trx_id: string(),
+});
+
+// ====================== POS ======================
+const stakerClient = {
+  address: string(),
+  amount: string(),
+  votingPower: string(),
+  quitEpoch: number(),
+};
+
+export const StakerClientSchema = object(stakerClient);
+
+export const StakerPartnerSchema = schema.extend(stakerClient, {
+  renewal: optional(boolean()),
+  lockEpochs: optional(number()),
+  stakingEpoch: optional(number()),
+});
+
+export const StakerInfoSchema = object({
+  address: string(),
+  pubSec256: string(),
+  pubBn256: string(),
+  amount: string(),
+  votingPower: string(),
+  lockEpochs: number(),
+  maxFeeRate: number(),
+  nextLockEpochs: number(),
+  from: string(),
+  stakingEpoch: number(),
+  feeRate: number(),
+  feeRateChangedEpoch: number(),
+  quitEpoch: optional(number()),
+  clients: optional(array(StakerClientSchema)),
+  partners: array(StakerPartnerSchema),
+});
+
+export const EpochIncentivePayDetailSchema = object({
+  address: string(),
+  stakeInFromAddr: string(),
+  incentive: string(),
+  type: string(),
+  delegators: array(object({
+    address: string(),
+    incentive: string(),
+    type: string(),
+  })),
+});
+
+const slotActivity = {
+  slBlocks: array(number()),
+  slActivity: number(),
+  slCtrlCount: number(),
+};
+
+const validatorActivity = {
+  epLeader: array(string()),
+  epActivity: array(number()),
+  rpLeader: array(string()),
+  rpActivity: array(number()),
+};
+
+export const SlotActivitySchema = object(slotActivity);
+
+export const ValidatorActivitySchema = object(validatorActivity);
+
+export const EpochActivitySchema = object({
+  ...slotActivity,
+  ...validatorActivity,
+  sltLeader: array(string()),
+});
+
+export const ValidatorInfoSchema = object({
+  address: string(),
+  amount: string(),
+  feeRate: number(),
+});
+
+export const TotalIncentiveSchema = object({
+  address: string(),
+  amount: string(),
+  minEpochId: number(),
+  epochCount: number(),
+});
+
+export const DelegatorStakeInfoSchema = object({
+  address: string(),
+  amount: string(),
+  quitEpoch: number(),
+});
+
+export const DelegatorIncentiveSchema = object({
+  address: string(),
+  amount: string(),
+  epochId: number(),
+});
+
+export const LeaderGroupMemberSchema = object({
+  pubBn256: string(),
+  pubSec256: string(),
+  secAddr: string(),
+  type: number(),
+});
+
+export const EpochInfoSchema = object({
+  blockNumber: number(),
+  slotId: number(),
+  epochId: number(),
+});
+
+export const PosInfoSchema = object({
+  firstBlockNumber: number(),
+  firstEpochId: number(),
+});
+
+export const EpochBlockNumberSchema = object({
+  epochId: number(),
+  blockNumber: number(),
+});
+
+export const ValidatorSupStakeInfoSchema = object({
+  address: string(),
+  stakeIn: number(),
+  stakeInTimestamp: number(),
+});
+
+export const DelegatorSupStakeInfoSchema = object({
+  address: string(),
+  vAddress: string(),
+  delegateIn: number(),
+  delegateInTimestamp: number(),
+});
+
+export const EpochStakeOutSchema = object({
+  address: string(),
+  amount: string(),
+});
+
+// ====================== REGISTERED ======================
+export const RegisteredValidatorSchema = object({
+  address: string(),
+  name: string(),
+  iconData: string(),
+  iconType: string(),
+  url: string(),
+  updatedAt: number(),
+});
+
+export const RegisteredTokenSchema = object({
+  tokenOrigAccount: string(),
+  decimals: number(),
+  deposit: string(),
+  iconData: string(),
+  iconType: string(),
+  name: string(),
+  symbol: string(),
+  token2WanRatio: string(),
+  tokenWanAddr: string(),
+  updatedAt: number(),
+  withDrawDelayTime: string(),
+});
+
+export const RegisteredDappSchema = object({
+  langInfo: array(object({
+    language: string(),
+    name: string(),
+    summary: string(),
+    detail: string(),
+  })),
+  platform: array(string()),
+  url: string(),
+  chainType: string(),
+  type: string(),
+  creator: string(),
+  creatorWebsite: string(),
+  scAddress: array(string()),
+  iconType: string(),
+  iconData: string(),
+  updatedAt: number(),
+});
+
+export const RegisteredAdSchema = object({
+  name: string(),
+  iconData: string(),
+  iconType: string(),
+  url: string(),
+  updatedAt: number(),
+});
+
+export const RegisteredCoinGeckoSchema = object({
+  id: string(),
+  symbol: string(),
+  name: string(),
+  updatedAt: number(),
+});
+
+export const RegisteredTokenLogoSchema = object({
+  tokenScAddr: string(),
+  iconType: string(),
+  iconData: string(),
+  updatedAt: number(),
+});
+
+export const RegisteredChainLogoSchema = object({
+  chainType: string(),
+  iconType: string(),
+  iconData: string(),
+  updatedAt: number(),
+});
+
+export const RegisteredMultiChainOrigTokenSchema = object({
+  chainType: string(),
+  symbol: optional(string()),
+  updatedAt: optional(number()),
+});
+
+export const RegisteredSubgraphSchema = object({
+  chainType: string(),
+  keyword: string(),
+  subgraph: string(),
+});
+
+export const RegisteredTokenIssuerSchema = object({
+  chainType: string(),
+  isNativeCoin: boolean(),
+  issuer: string(),
+  tokenScAddr: string(),
+  tokenType: string(),
+  updatedAt: number(),
+});
+
+export const RegisteredTokenListItemSchema = object({
+  groupTag: string(),
+  address: string(),
+  name: string(),
+  symbol: string(),
+  decimals: string(),
+  tokenType: string(),
+  chainType: string(),
+});
+
+// ====================== STOREMAN ======================
+export const StoremanGroupChainSchema = array(union(number(), string()));
+
+const storemanGroupConfig = {
+  groupId: string(),
+  status: string(),
+  deposit: string(),
+  chain1: string(),
+  chain2: string(),
+  curve1: string(),
+  curve2: string(),
+  gpk1: string(),
+  gpk2: string(),
+  startTime: string(),
+  endTime: string(),
+};
+
+const storemanGroupInfo = {
+  ...storemanGroupConfig,
+  depositWeight: string(),
+  selectedCount: string(),
+  memberCount: string(),
+  whiteCount: string(),
+  whiteCountAll: string(),
+  registerTime: string(),
+  registerDuration: string(),
+  memberCountDesign: string(),
+  threshold: string(),
+  tickedCount: string(),
+  minStakeIn: string(),
+  minDelegateIn: string(),
+  minPartIn: string(),
+  crossIncoming: string(),
+  delegateFee: string(),
+  algo1: string(),
+  algo2: string(),
+  gpk3: optional(string()),
+  curve3: optional(string()),
+  algo3: optional(string()),
+};
+
+export const StoremanGroupConfigSchema = object(storemanGroupConfig);
+
+export const StoremanGroupInfoSchema = object(storemanGroupInfo);
+
+export const StoremanGroupListItemSchema = schema.extend(storemanGroupInfo, {
+  preGroupId: string(),
+  workStart: string(),
+  workDuration: string(),
+  endRegisterTime: string(),
+  canStakeIn: boolean(),
+  chain1: StoremanGroupChainSchema,
+  chain2: StoremanGroupChainSchema,
+});
+
+export const StoremanActivitySchema = object({
+  wkAddr: string(),
+  activity: string(),
+});
+
+export const StoremanGroupQuotaSchema = object({
+  symbol: string(),
+  minQuota: string(),
+  maxQuota: string(),
+});
+
+const storemanCandidate = {
+  sender: string(),
+  PK: string(),
+  wkAddr: string(),
+  quited: boolean(),
+  deposit: string(),
+  delegateDeposit: string(),
+  incentive: string(),
+  delegatorCount: string(),
+  groupId: string(),
+  nextGroupId: string(),
+  incentivedDay: string(),
+  slashedCount: string(),
+};
+
+export const StoremanCandidateSchema = object(storemanCandidate);
+
+export const StoremanGroupMemberSchema = schema.extend(storemanCandidate, {
+  isWhite: boolean(),
+  name: optional(string()),
+  url: optional(string()),
+  iconData: optional(string()),
+  iconType: optional(string()),
+});
+
+const storemanWorker = {
+  enodeID: string(),
+  PK: string(),
+  wkAddr: string(),
+  isWhite: boolean(),
+  quited: boolean(),
+  delegatorCount: string(),
+  delegateDeposit: string(),
+  partnerCount: string(),
+  partnerDeposit: string(),
+  crossIncoming: string(),
+  slashedCount: string(),
+  incentivedDelegator: string(),
+  incentivedDay: string(),
+  groupId: string(),
+  nextGroupId: string(),
+  deposit: string(),
+  incentive: string(),
+  delegatorInCount: optional(string()),
+  delegateInDeposit: optional(string()),
+};
+
+export const StoremanInfoSchema = schema.extend(storemanWorker, {
+  sender: string(),
+});
+
+export const StoremanStakeInfoSchema = schema.extend(storemanWorker, {
+  from: string(),
+  canStakeOut: boolean(),
+  canStakeClaim: boolean(),
+  selectedCount: number(),
+  rank: number(),
+  activity: number(),
+});
+
+export const StoremanConfSchema = object({
+  backupCount: string(),
+  standaloneWeight: string(),
+  delegationMulti: string(),
+});
+
+export const StoremanIncentiveSchema = object({
+  wkAddr: string(),
+  amount: string(),
+  from: string(),
+  timestamp: number(),
+});
+
+export const StoremanDelegatorInfoSchema = object({
+  from: string(),
+  wkAddr: string(),
+  deposit: string(),
+  incentive: string(),
+  groupId: string(),
+  wkStake: object({
+    deposit: string(),
+    delegateDeposit: string(),
+    partnerDeposit: string(),
+  }),
+  chain1: StoremanGroupChainSchema,
+  chain2: StoremanGroupChainSchema,
+  quited: boolean(),
+  canDelegateOut: boolean(),
+  canDelegateClaim: boolean(),
+});
+
+export const StoremanSlashInfoSchema = object({
+  groupId: string(),
+  slashType: string(),
+  slashed: string(),
+  partner: string(),
+  round: string(),
+  curveIndex: string(),
+  timestamp: number(),
+});
+
+export const SelectedSmInfoSchema = object({
+  wkAddr: string(),
+  PK: string(),
+  enodeId: string(),
+});
+
+export const SmDelegatorInfoSchema = object({
+  sender: string(),
+  deposit: string(),
+  incentive: string(),
+  quited: boolean(),
+});
+
+// ====================== CROSS CHAIN ======================
+export const TokenPairAncestorInfoSchema = object({
+  account: string(),
+  name: string(),
+  symbol: string(),
+  decimals: string(),
+  chainId: string(),
+});
+
+export const TokenPairSchema = object({
+  id: string(),
+  ancestorChainID: string(),
+  fromChainID: string(),
+  toChainID: string(),
+  ancestorAccount: string(),
+  fromAccount: string(),
+  toAccount: string(),
+  ancestorName: string(),
+  ancestorSymbol: string(),
+  ancestorDecimals: string(),
+  fromName: string(),
+  fromSymbol: string(),
+  fromDecimals: string(),
+  name: string(),
+  symbol: string(),
+  decimals: string(),
+  fromAccountType: string(),
+  toAccountType: string(),
+  fromAccountIsLayer2: optional(boolean()),
+  toAccountIsLayer2: optional(boolean()),
+});
+
+export const SupportedChainInfoSchema = object({
+  chainType: string(),
+  chainID: string(),
+  chainName: string(),
+  chainSymbol: string(),
+  chainDecimals: number(),
+  transChainID: optional(string()),
+  crossScAddr: optional(string()),
+  multicallAddr: optional(string()),
+  chainCoingeckoID: optional(string()),
+});
+
+export const CrossChainFeesSchema = object({
+  contractFee: string(),
+  agentFee: string(),
+});
+
+const crossChainNetworkFee = {
+  value: string(),
+  isPercent: boolean(),
+  discountPercent: optional(string()),
+};
+
+export const CrossChainNetworkFeeSchema = object(crossChainNetworkFee);
+
+export const CrossChainOperationFeeSchema = schema.extend(crossChainNetworkFee, {
+  forwardFee: optional(string()),
+});
+
+export const ChainQuotaHiddenFlagSchema = object({
+  hiddenSourceChainQuota: boolean(),
+  hiddenTargetChainQuota: boolean(),
+});
+
+export const WanBridgeDiscountSchema = object({
+  amount: string(),
+  discount: string(),
+});
+
+export const ChainParameterSchema = object({
+  key: string(),
+  value: any(),
+});
+
+// ====================== MULTICALL ======================
+export const MultiCallResultSchema = object({
+  results: object({
+    blockNumber: object({ _hex: string() }),
+    original: record(any()),
+    transformed: record(any()),
+  }),
+  keyToArgMap: record(any()),
+});
+
+export const MultiCall2ResultSchema = object({
+  result: array(record(any())),
+  status: array(boolean()),
+});
+
+// ====================== XRP ======================
+export const XrpLedgerSchema = object({
+  ledgerVersion: number(),
+  ledgerHash: string(),
+  stateHash: string(),
+  closeTime: string(),
+  closeTimeResolution: number(),
+  closeFlags: number(),
+  parentLedgerHash: string(),
+  parentCloseTime: string(),
+  totalDrops: string(),
+  transactionHash: string(),
+  transactionHashes: optional(array(string())),
+});
+
+export const XrpServerInfoSchema = object({
+  build_version: string(),
+  complete_ledgers: string(),
+  server_state: string(),
+  validated_ledger: optional(object({
+    age: number(),
+    base_fee_xrp: number(),
+    hash: string(),
+    reserve_base_xrp: number(),
+    reserve_inc_xrp: number(),
+    seq: number(),
+  })),
+});
+
+const issuedAmounts = record(array(object({ currency: string(), value: string() })));
+
+export const XrpGatewayBalancesSchema = object({
+  account: string(),
+  ledger_hash: string(),
+  ledger_index: number(),
+  validated: boolean(),
+  obligations: optional(record(string())),
+  balances: optional(issuedAmounts),
+  assets: optional(issuedAmounts),
+});
+
+export const XrpTrustLineSchema = object({
+  account: string(),
+  balance: string(),
+  currency: string(),
+  limit: string(),
+  limit_peer: string(),
+  quality_in: number(),
+  quality_out: number(),
+  no_ripple: optional(boolean()),
+  no_ripple_peer: optional(boolean()),
+});
+
+// ====================== CARDANO ======================
+export const CardanoBlockSchema = object({
+  time: number(),
+  height: number(),
+  hash: string(),
+  slot: number(),
+  epoch: number(),
+  epoch_slot: number(),
+  slot_leader: string(),
+  size: number(),
+  tx_count: number(),
+  output: string(),
+  fees: string(),
+  block_vrf: string(),
+  previous_block: string(),
+  next_block: nullable(string()),
+  confirmations: number(),
+});
+
+export const CardanoEpochParametersSchema = record(string());
+
+export const CardanoCostModelParametersSchema = object({
+  minFeeCoefficient: number(),
+  minFeeConstant: number(),
+  maxTxSize: number(),
+  maxValueSize: number(),
+  coinsPerUtxoByte: number(),
+  protocolVersion: object({ major: number(), minor: number() }),
+  prices: object({ memory: string(), steps: string() }),
+  costModels: record(any()),
+});
+
+// ====================== METHODS ======================
+const numberOrString = union(number(), string());
+
+/**
+ * Result schema of every RPC method, keyed by the method name sent to the server
+ */
+export const responseSchemas: Record<IwanMethodName, Schema> = {
+  monitorEvent: array(EventLogSchema),
+  getBalance: string(),
+  getMultiBalances: BalanceMapSchema,
+  getScEvent: array(EventLogSchema),
+  getScOwner: string(),
+  getCoin2WanRatio: string(),
+  getUTXO: array(UTXOSchema),
+  getOpReturnOutputs: array(OpReturnOutputSchema),
+  getStoremanGroups: array(CoinStoremanGroupSchema),
+  getTokenStoremanGroups: array(TokenStoremanGroupSchema),
+  getGasPrice: string(),
+  getTokenBalance: string(),
+  getMultiTokenBalance: BalanceMapSchema,
+  getAllBalances: array(AccountBalanceSchema),
+  getTokenSupply: string(),
+  getTokenAllowance: string(),
+  getTokenInfo: TokenInfoSchema,
+  getMultiTokenInfo: record(TokenInfoSchema),
+  getNonce: string(),
+  getNonceIncludePending: string(),
+  getBlockNumber: string(),
+  sendRawTransaction: string(),
+  getTxInfo: TransactionSchema,
+  getTransactionConfirm: TransactionReceiptSchema,
+  getTransactionReceipt: TransactionReceiptSchema,
+  getTransByBlock: array(TransactionSchema),
+  getTransByAddress: array(TransactionSchema),
+  getTransByAddressBetweenBlocks: array(TransactionSchema),
+  getBlockByNumber: BlockSchema,
+  getBlockByHash: BlockSchema,
+  getBlockTransactionCount: number(),
+  getTransCount: number(),
+  packTransaction: EosPackedTransactionSchema,
+  getScVar: any(),
+  getScMap: any(),
+  callScFunc: any(),
+  getP2shxByHashx: string(),
+  importAddress: string(),
+  estimateSmartFee: numberOrString,
+  getRegTokens: array(RegTokenSchema),
+  getToken2WanRatio: string(),
+  getOTAMixSet: array(string()),
+  estimateGas: numberOrString,
+  getChainInfo: EosChainInfoSchema,
+  getCurrencyStats: EosCurrencyStatsSchema,
+  getAccountInfo: EosAccountInfoSchema,
+  getAccounts: array(string()),
+  getRequiredKeys: array(string()),
+  getRawCodeAndAbi: EosRawCodeAndAbiSchema,
+  getAbi: EosAbiSchema,
+  getRawAbi: record(number()),
+  getActions: array(EosActionSchema),
+  getResource: record(numberOrString),
+  getResourcePrice: ResourcePriceSchema,
+  getBandwidthPrice: BandwidthPriceSchema,
+  getRamPrice: string(),
+  getTotalSupply: EosCurrencyStatsSchema,
+  getTotalStaked: string(),
+  getTotalStakedPercent: TotalStakedPercentSchema,
+  getTableRows: EosTableRowsSchema,
+  getEpochID: number(),
+  getSlotID: number(),
+  getEpochLeadersByEpochID: record(string()),
+  getRandomProposersByEpochID: record(string()),
+  getStakerInfo: array(StakerInfoSchema),
+  getEpochIncentivePayDetail: array(EpochIncentivePayDetailSchema),
+  getActivity: EpochActivitySchema,
+  getSlotActivity: SlotActivitySchema,
+  getValidatorActivity: ValidatorActivitySchema,
+  getMaxStableBlkNumber: number(),
+  getRandom: string(),
+  getValidatorInfo: ValidatorInfoSchema,
+  getValidatorStakeInfo: array(StakerInfoSchema),
+  getValidatorTotalIncentive: array(TotalIncentiveSchema),
+  getDelegatorStakeInfo: array(DelegatorStakeInfoSchema),
+  getDelegatorIncentive: array(DelegatorIncentiveSchema),
+  getDelegatorTotalIncentive: array(TotalIncentiveSchema),
+  getLeaderGroupByEpochID: array(LeaderGroupMemberSchema),
+  getCurrentEpochInfo: EpochInfoSchema,
+  getCurrentStakerInfo: array(StakerInfoSchema),
+  getSlotCount: number(),
+  getSlotTime: number(),
+  getTimeByEpochID: number(),
+  getEpochIDByTime: number(),
+  getRegisteredValidator: array(RegisteredValidatorSchema),
+  getRegisteredToken: array(RegisteredTokenSchema),
+  getRegisteredDapp: array(RegisteredDappSchema),
+  getRegisteredAds: array(RegisteredAdSchema),
+  getRegisteredCoinGecko: array(RegisteredCoinGeckoSchema),
+  getPosInfo: PosInfoSchema,
+  getMaxBlockNumber: array(EpochBlockNumberSchema),
+  getValidatorSupStakeInfo: array(ValidatorSupStakeInfoSchema),
+  getDelegatorSupStakeInfo: array(DelegatorSupStakeInfoSchema),
+  getEpochIncentiveBlockNumber: number(),
+  getEpochStakeOut: array(EpochStakeOutSchema),
+  checkOTAUsed: boolean(),
+  fetchService: any(),
+  fetchSpecialService: any(),
+  getRegisteredOrigToken: array(RegisteredTokenLogoSchema),
+  getRegisteredTokenLogo: array(RegisteredTokenLogoSchema),
+  getRegisteredChainLogo: array(RegisteredChainLogoSchema),
+  getRegisteredMultiChainOrigToken: array(RegisteredMultiChainOrigTokenSchema),
+  getRegisteredMapToken: array(RegisteredTokenLogoSchema),
+  getRegisteredSubgraph: array(RegisteredSubgraphSchema),
+  getRegisteredTokenIssuer: array(RegisteredTokenIssuerSchema),
+  getRegisteredTokenList: array(RegisteredTokenListItemSchema),
+  getStoremanGroupList: array(StoremanGroupListItemSchema),
+  getStoremanGroupActivity: record(StoremanActivitySchema),
+  getStoremanGroupQuota: array(StoremanGroupQuotaSchema),
+  getStoremanGroupInfo: StoremanGroupInfoSchema,
+  getMultiStoremanGroupInfo: array(StoremanGroupInfoSchema),
+  getStoremanGroupConfig: StoremanGroupConfigSchema,
+  getStoremanInfo: StoremanInfoSchema,
+  getMultiStoremanInfo: array(StoremanInfoSchema),
+  getStoremanConf: StoremanConfSchema,
+  getStoremanCandidates: array(StoremanCandidateSchema),
+  getStoremanCandidatesV2: array(StoremanCandidateSchema),
+  getStoremanGroupMember: array(StoremanGroupMemberSchema),
+  getStoremanGroupMemberV2: array(StoremanGroupMemberSchema),
+  getStoremanStakeInfo: array(StoremanStakeInfoSchema),
+  getStoremanStakeTotalIncentive: array(StoremanIncentiveSchema),
+  getStoremanDelegatorInfo: array(StoremanDelegatorInfoSchema),
+  getStoremanDelegatorTotalIncentive: array(StoremanIncentiveSchema),
+  getStoremanGpkSlashInfo: array(StoremanSlashInfoSchema),
+  getStoremanSignSlashInfo: array(StoremanSlashInfoSchema),
+  getTokenPairs: array(TokenPairSchema),
+  getTokenPairInfo: TokenPairSchema,
+  getTokenPairAncestorInfo: TokenPairAncestorInfoSchema,
+  getTokenPairIDs: array(string()),
+  getChainConstantInfo: array(numberOrString),
+  getSupportedChainInfo: array(SupportedChainInfoSchema),
+  getPrdInctMetric: array(string()),
+  getSelectedSmInfo: SelectedSmInfoSchema,
+  getSelectedStoreman: array(string()),
+  getSmDelegatorInfo: SmDelegatorInfoSchema,
+  getRewardRatio: string(),
+  multiCall: MultiCallResultSchema,
+  multiCall2: array(MultiCall2ResultSchema),
+  getCode: string(),
+  estimateNetworkFee: numberOrString,
+  getLedgerVersion: numberOrString,
+  getLedger: XrpLedgerSchema,
+  getServerInfo: XrpServerInfoSchema,
+  getCrossChainFees: CrossChainFeesSchema,
+  getMinCrossChainAmount: record(string()),
+  estimateCrossChainOperationFee: CrossChainOperationFeeSchema,
+  estimateCrossChainNetworkFee: CrossChainNetworkFeeSchema,
+  getLatestBlock: CardanoBlockSchema,
+  getEpochParameters: CardanoEpochParametersSchema,
+  getCostModelParameters: CardanoCostModelParametersSchema,
+  getTokenPairsHash: string(),
+  getGateWayBalances: XrpGatewayBalancesSchema,
+  getTrustLines: array(XrpTrustLineSchema),
+  getCrossChainReservedQuota: record(string()),
+  hasHackerAccount: boolean(),
+  getChainParameters: array(ChainParameterSchema),
+  getChainQuotaHiddenFlags: record(ChainQuotaHiddenFlagSchema),
+  getChainQuotaHiddenFlagDirectionally: record(ChainQuotaHiddenFlagSchema),
+  getWanBridgeDiscounts: array(WanBridgeDiscountSchema),
+};
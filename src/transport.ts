@@ -0,0 +1,239 @@
+// ========================================================
+// iWan SDK - Transports
+// ========================================================
+// The wire layer used by IwanClient. A transport only moves serialized,
+// already signed JSON-RPC frames; correlation, timeouts, reconnect and
+// subscriptions stay in the client.
+
+import { EventEmitter } from 'eventemitter3';
+import { IWanConnectionError, IWanClosedError } from './errors';
+
+// ====================== TYPES ======================
+/**
+ * Events emitted by a {@link Transport}
+ */
+export interface TransportEvents {
+  /** The transport is ready to send */
+  open: () => void;
+  /** A frame was received from the server */
+  message: (data: string) => void;
+  /** The transport closed, with the raw close event */
+  close: (event: any) => void;
+  /** The transport failed, the client will reconnect */
+  error: (err: any) => void;
+  /** A heartbeat reply was received */
+  pong: () => void;
+}
+
+/**
+ * Wire layer used by IwanClient to exchange JSON-RPC frames with the server.
+ *
+ * Pass an implementation as the `transport` option to run the client over anything that can carry
+ * strings: an in-memory pair in tests, a worker `MessagePort`, or a corporate proxy.
+ * The client listens to the events below and drives the methods; a transport never needs to parse frames.
+ *
+ * - emit `'open'` once `connect()` succeeded, the client then replays subscriptions and queued requests
+ * - emit `'message'` with the raw text of every frame received
+ * - emit `'close'` or `'error'` when the link drops, the client then clears or queues pending requests and reconnects
+ * - emit `'pong'` in reply to `ping()` if heartbeats are supported
+ *
+ * @example
+ * ```ts
+ * class PortTransport extends BaseTransport {
+ *   persistent = true;
+ *   isOpen = false;
+ *   constructor(private port: MessagePort) { super(); }
+ *   async connect() {
+ *     this.port.onmessage = (e) => this.emit('message', e.data);
+ *     this.isOpen = true;
+ *     this.emit('open');
+ *   }
+ *   send(data: string) { this.port.postMessage(data); }
+ *   async close() {
+ *     this.isOpen = false;
+ *     this.emit('close', { code: 1000 });
+ *   }
+ * }
+ * const client = new IwanClient(apiKey, secretKey, { transport: new PortTransport(port) });
+ * ```
+ */
+export interface Transport extends EventEmitter<TransportEvents> {
+  /** Whether frames can be sent right now */
+  readonly isOpen: boolean;
+  /** Whether the server can push frames, which is required by event subscriptions */
+  readonly persistent: boolean;
+  /** Open the transport, called again for every reconnect attempt */
+  connect(): Promise<void>;
+  /** Send one serialized frame, rejecting only affects the request being sent */
+  send(data: string): void | Promise<void>;
+  /** Send a heartbeat, answered by a 'pong' event */
+  ping?(): void;
+  /** Close the transport and resolve once it is closed */
+  close(): Promise<void>;
+}
+
+/**
+ * Creates a transport for the endpoint URL the client computed from its options
+ */
+export type TransportFactory = (url: string) => Transport;
+
+/**
+ * Base class for transports, an EventEmitter typed with {@link TransportEvents}
+ */
+export abstract class BaseTransport extends EventEmitter<TransportEvents> implements Transport {
+  abstract readonly isOpen: boolean;
+  abstract readonly persistent: boolean;
+  abstract connect(): Promise<void>;
+  abstract send(data: string): void | Promise<void>;
+  abstract close(): Promise<void>;
+}
+
+// WebSocket.OPEN / WebSocket.CLOSED, not every runtime exposes a global WebSocket
+const WS_OPEN = 1;
+const WS_CLOSED = 3;
+
+// ====================== WEBSOCKET ======================
+/**
+ * Default transport over a persistent WebSocket (`ws` in Node, native WebSocket in browsers)
+ */
+export class WsTransport extends BaseTransport {
+  public readonly persistent = true;
+  private ws: WebSocket|any = null;
+  private readonly isBrowser = typeof window !== 'undefined';
+
+  /**
+   * @param url - The WebSocket URL
+   * @param wsOptions - Options passed to the `ws` constructor in Node
+   */
+  constructor(private readonly url: string, private readonly wsOptions?: Record<string, any>) {
+    super();
+  }
+
+  get isOpen(): boolean {
+    return this.ws?.readyState === WS_OPEN;
+  }
+
+  async connect(): Promise<void> {
+    let WSConstructor: any;
+    if (this.isBrowser) {
+      WSConstructor = (window as any).WebSocket;
+    } else {
+      const module = await import('ws');
+      WSConstructor = module.default ?? module;
+    }
+
+    this.discard();
+    const ws = new WSConstructor(this.url, this.isBrowser ? undefined : this.wsOptions);
+    this.ws = ws;
+
+    ws.onopen = () => this.emit('open');
+    ws.onmessage = (event: any) => {
+      const data = event.data ?? event;
+      this.emit('message', typeof data === 'string' ? data : data.toString());
+    };
+    ws.onerror = (err: any) => this.emit('error', err);
+    ws.onclose = (event: any) => this.emit('close', event);
+
+    if (!this.isBrowser && ws.on) {
+      ws.on('pong', () => this.emit('pong'));
+    }
+  }
+
+  send(data: string): void {
+    if (!this.isOpen) throw new IWanConnectionError('WebSocket is not open');
+    this.ws.send(data);
+  }
+
+  ping(): void {
+    this.ws?.ping?.();
+  }
+
+  async close(): Promise<void> {
+    const ws = this.ws;
+    if (!ws) return;
+
+    if (ws.readyState !== WS_CLOSED) {
+      await new Promise<void>(resolve => {
+        const onClose = () => resolve();
+        // Compatible with Node’s ws library and browser native WebSocket
+        if (typeof ws.once === 'function') {
+          ws.once('close', onClose);
+        } else {
+          ws.addEventListener('close', onClose, { once: true });
+        }
+        ws.close(1000, 'Client manual close');
+      });
+    }
+    if (this.ws === ws) this.ws = null;
+  }
+
+  // Drop a socket replaced by a reconnect, so its late events cannot reach the client
+  private discard() {
+    const ws = this.ws;
+    if (!ws) return;
+    ws.onopen = ws.onmessage = ws.onerror = ws.onclose = null;
+    if (ws.readyState !== WS_CLOSED) {
+      typeof ws.terminate === 'function' ? ws.terminate() : ws.close();
+    }
+    this.ws = null;
+  }
+}
+
+// ====================== HTTP ======================
+/**
+ * Stateless transport that POSTs every frame and emits the response body as a message.
+ * Suited to serverless functions and one-shot scripts; event subscriptions are not available.
+ */
+export class HttpTransport extends BaseTransport {
+  public readonly persistent = false;
+  private opened = false;
+  private controller: AbortController|null = null;
+
+  /**
+   * @param url - The HTTP(S) endpoint URL
+   * @param headers - Extra headers sent with every request
+   */
+  constructor(private readonly url: string, private readonly headers: Record<string, string> = {}) {
+    super();
+  }
+
+  get isOpen(): boolean {
+    return this.opened;
+  }
+
+  async connect(): Promise<void> {
+    this.controller = new AbortController();
+    this.opened = true;
+    this.emit('open');
+  }
+
+  async send(data: string): Promise<void> {
+    if (!this.opened || !this.controller) throw new IWanClosedError('HTTP transport is closed');
+
+    const { signal } = this.controller;
+    let res: Response;
+    try {
+      res = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.headers },
+        body: data,
+        signal,
+      });
+    } catch (err: any) {
+      if (signal.aborted) throw new IWanClosedError('HTTP transport is closed');
+      throw new IWanConnectionError(`HTTP request failed: ${err?.message ?? err}`);
+    }
+    if (!res.ok) {
+      throw new IWanConnectionError(`HTTP request failed with status ${res.status} ${res.statusText}`);
+    }
+    this.emit('message', await res.text());
+  }
+
+  async close(): Promise<void> {
+    if (!this.opened) return;
+    this.opened = false;
+    this.controller?.abort();
+    this.controller = null;
+    this.emit('close', { code: 1000, reason: 'Client manual close' });
+  }
+}
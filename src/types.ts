@@ -0,0 +1,1516 @@
+// ========================================================
+// iWan SDK - Request option and response models
+// ========================================================
+
+// ====================== OPTIONS ======================
+/**
+ * Block number, or `'latest'` for the most recent block
+ */
+export type BlockTag = number | string;
+
+/**
+ * Option of the methods that document no fields yet, forwarded to the server as-is
+ */
+export type ReservedOption = Record<string, any>;
+
+/**
+ * Selects the result format of methods that changed their output over time
+ */
+export interface VersionOption {
+  /** The result format version, `undefined` means the legacy format */
+  version?: string;
+}
+
+/**
+ * Block range filter
+ */
+export interface BlockRangeOption {
+  /** The earliest block, default: `'latest'` */
+  fromBlock?: BlockTag;
+  /** The latest block, default: `'latest'` */
+  toBlock?: BlockTag;
+}
+
+/**
+ * Option of {@link IwanClient.getOpReturnOutputs}
+ */
+export interface OpReturnOutputsOption extends BlockRangeOption {
+  /** The addresses to search */
+  address?: Array<string>;
+}
+
+/**
+ * Option of the token info methods
+ */
+export interface TokenTypeOption {
+  /** The token type, default: `'Erc20'` */
+  tokenType?: 'Erc20' | 'Erc721' | string;
+}
+
+/**
+ * Option of {@link IwanClient.getTransByAddressBetweenBlocks}, every field but `version` is XRP only
+ */
+export interface TransByAddressBetweenBlocksOption extends VersionOption {
+  /** Only return transactions with this counterparty */
+  counterparty?: string;
+  /** Sort the earliest transactions first */
+  earliestFirst?: boolean;
+  /** Only return transactions initiated by the account */
+  initiated?: boolean;
+  /** Return at most this many transactions */
+  limit?: number;
+  /** Only return transactions of these types */
+  types?: Array<string>;
+}
+
+/**
+ * Option of {@link IwanClient.getTransCount}
+ */
+export interface TransCountOption {
+  address?: string | Array<string>;
+  startBlockNo?: number;
+  endBlockNo?: number;
+}
+
+/**
+ * Option of {@link IwanClient.packTransaction}
+ */
+export interface PackTransactionOption extends VersionOption {
+  /** Blocks behind the head block used as reference, default: 3 */
+  blocksBehind?: number;
+  /** Seconds before the transaction expires, default: 30 */
+  expireSeconds?: number;
+}
+
+/**
+ * Option of {@link IwanClient.estimateSmartFee}
+ */
+export interface EstimateSmartFeeOption extends VersionOption {
+  /** Confirmation target in blocks, 1 - 1008 */
+  target?: number;
+  /** Fee estimate mode, e.g. `'CONSERVATIVE'` */
+  mode?: string;
+}
+
+/**
+ * Option of {@link IwanClient.estimateNetworkFee}
+ */
+export interface NetworkFeeOption {
+  /** Confirmation target in blocks, 1 - 1008, default: 1 */
+  target?: number;
+  /** Fee estimate mode, default: `'CONSERVATIVE'` */
+  mode?: string;
+  /** Fee rate to estimate with */
+  feeRate?: number;
+}
+
+/**
+ * Filter of {@link IwanClient.getActions}, covering both eosjs 16 and eosjs 20 nodes
+ */
+export interface EosActionsOption {
+  pos?: number;
+  offset?: number;
+  filter?: string;
+  skip?: number;
+  limit?: number;
+  sort?: string;
+  after?: string;
+  before?: string;
+  transfer_to?: string;
+  transfer_from?: string;
+  transfer_symbol?: string;
+  act_name?: string;
+  act_account?: string;
+}
+
+/**
+ * Option of {@link IwanClient.getDelegatorTotalIncentive}
+ */
+export interface DelegatorTotalIncentiveOption {
+  validatorAddress?: string;
+  /** The first epoch ID */
+  from?: number;
+  /** The last epoch ID */
+  to?: number;
+}
+
+/**
+ * Option of {@link IwanClient.getRegisteredDapp}
+ */
+export interface RegisteredDappOption {
+  chainType?: string;
+  url?: string;
+  language?: string;
+  /** Fuzzy matched */
+  name?: string;
+  platform?: 'desktop' | 'mobile' | string;
+  /** Only records updated after this timestamp */
+  after?: number;
+  pageIndex?: number;
+  /** The page size */
+  page?: number;
+}
+
+/**
+ * Option of {@link IwanClient.getRegisteredAds}
+ */
+export interface RegisteredAdsOption {
+  name?: string;
+  after?: number;
+}
+
+/**
+ * Option of {@link IwanClient.getRegisteredCoinGecko}
+ */
+export interface RegisteredCoinGeckoOption {
+  symbol?: Array<string>;
+  after?: number;
+}
+
+/**
+ * Option of the registered token logo methods
+ */
+export interface RegisteredTokenLogoOption {
+  tokenScAddr?: string;
+  after?: number;
+  /** Match `after` exactly instead of as a lower bound */
+  isEqual?: boolean;
+  limit?: number;
+  tokenTypes?: Array<string>;
+  isAllTokenTypes?: boolean;
+}
+
+/**
+ * Option of {@link IwanClient.getRegisteredChainLogo}
+ */
+export interface RegisteredChainLogoOption {
+  chainType?: string;
+  after?: number;
+  pageIndex?: number;
+  page?: number;
+}
+
+/**
+ * Option of {@link IwanClient.getRegisteredMultiChainOrigToken}
+ */
+export interface RegisteredMultiChainOrigTokenOption {
+  chainType?: string;
+  symbol?: string;
+}
+
+/**
+ * Option of {@link IwanClient.getRegisteredMapToken}
+ */
+export interface RegisteredMapTokenOption {
+  tokenScAddr?: string;
+  after?: number;
+  pageIndex?: number;
+  page?: number;
+}
+
+/**
+ * Option of {@link IwanClient.getRegisteredSubgraph}
+ */
+export interface RegisteredSubgraphOption {
+  chainType?: string;
+  keywords?: Array<string>;
+}
+
+/**
+ * Option of {@link IwanClient.getRegisteredTokenIssuer}
+ */
+export interface RegisteredTokenIssuerOption {
+  chainType?: string;
+  tokenScAddr?: string;
+}
+
+/**
+ * Option of {@link IwanClient.getRegisteredTokenList}
+ */
+export interface RegisteredTokenListOption {
+  chainType?: string;
+  tags?: Array<string>;
+  tokenTypes?: Array<string>;
+}
+
+/**
+ * Chain ID filter of the storeman group and quota methods
+ */
+export interface ChainIdsOption {
+  chainIds?: Array<number | string>;
+}
+
+/**
+ * Option of {@link IwanClient.getStoremanGroupActivity}
+ */
+export interface EpochRangeOption {
+  fromEpoch?: number;
+  toEpoch?: number;
+}
+
+/**
+ * Option of {@link IwanClient.getStoremanGroupQuota}
+ */
+export interface StoremanGroupQuotaOption {
+  targetChainType: string;
+  /** Ignore the reserved quota */
+  ignoreReservation?: boolean;
+}
+
+/**
+ * Option of {@link IwanClient.getStoremanStakeInfo}
+ */
+export interface StoremanStakeInfoOption {
+  /** Storeman from addresses */
+  address?: Array<string>;
+  wkAddr?: string;
+  groupId?: string;
+}
+
+/**
+ * Option of {@link IwanClient.getStoremanStakeTotalIncentive} and {@link IwanClient.getStoremanDelegatorTotalIncentive}
+ */
+export interface StoremanIncentiveOption extends StoremanStakeInfoOption, BlockRangeOption {}
+
+/**
+ * Option of {@link IwanClient.getStoremanDelegatorInfo}
+ */
+export interface StoremanDelegatorInfoOption {
+  /** Delegator addresses */
+  address?: Array<string>;
+  wkAddr?: Array<string>;
+}
+
+/**
+ * Option of the storeman slash info methods
+ */
+export interface StoremanSlashInfoOption extends BlockRangeOption {
+  wkAddr?: Array<string>;
+  groupId?: string;
+}
+
+/**
+ * Option of {@link IwanClient.getTokenPairs}
+ */
+export interface TokenPairsOption extends ChainIdsOption {
+  /** Tags of the pairs, in `'desktop'`, `'bridge'` and `'bridgeBeta'` */
+  tags?: Array<string>;
+  /** Include the pairs not online yet */
+  isAllTokenPairs?: boolean;
+}
+
+/**
+ * Option of {@link IwanClient.getChainConstantInfo}, one of the fields is required
+ */
+export interface ChainConstantInfoOption {
+  /** BIP44 chain ID, e.g. `'2153201998'` */
+  chainId?: number | string;
+  /** Chain symbol, e.g. `'WAN'` */
+  symbol?: string;
+  /** Chain index, e.g. `'5718350'` */
+  index?: number | string;
+}
+
+/**
+ * Option of {@link IwanClient.getPrdInctMetric}
+ */
+export interface PrdInctMetricOption extends EpochRangeOption {
+  groupId: string;
+}
+
+/**
+ * Option of {@link IwanClient.getSelectedSmInfo}
+ */
+export interface SelectedSmInfoOption {
+  groupId: string;
+  index: number;
+}
+
+/**
+ * Option of {@link IwanClient.getSelectedStoreman}
+ */
+export interface GroupIdOption {
+  groupId: string;
+}
+
+/**
+ * Option of {@link IwanClient.getSmDelegatorInfo}
+ */
+export interface SmDelegatorInfoOption {
+  /** Delegator addresses */
+  address?: Array<string>;
+  wkAddr: string;
+}
+
+/**
+ * Option of {@link IwanClient.getLedger}, either `ledgerHash` or `ledgerVersion`
+ */
+export interface LedgerOption extends VersionOption {
+  ledgerHash?: string;
+  ledgerVersion?: number;
+}
+
+/**
+ * Option of {@link IwanClient.getCrossChainFees}
+ */
+export interface CrossChainFeesOption extends VersionOption {
+  tokenPairID?: number | string;
+}
+
+/**
+ * Option of {@link IwanClient.estimateCrossChainNetworkFee}
+ */
+export interface CrossChainNetworkFeeOption {
+  tokenPairID: number | string;
+  address?: Array<string>;
+  /** Third-party bridge, `'CCTPV1'` or `'CCTPV2'` */
+  bridge?: string;
+}
+
+/**
+ * Option of {@link IwanClient.estimateCrossChainOperationFee}
+ */
+export interface CrossChainOperationFeeOption extends CrossChainNetworkFeeOption {
+  /** Include the rent of creating a Solana Associated Token Account */
+  includeAtaCreation?: boolean;
+}
+
+/**
+ * Option of the Cardano epoch parameter methods
+ */
+export interface EpochIdOption {
+  /** Default: the current epoch */
+  epochID?: number;
+}
+
+/**
+ * Option of {@link IwanClient.getGateWayBalances}
+ */
+export interface GateWayBalancesOption {
+  excludeAddresses?: Array<string>;
+}
+
+/**
+ * Option of {@link IwanClient.getTrustLines}
+ */
+export interface TrustLinesOption {
+  /** Only show the lines with this account */
+  peer?: string;
+  ledgerVersion?: number;
+}
+
+/**
+ * Option of {@link IwanClient.getCrossChainReservedQuota}
+ */
+export interface CrossChainReservedQuotaOption {
+  targetChainType: string;
+  symbols: Array<string>;
+}
+
+// ====================== MULTICALL ======================
+/**
+ * One call of {@link IwanClient.multiCall}, in the `@makerdao/multicall` format
+ */
+export interface MultiCallTarget {
+  target: string;
+  /** The signature followed by the arguments, e.g. `['balanceOf(address)(uint256)', '0x...']` */
+  call: Array<any>;
+  /** Result keys, each optionally followed by a transform */
+  returns: Array<Array<any>>;
+}
+
+/**
+ * Result of {@link IwanClient.multiCall}
+ */
+export interface MultiCallResult {
+  results: {
+    blockNumber: { _hex: string };
+    original: Record<string, any>;
+    transformed: Record<string, any>;
+  };
+  keyToArgMap: Record<string, any>;
+}
+
+/**
+ * One call of {@link IwanClient.multiCall2}
+ */
+export interface MultiCall2Target {
+  address: string;
+  funcName: string;
+  inputTypes: Array<any>;
+  outputTypes: Array<any>;
+  outputNames: Array<string>;
+  args: Array<any>;
+}
+
+/**
+ * Result of one call of {@link IwanClient.multiCall2}
+ */
+export interface MultiCall2Result {
+  result: Array<Record<string, any>>;
+  status: Array<boolean>;
+}
+
+// ====================== ACCOUNTS AND TOKENS ======================
+/**
+ * Balances keyed by address
+ */
+export type BalanceMap = Record<string, string>;
+
+/**
+ * One currency balance of an XRP account
+ */
+export interface AccountBalance {
+  currency: string;
+  value: string;
+  /** Absent for the native currency */
+  issuer?: string;
+}
+
+/**
+ * Symbol and decimals of a token contract
+ */
+export interface TokenInfo {
+  symbol: string;
+  decimals: string;
+}
+
+/**
+ * Token registered for the legacy HTLC cross chain
+ */
+export interface RegToken {
+  tokenOrigAddr: string;
+  tokenWanAddr: string;
+  ratio: string;
+  minDeposit: string;
+  origHtlc: string;
+  wanHtlc: string;
+  withdrawDelayTime: string;
+  tokenHash: string;
+  name: string;
+  symbol: string;
+  decimals: string;
+  iconData: string;
+  iconType: string;
+}
+
+/**
+ * Legacy storeman group of a coin cross chain
+ */
+export interface CoinStoremanGroup {
+  wanAddress: string;
+  ethAddress: string;
+  deposit: string;
+  txFeeRatio: string;
+  quota: string;
+  inboundQuota: string;
+  outboundQuota: string;
+  receivable: string;
+  payable: string;
+  debt: string;
+}
+
+/**
+ * Legacy storeman group of a token cross chain
+ */
+export interface TokenStoremanGroup {
+  tokenOrigAddr: string;
+  smgWanAddr: string;
+  smgOrigAddr: string;
+  wanDeposit: string;
+  quota: string;
+  txFeeRatio: string;
+  inboundQuota: string;
+  outboundQuota: string;
+  receivable: string;
+  payable: string;
+  debt: string;
+}
+
+// ====================== BLOCKS AND TRANSACTIONS ======================
+/**
+ * Contract event log, also pushed to event subscriptions
+ */
+export interface EventLog {
+  address: string;
+  topics: Array<string>;
+  data: string;
+  blockNumber: number;
+  transactionHash: string;
+  transactionIndex: number;
+  blockHash: string;
+  logIndex: number;
+  removed: boolean;
+}
+
+/**
+ * Transaction of an EVM chain
+ */
+export interface Transaction {
+  /** Wanchain only */
+  txType?: string;
+  blockHash: string;
+  blockNumber: number;
+  from: string;
+  gas: number;
+  gasPrice: string;
+  hash: string;
+  input: string;
+  nonce: number;
+  /** `null` for contract creations */
+  to: string | null;
+  transactionIndex: number;
+  value: string;
+  v: string;
+  r: string;
+  s: string;
+}
+
+/**
+ * Transaction receipt of an EVM chain
+ */
+export interface TransactionReceipt {
+  blockHash: string;
+  blockNumber: number;
+  /** The created contract, `null` unless the transaction deployed one */
+  contractAddress: string | null;
+  cumulativeGasUsed: number;
+  from: string;
+  gasUsed: number;
+  logs: Array<EventLog>;
+  logsBloom: string;
+  /** `'0x1'` on success, `'0x0'` on failure */
+  status: string;
+  to: string | null;
+  transactionHash: string;
+  transactionIndex: number;
+}
+
+/**
+ * Block of an EVM chain
+ */
+export interface Block {
+  size: number;
+  timestamp: number;
+  /** Transaction hashes, or full transactions when requested */
+  transactions: Array<string | Transaction>;
+  uncles: Array<string>;
+  difficulty: string;
+  extraData: string;
+  gasLimit: number;
+  gasUsed: number;
+  hash: string;
+  logsBloom: string;
+  miner: string;
+  mixHash: string;
+  nonce: string;
+  number: number;
+  parentHash: string;
+  receiptsRoot: string;
+  sha3Uncles: string;
+  stateRoot: string;
+  totalDifficulty: string;
+  transactionsRoot: string;
+}
+
+/**
+ * Unspent output of a UTXO chain
+ */
+export interface UTXO {
+  txid: string;
+  vout: number;
+  address: string;
+  account: string;
+  scriptPubKey: string;
+  amount: number;
+  confirmations: number;
+  spendable: boolean;
+  solvable: boolean;
+  safe: boolean;
+  value: number;
+}
+
+/**
+ * Transaction carrying an OP_RETURN output
+ */
+export interface OpReturnOutput {
+  txid: string;
+  height: number;
+  vout: Array<{
+    scriptPubKey: {
+      addresses?: Array<string>;
+      asm: string;
+      hex: string;
+      reqSigs?: number;
+      type: string;
+    };
+    value: number;
+    index: number;
+  }>;
+}
+
+// ====================== EOS ======================
+/**
+ * Packed EOS transaction, ready to be pushed
+ */
+export interface EosPackedTransaction {
+  /** The serialized bytes keyed by index */
+  serializedTransaction: Record<string, number>;
+  signatures: Array<string>;
+}
+
+/**
+ * Currency stats of an EOS token
+ */
+export interface EosCurrencyStats {
+  supply: string;
+  max_supply: string;
+  issuer: string;
+}
+
+/**
+ * Bandwidth price of an EOS account
+ */
+export interface BandwidthPrice {
+  net: string;
+  cpu: string;
+}
+
+/**
+ * Resource price of an EOS account
+ */
+export interface ResourcePrice extends BandwidthPrice {
+  ram: string;
+}
+
+/**
+ * Staked share of the EOS supply
+ */
+export interface TotalStakedPercent {
+  totalStaked: number;
+  totalSup: number;
+  percent: number;
+}
+
+/**
+ * Raw code and ABI of an EOS contract
+ */
+export interface EosRawCodeAndAbi {
+  account_name: string;
+  wasm: string;
+  abi: string;
+}
+
+/**
+ * Rows of an EOS contract table
+ */
+export interface EosTableRows {
+  rows: Array<Record<string, any>>;
+  more: boolean;
+  next_key?: string;
+}
+
+/**
+ * EOS node info, as returned by the node's `get_info`
+ */
+export interface EosChainInfo {
+  head_block_num: number;
+  last_irreversible_block_num: number;
+  [key: string]: any;
+}
+
+/**
+ * EOS account, as returned by the node's `get_account`
+ */
+export interface EosAccountInfo {
+  account_name: string;
+  core_liquid_balance?: string;
+  ram_quota: number;
+  ram_usage: number;
+  permissions: Array<any>;
+  [key: string]: any;
+}
+
+/**
+ * EOS contract ABI, as returned by the node's `get_abi`
+ */
+export interface EosAbi {
+  version: string;
+  types: Array<any>;
+  structs: Array<any>;
+  actions: Array<any>;
+  tables: Array<any>;
+  [key: string]: any;
+}
+
+/**
+ * EOS action trace, as returned by the history plugin
+ */
+export interface EosAction {
+  act: {
+    account: string;
+    name: string;
+    authorization: Array<any>;
+    data: any;
+  };
+  block_num: number;
+  trx_id: string;
+  [key: string]: any;
+}
+
+// ====================== POS ======================
+/**
+ * Delegator of a validator
+ */
+export interface StakerClient {
+  address: string;
+  amount: string;
+  votingPower: string;
+  quitEpoch: number;
+}
+
+/**
+ * Partner of a validator
+ */
+export interface StakerPartner extends StakerClient {
+  renewal?: boolean;
+  lockEpochs?: number;
+  stakingEpoch?: number;
+}
+
+/**
+ * Validator stake record
+ */
+export interface StakerInfo {
+  address: string;
+  pubSec256: string;
+  pubBn256: string;
+  amount: string;
+  votingPower: string;
+  lockEpochs: number;
+  maxFeeRate: number;
+  nextLockEpochs: number;
+  from: string;
+  stakingEpoch: number;
+  feeRate: number;
+  feeRateChangedEpoch: number;
+  quitEpoch?: number;
+  clients?: Array<StakerClient>;
+  partners: Array<StakerPartner>;
+}
+
+/**
+ * Incentive paid to one validator and its delegators in an epoch
+ */
+export interface EpochIncentivePayDetail {
+  address: string;
+  stakeInFromAddr: string;
+  incentive: string;
+  type: string;
+  delegators: Array<{
+    address: string;
+    incentive: string;
+    type: string;
+  }>;
+}
+
+/**
+ * Slot leader activity of an epoch
+ */
+export interface SlotActivity {
+  slBlocks: Array<number>;
+  slActivity: number;
+  slCtrlCount: number;
+}
+
+/**
+ * Epoch leader and random proposer activity of an epoch
+ */
+export interface ValidatorActivity {
+  epLeader: Array<string>;
+  epActivity: Array<number>;
+  rpLeader: Array<string>;
+  rpActivity: Array<number>;
+}
+
+/**
+ * Whole activity of an epoch
+ */
+export interface EpochActivity extends SlotActivity, ValidatorActivity {
+  sltLeader: Array<string>;
+}
+
+/**
+ * Stake summary of a validator
+ */
+export interface ValidatorInfo {
+  address: string;
+  amount: string;
+  feeRate: number;
+}
+
+/**
+ * Incentive summed over epochs
+ */
+export interface TotalIncentive {
+  address: string;
+  amount: string;
+  minEpochId: number;
+  epochCount: number;
+}
+
+/**
+ * Delegation of a delegator to one validator
+ */
+export interface DelegatorStakeInfo {
+  address: string;
+  amount: string;
+  quitEpoch: number;
+}
+
+/**
+ * Incentive of a delegator in one epoch
+ */
+export interface DelegatorIncentive {
+  address: string;
+  amount: string;
+  epochId: number;
+}
+
+/**
+ * Epoch leader or random proposer of an epoch
+ */
+export interface LeaderGroupMember {
+  pubBn256: string;
+  pubSec256: string;
+  secAddr: string;
+  type: number;
+}
+
+/**
+ * Current block, slot and epoch
+ */
+export interface EpochInfo {
+  blockNumber: number;
+  slotId: number;
+  epochId: number;
+}
+
+/**
+ * First block and epoch of Wanchain POS
+ */
+export interface PosInfo {
+  firstBlockNumber: number;
+  firstEpochId: number;
+}
+
+/**
+ * Last block of an epoch
+ */
+export interface EpochBlockNumber {
+  epochId: number;
+  blockNumber: number;
+}
+
+/**
+ * Stake-in record of a validator
+ */
+export interface ValidatorSupStakeInfo {
+  address: string;
+  stakeIn: number;
+  stakeInTimestamp: number;
+}
+
+/**
+ * Delegate-in record of a delegator
+ */
+export interface DelegatorSupStakeInfo {
+  address: string;
+  vAddress: string;
+  delegateIn: number;
+  delegateInTimestamp: number;
+}
+
+/**
+ * Stake returned in an epoch
+ */
+export interface EpochStakeOut {
+  address: string;
+  amount: string;
+}
+
+// ====================== REGISTERED ======================
+/**
+ * Registered validator
+ */
+export interface RegisteredValidator {
+  address: string;
+  name: string;
+  iconData: string;
+  iconType: string;
+  url: string;
+  updatedAt: number;
+}
+
+/**
+ * Registered token
+ */
+export interface RegisteredToken {
+  tokenOrigAccount: string;
+  decimals: number;
+  deposit: string;
+  iconData: string;
+  iconType: string;
+  name: string;
+  symbol: string;
+  token2WanRatio: string;
+  tokenWanAddr: string;
+  updatedAt: number;
+  withDrawDelayTime: string;
+}
+
+/**
+ * Registered DApp
+ */
+export interface RegisteredDapp {
+  langInfo: Array<{
+    language: string;
+    name: string;
+    summary: string;
+    detail: string;
+  }>;
+  platform: Array<string>;
+  url: string;
+  chainType: string;
+  type: string;
+  creator: string;
+  creatorWebsite: string;
+  scAddress: Array<string>;
+  iconType: string;
+  iconData: string;
+  updatedAt: number;
+}
+
+/**
+ * Registered advertisement
+ */
+export interface RegisteredAd {
+  name: string;
+  iconData: string;
+  iconType: string;
+  url: string;
+  updatedAt: number;
+}
+
+/**
+ * Registered CoinGecko ID
+ */
+export interface RegisteredCoinGecko {
+  id: string;
+  symbol: string;
+  name: string;
+  updatedAt: number;
+}
+
+/**
+ * Registered token logo
+ */
+export interface RegisteredTokenLogo {
+  tokenScAddr: string;
+  iconType: string;
+  iconData: string;
+  updatedAt: number;
+}
+
+/**
+ * Registered chain logo
+ */
+export interface RegisteredChainLogo {
+  chainType: string;
+  iconType: string;
+  iconData: string;
+  updatedAt: number;
+}
+
+/**
+ * Registered cross-chain token of a multi-chain asset
+ */
+export interface RegisteredMultiChainOrigToken {
+  chainType: string;
+  symbol?: string;
+  updatedAt?: number;
+  [key: string]: any;
+}
+
+/**
+ * Registered subgraph
+ */
+export interface RegisteredSubgraph {
+  chainType: string;
+  keyword: string;
+  subgraph: string;
+}
+
+/**
+ * Registered token issuer
+ */
+export interface RegisteredTokenIssuer {
+  chainType: string;
+  isNativeCoin: boolean;
+  issuer: string;
+  tokenScAddr: string;
+  tokenType: string;
+  updatedAt: number;
+}
+
+/**
+ * Entry of the registered token list
+ */
+export interface RegisteredTokenListItem {
+  groupTag: string;
+  address: string;
+  name: string;
+  symbol: string;
+  decimals: string;
+  tokenType: string;
+  chainType: string;
+}
+
+// ====================== STOREMAN ======================
+/**
+ * Chain of a storeman group, as `[chainId, symbol, name, index]`
+ */
+export type StoremanGroupChain = [number, string, string, number];
+
+/**
+ * Storeman group configuration
+ */
+export interface StoremanGroupConfig {
+  groupId: string;
+  status: string;
+  deposit: string;
+  chain1: string;
+  chain2: string;
+  curve1: string;
+  curve2: string;
+  gpk1: string;
+  gpk2: string;
+  startTime: string;
+  endTime: string;
+}
+
+/**
+ * Storeman group detail
+ */
+export interface StoremanGroupInfo extends StoremanGroupConfig {
+  depositWeight: string;
+  selectedCount: string;
+  memberCount: string;
+  whiteCount: string;
+  whiteCountAll: string;
+  registerTime: string;
+  registerDuration: string;
+  memberCountDesign: string;
+  threshold: string;
+  tickedCount: string;
+  minStakeIn: string;
+  minDelegateIn: string;
+  minPartIn: string;
+  crossIncoming: string;
+  delegateFee: string;
+  algo1: string;
+  algo2: string;
+  /** Present on groups with a third curve */
+  gpk3?: string;
+  curve3?: string;
+  algo3?: string;
+}
+
+/**
+ * Entry of {@link IwanClient.getStoremanGroupList}
+ */
+export interface StoremanGroupListItem extends Omit<StoremanGroupInfo, 'chain1' | 'chain2'> {
+  preGroupId: string;
+  workStart: string;
+  workDuration: string;
+  endRegisterTime: string;
+  canStakeIn: boolean;
+  chain1: StoremanGroupChain;
+  chain2: StoremanGroupChain;
+}
+
+/**
+ * Activity of one storeman in a group
+ */
+export interface StoremanActivity {
+  wkAddr: string;
+  activity: string;
+}
+
+/**
+ * Quota of a storeman group for one token
+ */
+export interface StoremanGroupQuota {
+  symbol: string;
+  minQuota: string;
+  maxQuota: string;
+}
+
+/**
+ * Storeman candidate of a group
+ */
+export interface StoremanCandidate {
+  sender: string;
+  PK: string;
+  wkAddr: string;
+  quited: boolean;
+  deposit: string;
+  delegateDeposit: string;
+  incentive: string;
+  delegatorCount: string;
+  groupId: string;
+  nextGroupId: string;
+  incentivedDay: string;
+  slashedCount: string;
+}
+
+/**
+ * Selected member of a storeman group
+ */
+export interface StoremanGroupMember extends StoremanCandidate {
+  isWhite: boolean;
+  name?: string;
+  url?: string;
+  iconData?: string;
+  iconType?: string;
+}
+
+/**
+ * Storeman detail
+ */
+export interface StoremanInfo {
+  sender: string;
+  enodeID: string;
+  PK: string;
+  wkAddr: string;
+  isWhite: boolean;
+  quited: boolean;
+  delegatorCount: string;
+  delegateDeposit: string;
+  partnerCount: string;
+  partnerDeposit: string;
+  crossIncoming: string;
+  slashedCount: string;
+  incentivedDelegator: string;
+  incentivedDay: string;
+  groupId: string;
+  nextGroupId: string;
+  deposit: string;
+  incentive: string;
+  delegatorInCount?: string;
+  delegateInDeposit?: string;
+}
+
+/**
+ * Storeman stake record
+ */
+export interface StoremanStakeInfo extends Omit<StoremanInfo, 'sender'> {
+  from: string;
+  canStakeOut: boolean;
+  canStakeClaim: boolean;
+  selectedCount: number;
+  rank: number;
+  activity: number;
+}
+
+/**
+ * Global storeman configuration
+ */
+export interface StoremanConf {
+  backupCount: string;
+  standaloneWeight: string;
+  delegationMulti: string;
+}
+
+/**
+ * Incentive paid to a storeman or delegator
+ */
+export interface StoremanIncentive {
+  wkAddr: string;
+  amount: string;
+  from: string;
+  timestamp: number;
+}
+
+/**
+ * Delegation to a storeman
+ */
+export interface StoremanDelegatorInfo {
+  from: string;
+  wkAddr: string;
+  deposit: string;
+  incentive: string;
+  groupId: string;
+  wkStake: {
+    deposit: string;
+    delegateDeposit: string;
+    partnerDeposit: string;
+  };
+  chain1: StoremanGroupChain;
+  chain2: StoremanGroupChain;
+  quited: boolean;
+  canDelegateOut: boolean;
+  canDelegateClaim: boolean;
+}
+
+/**
+ * Slash record of a storeman
+ */
+export interface StoremanSlashInfo {
+  groupId: string;
+  slashType: string;
+  slashed: string;
+  partner: string;
+  round: string;
+  curveIndex: string;
+  timestamp: number;
+}
+
+/**
+ * Selected storeman of a group
+ */
+export interface SelectedSmInfo {
+  wkAddr: string;
+  PK: string;
+  enodeId: string;
+}
+
+/**
+ * Delegation of one delegator to a storeman
+ */
+export interface SmDelegatorInfo {
+  sender: string;
+  deposit: string;
+  incentive: string;
+  quited: boolean;
+}
+
+// ====================== CROSS CHAIN ======================
+/**
+ * Ancestor token of a token pair
+ */
+export interface TokenPairAncestorInfo {
+  account: string;
+  name: string;
+  symbol: string;
+  decimals: string;
+  chainId: string;
+}
+
+/**
+ * Cross chain token pair
+ */
+export interface TokenPair {
+  id: string;
+  ancestorChainID: string;
+  fromChainID: string;
+  toChainID: string;
+  ancestorAccount: string;
+  fromAccount: string;
+  toAccount: string;
+  ancestorName: string;
+  ancestorSymbol: string;
+  ancestorDecimals: string;
+  fromName: string;
+  fromSymbol: string;
+  fromDecimals: string;
+  name: string;
+  symbol: string;
+  decimals: string;
+  fromAccountType: string;
+  toAccountType: string;
+  fromAccountIsLayer2?: boolean;
+  toAccountIsLayer2?: boolean;
+}
+
+/**
+ * Chain supported by the cross chain bridge
+ */
+export interface SupportedChainInfo {
+  chainType: string;
+  chainID: string;
+  chainName: string;
+  chainSymbol: string;
+  chainDecimals: number;
+  transChainID?: string;
+  crossScAddr?: string;
+  multicallAddr?: string;
+  chainCoingeckoID?: string;
+}
+
+/**
+ * Legacy cross chain fees
+ */
+export interface CrossChainFees {
+  contractFee: string;
+  agentFee: string;
+}
+
+/**
+ * Cross chain network fee
+ */
+export interface CrossChainNetworkFee {
+  value: string;
+  /** `value` is a ratio of the amount rather than an absolute fee */
+  isPercent: boolean;
+  discountPercent?: string;
+}
+
+/**
+ * Cross chain operation fee
+ */
+export interface CrossChainOperationFee extends CrossChainNetworkFee {
+  /** Fee of the third-party bridge, present when `bridge` is given */
+  forwardFee?: string;
+}
+
+/**
+ * Quota hidden flags of a chain
+ */
+export interface ChainQuotaHiddenFlag {
+  hiddenSourceChainQuota: boolean;
+  hiddenTargetChainQuota: boolean;
+}
+
+/**
+ * Bridge fee discount tier
+ */
+export interface WanBridgeDiscount {
+  amount: string;
+  discount: string;
+}
+
+/**
+ * Chain parameter
+ */
+export interface ChainParameter {
+  key: string;
+  value: any;
+}
+
+// ====================== XRP ======================
+/**
+ * XRP ledger header
+ */
+export interface XrpLedger {
+  ledgerVersion: number;
+  ledgerHash: string;
+  stateHash: string;
+  closeTime: string;
+  closeTimeResolution: number;
+  closeFlags: number;
+  parentLedgerHash: string;
+  parentCloseTime: string;
+  totalDrops: string;
+  transactionHash: string;
+  transactionHashes?: Array<string>;
+}
+
+/**
+ * XRP server info, as returned by rippled's `server_info`
+ */
+export interface XrpServerInfo {
+  build_version: string;
+  complete_ledgers: string;
+  server_state: string;
+  validated_ledger?: {
+    age: number;
+    base_fee_xrp: number;
+    hash: string;
+    reserve_base_xrp: number;
+    reserve_inc_xrp: number;
+    seq: number;
+  };
+  [key: string]: any;
+}
+
+/**
+ * Balances issued by an XRP gateway, as returned by rippled's `gateway_balances`
+ */
+export interface XrpGatewayBalances {
+  account: string;
+  ledger_hash: string;
+  ledger_index: number;
+  validated: boolean;
+  obligations?: Record<string, string>;
+  balances?: Record<string, Array<{ currency: string; value: string }>>;
+  assets?: Record<string, Array<{ currency: string; value: string }>>;
+}
+
+/**
+ * XRP trust line
+ */
+export interface XrpTrustLine {
+  account: string;
+  balance: string;
+  currency: string;
+  limit: string;
+  limit_peer: string;
+  quality_in: number;
+  quality_out: number;
+  no_ripple?: boolean;
+  no_ripple_peer?: boolean;
+}
+
+// ====================== CARDANO ======================
+/**
+ * Cardano block
+ */
+export interface CardanoBlock {
+  time: number;
+  height: number;
+  hash: string;
+  slot: number;
+  epoch: number;
+  epoch_slot: number;
+  slot_leader: string;
+  size: number;
+  tx_count: number;
+  output: string;
+  fees: string;
+  block_vrf: string;
+  previous_block: string;
+  next_block: string | null;
+  confirmations: number;
+}
+
+/**
+ * Cardano epoch protocol parameters, all values as strings
+ */
+export interface CardanoEpochParameters {
+  min_fee_a: string;
+  min_fee_b: string;
+  coins_per_utxo_byte: string;
+  pool_deposit: string;
+  key_deposit: string;
+  max_tx_size: string;
+  max_val_size: string;
+  collateral_percent: string;
+  max_collateral_inputs: string;
+  [key: string]: string;
+}
+
+/**
+ * Cardano protocol parameters including the Plutus cost models
+ */
+export interface CardanoCostModelParameters {
+  minFeeCoefficient: number;
+  minFeeConstant: number;
+  maxTxSize: number;
+  maxValueSize: number;
+  coinsPerUtxoByte: number;
+  protocolVersion: { major: number; minor: number };
+  prices: { memory: string; steps: string };
+  costModels: Record<string, any>;
+  [key: string]: any;
+}
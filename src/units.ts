@@ -0,0 +1,153 @@
+// ========================================================
+// iWan SDK - Units
+// ========================================================
+
+import { IWanError } from './errors';
+
+// ====================== TYPES ======================
+/**
+ * Symbol and decimals of a coin or token, returned by {@link IwanClient.getAssetUnit}
+ */
+export interface AssetUnit {
+  symbol: string;
+  decimals: number;
+}
+
+/**
+ * Balance returned by {@link IwanClient.getBalanceFormatted}
+ */
+export interface FormattedBalance {
+  /** The balance as returned by the server */
+  raw: string;
+  decimals: number;
+  /** The balance in whole units, formatted by {@link formatUnits} */
+  formatted: string;
+  symbol: string;
+}
+
+/**
+ * Options of {@link formatUnits}
+ */
+export interface FormatUnitsOptions {
+  /** BCP 47 locale, or a list of them, e.g. 'de-DE' (default: the runtime locale) */
+  locale?: string | string[];
+  /** Least number of fraction digits, padded with zeros (default: 0) */
+  minimumFractionDigits?: number;
+  /** Most number of fraction digits, rounded half up (default: all decimals) */
+  maximumFractionDigits?: number;
+  /** Group the integer digits, e.g. '1,234' (default: true) */
+  useGrouping?: boolean;
+}
+
+// ====================== CONVERSION ======================
+// Sign, integer digits, fraction digits and exponent, e.g. '0.079', '-12', '.5', '1e-7'
+const DECIMAL = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+function checkDecimals(decimals: number) {
+  if (!Number.isInteger(decimals) || decimals < 0) {
+    throw new IWanError(`Invalid decimals: ${decimals}`);
+  }
+}
+
+// An integer amount of base units, as a bigint, a safe integer number, or a decimal or 0x-hex string
+function toBigInt(value: string | number | bigint): bigint {
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'number' ? Number.isSafeInteger(value) : /^-?(\d+|0x[0-9a-fA-F]+)$/.test(value.trim())) {
+    const text = String(value).trim();
+    return text.startsWith('-') ? -BigInt(text.slice(1)) : BigInt(text);
+  }
+  throw new IWanError(`Invalid base unit amount: ${value}`);
+}
+
+/**
+ * Convert an amount in whole units to base units (e.g. ETH to wei), without float rounding.
+ *
+ * Numbers are read from their shortest decimal form, so `0.079` stays exactly 0.079. An amount with more
+ * fraction digits than `decimals` is rejected rather than rounded.
+ * @param amount - The amount, e.g. `'1.5'`, `0.079` or `2n`
+ * @param decimals - The decimals of the coin or token, e.g. 18
+ * @returns The amount in base units
+ * @throws IWanError for a malformed amount or an amount finer than the base unit
+ * @example
+ * toBaseUnits('1.5', 18);
+ * // 1500000000000000000n
+ * toBaseUnits(0.079, 8);
+ * // 7900000n
+ */
+export function toBaseUnits(amount: string | number | bigint, decimals: number): bigint {
+  checkDecimals(decimals);
+  if (typeof amount === 'bigint') return amount * 10n ** BigInt(decimals);
+
+  const text = String(amount).trim();
+  const match = DECIMAL.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw new IWanError(`Invalid amount: ${text}`);
+  }
+  const [, sign, int = '', frac = '', exp = '0'] = match;
+
+  // Move the decimal point right by the exponent and the decimals
+  let digits = int + frac;
+  const point = int.length + Number(exp) + decimals;
+  if (point < 0) {
+    digits = '0'.repeat(-point) + digits;
+  } else if (point > digits.length) {
+    digits = digits.padEnd(point, '0');
+  }
+  const whole = digits.slice(0, Math.max(point, 0));
+  if (/[1-9]/.test(digits.slice(Math.max(point, 0)))) {
+    throw new IWanError(`${text} has more than ${decimals} decimals`);
+  }
+  const value = BigInt(whole || '0');
+  return sign === '-' ? -value : value;
+}
+
+/**
+ * Convert an amount in base units to whole units (e.g. wei to ETH) as an exact decimal string
+ * @param value - The amount in base units, e.g. the result of `getBalance`
+ * @param decimals - The decimals of the coin or token, e.g. 18
+ * @returns The amount without trailing zeros, e.g. `'1.5'`
+ * @throws IWanError for a value that is not an integer
+ * @example
+ * fromBaseUnits('1500000000000000000', 18);
+ * // "1.5"
+ */
+export function fromBaseUnits(value: string | number | bigint, decimals: number): string {
+  checkDecimals(decimals);
+  const n = toBigInt(value);
+  const digits = (n < 0n ? -n : n).toString().padStart(decimals + 1, '0');
+  const int = digits.slice(0, digits.length - decimals);
+  const frac = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${n < 0n ? '-' : ''}${int}${frac ? `.${frac}` : ''}`;
+}
+
+/**
+ * Format an amount in base units for display, with the digit grouping and decimal separator of a locale.
+ * Rounding is done on the exact value, so large balances keep all their digits.
+ * @param value - The amount in base units
+ * @param decimals - The decimals of the coin or token, e.g. 18
+ * @param options - Locale and fraction digits
+ * @example
+ * formatUnits('1234567891000000000000', 18, { locale: 'en-US', maximumFractionDigits: 2 });
+ * // "1,234.57"
+ * formatUnits('1234567891000000000000', 18, { locale: 'de-DE' });
+ * // "1.234,567891"
+ */
+export function formatUnits(value: string | number | bigint, decimals: number, options: FormatUnitsOptions = {}): string {
+  checkDecimals(decimals);
+  const { locale, minimumFractionDigits = 0, useGrouping = true } = options;
+  const maximumFractionDigits = Math.min(options.maximumFractionDigits ?? decimals, decimals);
+
+  const n = toBigInt(value);
+  const abs = n < 0n ? -n : n;
+  const step = 10n ** BigInt(decimals - maximumFractionDigits);
+  const rounded = (abs + step / 2n) / step;
+  const unit = 10n ** BigInt(maximumFractionDigits);
+  const frac = maximumFractionDigits
+    ? (rounded % unit).toString().padStart(maximumFractionDigits, '0').replace(/0+$/, '').padEnd(minimumFractionDigits, '0')
+    : '0'.repeat(minimumFractionDigits);
+
+  const format = new Intl.NumberFormat(locale, { useGrouping });
+  const separator = format.formatToParts(0.5).find(part => part.type === 'decimal')?.value ?? '.';
+  const sign = n < 0n && rounded > 0n ? '-' : '';
+  return `${sign}${format.format(rounded / unit)}${frac ? separator + frac : ''}`;
+}
@@ -0,0 +1,34 @@
+// ========================================================
+// iWan SDK - Internal utilities
+// ========================================================
+// Helpers shared by the modules of the SDK, not part of its public API.
+
+/**
+ * JSON with sorted keys and without undefined members, so that params compare whatever their key order
+ * @param value - A JSON value
+ */
+export function canonicalJson(value: any): string {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Params of a call without the signing fields, so that fixtures do not depend on the keys or the clock
+ * @param params - The params as sent
+ */
+export function unsignedParams(params: Record<string, any> = {}): Record<string, any> {
+  const { timestamp, signature, ...rest } = params;
+  return rest;
+}
+
+/**
+ * The JSON-RPC messages of a frame, a batch or a single message
+ * @param data - The frame as sent or received
+ */
+export function fixtureFrames(data: string): any[] {
+  const msg = JSON.parse(data);
+  return Array.isArray(msg) ? msg : [msg];
+}
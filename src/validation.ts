@@ -0,0 +1,247 @@
+// ========================================================
+// iWan SDK - Parameter validation
+// ========================================================
+
+import SHA256 from 'crypto-js/sha256';
+import SHA3 from 'crypto-js/sha3';
+import Hex from 'crypto-js/enc-hex';
+import { IWanValidationError } from './errors';
+import { chainRegistry, ChainRegistry, ChainFamily } from './chains';
+
+// ====================== HASHES ======================
+/**
+ * Check a 32-byte hex hash, such as a transaction or block hash, with or without the `0x` prefix
+ * @param hash - The hash to check
+ */
+export function isByte32Hash(hash: string): boolean {
+  return /^(0x)?[0-9a-fA-F]{64}$/.test(hash);
+}
+
+// ====================== EVM ======================
+/**
+ * Convert an EVM address to its EIP-55 mixed-case checksum form
+ * @param address - A 20-byte hex address with the `0x` prefix
+ */
+export function toChecksumAddress(address: string): string {
+  return checksumAddress(address, false);
+}
+
+// WAN checksums are the EIP-55 checksum with the case inverted
+function checksumAddress(address: string, inverted: boolean): string {
+  const lower = address.slice(2).toLowerCase();
+  const hash = SHA3(lower, { outputLength: 256 }).toString(Hex);
+  let ret = '0x';
+  for (let i = 0; i < lower.length; i++) {
+    ret += (parseInt(hash[i], 16) >= 8) !== inverted ? lower[i].toUpperCase() : lower[i];
+  }
+  return ret;
+}
+
+/**
+ * Check an EVM address. All lower or upper case addresses are accepted, mixed case ones must carry a valid
+ * EIP-55 checksum, or the WAN checksum when `chainType` is 'WAN'.
+ * @param address - The address to check
+ * @param chainType - The chain name, e.g. 'ETH'
+ */
+export function isEvmAddress(address: string, chainType?: string): boolean {
+  // XDC addresses are also written with an 'xdc' prefix
+  const hex = chainType === 'XDC' ? address.replace(/^xdc/, '0x') : address;
+  if (!/^0x[0-9a-fA-F]{40}$/.test(hex)) return false;
+
+  const body = hex.slice(2);
+  if (body === body.toLowerCase() || body === body.toUpperCase()) return true;
+  return hex === checksumAddress(hex, false) || (chainType === 'WAN' && hex === checksumAddress(hex, true));
+}
+
+// ====================== BASE58 / BECH32 ======================
+const BITCOIN_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const RIPPLE_ALPHABET = 'rpshnaf39wBUDNEGHJKLM4PQRST7VWXYZ2bcdeCg65jkm8oFqi1tuvAxyz';
+
+function decodeBase58(text: string, alphabet: string): number[] | null {
+  const bytes: number[] = [];
+  for (const char of text) {
+    let carry = alphabet.indexOf(char);
+    if (carry < 0) return null;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  // Every leading first-alphabet character stands for a zero byte
+  for (const char of text) {
+    if (char !== alphabet[0]) break;
+    bytes.push(0);
+  }
+  return bytes.reverse();
+}
+
+function toHex(bytes: number[]): string {
+  return bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Payload of a base58check string (version byte first), or null when the checksum does not match
+function decodeBase58Check(text: string, alphabet: string): number[] | null {
+  const bytes = decodeBase58(text, alphabet);
+  if (!bytes || bytes.length < 5) return null;
+  const payload = bytes.slice(0, -4);
+  const checksum = SHA256(SHA256(Hex.parse(toHex(payload)))).toString(Hex).slice(0, 8);
+  return checksum === toHex(bytes.slice(-4)) ? payload : null;
+}
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+function bech32Polymod(values: number[]): number {
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= BECH32_GENERATOR[i];
+    }
+  }
+  return chk >>> 0;
+}
+
+// Check a segwit address: bech32 for witness version 0, bech32m (BIP-350) for the later versions
+function isSegwitAddress(address: string, hrps: readonly string[]): boolean {
+  if (address.length > 90 || (address !== address.toLowerCase() && address !== address.toUpperCase())) return false;
+  const text = address.toLowerCase();
+  const sep = text.lastIndexOf('1');
+  const hrp = text.slice(0, sep);
+  if (sep < 1 || !hrps.includes(hrp)) return false;
+
+  const data = [...text.slice(sep + 1)].map(char => BECH32_CHARSET.indexOf(char));
+  if (data.length < 7 || data.includes(-1)) return false;
+
+  const expanded = [...hrp].map(c => c.charCodeAt(0) >> 5).concat(0, [...hrp].map(c => c.charCodeAt(0) & 31));
+  const version = data[0];
+  const programLength = Math.floor((data.length - 7) * 5 / 8);
+  const expected = version === 0 ? BECH32_CONST : BECH32M_CONST;
+  if (version > 16 || bech32Polymod(expanded.concat(data)) !== expected) return false;
+  if (version === 0) return programLength === 20 || programLength === 32;
+  return programLength >= 2 && programLength <= 40;
+}
+
+// ====================== UTXO / XRP / TRX ======================
+// Version bytes and segwit prefixes of mainnet, testnet and regtest addresses
+const UTXO_FORMATS: Record<string, { versions: number[]; hrps: string[] }> = {
+  BTC: { versions: [0x00, 0x05, 0x6f, 0xc4], hrps: ['bc', 'tb', 'bcrt'] },
+  LTC: { versions: [0x30, 0x32, 0x05, 0x6f, 0x3a, 0xc4], hrps: ['ltc', 'tltc', 'rltc'] },
+  DOGE: { versions: [0x1e, 0x16, 0x71, 0xc4], hrps: [] },
+};
+
+/**
+ * Check a BTC, LTC or DOGE address, base58check (P2PKH, P2SH) or bech32/bech32m (segwit)
+ * @param chainType - 'BTC', 'LTC' or 'DOGE'
+ * @param address - The address to check
+ */
+export function isUtxoAddress(chainType: string, address: string): boolean {
+  const format = UTXO_FORMATS[chainType];
+  if (!format) return false;
+  const payload = decodeBase58Check(address, BITCOIN_ALPHABET);
+  if (payload) return payload.length === 21 && format.versions.includes(payload[0]);
+  return isSegwitAddress(address, format.hrps);
+}
+
+/**
+ * Check an XRP classic address, e.g. `'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh'`
+ * @param address - The address to check
+ */
+export function isXrpAddress(address: string): boolean {
+  const payload = decodeBase58Check(address, RIPPLE_ALPHABET);
+  return !!payload && payload.length === 21 && payload[0] === 0x00;
+}
+
+/**
+ * Check a TRX base58 address, e.g. `'TJRabPrwbZy45sbavfcjinPJC18kjpRTv8'`
+ * @param address - The address to check
+ */
+export function isTrxAddress(address: string): boolean {
+  const payload = decodeBase58Check(address, BITCOIN_ALPHABET);
+  return !!payload && payload.length === 21 && payload[0] === 0x41;
+}
+
+/**
+ * Check an address against the format of its chain. Addresses of the EOS, ADA and other families are always accepted.
+ * @param chainType - The chain name, e.g. 'BTC'
+ * @param address - The address to check
+ * @param registry - The chain metadata, the shared {@link chainRegistry} by default
+ * @returns false for a malformed address or an unknown chain type
+ */
+export function isValidAddress(chainType: string, address: string, registry: ChainRegistry = chainRegistry): boolean {
+  const chain = registry.get(chainType);
+  if (!chain) return false;
+  switch (chain.family) {
+    case 'EVM': return isEvmAddress(address, chainType);
+    case 'UTXO': return isUtxoAddress(chainType, address);
+    case 'XRP': return isXrpAddress(address);
+    case 'TRX': return isTrxAddress(address);
+    default: return true;
+  }
+}
+
+// ====================== PARAMS ======================
+const CHAIN_TYPE_PARAMS = ['chainType', 'crossChain', 'targetChainType'];
+const HASH_PARAMS = ['txHash', 'blockHash', 'hashX'];
+// Checked on EVM chains only, where contract and account addresses share one format
+const EVM_ADDRESS_PARAMS = ['address', 'scAddr', 'tokenScAddr', 'tokenScAddrArray', 'ownerAddr', 'spenderAddr', 'wkAddr'];
+const ADDRESS_PARAMS = ['address'];
+// Methods whose `address` is not an account address, e.g. the one-time address of getOTAMixSet
+const UNCHECKED_ADDRESS_METHODS = ['getOTAMixSet'];
+const CHECKED_FAMILIES: ChainFamily[] = ['EVM', 'UTXO', 'XRP', 'TRX'];
+
+/**
+ * Check the chain types, hashes and addresses of the params of an RPC method before sending it.
+ *
+ * Chain types missing from the registry, malformed hashes and addresses not matching the format of
+ * `params.chainType` are rejected; other params are left to the server.
+ *
+ * @param method - RPC method name (e.g. 'getBalance')
+ * @param params - Parameters object
+ * @param registry - The known chains, the shared {@link chainRegistry} by default
+ * @throws IWanValidationError naming the first invalid argument
+ * @example
+ * validateParams('getBalance', { chainType: 'BTC', address: '0x0cc79fa3b80c5b9b02051facd02478ea88a78e2c' });
+ * // IWanValidationError: Invalid address of getBalance: not a valid BTC address
+ */
+export function validateParams(method: string, params: Record<string, any> = {}, registry: ChainRegistry = chainRegistry): void {
+  const fail = (argument: string, value: any, reason: string) => {
+    throw new IWanValidationError(method, argument, value, reason);
+  };
+
+  for (const key of CHAIN_TYPE_PARAMS) {
+    const value = params[key];
+    if (value === undefined) continue;
+    if (typeof value !== 'string' || !registry.has(value)) fail(key, value, 'unknown chain type');
+  }
+
+  for (const key of HASH_PARAMS) {
+    const value = params[key];
+    if (value === undefined) continue;
+    if (typeof value !== 'string' || !isByte32Hash(value)) fail(key, value, 'not a 32-byte hex hash');
+  }
+
+  const { chainType } = params;
+  const family = typeof chainType === 'string' ? registry.get(chainType)?.family : undefined;
+  if (!family || !CHECKED_FAMILIES.includes(family) || UNCHECKED_ADDRESS_METHODS.includes(method)) return;
+
+  for (const key of family === 'EVM' ? EVM_ADDRESS_PARAMS : ADDRESS_PARAMS) {
+    const value = params[key];
+    if (value === undefined) continue;
+    const addresses = Array.isArray(value) ? value : [value];
+    addresses.forEach((address, i) => {
+      const argument = Array.isArray(value) ? `${key}[${i}]` : key;
+      if (typeof address !== 'string' || !isValidAddress(chainType, address, registry)) {
+        fail(argument, address, `not a valid ${chainType} address`);
+      }
+    });
+  }
+}
@@ -0,0 +1,198 @@
+import { describe, expect, it } from 'vitest';
+import {
+  AbiItem, decodeEventLog, decodeFunctionData, decodeFunctionResult, decodeMultiCall2Result, decodeMultiCallResult, decodeParameters,
+  decodeRevertReason, encodeEventTopics, encodeFunctionData, encodeFunctionResult, encodeParameters, eventTopic, formatSignature,
+  functionSelector, keccak256,
+} from '../src/index';
+
+const words = (...hex: string[]) => hex.map(word => word.padStart(64, '0')).join('');
+const text = (value: string) => Buffer.from(value).toString('hex').padEnd(64, '0');
+const addressA = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const addressB = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+
+const transfer: AbiItem = {
+  type: 'function', name: 'transfer',
+  inputs: [{ name: 'to', type: 'address' }, { name: 'value', type: 'uint256' }],
+  outputs: [{ name: '', type: 'bool' }],
+};
+const transferEvent: AbiItem = {
+  type: 'event', name: 'Transfer',
+  inputs: [{ name: 'from', type: 'address', indexed: true }, { name: 'to', type: 'address', indexed: true }, { name: 'value', type: 'uint256' }],
+};
+
+describe('hashing', () => {
+  it('hashes text and hex bytes with keccak-256', () => {
+    expect(keccak256('')).toBe('0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+    expect(keccak256('0x')).toBe('0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+  });
+
+  it('computes function selectors', () => {
+    expect(functionSelector(transfer)).toBe('0xa9059cbb');
+    expect(functionSelector('balanceOf(address)')).toBe('0x70a08231');
+    expect(functionSelector('Error(string)')).toBe('0x08c379a0');
+    expect(functionSelector('Panic(uint256)')).toBe('0x4e487b71');
+  });
+
+  it('computes event topics', () => {
+    expect(eventTopic(transferEvent)).toBe('0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef');
+    expect(eventTopic('Approval(address,address,uint256)')).toBe('0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925');
+  });
+
+  it('expands tuples in signatures', () => {
+    const item: AbiItem = {
+      type: 'function', name: 'submit',
+      inputs: [{ name: 'orders', type: 'tuple[]', components: [{ name: 'id', type: 'uint256' }, { name: 'tags', type: 'string[]' }] }, { name: 'to', type: 'address' }],
+    };
+    expect(formatSignature(item)).toBe('submit((uint256,string[])[],address)');
+  });
+});
+
+// Examples of the Solidity ABI specification
+describe('encoding', () => {
+  it('encodes static values', () => {
+    expect(encodeFunctionData(transfer, [addressA, 10n])).toBe(`0xa9059cbb${words('5aaeb6053f3e94c9b9a09f33669435e7ef1beaed', 'a')}`);
+    expect(encodeParameters(['int8', 'bool', 'bytes3'], [-1, true, '0x616263'])).toBe(`0x${'f'.repeat(64)}${words('1')}${text('abc')}`);
+  });
+
+  it('encodes bytes, a bool and a dynamic array', () => {
+    const sam: AbiItem = { type: 'function', name: 'sam', inputs: [{ type: 'bytes' }, { type: 'bool' }, { type: 'uint256[]' }] };
+    const data = `0xa5643bf2${words('60', '1', 'a0', '4')}${text('dave')}${words('3', '1', '2', '3')}`;
+    expect(functionSelector(sam)).toBe('0xa5643bf2');
+    expect(encodeFunctionData(sam, ['0x64617665', true, [1, 2, 3]])).toBe(data);
+    expect(decodeFunctionData([sam], data)?.args).toEqual(['0x64617665', true, [1n, 2n, 3n]]);
+  });
+
+  it('encodes a fixed size bytes, a dynamic array and a string', () => {
+    const f: AbiItem = { type: 'function', name: 'f', inputs: [{ type: 'uint256' }, { type: 'uint32[]' }, { type: 'bytes10' }, { type: 'bytes' }] };
+    const hello = Buffer.from('Hello, world!').toString('hex');
+    const data = `0x8be65246${words('123', '80')}${text('1234567890')}${words('e0', '2', '456', '789', 'd')}${hello.padEnd(64, '0')}`;
+    expect(functionSelector(f)).toBe('0x8be65246');
+    expect(encodeFunctionData(f, [0x123, [0x456, 0x789], '0x31323334353637383930', `0x${hello}`])).toBe(data);
+    expect(decodeFunctionData([f], data)?.args).toEqual([0x123n, [0x456n, 0x789n], '0x31323334353637383930', `0x${hello}`]);
+  });
+
+  it('encodes nested arrays and string arrays', () => {
+    const g: AbiItem = { type: 'function', name: 'g', inputs: [{ type: 'uint256[][]' }, { type: 'string[]' }] };
+    const data = `0x2289b18c${words('40', '140', '2', '40', 'a0', '2', '1', '2', '1', '3', '3', '60', 'a0', 'e0', '3')}${text('one')}${words('3')}${text('two')}${words('5')}${text('three')}`;
+    expect(functionSelector(g)).toBe('0x2289b18c');
+    expect(encodeFunctionData(g, [[[1, 2], [3]], ['one', 'two', 'three']])).toBe(data);
+    expect(decodeFunctionData([g], data)?.args).toEqual([[[1n, 2n], [3n]], ['one', 'two', 'three']]);
+  });
+
+  it('encodes tuples given as arrays or objects', () => {
+    const order = { name: 'order', type: 'tuple', components: [{ name: 'id', type: 'uint256' }, { name: 'memo', type: 'string' }] };
+    const encoded = `0x${words('20', '1', '40', '2')}${text('hi')}`;
+    expect(encodeParameters([order], [[1, 'hi']])).toBe(encoded);
+    expect(encodeParameters([order], [{ id: 1, memo: 'hi' }])).toBe(encoded);
+    expect(decodeParameters([order], encoded)).toEqual([[1n, 'hi']]);
+
+    const orders = { ...order, type: 'tuple[2]' };
+    const values = [[1n, 'a'], [2n, 'b']];
+    expect(decodeParameters([orders, 'address'], encodeParameters([orders, 'address'], [values, addressB]))).toEqual([values, addressB]);
+  });
+
+  it('round-trips a function result', () => {
+    const balances: AbiItem = { type: 'function', name: 'balances', inputs: [], outputs: [{ type: 'address[]' }, { type: 'int256[]' }, { type: 'string' }] };
+    const values = [[addressA, addressB], [-1n, 2n ** 255n - 1n], 'ünïcode'];
+    expect(decodeFunctionResult(balances, encodeFunctionResult(balances, values))).toEqual(values);
+  });
+
+  it('rejects values that do not fit their type', () => {
+    expect(() => encodeParameters(['uint8'], [256])).toThrow('out of range');
+    expect(() => encodeParameters(['int8'], [-129])).toThrow('out of range');
+    expect(() => encodeParameters(['address'], ['0x1234'])).toThrow('not a valid address');
+    for (const value of [1, 0, '1', 1n, 'yes', 'TRUE', null, undefined, {}]) {
+      expect(() => encodeParameters(['bool'], [value])).toThrow('is not a valid bool');
+    }
+    expect(encodeParameters(['bool', 'bool'], ['true', 'false'])).toBe(encodeParameters(['bool', 'bool'], [true, false]));
+    expect(() => encodeParameters(['uint256[2]'], [[1]])).toThrow('expects 2 items');
+    expect(() => decodeParameters(['uint256'], '0x1234')).toThrow('data too short');
+  });
+});
+
+describe('events', () => {
+  const topic = (address: string) => `0x${address.slice(2).toLowerCase().padStart(64, '0')}`;
+
+  it('decodes indexed and data inputs', () => {
+    const log = { topics: [eventTopic(transferEvent), topic(addressA), topic(addressB)], data: `0x${words('f4240')}` };
+    expect(decodeEventLog([transfer, transferEvent], log)).toEqual({
+      eventName: 'Transfer',
+      signature: 'Transfer(address,address,uint256)',
+      args: { from: addressA, to: addressB, value: 1000000n },
+    });
+  });
+
+  it('keeps the hash of indexed dynamic inputs', () => {
+    const named: AbiItem = {
+      type: 'event', name: 'Named',
+      inputs: [{ name: 'key', type: 'string', indexed: true }, { name: 'id', type: 'uint64', indexed: true }, { name: 'value', type: 'string' }],
+    };
+    const topics = encodeEventTopics(named, { key: 'alice', id: 7 });
+    expect(topics).toEqual([eventTopic('Named(string,uint64,string)'), keccak256('alice'), `0x${words('7')}`]);
+
+    const log = { topics: topics as string[], data: `0x${words('20', '3')}${text('bob')}` };
+    expect(decodeEventLog([named], log)?.args).toEqual({ key: keccak256('alice'), id: 7n, value: 'bob' });
+  });
+
+  it('leaves out trailing wildcards of a filter', () => {
+    expect(encodeEventTopics(transferEvent, { to: addressB })).toEqual([eventTopic(transferEvent), null, topic(addressB)]);
+    expect(encodeEventTopics(transferEvent, [addressA])).toEqual([eventTopic(transferEvent), topic(addressA)]);
+  });
+
+  it('ignores logs of other events or with another number of indexed inputs', () => {
+    expect(decodeEventLog([transferEvent], { topics: [eventTopic('Approval(address,address,uint256)')], data: '0x' })).toBeUndefined();
+    expect(decodeEventLog([transferEvent], { topics: [eventTopic(transferEvent), topic(addressA)], data: `0x${words('1')}` })).toBeUndefined();
+  });
+});
+
+describe('decodeRevertReason', () => {
+  it('decodes Error(string)', () => {
+    const data = `0x08c379a0${words('20', '1a')}${text('Not enough Ether provided.')}`;
+    expect(decodeRevertReason(data)).toEqual({ name: 'Error', args: ['Not enough Ether provided.'], message: 'Not enough Ether provided.' });
+  });
+
+  it('decodes Panic(uint256) with its reason', () => {
+    expect(decodeRevertReason(`0x4e487b71${words('11')}`)).toEqual({ name: 'Panic', args: [0x11n], message: 'panic 0x11 (arithmetic underflow or overflow)' });
+    expect(decodeRevertReason(`0x4e487b71${words('99')}`)?.message).toBe('panic 0x99');
+  });
+
+  it('decodes the custom errors of an ABI', () => {
+    const insufficient: AbiItem = { type: 'error', name: 'InsufficientBalance', inputs: [{ name: 'available', type: 'uint256' }, { name: 'required', type: 'uint256' }] };
+    const data = encodeFunctionData(insufficient, [1, 5]);
+    expect(decodeRevertReason(data, [insufficient])).toEqual({ name: 'InsufficientBalance', args: [1n, 5n], message: 'InsufficientBalance(1, 5)' });
+    expect(decodeRevertReason(data)).toBeUndefined();
+  });
+
+  it('returns undefined for empty revert data', () => {
+    expect(decodeRevertReason('0x')).toBeUndefined();
+  });
+});
+
+describe('multicall results', () => {
+  it('decodes the big numbers of multiCall', () => {
+    const result = {
+      results: {
+        blockNumber: { _hex: '0x04c3526c' },
+        original: {},
+        transformed: { token_symbol: 'USDT', token_balance: { _hex: '0x0f4240', _isBigNumber: true }, reserves: [{ type: 'BigNumber', hex: '0x02' }] },
+      },
+      keyToArgMap: {},
+    };
+    expect(decodeMultiCallResult(result)).toEqual({
+      blockNumber: 79909484n,
+      values: { token_symbol: 'USDT', token_balance: 1000000n, reserves: [2n] },
+    });
+  });
+
+  it('flattens the chunks of multiCall2 with the status of each call', () => {
+    const result = [
+      { result: [{ balance: { _hex: '0x0a', _isBigNumber: true } }, {}], status: [true, false] },
+      { result: [{ symbol: 'WAN' }], status: [true] },
+    ];
+    expect(decodeMultiCall2Result(result)).toEqual([
+      { success: true, values: { balance: 10n } },
+      { success: false, values: {} },
+      { success: true, values: { symbol: 'WAN' } },
+    ]);
+  });
+});
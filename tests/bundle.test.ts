@@ -0,0 +1,43 @@
+import { execFileSync } from 'child_process';
+import { createRequire } from 'module';
+import { readFileSync } from 'fs';
+import { runInNewContext } from 'vm';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createMockIwanServer, MockIwanServer } from '../src/mock';
+
+const require = createRequire(import.meta.url);
+const address = '0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c';
+
+// The published bundles, built once from the current sources
+describe('bundles', () => {
+  let server: MockIwanServer;
+
+  beforeAll(async () => {
+    execFileSync(process.execPath, [require.resolve('tsdown/run')], { stdio: 'ignore', timeout: 120000 });
+    server = await createMockIwanServer({ handlers: { getBalance: '1000' } });
+  }, 130000);
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  it('exports the client class from the CommonJS bundle', async () => {
+    const IwanClient = require('../dist/index.cjs');
+    expect(IwanClient.default).toBe(IwanClient);
+    expect(IwanClient.formatUnits('1500', 3)).toBe('1.5');
+
+    const client = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint });
+    expect(client).toBeInstanceOf(IwanClient);
+    await expect(client.getBalance('WAN', address)).resolves.toBe('1000');
+    await expect(client.getNonce('WAN', address)).rejects.toBeInstanceOf(IwanClient.IWanRpcError);
+    await client.close();
+  });
+
+  it('sets the client class as the global of the IIFE bundle', () => {
+    const context: Record<string, any> = { window: {} };
+    runInNewContext(readFileSync(require.resolve('../dist/index.iife.js'), 'utf8'), context);
+    expect(typeof context.IwanClient).toBe('function');
+    expect(new context.IwanClient.ChainRegistry().get('WAN')).toMatchObject({ chainType: 'WAN' });
+    expect(context.IwanClient.WsTransport).toBeTypeOf('function');
+  });
+});
@@ -0,0 +1,187 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest';
+import SHA256 from 'crypto-js/sha256';
+import Hex from 'crypto-js/enc-hex';
+import IwanClient, { CacheStore, MemoryCacheStore, ResponseCache } from '../src/index';
+import { createMockIwanServer, MockIwanServer } from '../src/mock';
+
+const token = { chainType: 'ETH', tokenScAddr: '0xdac17f958d2ee523a2206206994597c13d831ec7' };
+const txHash = `0x${'1'.repeat(64)}`;
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('response cache', () => {
+  let server: MockIwanServer;
+  let client: IwanClient;
+
+  const sent = (method: string) => server.requests.filter(request => request.method === method).length;
+
+  beforeAll(async () => {
+    server = await createMockIwanServer();
+    client = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint, cache: { ttl: { getStoremanGroupConfig: 50 } } });
+  });
+
+  afterAll(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  it('answers semi-static methods from the cache', async () => {
+    server.handle('getTokenInfo', { symbol: 'USDT', decimals: '6' });
+    await expect(client.getTokenInfo(token.chainType, token.tokenScAddr)).resolves.toEqual({ symbol: 'USDT', decimals: '6' });
+    await expect(client.getTokenInfo(token.chainType, token.tokenScAddr)).resolves.toEqual({ symbol: 'USDT', decimals: '6' });
+    expect(sent('getTokenInfo')).toBe(1);
+  });
+
+  it('hands out copies of the cached results', async () => {
+    (await client.getTokenInfo(token.chainType, token.tokenScAddr)).symbol = 'changed';
+    await expect(client.getTokenInfo(token.chainType, token.tokenScAddr)).resolves.toMatchObject({ symbol: 'USDT' });
+  });
+
+  it('leaves other methods uncached', async () => {
+    server.handle('getBlockNumber', 1000);
+    await client.getBlockNumber('WAN');
+    await client.getBlockNumber('WAN');
+    expect(sent('getBlockNumber')).toBe(2);
+  });
+
+  it('expires results after the time to live of their method', async () => {
+    server.handle('getStoremanGroupConfig', { groupId: '0x01' });
+    await client.getStoremanGroupConfig('0x01');
+    await client.getStoremanGroupConfig('0x01');
+    expect(sent('getStoremanGroupConfig')).toBe(1);
+    await sleep(60);
+    await client.getStoremanGroupConfig('0x01');
+    expect(sent('getStoremanGroupConfig')).toBe(2);
+  });
+
+  it('caches receipts once their transaction is in a block', async () => {
+    let receipt: any = null;
+    server.handle('getTransactionReceipt', () => receipt);
+    await expect(client.getTransactionReceipt('WAN', txHash)).resolves.toBeNull();
+    receipt = { transactionHash: txHash, blockHash: `0x${'2'.repeat(64)}`, status: '0x1' };
+    await client.getTransactionReceipt('WAN', txHash);
+    await client.getTransactionReceipt('WAN', txHash);
+    expect(sent('getTransactionReceipt')).toBe(2);
+  });
+
+  it('refreshes a receipt from the chain head, which a reorganization may drop', async () => {
+    const hash = `0x${'3'.repeat(64)}`;
+    server.handle('getTransactionReceipt', { transactionHash: hash, blockHash: `0x${'4'.repeat(64)}`, status: '0x1' });
+    vi.useFakeTimers({ toFake: ['Date'] });
+    try {
+      await client.getTransactionReceipt('WAN', hash);
+      const before = sent('getTransactionReceipt');
+      vi.setSystemTime(Date.now() + 59 * 1000);
+      await client.getTransactionReceipt('WAN', hash);
+      expect(sent('getTransactionReceipt')).toBe(before);
+
+      server.handle('getTransactionReceipt', null);
+      vi.setSystemTime(Date.now() + 2 * 1000);
+      await expect(client.getTransactionReceipt('WAN', hash)).resolves.toBeNull();
+      expect(sent('getTransactionReceipt')).toBe(before + 1);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('refreshes a result with the cache call option', async () => {
+    server.handle('getTokenPairs', [{ id: '1' }]);
+    await client.getTokenPairs();
+    server.handle('getTokenPairs', [{ id: '1' }, { id: '2' }]);
+    await expect(client.getTokenPairs(undefined, { cache: false })).resolves.toHaveLength(2);
+    await expect(client.getTokenPairs()).resolves.toHaveLength(2);
+    expect(sent('getTokenPairs')).toBe(2);
+  });
+
+  it('answers the calls of a batch from the cache', async () => {
+    server.handle('getChainConstantInfo', ({ chainId }) => [chainId]);
+    await client.getChainConstantInfo({ chainId: '2153201998' });
+    const before = sent('getChainConstantInfo');
+
+    const batch = client.batch();
+    batch.add('getChainConstantInfo', { chainId: '2153201998' });
+    batch.add('getChainConstantInfo', { chainId: '2147483708' });
+    await expect(batch.send()).resolves.toEqual([['2153201998'], ['2147483708']]);
+    await client.getChainConstantInfo({ chainId: '2147483708' });
+    expect(sent('getChainConstantInfo') - before).toBe(1);
+  });
+
+  it('keys the entries of a client by a hash of its API key and its endpoint', async () => {
+    const map = new Map<string, string>();
+    const store: CacheStore = {
+      get: key => map.get(key),
+      set: (key, value) => { map.set(key, value); },
+      delete: key => { map.delete(key); },
+      keys: () => map.keys(),
+    };
+    const other = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint, cache: { store } });
+    await other.getTokenInfo(token.chainType, token.tokenScAddr);
+    await other.close();
+
+    const hash = SHA256(server.apiKey).toString(Hex).slice(0, 16);
+    expect([...map.keys()]).toEqual([`${hash}@${server.endpoint}|getTokenInfo|{"chainType":"ETH","tokenScAddr":"${token.tokenScAddr}"}`]);
+  });
+
+  it('drops results on invalidation', async () => {
+    server.handle('getRegisteredTokenList', []);
+    await client.getTokenInfo(token.chainType, token.tokenScAddr);
+    await client.getRegisteredTokenList();
+    const before = server.requests.length;
+
+    await client.invalidateCache('getTokenInfo', token);
+    await client.getTokenInfo(token.chainType, token.tokenScAddr);
+    await client.getRegisteredTokenList();
+    expect(server.requests.length - before).toBe(1);
+
+    await client.invalidateCache();
+    await client.getTokenInfo(token.chainType, token.tokenScAddr);
+    await client.getRegisteredTokenList();
+    expect(server.requests.length - before).toBe(3);
+  });
+});
+
+describe('ResponseCache', () => {
+  it('keys entries by params whatever their order', async () => {
+    const cache = new ResponseCache();
+    await cache.set('getTokenInfo', { chainType: 'ETH', tokenScAddr: '0x1' }, { symbol: 'A' });
+    await expect(cache.get('getTokenInfo', { tokenScAddr: '0x1', chainType: 'ETH' })).resolves.toEqual({ symbol: 'A' });
+    await expect(cache.get('getTokenInfo', { tokenScAddr: '0x2', chainType: 'ETH' })).resolves.toBeUndefined();
+  });
+
+  it('drops the least recently used entries of the memory store', () => {
+    const store = new MemoryCacheStore(2);
+    store.set('a', '1');
+    store.set('b', '2');
+    store.get('a');
+    store.set('c', '3');
+    expect(store.keys()).toEqual(['a', 'c']);
+  });
+
+  it('reads through an async custom store', async () => {
+    const map = new Map<string, string>();
+    const store: CacheStore = {
+      get: async key => map.get(key),
+      set: async (key, value) => { map.set(key, value); },
+      delete: async key => { map.delete(key); },
+      keys: async () => map.keys(),
+    };
+    const cache = new ResponseCache({ store, namespace: 'test' });
+    await cache.set('getBlockByHash', { chainType: 'WAN', blockHash: '0x1' }, { number: 1 });
+    expect([...map.keys()]).toEqual(['test|getBlockByHash|{"blockHash":"0x1","chainType":"WAN"}']);
+    expect(JSON.parse(map.values().next().value!).expires).toBeNull();
+    await expect(cache.get('getBlockByHash', { chainType: 'WAN', blockHash: '0x1' })).resolves.toEqual({ number: 1 });
+    await cache.invalidate('getBlockByHash');
+    expect(map.size).toBe(0);
+  });
+
+  it('reads a failing store as a miss', async () => {
+    const broken: CacheStore = {
+      get: () => { throw new Error('down'); },
+      set: () => { throw new Error('down'); },
+      delete: () => {},
+      keys: () => [],
+    };
+    const cache = new ResponseCache({ store: broken });
+    await expect(cache.set('getTokenPairs', {}, [])).resolves.toBeUndefined();
+    await expect(cache.get('getTokenPairs', {})).resolves.toBeUndefined();
+  });
+});
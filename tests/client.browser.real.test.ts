@@ -0,0 +1,62 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import IwanClient, { IWanFixtureError, ReplayTransport } from '../src/index';
+
+const apiKey = 'browserApiKey';
+const secretKey = 'browserSecretKey';
+const address = '0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c';
+
+// A browser cannot host the mock gateway, so the calls are answered from a fixture
+class SpyTransport extends ReplayTransport {
+  readonly sent: any[] = [];
+
+  send(data: string): void {
+    this.sent.push(JSON.parse(data));
+    super.send(data);
+  }
+}
+
+// The HMAC-SHA256 signature of a payload by WebCrypto, to check the crypto-js signing of the SDK
+async function webCryptoSign(msg: string): Promise<string> {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secretKey), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(msg)));
+  return btoa(String.fromCharCode(...signature));
+}
+
+describe('IwanClient in a real browser', () => {
+  let transport: SpyTransport;
+  let client: IwanClient;
+
+  beforeAll(() => {
+    transport = new SpyTransport({
+      entries: [
+        { method: 'getBlockNumber', params: { chainType: 'WAN' }, result: 1000 },
+        { method: 'getBalance', params: { chainType: 'WAN', address }, result: '10000000000000000000000' },
+        { method: 'getTransactionReceipt', params: { chainType: 'WAN', txHash: '0x01' }, error: { code: -32000, message: 'Transaction not found' } },
+      ],
+    });
+    client = new IwanClient(apiKey, secretKey, { transport, timeout: 2000 });
+  });
+
+  afterAll(async () => {
+    await client.close();
+  });
+
+  it('answers calls', async () => {
+    await expect(client.getBlockNumber('WAN')).resolves.toBe(1000);
+    await expect(client.getBalance('WAN', address)).resolves.toBe('10000000000000000000000');
+    await expect(client.getTransactionReceipt('WAN', '0x01')).rejects.toThrow('Transaction not found');
+  });
+
+  it('signs requests like WebCrypto', async () => {
+    await client.getBlockNumber('WAN');
+    const msg = transport.sent.at(-1);
+    const { signature, ...params } = msg.params;
+    expect(typeof params.timestamp).toBe('number');
+    expect(signature).toBe(await webCryptoSign(JSON.stringify({ ...msg, params })));
+  });
+
+  it('rejects calls missing from the fixture', async () => {
+    await expect(client.getGasPrice('WAN')).rejects.toThrow(IWanFixtureError);
+  });
+});
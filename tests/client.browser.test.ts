@@ -0,0 +1,56 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import IwanClient, { ResponseCache } from '../src/index';
+import { createMockIwanServer, MockIwanServer } from '../src/mock';
+
+const address = '0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c';
+
+// Under jsdom the client takes its browser path: the native WebSocket and no heartbeat
+describe('IwanClient in a browser environment', () => {
+  let server: MockIwanServer;
+  let client: IwanClient;
+
+  beforeAll(async () => {
+    server = await createMockIwanServer({ handlers: { getBlockNumber: 1000, getBalance: '10000000000000000000000' } });
+    client = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint, timeout: 2000 });
+  });
+
+  afterAll(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  it('runs in a window', () => {
+    expect(typeof window).toBe('object');
+    expect(typeof window.WebSocket).toBe('function');
+  });
+
+  it('sends signed requests over the native WebSocket', async () => {
+    await expect(client.getBlockNumber('WAN')).resolves.toBe(1000);
+    await expect(client.getBalance('WAN', address)).resolves.toBe('10000000000000000000000');
+    expect(server.requests.map(request => request.method)).toEqual(['getBlockNumber', 'getBalance']);
+  });
+
+  it('sends batches', async () => {
+    const batch = client.batch();
+    batch.add('getBlockNumber', { chainType: 'WAN' });
+    batch.add('getBalance', { chainType: 'WAN', address });
+    await expect(batch.send()).resolves.toEqual([1000, '10000000000000000000000']);
+  });
+
+  it('receives pushed logs', async () => {
+    const logs: any[] = [];
+    const subscription = await client.subscribeEvent('WAN', address, [], log => logs.push(log));
+    await expect.poll(() => server.push('WAN', address, [{ logIndex: 0 }])).toBe(1);
+    await expect.poll(() => logs).toEqual([{ logIndex: 0 }]);
+    subscription.unsubscribe();
+  });
+
+  it('keeps cached results in localStorage', async () => {
+    const cache = new ResponseCache({ store: 'localStorage', namespace: 'browser' });
+    await cache.set('getSupportedChainInfo', {}, [{ chainType: 'WAN' }]);
+    expect(window.localStorage.getItem('iwan:browser|getSupportedChainInfo|{}')).toContain('WAN');
+    await expect(new ResponseCache({ store: 'localStorage', namespace: 'browser' }).get('getSupportedChainInfo')).resolves.toEqual([{ chainType: 'WAN' }]);
+    await cache.invalidate();
+    expect(window.localStorage.length).toBe(0);
+  });
+});
@@ -0,0 +1,404 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import IwanClient, { chainRegistry, IWanAbortError, IWanConnectionError, IWanRpcError, IWanSchemaError, IWanTimeoutError, ReconnectOptions } from '../src/index';
+import { createMockIwanServer, MockErrorCode, MockIwanServer } from '../src/mock';
+
+const address = '0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c';
+const never = () => new Promise(() => {});
+const contract = (n: number) => `0x${String(n).repeat(40)}`;
+
+describe('IwanClient', () => {
+  let server: MockIwanServer;
+  let client: IwanClient;
+
+  beforeAll(async () => {
+    server = await createMockIwanServer();
+    client = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint, timeout: 300 });
+  });
+
+  afterEach(() => {
+    server.latency = 0;
+    server.batch = true;
+  });
+
+  afterAll(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  describe('signing', () => {
+    it('signs every request with the secret key', async () => {
+      server.handle('getBalance', ({ address: addr }) => (addr === address ? '10000000000000000000000' : '0'));
+      await expect(client.getBalance('WAN', address)).resolves.toBe('10000000000000000000000');
+      expect(server.requests.at(-1)).toMatchObject({ apiKey: server.apiKey, method: 'getBalance', params: { chainType: 'WAN', address } });
+    });
+
+    it('is rejected by the gateway with another secret key', async () => {
+      const other = new IwanClient(server.apiKey, 'another secret', { endpoint: server.endpoint, timeout: 300 });
+      const sent = server.requests.length;
+      const err = await other.getBalance('WAN', address).catch(e => e);
+      await other.close();
+
+      expect(err).toBeInstanceOf(IWanRpcError);
+      expect(err.rpcCode).toBe(MockErrorCode.INVALID_SIGNATURE);
+      expect(server.requests).toHaveLength(sent);
+    });
+
+    it('signs every call of a batch', async () => {
+      server.handle('getBlockNumber', ({ chainType }) => (chainType === 'WAN' ? 100 : 200));
+      const batch = client.batch();
+      batch.add('getBlockNumber', { chainType: 'WAN' });
+      batch.add('getBlockNumber', { chainType: 'ETH' });
+      await expect(batch.send()).resolves.toEqual([100, 200]);
+    });
+
+    it('resends a batch call by call when the gateway rejects batches', async () => {
+      server.batch = false;
+      server.handle('getGasPrice', '180000000000');
+      const other = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint });
+      const batch = other.batch();
+      batch.add('getGasPrice', { chainType: 'WAN' });
+      batch.add('getGasPrice', { chainType: 'ETH' });
+      await expect(batch.send()).resolves.toEqual(['180000000000', '180000000000']);
+      await other.close();
+    });
+  });
+
+  describe('timeouts', () => {
+    it('rejects after the client timeout', async () => {
+      server.handle('getTransactionReceipt', never);
+      await expect(client.getTransactionReceipt('WAN', `0x${'1'.repeat(64)}`)).rejects.toThrow(IWanTimeoutError);
+    });
+
+    it('uses the timeout of the call over the client timeout', async () => {
+      server.handle('getNonce', '0x1');
+      server.latency = 100;
+      await expect(client.getNonce('WAN', address, undefined, { timeout: 20 })).rejects.toThrow(IWanTimeoutError);
+      await expect(client.getNonce('WAN', address, undefined, { timeout: 1000 })).resolves.toBe('0x1');
+    });
+
+    it('retries a timed out call', async () => {
+      let calls = 0;
+      server.handle('getGasPrice', () => (++calls === 1 ? never() : '180000000000'));
+      await expect(client.getGasPrice('WAN', undefined, { timeout: 100, retries: 1, backoff: { delay: 10 } })).resolves.toBe('180000000000');
+      expect(calls).toBe(2);
+    });
+
+    it('retries a timed out call of a batch on its own', async () => {
+      let calls = 0;
+      server.handle('getNonce', ({ chainType }) => (chainType === 'WAN' && ++calls === 1 ? never() : '0x1'));
+      // The gateway answers a frame once all of its calls are done, so the whole frame times out
+      const options = { timeout: 100, retries: 1, backoff: { delay: 10 } };
+      const batch = client.batch();
+      batch.add('getNonce', { chainType: 'WAN', address }, options);
+      batch.add('getNonce', { chainType: 'ETH', address }, options);
+      await expect(batch.send()).resolves.toEqual(['0x1', '0x1']);
+      expect(calls).toBe(2);
+    });
+
+    it('never retries a gateway error', async () => {
+      let calls = 0;
+      server.handle('sendRawTransaction', () => {
+        calls++;
+        throw Object.assign(new Error('nonce too low'), { code: -32000 });
+      });
+      await expect(client.sendRawTransaction('WAN', '0xf86e', undefined, { retries: 2 })).rejects.toThrow('nonce too low');
+      expect(calls).toBe(1);
+    });
+  });
+
+  describe('cancellation', () => {
+    const pending = () => (client as any).pending.size;
+
+    it('rejects a call aborted before it is sent', async () => {
+      const sent = server.requests.length;
+      const before = pending();
+      const controller = new AbortController();
+      controller.abort();
+      const err = await client.getNonce('WAN', address, undefined, { signal: controller.signal }).catch(e => e);
+
+      expect(err).toBeInstanceOf(IWanAbortError);
+      expect(err.code).toBe('ABORTED');
+      expect(server.requests).toHaveLength(sent);
+      expect(pending()).toBe(before);
+    });
+
+    it('rejects a pending call once aborted and drops its late response', async () => {
+      let answer!: (value: string) => void;
+      server.handle('getNonce', () => new Promise(resolve => { answer = resolve; }));
+      const before = pending();
+      const controller = new AbortController();
+      const call = client.getNonce('WAN', address, undefined, { signal: controller.signal });
+      await expect.poll(() => answer).toBeDefined();
+      expect(pending()).toBe(before + 1);
+
+      controller.abort();
+      await expect(call).rejects.toMatchObject({ name: 'IWanAbortError', code: 'ABORTED' });
+      expect(pending()).toBe(before);
+      answer('0x1');
+      server.handle('getNonce', '0x2');
+      await expect(client.getNonce('WAN', address)).resolves.toBe('0x2');
+    });
+  });
+
+  describe('connection', () => {
+    it('reconnects and replays event subscriptions', async () => {
+      const logs: any[] = [];
+      const subscription = await client.subscribeEvent('WAN', address, [], log => logs.push(log));
+      await expect.poll(() => server.push('WAN', address, [{ logIndex: 0 }])).toBe(1);
+      await expect.poll(() => logs).toHaveLength(1);
+
+      const reopened = new Promise(resolve => client.once('open', resolve));
+      server.disconnect();
+      await reopened;
+      await expect.poll(() => server.push('WAN', address, [{ logIndex: 1 }])).toBe(1);
+      await expect.poll(() => logs).toHaveLength(2);
+      subscription.unsubscribe();
+    });
+
+    it('detaches the ready listeners once connected', async () => {
+      const other = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint, reconnect: { initialDelay: 10 } });
+      await other.ready();
+      const events = ['open', 'closed', 'error', 'reconnectFailed'] as const;
+      const counts = () => events.map(event => other.listenerCount(event));
+      const before = counts();
+      for (let i = 0; i < 3; i++) {
+        const closed = new Promise(resolve => other.once('close', resolve));
+        server.disconnect();
+        await closed;
+        await Promise.all([other.ready(), other.ready()]);
+      }
+      expect(counts()).toEqual(before);
+      await other.close();
+    });
+
+    it('does not pass the acknowledgement of a subscription to its handler', async () => {
+      server.handle('monitorEvent', [{ logIndex: 9 }]);
+      const logs: any[] = [];
+      const subscription = await client.subscribeEvent('WAN', contract(1), [], log => logs.push(log));
+      await expect.poll(() => server.push('WAN', contract(1), [{ logIndex: 0 }])).toBe(1);
+      await expect.poll(() => logs).toEqual([{ logIndex: 0 }]);
+      subscription.unsubscribe();
+    });
+
+    it('dispatches a notification to the subscriptions whose topics match its logs', async () => {
+      server.handle('monitorEvent', []);
+      const transfer = `0x${'a'.repeat(64)}`;
+      const approval = `0x${'b'.repeat(64)}`;
+      const owner = `0x${'c'.repeat(64)}`;
+      const received: Record<string, number[]> = { transfers: [], approvals: [], ownerTransfers: [], all: [] };
+      const subscriptions = await Promise.all([
+        client.subscribeEvent('WAN', contract(4), [transfer], log => received.transfers.push(log.logIndex)),
+        client.subscribeEvent('WAN', contract(4), [approval], log => received.approvals.push(log.logIndex)),
+        client.subscribeEvent('WAN', contract(4), [transfer, null, owner.toUpperCase().replace('0X', '0x')], log => received.ownerTransfers.push(log.logIndex)),
+        client.subscribeEvent('WAN', contract(4), [], log => received.all.push(log.logIndex)),
+      ]);
+
+      server.notify('WAN', contract(4), [
+        { logIndex: 0, topics: [transfer, `0x${'1'.repeat(64)}`, owner] },
+        { logIndex: 1, topics: [approval] },
+        { logIndex: 2, topics: [transfer] },
+      ]);
+      await expect.poll(() => received.all).toHaveLength(3);
+      expect(received).toEqual({ transfers: [0, 2], approvals: [1], ownerTransfers: [0], all: [0, 1, 2] });
+      subscriptions.forEach(subscription => subscription.unsubscribe());
+    });
+
+    it('rejects a subscription refused by the server', async () => {
+      server.handle('monitorEvent', () => {
+        throw Object.assign(new Error('Invalid address'), { code: -32602 });
+      });
+      await expect(client.subscribeEvent('WAN', contract(2), [], () => {})).rejects.toThrow(IWanRpcError);
+      expect(server.push('WAN', contract(2), [{ logIndex: 0 }])).toBe(0);
+    });
+
+    it('reports a throwing handler as an error event', async () => {
+      server.handle('monitorEvent', []);
+      const errors: any[] = [];
+      const onError = (err: any) => errors.push(err);
+      client.on('error', onError);
+      const logs: any[] = [];
+      const subscription = await client.subscribeEvent('WAN', contract(3), [], log => {
+        logs.push(log);
+        throw new Error('handler failed');
+      });
+      server.push('WAN', contract(3), [{ logIndex: 0 }, { logIndex: 1 }]);
+      await expect.poll(() => logs).toHaveLength(2);
+      expect(errors.map(err => err.message)).toEqual(['handler failed', 'handler failed']);
+      client.off('error', onError);
+      subscription.unsubscribe();
+    });
+  });
+
+  describe('reconnect policy', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    // A client of its own server, which the test stops so that every reconnect attempt is refused
+    const connectedClient = async (reconnect: ReconnectOptions) => {
+      const own = await createMockIwanServer();
+      const other = new IwanClient(own.apiKey, own.secretKey, { endpoint: own.endpoint, reconnect });
+      await other.ready();
+      const scheduled: Array<{ attempt: number; delay: number }> = [];
+      const failed: Array<{ attempt: number; event: any }> = [];
+      other.on('error', () => {});
+      other.on('reconnecting', info => scheduled.push(info));
+      other.on('reconnectFailed', info => failed.push(info));
+      return { own, other, scheduled, failed };
+    };
+
+    it('backs off with jitter until maxAttempts, then emits reconnectFailed', async () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0.5);
+      const { own, other, scheduled, failed } = await connectedClient({ initialDelay: 100, multiplier: 2, maxDelay: 300, jitter: 0.5, maxAttempts: 4 });
+      let attempts = 0;
+      other.on('reconnect', () => attempts++);
+
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'] });
+      await own.close();
+      // Half the jitter is removed from each delay, which grows by the multiplier up to maxDelay
+      for (const [attempt, delay] of [[1, 75], [2, 150], [3, 225], [4, 225]]) {
+        await expect.poll(() => scheduled).toHaveLength(attempt);
+        expect(scheduled[attempt - 1]).toEqual({ attempt, delay });
+        await vi.advanceTimersByTimeAsync(delay - 1);
+        expect(attempts).toBe(attempt - 1);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(attempts).toBe(attempt);
+      }
+
+      await expect.poll(() => failed).toHaveLength(1);
+      expect(failed[0].attempt).toBe(4);
+      expect(scheduled).toHaveLength(4);
+      await expect(other.ready()).rejects.toThrow(IWanConnectionError);
+      await other.close();
+    });
+
+    it('gives up at once when shouldReconnect returns false', async () => {
+      const events: any[] = [];
+      const { own, other, scheduled, failed } = await connectedClient({
+        initialDelay: 10,
+        shouldReconnect: event => {
+          events.push(event);
+          return false;
+        },
+      });
+
+      await own.close();
+      await expect.poll(() => failed).toHaveLength(1);
+      expect(failed[0]).toMatchObject({ attempt: 0, event: events[0] });
+      expect(scheduled).toHaveLength(0);
+      await other.close();
+    });
+  });
+
+  describe('offline queue', () => {
+    let queued: IwanClient;
+
+    // Resolves once the client lost its connection, before it reconnects
+    const disconnected = async () => {
+      const closed = new Promise(resolve => queued.once('close', resolve));
+      server.disconnect();
+      await closed;
+    };
+
+    beforeAll(async () => {
+      queued = new IwanClient(server.apiKey, server.secretKey, {
+        endpoint: server.endpoint,
+        offlineQueue: true,
+        retryableMethods: ['importAddress'],
+        reconnect: { initialDelay: 100, jitter: 0 },
+      });
+      await queued.ready();
+    });
+
+    afterAll(async () => {
+      await queued.close();
+    });
+
+    it('buffers idempotent reads while disconnected and sends them after reconnecting', async () => {
+      server.handle('getBalance', '10');
+      server.handle('getTokenPairs', []);
+      await disconnected();
+      const sent = server.requests.length;
+      const calls = Promise.all([
+        queued.getBalance('WAN', address, { priority: 1 }),
+        queued.getTokenPairs(undefined, { priority: 5 }),
+      ]);
+      expect(server.requests).toHaveLength(sent);
+      await expect(calls).resolves.toEqual(['10', []]);
+      // Flushed by priority
+      expect(server.requests.slice(sent).map(request => request.method)).toEqual(['getTokenPairs', 'getBalance']);
+    });
+
+    it('replays a read in flight when the connection drops', async () => {
+      server.handle('getBlockNumber', 1000);
+      server.latency = 50;
+      const call = queued.getBlockNumber('WAN');
+      await expect.poll(() => server.requests.at(-1)?.method).toBe('getBlockNumber');
+      await disconnected();
+      server.latency = 0;
+      await expect(call).resolves.toBe(1000);
+    });
+
+    it('rejects writes and unknown methods at once while disconnected', async () => {
+      await disconnected();
+      await expect(queued.sendRawTransaction('WAN', '0xf86e')).rejects.toThrow(IWanConnectionError);
+      await expect(queued.call('someFutureWrite', { chainType: 'WAN' })).rejects.toThrow(IWanConnectionError);
+      await queued.ready();
+    });
+
+    it('rejects a write in flight when the connection drops', async () => {
+      server.handle('sendRawTransaction', never);
+      const call = queued.sendRawTransaction('WAN', '0xf86e');
+      await expect.poll(() => server.requests.at(-1)?.method).toBe('sendRawTransaction');
+      await disconnected();
+      await expect(call).rejects.toThrow(IWanConnectionError);
+      await queued.ready();
+    });
+
+    it('buffers the methods listed in retryableMethods', async () => {
+      server.handle('importAddress', 'success');
+      await disconnected();
+      await expect(queued.importAddress('BTC', 'mxyz')).resolves.toBe('success');
+    });
+  });
+
+  describe('chain registry', () => {
+    it('refreshes the chains of one client only', async () => {
+      server.handle('getSupportedChainInfo', [{ chainType: 'NEWCHAIN', chainID: '2147492648', chainSymbol: 'NEW', chainDecimals: 18, crossScAddr: address }]);
+      const other = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint, validateParams: true });
+      await expect(other.refreshChainRegistry()).resolves.toEqual([expect.objectContaining({ chainType: 'NEWCHAIN', family: 'EVM' })]);
+      await expect(other.getAssetUnit('NEWCHAIN')).resolves.toEqual({ symbol: 'NEW', decimals: 18 });
+      await other.close();
+
+      expect(other.chains.has('NEWCHAIN')).toBe(true);
+      expect(client.chains.has('NEWCHAIN')).toBe(false);
+      expect(chainRegistry.has('NEWCHAIN')).toBe(false);
+      await expect(client.getAssetUnit('NEWCHAIN')).rejects.toThrow('Unknown chain type: NEWCHAIN');
+    });
+  });
+
+  describe('response validation', () => {
+    it('rejects a malformed result with SCHEMA_MISMATCH', async () => {
+      const strict = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint, validateResponses: true });
+      server.handle('getBalance', { balance: '1' });
+      const err = await strict.getBalance('WAN', address).catch(e => e);
+      await strict.close();
+
+      expect(err).toBeInstanceOf(IWanSchemaError);
+      expect(err).toMatchObject({ code: 'SCHEMA_MISMATCH', method: 'getBalance', result: { balance: '1' } });
+      expect(err.issues).toEqual([expect.objectContaining({ path: 'result', expected: 'string', received: 'object' })]);
+    });
+
+    it('resolves a malformed result with a warning', async () => {
+      const lenient = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint, validateResponses: 'warn' });
+      const mismatches: any[] = [];
+      lenient.on('schemaMismatch', mismatch => mismatches.push(mismatch));
+      server.handle('getBalance', 1);
+      await expect(lenient.getBalance('WAN', address)).resolves.toBe(1);
+      await lenient.close();
+
+      expect(mismatches).toEqual([expect.objectContaining({ method: 'getBalance', result: 1 })]);
+    });
+  });
+});
@@ -0,0 +1,276 @@
+// ========================================================
+// iWan SDK - Test helpers
+// ========================================================
+
+import IwanClient from '../src/index';
+import testcases from './fixtures/testcases.json';
+
+// ====================== FIXTURES ======================
+/**
+ * One case of `fixtures/testcases.json`, converted from the former xlsx test plan
+ */
+export interface TestCase {
+  id: string;
+  /** The chain, or 'Platform' for the gateway checks */
+  chainType: string;
+  description: string;
+  /** How the recorded result was compared with the live gateway; 'skip' cases are not run */
+  match: 'full' | 'partial' | 'skip';
+  comments?: string;
+  /** The JSON-RPC request, without `method` for the cases checking its absence */
+  request: { method?: string; params: Record<string, any> };
+  /** The recorded gateway response */
+  response: { result?: any; error?: any };
+}
+
+export const cases = testcases as TestCase[];
+
+// ====================== ARGUMENTS ======================
+// Wrapper argument names standing for differently named params
+const ALIASES: Record<string, string[]> = {
+  blockHashOrBlockNumber: ['blockHash', 'blockNumber'],
+  addressOrPublicKey: ['address', 'publicKey'],
+  num: ['number'],
+  // The one-time address of getOTAMixSet is recorded as `otaAddress`
+  address: ['address', 'otaAddress'],
+};
+// Wrapper arguments spread into the params, unless a param has their name
+const REST_ARGS = ['option', 'options', 'tx'];
+
+// ====================== WRAPPERS ======================
+/**
+ * Argument names of the wrapper of every iWan RPC method, in order, keyed by the method sent to the server
+ */
+export const WRAPPER_ARGS: Record<string, string[]> = {
+  monitorEvent: ['chainType', 'address', 'topics', 'callOptions'],
+  getBalance: ['chainType', 'address', 'callOptions'],
+  getMultiBalances: ['chainType', 'address', 'callOptions'],
+  getScEvent: ['chainType', 'address', 'topics', 'option', 'callOptions'],
+  getScOwner: ['chainType', 'scAddr', 'callOptions'],
+  getCoin2WanRatio: ['crossChain', 'callOptions'],
+  getUTXO: ['chainType', 'minconf', 'maxconf', 'address', 'option', 'callOptions'],
+  getOpReturnOutputs: ['chainType', 'option', 'callOptions'],
+  getStoremanGroups: ['crossChain', 'option', 'callOptions'],
+  getTokenStoremanGroups: ['crossChain', 'tokenScAddr', 'option', 'callOptions'],
+  getGasPrice: ['chainType', 'option', 'callOptions'],
+  getTokenBalance: ['chainType', 'address', 'tokenScAddr', 'option', 'callOptions'],
+  getMultiTokenBalance: ['chainType', 'address', 'tokenScAddr', 'option', 'callOptions'],
+  getAllBalances: ['chainType', 'address', 'option', 'callOptions'],
+  getTokenSupply: ['chainType', 'tokenScAddr', 'option', 'callOptions'],
+  getTokenAllowance: ['chainType', 'tokenScAddr', 'ownerAddr', 'spenderAddr', 'option', 'callOptions'],
+  getTokenInfo: ['chainType', 'tokenScAddr', 'option', 'callOptions'],
+  getMultiTokenInfo: ['chainType', 'tokenScAddrArray', 'option', 'callOptions'],
+  getNonce: ['chainType', 'address', 'option', 'callOptions'],
+  getNonceIncludePending: ['chainType', 'address', 'option', 'callOptions'],
+  getBlockNumber: ['chainType', 'option', 'callOptions'],
+  sendRawTransaction: ['chainType', 'signedTx', 'option', 'callOptions'],
+  getTxInfo: ['chainType', 'txHash', 'option', 'callOptions'],
+  getTransactionConfirm: ['chainType', 'waitBlocks', 'txHash', 'option', 'callOptions'],
+  getTransactionReceipt: ['chainType', 'txHash', 'option', 'callOptions'],
+  getTransByBlock: ['chainType', 'blockHashOrBlockNumber', 'option', 'callOptions'],
+  getTransByAddress: ['chainType', 'address', 'option', 'callOptions'],
+  getTransByAddressBetweenBlocks: ['chainType', 'address', 'startBlockNo', 'endBlockNo', 'option', 'callOptions'],
+  getBlockByNumber: ['chainType', 'blockNumber', 'option', 'callOptions'],
+  getBlockByHash: ['chainType', 'blockHash', 'option', 'callOptions'],
+  getBlockTransactionCount: ['chainType', 'blockHashOrBlockNumber', 'option', 'callOptions'],
+  getTransCount: ['chainType', 'option', 'callOptions'],
+  packTransaction: ['chainType', 'tx', 'option', 'callOptions'],
+  getScVar: ['chainType', 'scAddr', 'name', 'abi', 'version', 'callOptions'],
+  getScMap: ['chainType', 'scAddr', 'name', 'key', 'abi', 'version', 'callOptions'],
+  callScFunc: ['chainType', 'scAddr', 'name', 'args', 'abi', 'version', 'option', 'callOptions'],
+  getP2shxByHashx: ['chainType', 'hashX', 'callOptions'],
+  importAddress: ['chainType', 'address', 'callOptions'],
+  estimateSmartFee: ['chainType', 'option', 'callOptions'],
+  getRegTokens: ['crossChain', 'option', 'callOptions'],
+  getToken2WanRatio: ['crossChain', 'tokenScAddr', 'callOptions'],
+  getOTAMixSet: ['address', 'num', 'chainType', 'callOptions'],
+  estimateGas: ['chainType', 'tx', 'option', 'callOptions'],
+  getChainInfo: ['chainType', 'option', 'callOptions'],
+  getCurrencyStats: ['chainType', 'tokenScAddr', 'symbol', 'option', 'callOptions'],
+  getAccountInfo: ['chainType', 'address', 'option', 'callOptions'],
+  getAccounts: ['chainType', 'addressOrPublicKey', 'callOptions'],
+  getRequiredKeys: ['chainType', 'txArgs', 'option', 'callOptions'],
+  getRawCodeAndAbi: ['chainType', 'scAddr', 'callOptions'],
+  getAbi: ['chainType', 'scAddr', 'callOptions'],
+  getRawAbi: ['chainType', 'scAddr', 'option', 'callOptions'],
+  getActions: ['chainType', 'address', 'option', 'callOptions'],
+  getResource: ['chainType', 'callOptions'],
+  getResourcePrice: ['chainType', 'address', 'callOptions'],
+  getBandwidthPrice: ['chainType', 'address', 'callOptions'],
+  getRamPrice: ['chainType', 'callOptions'],
+  getTotalSupply: ['chainType', 'callOptions'],
+  getTotalStaked: ['chainType', 'callOptions'],
+  getTotalStakedPercent: ['chainType', 'callOptions'],
+  getTableRows: ['chainType', 'scAddr', 'scope', 'table', 'callOptions'],
+  getEpochID: ['chainType', 'option', 'callOptions'],
+  getSlotID: ['chainType', 'option', 'callOptions'],
+  getEpochLeadersByEpochID: ['chainType', 'epochID', 'option', 'callOptions'],
+  getRandomProposersByEpochID: ['chainType', 'epochID', 'option', 'callOptions'],
+  getStakerInfo: ['chainType', 'blockNumber', 'option', 'callOptions'],
+  getEpochIncentivePayDetail: ['chainType', 'epochID', 'option', 'callOptions'],
+  getActivity: ['chainType', 'epochID', 'option', 'callOptions'],
+  getSlotActivity: ['chainType', 'epochID', 'option', 'callOptions'],
+  getValidatorActivity: ['chainType', 'epochID', 'option', 'callOptions'],
+  getMaxStableBlkNumber: ['chainType', 'option', 'callOptions'],
+  getRandom: ['chainType', 'epochID', 'blockNumber', 'option', 'callOptions'],
+  getValidatorInfo: ['chainType', 'address', 'option', 'callOptions'],
+  getValidatorStakeInfo: ['chainType', 'address', 'option', 'callOptions'],
+  getValidatorTotalIncentive: ['chainType', 'address', 'option', 'callOptions'],
+  getDelegatorStakeInfo: ['chainType', 'address', 'option', 'callOptions'],
+  getDelegatorIncentive: ['chainType', 'address', 'option', 'callOptions'],
+  getDelegatorTotalIncentive: ['chainType', 'address', 'option', 'callOptions'],
+  getLeaderGroupByEpochID: ['chainType', 'epochID', 'option', 'callOptions'],
+  getCurrentEpochInfo: ['chainType', 'option', 'callOptions'],
+  getCurrentStakerInfo: ['chainType', 'option', 'callOptions'],
+  getSlotCount: ['chainType', 'option', 'callOptions'],
+  getSlotTime: ['chainType', 'option', 'callOptions'],
+  getTimeByEpochID: ['chainType', 'epochID', 'option', 'callOptions'],
+  getEpochIDByTime: ['chainType', 'time', 'option', 'callOptions'],
+  getRegisteredValidator: ['address', 'after', 'callOptions'],
+  getRegisteredToken: ['tokenOrigAccount', 'after', 'callOptions'],
+  getRegisteredDapp: ['option', 'callOptions'],
+  getRegisteredAds: ['option', 'callOptions'],
+  getRegisteredCoinGecko: ['option', 'callOptions'],
+  getPosInfo: ['chainType', 'option', 'callOptions'],
+  getMaxBlockNumber: ['chainType', 'epochID', 'option', 'callOptions'],
+  getValidatorSupStakeInfo: ['chainType', 'address', 'option', 'callOptions'],
+  getDelegatorSupStakeInfo: ['chainType', 'address', 'option', 'callOptions'],
+  getEpochIncentiveBlockNumber: ['chainType', 'epochID', 'option', 'callOptions'],
+  getEpochStakeOut: ['chainType', 'epochID', 'option', 'callOptions'],
+  checkOTAUsed: ['chainType', 'image', 'option', 'callOptions'],
+  fetchService: ['srvType', 'funcName', 'type', 'option', 'callOptions'],
+  fetchSpecialService: ['url', 'type', 'option', 'callOptions'],
+  getRegisteredOrigToken: ['chainType', 'option', 'callOptions'],
+  getRegisteredTokenLogo: ['chainType', 'option', 'callOptions'],
+  getRegisteredChainLogo: ['option', 'callOptions'],
+  getRegisteredMultiChainOrigToken: ['option', 'callOptions'],
+  getRegisteredMapToken: ['chainType', 'option', 'callOptions'],
+  getRegisteredSubgraph: ['option', 'callOptions'],
+  getRegisteredTokenIssuer: ['option', 'callOptions'],
+  getRegisteredTokenList: ['option', 'callOptions'],
+  getStoremanGroupList: ['option', 'callOptions'],
+  getStoremanGroupActivity: ['groupId', 'option', 'callOptions'],
+  getStoremanGroupQuota: ['chainType', 'groupId', 'symbol', 'option', 'callOptions'],
+  getStoremanGroupInfo: ['groupId', 'option', 'callOptions'],
+  getMultiStoremanGroupInfo: ['groupId', 'option', 'callOptions'],
+  getStoremanGroupConfig: ['groupId', 'option', 'callOptions'],
+  getStoremanInfo: ['wkAddr', 'option', 'callOptions'],
+  getMultiStoremanInfo: ['wkAddr', 'option', 'callOptions'],
+  getStoremanConf: ['option', 'callOptions'],
+  getStoremanCandidates: ['groupId', 'option', 'callOptions'],
+  getStoremanCandidatesV2: ['groupId', 'option', 'callOptions'],
+  getStoremanGroupMember: ['groupId', 'option', 'callOptions'],
+  getStoremanGroupMemberV2: ['groupId', 'option', 'callOptions'],
+  getStoremanStakeInfo: ['option', 'callOptions'],
+  getStoremanStakeTotalIncentive: ['option', 'callOptions'],
+  getStoremanDelegatorInfo: ['option', 'callOptions'],
+  getStoremanDelegatorTotalIncentive: ['option', 'callOptions'],
+  getStoremanGpkSlashInfo: ['option', 'callOptions'],
+  getStoremanSignSlashInfo: ['option', 'callOptions'],
+  getTokenPairs: ['option', 'callOptions'],
+  getTokenPairInfo: ['id', 'option', 'callOptions'],
+  getTokenPairAncestorInfo: ['id', 'option', 'callOptions'],
+  getTokenPairIDs: ['option', 'callOptions'],
+  getChainConstantInfo: ['option', 'callOptions'],
+  getSupportedChainInfo: ['option', 'callOptions'],
+  getPrdInctMetric: ['option', 'callOptions'],
+  getSelectedSmInfo: ['option', 'callOptions'],
+  getSelectedStoreman: ['option', 'callOptions'],
+  getSmDelegatorInfo: ['option', 'callOptions'],
+  getRewardRatio: ['option', 'callOptions'],
+  multiCall: ['chainType', 'calls', 'option', 'callOptions'],
+  multiCall2: ['chainType', 'calls', 'option', 'callOptions'],
+  getCode: ['chainType', 'address', 'option', 'callOptions'],
+  estimateNetworkFee: ['chainType', 'feeType', 'option', 'callOptions'],
+  getLedgerVersion: ['chainType', 'option', 'callOptions'],
+  getLedger: ['chainType', 'option', 'callOptions'],
+  getServerInfo: ['chainType', 'option', 'callOptions'],
+  getCrossChainFees: ['chainType', 'chainIds', 'option', 'callOptions'],
+  getMinCrossChainAmount: ['crossChain', 'symbol', 'option', 'callOptions'],
+  estimateCrossChainOperationFee: ['chainType', 'targetChainType', 'option', 'callOptions'],
+  estimateCrossChainNetworkFee: ['chainType', 'targetChainType', 'option', 'callOptions'],
+  getLatestBlock: ['chainType', 'option', 'callOptions'],
+  getEpochParameters: ['chainType', 'option', 'callOptions'],
+  getCostModelParameters: ['chainType', 'option', 'callOptions'],
+  getTokenPairsHash: ['option', 'callOptions'],
+  getGateWayBalances: ['chainType', 'address', 'option', 'callOptions'],
+  getTrustLines: ['chainType', 'address', 'option', 'callOptions'],
+  getCrossChainReservedQuota: ['option', 'callOptions'],
+  hasHackerAccount: ['address', 'option', 'callOptions'],
+  getChainParameters: ['chainType', 'option', 'callOptions'],
+  getChainQuotaHiddenFlags: ['option', 'callOptions'],
+  getChainQuotaHiddenFlagDirectionally: ['option', 'callOptions'],
+  getWanBridgeDiscounts: ['option', 'callOptions'],
+};
+
+// Methods whose wrapper has another name than the RPC method
+const WRAPPERS: Record<string, string> = {
+  getCurrencyStats: 'getStats',
+};
+
+/**
+ * Name of the client method wrapping an RPC method
+ * @param method - The RPC method name
+ */
+export function wrapperName(method: string): string {
+  return WRAPPERS[method] ?? method;
+}
+
+/**
+ * The SDK call sending the request of a test case: the wrapper with its arguments mapped from the params,
+ * or `call()` with the raw params when the wrapper cannot carry them
+ * @param client - The client
+ * @param request - The request of the case
+ * @returns The method name and its arguments
+ */
+export function toCall(client: IwanClient, request: TestCase['request']): { name: string; args: any[] } {
+  const method = request.method!;
+  const params = request.params ?? {};
+  const name = wrapperName(method);
+  const names = WRAPPER_ARGS[method];
+  if (!names || typeof (client as any)[name] !== 'function') {
+    return { name: 'call', args: [method, params] };
+  }
+
+  const used = new Set<string>();
+  const args = names.map(arg => {
+    const key = (ALIASES[arg] ?? [arg]).find(alias => alias in params);
+    if (arg === 'callOptions' || !key) return undefined;
+    used.add(key);
+    return params[key];
+  });
+
+  const rest = Object.fromEntries(Object.entries(params).filter(([key]) => !used.has(key)));
+  const restIndex = names.findIndex(arg => REST_ARGS.includes(arg) && !(arg in params));
+  if (Object.keys(rest).length) {
+    if (restIndex < 0) return { name: 'call', args: [method, params] };
+    args[restIndex] = rest;
+  }
+  return { name, args };
+}
+
+/**
+ * The params a case should reach the server with, under the names the SDK sends
+ * @param request - The request of the case
+ */
+export function expectedParams(request: TestCase['request']): Record<string, any> {
+  const { otaAddress, ...params } = request.params ?? {};
+  return otaAddress === undefined ? params : { ...params, address: otaAddress };
+}
+
+// ====================== ERRORS ======================
+/**
+ * The message of a recorded gateway error, which is either a string or an object keyed by argument
+ * @param error - The recorded error
+ */
+export function errorMessage(error: any): string {
+  return typeof error === 'string' ? error : JSON.stringify(error);
+}
+
+/**
+ * Throw a recorded gateway error from a mock handler
+ * @param error - The recorded error
+ */
+export function gatewayError(error: any): Error {
+  return Object.assign(new Error(errorMessage(error)), { code: -32000, data: typeof error === 'string' ? undefined : error });
+}
@@ -0,0 +1,61 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import IwanClient, { responseSchemas } from '../src/index';
+import { createMockIwanServer, MockIwanServer } from '../src/mock';
+import { WRAPPER_ARGS, wrapperName } from './helpers';
+
+// Placeholder arguments, by wrapper argument name
+const ARGS: Record<string, any> = {
+  tx: { from: 'tx-from', to: 'tx-to' },
+  blockHashOrBlockNumber: '20000000',
+  num: 8,
+  after: 1700000000,
+};
+const UNSENT_ARGS = ['option', 'options', 'callOptions'];
+
+// Every RPC method of the SDK, each with a schema and a wrapper
+const methods = Object.keys(responseSchemas);
+
+// Each wrapper must send its RPC method, signed, with every argument in the params
+describe('RPC wrappers', () => {
+  let server: MockIwanServer;
+  let client: IwanClient;
+
+  beforeAll(async () => {
+    server = await createMockIwanServer();
+    client = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint, timeout: 5000 });
+  });
+
+  afterAll(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  it('covers every RPC method of the client', () => {
+    expect(methods).toHaveLength(159);
+    expect(Object.keys(WRAPPER_ARGS).sort()).toEqual([...methods].sort());
+    methods.forEach(method => expect(typeof (client as any)[wrapperName(method)]).toBe('function'));
+  });
+
+  for (const method of methods) {
+    const name = wrapperName(method);
+    it(`${name} sends ${method}`, async () => {
+      server.handle(method, null);
+      const names = WRAPPER_ARGS[method];
+      const args = names.map(arg => UNSENT_ARGS.includes(arg) ? undefined : ARGS[arg] ?? `${arg}-value`);
+      const sent = server.requests.length;
+
+      await (client as any)[name](...args);
+
+      const received = server.requests.slice(sent);
+      expect(received).toHaveLength(1);
+      expect(received[0].method).toBe(method);
+      const params = JSON.stringify(received[0].params);
+      names.forEach((arg, i) => {
+        if (args[i] === undefined || typeof args[i] === 'object') return;
+        expect(params).toContain(JSON.stringify(args[i]));
+        // An argument sent under its own name must carry its own value, so the table order is checked too
+        if (arg in received[0].params) expect(received[0].params[arg]).toEqual(args[i]);
+      });
+    });
+  }
+});
@@ -0,0 +1,119 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import IwanClient, { AbiItem, IWanRpcError, MultiCall2Target } from '../src/index';
+import { createMockIwanServer, MockIwanServer } from '../src/mock';
+
+const owner = '0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c';
+const spender = '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed';
+const token = (n: number) => `0x${String(n).repeat(40)}`;
+const hex = (value: bigint | number) => ({ _hex: `0x${value.toString(16)}`, _isBigNumber: true });
+
+// Balance of a token, told apart by the digit repeated in its address
+const balanceOf = (address: string) => BigInt(address[2]) * 1000n;
+
+const getReserves: AbiItem = {
+  type: 'function', name: 'getReserves', inputs: [], stateMutability: 'view',
+  outputs: [{ name: 'reserve0', type: 'uint112' }, { name: 'reserve1', type: 'uint112' }],
+};
+
+describe('MulticallAggregator', () => {
+  let server: MockIwanServer;
+  let client: IwanClient;
+  // Addresses of the contracts whose call reverts inside multiCall2
+  let reverted: string[] = [];
+
+  const sent = (method: string) => server.requests.filter(request => request.method === method);
+
+  beforeAll(async () => {
+    server = await createMockIwanServer({
+      handlers: {
+        multiCall2: ({ calls }: { calls: MultiCall2Target[] }) => [{
+          result: calls.map(call => (reverted.includes(call.address) ? {}
+            : call.funcName === 'getReserves' ? { output0: hex(1), output1: hex(2) }
+            : { value: hex(call.funcName === 'allowance' ? 7n : balanceOf(call.address)) })),
+          status: calls.map(call => !reverted.includes(call.address)),
+        }],
+        getTokenBalance: ({ tokenScAddr }) => {
+          if (reverted.includes(tokenScAddr)) throw Object.assign(new Error('execution reverted'), { code: -32000 });
+          return balanceOf(tokenScAddr).toString();
+        },
+        getTokenAllowance: '7',
+      },
+    });
+    client = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint, multicall: true });
+    await client.ready();
+  });
+
+  afterAll(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  it('batches concurrent reads into one multiCall2 and maps the results back', async () => {
+    const before = server.requests.length;
+    const results = await Promise.all([
+      client.getTokenBalance('ETH', owner, token(3)),
+      client.getTokenBalance('ETH', owner, token(1)),
+      client.getTokenAllowance('ETH', token(2), owner, spender),
+      client.callScFunc('ETH', token(4), 'getReserves', [], [getReserves]),
+      client.getTokenBalance('ETH', owner, token(2)),
+    ]);
+
+    expect(results).toEqual(['3000', '1000', '7', { 0: '1', 1: '2', reserve0: '1', reserve1: '2' }, '2000']);
+    const requests = server.requests.slice(before);
+    expect(requests.map(request => request.method)).toEqual(['multiCall2']);
+    expect(requests[0].params.calls.map((call: MultiCall2Target) => [call.address, call.funcName])).toEqual([
+      [token(3), 'balanceOf'], [token(1), 'balanceOf'], [token(2), 'allowance'], [token(4), 'getReserves'], [token(2), 'balanceOf'],
+    ]);
+  });
+
+  it('sends one multiCall2 per chain', async () => {
+    const before = sent('multiCall2').length;
+    await expect(Promise.all([
+      client.getTokenBalance('ETH', owner, token(1)),
+      client.getTokenBalance('WAN', owner, token(2)),
+      client.getTokenBalance('ETH', owner, token(3)),
+      client.getTokenBalance('WAN', owner, token(4)),
+    ])).resolves.toEqual(['1000', '2000', '3000', '4000']);
+    expect(sent('multiCall2').slice(before).map(request => request.params.chainType)).toEqual(['ETH', 'WAN']);
+  });
+
+  it('falls back to a normal request for a reverted call', async () => {
+    reverted = [token(5), token(6)];
+    const balances = sent('getTokenBalance').length;
+    const results = await Promise.allSettled([
+      client.getTokenBalance('ETH', owner, token(1)),
+      client.getTokenBalance('ETH', owner, token(5)),
+      client.getTokenBalance('ETH', owner, token(6)),
+    ]);
+    reverted = [];
+
+    expect(results[0]).toEqual({ status: 'fulfilled', value: '1000' });
+    expect(results[1]).toMatchObject({ status: 'rejected', reason: expect.any(IWanRpcError) });
+    expect((results[1] as PromiseRejectedResult).reason.message).toContain('execution reverted');
+    expect(sent('getTokenBalance').slice(balances).map(request => request.params.tokenScAddr)).toEqual([token(5), token(6)]);
+  });
+
+  it('falls back to normal requests when multiCall2 fails', async () => {
+    server.handle('multiCall2', () => {
+      throw new Error('no multicall contract');
+    });
+    const balances = sent('getTokenBalance').length;
+    await expect(Promise.all([
+      client.getTokenBalance('ETH', owner, token(7)),
+      client.getTokenBalance('ETH', owner, token(8)),
+    ])).resolves.toEqual(['7000', '8000']);
+    expect(sent('getTokenBalance')).toHaveLength(balances + 2);
+  });
+
+  it('leaves a single read, calls with SDK options and non-EVM chains alone', async () => {
+    const multicalls = sent('multiCall2').length;
+    await client.getTokenBalance('ETH', owner, token(1));
+    await Promise.all([
+      client.getTokenBalance('ETH', owner, token(1), undefined, { timeout: 1000 }),
+      client.getTokenBalance('ETH', owner, token(2), undefined, { timeout: 1000 }),
+      client.getTokenBalance('XRP', 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh', token(3)),
+      client.getTokenBalance('XRP', 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh', token(4)),
+    ]);
+    expect(sent('multiCall2')).toHaveLength(multicalls);
+  });
+});
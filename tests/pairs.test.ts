@@ -0,0 +1,156 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import IwanClient, { TokenPair, TokenPairsDiff } from '../src/index';
+import { createMockIwanServer, MockIwanServer } from '../src/mock';
+
+const WAN = '2153201998';
+const ETH = '2147483708';
+const BTC = '2147483648';
+
+function pair(id: string, fromChainID: string, toChainID: string, fromAccount: string, toAccount: string, symbol = `T${id}`): TokenPair {
+  return {
+    id, ancestorChainID: fromChainID, fromChainID, toChainID, ancestorAccount: fromAccount, fromAccount, toAccount,
+    ancestorName: symbol, ancestorSymbol: symbol, ancestorDecimals: '18', fromName: symbol, fromSymbol: symbol, fromDecimals: '18',
+    name: `wan${symbol}`, symbol: `wan${symbol}`, decimals: '18', fromAccountType: 'Erc20', toAccountType: 'Erc20',
+  };
+}
+
+const usdt = pair('1', ETH, WAN, '0xDAC17F958D2EE523A2206206994597C13D831EC7', '0x11e77e27af5539872efed10abaa0b408cfd9fbbd', 'USDT');
+const btc = pair('2', BTC, WAN, '0x0000000000000000000000000000000000000000', '0x50c439b6d602297252505a6799d84ea5928bcfb6', 'BTC');
+const link = pair('3', ETH, WAN, '0x514910771af9ca656af840dff83e8264ecf986ca', '0x06da85475f9d2ae79af300de474968cd5a4fde61', 'LINK');
+
+describe('TokenPairStore', () => {
+  let server: MockIwanServer;
+  let client: IwanClient;
+  let hash = '0x01';
+  let pairs = [usdt, btc];
+
+  const sent = (method: string) => server.requests.filter(request => request.method === method).length;
+
+  beforeAll(async () => {
+    server = await createMockIwanServer({
+      handlers: {
+        getTokenPairsHash: () => hash,
+        getTokenPairs: ({ chainIds }) => (chainIds ? pairs.filter(p => chainIds.includes(p.fromChainID) && chainIds.includes(p.toChainID)) : pairs),
+        getTokenPairInfo: ({ id }) => [usdt, btc, link].find(p => p.id === id) ?? null,
+        getTokenPairAncestorInfo: ({ id }) => ({ account: '0x', name: `ancestor${id}`, symbol: 'A', decimals: '18', chainId: ETH }),
+      },
+    });
+    client = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint, cache: true });
+  });
+
+  afterAll(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  it('indexes the pairs by ID, chain pair and token address', async () => {
+    const store = client.tokenPairs({ interval: 0 });
+    await Promise.all([store.load(), store.load()]);
+    expect(sent('getTokenPairs')).toBe(1);
+    expect(store.hash).toBe('0x01');
+    expect(store.all).toEqual([usdt, btc]);
+
+    expect(store.byId(2)).toEqual(btc);
+    expect(store.byId('9')).toBeUndefined();
+    expect(store.byChains(ETH, WAN)).toEqual([usdt]);
+    expect(store.byChains(WAN, BTC)).toEqual([btc]);
+    expect(store.byChains(ETH, BTC)).toEqual([]);
+    expect(store.byToken('0xdac17f958d2ee523a2206206994597c13d831ec7')).toEqual([usdt]);
+    expect(store.byToken('0x11E77E27AF5539872EFED10ABAA0B408CFD9FBBD', WAN)).toEqual([usdt]);
+    expect(store.byToken('0x11e77e27af5539872efed10abaa0b408cfd9fbbd', ETH)).toEqual([]);
+  });
+
+  it('reloads only when the hash changes, with a diff', async () => {
+    const store = client.tokenPairs({ interval: 0 });
+    await store.load();
+    const loads = sent('getTokenPairs');
+    const diffs: TokenPairsDiff[] = [];
+    store.on('tokenPairsChanged', diff => diffs.push(diff));
+
+    await expect(store.refresh()).resolves.toBe(false);
+    expect(sent('getTokenPairs')).toBe(loads);
+
+    hash = '0x02';
+    pairs = [{ ...usdt, toAccountType: 'Erc20Wrapped' }, link];
+    await expect(store.refresh()).resolves.toBe(true);
+    expect(sent('getTokenPairs')).toBe(loads + 1);
+    expect(diffs).toEqual([{
+      hash: '0x02',
+      added: [link],
+      removed: [btc],
+      modified: [{ previous: usdt, current: pairs[0] }],
+    }]);
+    expect(store.byId(2)).toBeUndefined();
+    expect(store.byChains(ETH, WAN)).toEqual(pairs);
+  });
+
+  it('drops the cached details of the changed pairs only', async () => {
+    hash = '0x10';
+    pairs = [usdt, btc, link];
+    const store = client.tokenPairs({ interval: 0 });
+    await store.load();
+    await Promise.all([client.getTokenPairInfo('1'), client.getTokenPairInfo('2'), client.getTokenPairInfo('3')]);
+    const before = server.requests.filter(request => request.method === 'getTokenPairInfo').length;
+
+    hash = '0x11';
+    pairs = [usdt, { ...btc, toAccountType: 'Erc20Wrapped' }];
+    await expect(store.refresh()).resolves.toBe(true);
+    await Promise.all([client.getTokenPairInfo('1'), client.getTokenPairInfo('2'), client.getTokenPairInfo('3')]);
+    const refetched = server.requests.filter(request => request.method === 'getTokenPairInfo').slice(before);
+    expect(refetched.map(request => request.params.id).sort()).toEqual(['2', '3']);
+  });
+
+  it('checks the hash on an interval', async () => {
+    hash = '0x03';
+    pairs = [usdt];
+    const store = client.tokenPairs({ interval: 20 });
+    await store.load();
+    const changed = new Promise<TokenPairsDiff>(resolve => store.once('tokenPairsChanged', resolve));
+    hash = '0x04';
+    pairs = [usdt, btc];
+    await expect(changed).resolves.toMatchObject({ hash: '0x04', added: [btc], removed: [], modified: [] });
+    store.close();
+  });
+
+  it('stops checking the hash when the client closes', async () => {
+    const other = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint });
+    const store = other.tokenPairs({ interval: 20 });
+    await store.load();
+    await other.close();
+
+    const checks = sent('getTokenPairsHash');
+    const errors: any[] = [];
+    store.on('error', err => errors.push(err));
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(sent('getTokenPairsHash')).toBe(checks);
+    expect(errors).toEqual([]);
+  });
+
+  it('releases a closed store from its client', async () => {
+    const stores = (client as any).tokenPairStores as Set<unknown>;
+    const store = client.tokenPairs({ interval: 0 });
+    const open = client.tokenPairs({ interval: 0 });
+    expect(stores.has(store)).toBe(true);
+
+    store.close();
+    expect(stores.has(store)).toBe(false);
+    expect(stores.has(open)).toBe(true);
+    open.close();
+  });
+
+  it('loads the filtered pairs', async () => {
+    const store = client.tokenPairs({ filter: { chainIds: [BTC, WAN] }, interval: 0 });
+    await store.load();
+    expect(store.all).toEqual([btc]);
+    expect(server.requests.filter(request => request.method === 'getTokenPairs').at(-1)!.params).toMatchObject({ chainIds: [BTC, WAN] });
+  });
+
+  it('fetches pair details and ancestors once', async () => {
+    const store = client.tokenPairs({ interval: 0 });
+    const before = sent('getTokenPairAncestorInfo');
+    await expect(store.info(3)).resolves.toEqual(link);
+    await expect(store.ancestor('3')).resolves.toMatchObject({ name: 'ancestor3' });
+    await store.ancestor(3);
+    expect(sent('getTokenPairAncestorInfo')).toBe(before + 1);
+  });
+});
@@ -0,0 +1,60 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import IwanClient, { ProviderErrorCode } from '../src/index';
+import { createMockIwanServer, MockIwanServer } from '../src/mock';
+
+const address = '0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c';
+
+describe('IwanProvider', () => {
+  let server: MockIwanServer;
+  let client: IwanClient;
+
+  beforeAll(async () => {
+    server = await createMockIwanServer({ handlers: { getBalance: '1000', getCode: '0x6080', getNonce: 5, getNonceIncludePending: 6 } });
+    client = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint });
+  });
+
+  afterAll(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  it('reads the latest block', async () => {
+    const provider = client.provider('ETH', { chainId: 1 });
+    await expect(provider.request({ method: 'eth_getBalance', params: [address, 'latest'] })).resolves.toBe('0x3e8');
+    await expect(provider.request({ method: 'eth_getBalance', params: [address] })).resolves.toBe('0x3e8');
+    await expect(provider.request({ method: 'eth_getCode', params: [address, 'latest'] })).resolves.toBe('0x6080');
+    await expect(provider.request({ method: 'eth_getTransactionCount', params: [address, 'latest'] })).resolves.toBe('0x5');
+    await expect(provider.request({ method: 'eth_getTransactionCount', params: [address, 'pending'] })).resolves.toBe('0x6');
+    provider.dispose();
+  });
+
+  it('rejects any other block tag with invalid params', async () => {
+    const provider = client.provider('ETH', { chainId: 1 });
+    const sent = server.requests.length;
+    for (const [method, params] of [
+      ['eth_getBalance', [address, '0x10']],
+      ['eth_getBalance', [address, 'pending']],
+      ['eth_getCode', [address, 'earliest']],
+      ['eth_call', [{ to: address, data: '0x70a08231' }, '0x10']],
+      ['eth_getTransactionCount', [address, '0x10']],
+      ['eth_getTransactionCount', [address, 'earliest']],
+      ['eth_getTransactionCount', [address, 'safe']],
+    ] as const) {
+      await expect(provider.request({ method, params })).rejects.toMatchObject({ code: ProviderErrorCode.INVALID_PARAMS });
+    }
+    expect(server.requests).toHaveLength(sent);
+    provider.dispose();
+  });
+
+  it('detaches from the client on dispose', () => {
+    const open = client.listenerCount('open');
+    const close = client.listenerCount('close');
+    const provider = client.provider('ETH', { chainId: 1 });
+    expect(client.listenerCount('open')).toBe(open + 1);
+    expect(client.listenerCount('close')).toBe(close + 1);
+
+    provider.dispose();
+    expect(client.listenerCount('open')).toBe(open);
+    expect(client.listenerCount('close')).toBe(close);
+  });
+});
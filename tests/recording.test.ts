@@ -0,0 +1,91 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import IwanClient, { IWanFixtureError, IWanRpcError, ReplayTransport, RpcFixture, WsTransport } from '../src/index';
+import { createMockIwanServer, loadFixture, MockIwanServer, RecordingTransport } from '../src/mock';
+
+const address = '0x2cc79fa3b80c5b9b02051facd02478ea88a78e2c';
+const contract = `0x${'1'.repeat(40)}`;
+const receipt = `0x${'a'.repeat(64)}`;
+
+// Records a session against the mock server, then replays the written file without it
+describe('record and replay', () => {
+  let server: MockIwanServer;
+  let dir: string;
+  let file: string;
+  let fixture: RpcFixture;
+
+  beforeAll(async () => {
+    server = await createMockIwanServer({
+      handlers: {
+        getBalance: ({ address: addr }) => (addr === address ? '1000' : '0'),
+        getBlockNumber: ({ chainType }) => (chainType === 'WAN' ? 100 : 200),
+        getTransactionReceipt: () => {
+          throw Object.assign(new Error('Transaction not found'), { code: -32000 });
+        },
+      },
+    });
+    dir = await mkdtemp(join(tmpdir(), 'iwan-fixtures-'));
+    file = join(dir, 'session', 'fixture.json');
+  });
+
+  afterAll(async () => {
+    await server.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('records the calls, errors, batches and pushed logs to a file on close', async () => {
+    const client = new IwanClient(server.apiKey, server.secretKey, {
+      endpoint: server.endpoint,
+      transport: url => new RecordingTransport(new WsTransport(url), { file }),
+    });
+    await expect(client.getBalance('WAN', address)).resolves.toBe('1000');
+    await expect(client.getBalance('WAN', contract)).resolves.toBe('0');
+    await expect(client.getTransactionReceipt('WAN', receipt)).rejects.toThrow(IWanRpcError);
+    const batch = client.batch();
+    batch.add('getBlockNumber', { chainType: 'WAN' });
+    batch.add('getBlockNumber', { chainType: 'ETH' });
+    await expect(batch.send()).resolves.toEqual([100, 200]);
+
+    const logs: any[] = [];
+    await client.subscribeEvent('WAN', contract, [], log => logs.push(log));
+    server.push('WAN', contract, [{ logIndex: 0 }]);
+    await expect.poll(() => logs).toHaveLength(1);
+    await client.close();
+
+    fixture = await loadFixture(file);
+    expect(fixture.entries).toMatchObject([
+      { method: 'getBalance', params: { chainType: 'WAN', address }, result: '1000' },
+      { method: 'getBalance', params: { chainType: 'WAN', address: contract }, result: '0' },
+      { method: 'getTransactionReceipt', params: { chainType: 'WAN', txHash: receipt }, error: { code: -32000, message: 'Transaction not found' } },
+      { method: 'getBlockNumber', params: { chainType: 'WAN' }, result: 100 },
+      { method: 'getBlockNumber', params: { chainType: 'ETH' }, result: 200 },
+      { method: 'monitorEvent', params: { chainType: 'WAN', address: contract, topics: [] }, result: [], pushes: [[{ logIndex: 0 }]] },
+    ]);
+    // The signing fields are left out, so the fixture replays with any keys
+    fixture.entries.forEach(entry => expect(entry.params).not.toHaveProperty('signature'));
+    fixture.entries.forEach(entry => expect(entry.params).not.toHaveProperty('timestamp'));
+  });
+
+  it('replays the recorded file with other keys and without the server', async () => {
+    const sent = server.requests.length;
+    const client = new IwanClient('any', 'any', { transport: new ReplayTransport(await loadFixture(file)) });
+
+    await expect(client.getBalance('WAN', contract)).resolves.toBe('0');
+    await expect(client.getBalance('WAN', address)).resolves.toBe('1000');
+    await expect(client.getTransactionReceipt('WAN', receipt)).rejects.toMatchObject({ rpcCode: -32000, message: expect.stringContaining('Transaction not found') });
+    const batch = client.batch();
+    batch.add('getBlockNumber', { chainType: 'ETH' });
+    batch.add('getBlockNumber', { chainType: 'WAN' });
+    await expect(batch.send()).resolves.toEqual([200, 100]);
+
+    const logs: any[] = [];
+    await client.subscribeEvent('WAN', contract, [], log => logs.push(log));
+    await expect.poll(() => logs).toEqual([{ logIndex: 0 }]);
+
+    await expect(client.getBalance('ETH', address)).rejects.toThrow(IWanFixtureError);
+    expect(server.requests).toHaveLength(sent);
+    await client.close();
+  });
+});
@@ -0,0 +1,48 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import IwanClient, { IWanRpcError } from '../src/index';
+import { createMockIwanServer, MockIwanServer } from '../src/mock';
+import { cases, errorMessage, expectedParams, gatewayError, toCall } from './helpers';
+
+// Every case of the former xlsx test plan, answered by a mock gateway with its recorded response.
+// The wrapper must send the recorded method and params, and resolve or reject with the recorded response.
+describe('iWan API test cases', () => {
+  let server: MockIwanServer;
+  let client: IwanClient;
+
+  beforeAll(async () => {
+    server = await createMockIwanServer();
+    client = new IwanClient(server.apiKey, server.secretKey, { endpoint: server.endpoint, timeout: 5000 });
+  });
+
+  afterAll(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  for (const testCase of cases) {
+    const { id, description, match, request, response } = testCase;
+    const run = match === 'skip' || !request.method ? it.skip : it;
+
+    run(`${id} ${request.method ?? '(no method)'}: ${description}`, async () => {
+      server.handle(request.method!, () => {
+        if ('error' in response) throw gatewayError(response.error);
+        return response.result;
+      });
+      const { name, args } = toCall(client, request);
+      const sent = server.requests.length;
+
+      const result = (client as any)[name](...args);
+      if ('error' in response) {
+        await expect(result).rejects.toThrow(IWanRpcError);
+        await expect(result).rejects.toThrow(errorMessage(response.error));
+      } else {
+        await expect(result).resolves.toEqual(response.result);
+      }
+
+      const received = server.requests.slice(sent);
+      expect(received).toHaveLength(1);
+      expect(received[0].method).toBe(request.method);
+      expect(received[0].params).toMatchObject(expectedParams(request));
+    });
+  }
+});
@@ -0,0 +1,121 @@
+import { describe, expect, it } from 'vitest';
+import { formatUnits, fromBaseUnits, IWanError, toBaseUnits } from '../src/index';
+
+describe('toBaseUnits', () => {
+  it('converts whole units without float rounding', () => {
+    expect(toBaseUnits('1.5', 18)).toBe(1500000000000000000n);
+    expect(toBaseUnits(0.079, 8)).toBe(7900000n);
+    expect(toBaseUnits(0.3, 18)).toBe(300000000000000000n);
+    expect(toBaseUnits(2n, 6)).toBe(2000000n);
+    expect(toBaseUnits('.5', 1)).toBe(5n);
+    expect(toBaseUnits('1e-7', 8)).toBe(10n);
+    expect(toBaseUnits('1.25e3', 2)).toBe(125000n);
+  });
+
+  it('converts zero and negative amounts', () => {
+    expect(toBaseUnits('0', 18)).toBe(0n);
+    expect(toBaseUnits(0, 18)).toBe(0n);
+    expect(toBaseUnits('0.000', 2)).toBe(0n);
+    expect(toBaseUnits('-1.5', 18)).toBe(-1500000000000000000n);
+    expect(toBaseUnits(-0.01, 2)).toBe(-1n);
+  });
+
+  it('handles 0 and 18 decimals', () => {
+    expect(toBaseUnits('42', 0)).toBe(42n);
+    expect(toBaseUnits('42.0', 0)).toBe(42n);
+    expect(toBaseUnits('0.000000000000000001', 18)).toBe(1n);
+    expect(toBaseUnits('123456789.123456789123456789', 18)).toBe(123456789123456789123456789n);
+  });
+
+  it('rejects more fraction digits than decimals', () => {
+    expect(() => toBaseUnits('0.0000000000000000001', 18)).toThrow('0.0000000000000000001 has more than 18 decimals');
+    expect(() => toBaseUnits('1.5', 0)).toThrow(IWanError);
+    expect(() => toBaseUnits('1.001', 2)).toThrow('has more than 2 decimals');
+    expect(() => toBaseUnits('1e-3', 2)).toThrow('has more than 2 decimals');
+  });
+
+  it('rejects malformed amounts and decimals', () => {
+    for (const amount of ['', '.', 'abc', '1,5', '1.2.3', '0x10', 'Infinity', NaN]) {
+      expect(() => toBaseUnits(amount, 18)).toThrow(IWanError);
+    }
+    expect(() => toBaseUnits('1', -1)).toThrow('Invalid decimals: -1');
+    expect(() => toBaseUnits('1', 1.5)).toThrow('Invalid decimals: 1.5');
+  });
+});
+
+describe('fromBaseUnits', () => {
+  it('converts base units to an exact decimal string', () => {
+    expect(fromBaseUnits('1500000000000000000', 18)).toBe('1.5');
+    expect(fromBaseUnits(1n, 18)).toBe('0.000000000000000001');
+    expect(fromBaseUnits('0x0de0b6b3a7640000', 18)).toBe('1');
+    expect(fromBaseUnits(7900000, 8)).toBe('0.079');
+    expect(fromBaseUnits('123456789123456789123456789', 18)).toBe('123456789.123456789123456789');
+  });
+
+  it('converts zero and negative values', () => {
+    expect(fromBaseUnits(0, 18)).toBe('0');
+    expect(fromBaseUnits('0', 0)).toBe('0');
+    expect(fromBaseUnits('-1500000000000000000', 18)).toBe('-1.5');
+    expect(fromBaseUnits(-1n, 2)).toBe('-0.01');
+  });
+
+  it('handles 0 decimals', () => {
+    expect(fromBaseUnits('42', 0)).toBe('42');
+    expect(fromBaseUnits(-42n, 0)).toBe('-42');
+  });
+
+  it('round-trips with toBaseUnits', () => {
+    for (const amount of ['0', '1', '-2.5', '0.000001', '98765.4321']) {
+      expect(fromBaseUnits(toBaseUnits(amount, 18), 18)).toBe(amount);
+    }
+  });
+
+  it('rejects values that are not integers', () => {
+    expect(() => fromBaseUnits('1.5', 18)).toThrow('Invalid base unit amount: 1.5');
+    expect(() => fromBaseUnits(0.5, 18)).toThrow(IWanError);
+    expect(() => fromBaseUnits(2 ** 60, 18)).toThrow(IWanError);
+    expect(() => fromBaseUnits('1e18', 18)).toThrow(IWanError);
+  });
+});
+
+describe('formatUnits', () => {
+  const value = '1234567891000000000000';
+
+  it('groups digits and places the decimal separator of the locale', () => {
+    expect(formatUnits(value, 18, { locale: 'en-US' })).toBe('1,234.567891');
+    expect(formatUnits(value, 18, { locale: 'de-DE' })).toBe('1.234,567891');
+    expect(formatUnits('12345675000000', 6, { locale: 'en-IN' })).toBe('1,23,45,675');
+    expect(formatUnits(value, 18, { locale: 'en-US', useGrouping: false })).toBe('1234.567891');
+  });
+
+  it('rounds half up on the exact value', () => {
+    expect(formatUnits(value, 18, { locale: 'en-US', maximumFractionDigits: 2 })).toBe('1,234.57');
+    expect(formatUnits('1005', 3, { locale: 'en-US', maximumFractionDigits: 2 })).toBe('1.01');
+    expect(formatUnits('1004', 3, { locale: 'en-US', maximumFractionDigits: 2 })).toBe('1');
+    expect(formatUnits('999999', 6, { locale: 'en-US', maximumFractionDigits: 0 })).toBe('1');
+    expect(formatUnits(`9${'9'.repeat(30)}`, 18, { locale: 'en-US', maximumFractionDigits: 0 })).toBe('10,000,000,000,000');
+  });
+
+  it('pads to the minimum fraction digits', () => {
+    expect(formatUnits('1500000', 6, { locale: 'en-US', minimumFractionDigits: 2 })).toBe('1.50');
+    expect(formatUnits('1000000', 6, { locale: 'en-US', minimumFractionDigits: 2, maximumFractionDigits: 0 })).toBe('1.00');
+  });
+
+  it('formats zero and negative values', () => {
+    expect(formatUnits(0, 18, { locale: 'en-US' })).toBe('0');
+    expect(formatUnits(0, 18, { locale: 'en-US', minimumFractionDigits: 2 })).toBe('0.00');
+    expect(formatUnits(`-${value}`, 18, { locale: 'de-DE', maximumFractionDigits: 2 })).toBe('-1.234,57');
+    // A negative value rounding to zero has no sign
+    expect(formatUnits(-1n, 18, { locale: 'en-US', maximumFractionDigits: 2 })).toBe('0');
+  });
+
+  it('handles 0 decimals', () => {
+    expect(formatUnits('1234567', 0, { locale: 'en-US' })).toBe('1,234,567');
+    expect(formatUnits('1234567', 0, { locale: 'en-US', maximumFractionDigits: 4 })).toBe('1,234,567');
+  });
+
+  it('rejects invalid decimals and values', () => {
+    expect(() => formatUnits('1', -1)).toThrow('Invalid decimals: -1');
+    expect(() => formatUnits('1.5', 18)).toThrow('Invalid base unit amount: 1.5');
+  });
+});
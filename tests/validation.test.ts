@@ -0,0 +1,190 @@
+import { describe, expect, it } from 'vitest';
+import { ChainRegistry, isByte32Hash, isEvmAddress, isTrxAddress, isUtxoAddress, isValidAddress, isXrpAddress, IWanValidationError, toChecksumAddress, validateParams } from '../src/index';
+
+// EIP-55 test vectors, and the same addresses with the case of their letters inverted as WAN writes them
+const EIP55 = [
+  '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+  '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+  '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+  '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb',
+];
+const invertCase = (address: string) => `0x${[...address.slice(2)].map(c => (c === c.toLowerCase() ? c.toUpperCase() : c.toLowerCase())).join('')}`;
+const WAN_CHECKSUM = EIP55.map(invertCase);
+
+const BTC = {
+  p2pkh: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2',
+  p2sh: '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy',
+  // BIP-173 and BIP-350 vectors
+  p2wpkh: 'BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4',
+  p2wsh: 'tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7',
+  p2tr: 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0',
+};
+const DOGE = 'DH5yaieqoZN36fDVciNyRueRGvGLR3mr7L';
+const XRP = ['rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh', 'rrrrrrrrrrrrrrrrrrrrrhoLvTp'];
+const TRX = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+
+// Change the last character, breaking the checksum
+const corrupt = (address: string) => address.slice(0, -1) + (address.endsWith('2') ? '3' : '2');
+
+describe('EVM addresses', () => {
+  it('computes the EIP-55 checksum', () => {
+    EIP55.forEach(address => expect(toChecksumAddress(address.toLowerCase())).toBe(address));
+  });
+
+  it('accepts single case and checksummed addresses', () => {
+    EIP55.forEach(address => {
+      expect(isEvmAddress(address)).toBe(true);
+      expect(isEvmAddress(address.toLowerCase())).toBe(true);
+      expect(isEvmAddress(`0x${address.slice(2).toUpperCase()}`)).toBe(true);
+    });
+  });
+
+  it('rejects a wrong checksum', () => {
+    expect(isEvmAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD')).toBe(false);
+    expect(isEvmAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAe')).toBe(false);
+    expect(isEvmAddress('5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed')).toBe(false);
+  });
+
+  it('accepts the inverted WAN checksum on WAN only', () => {
+    WAN_CHECKSUM.forEach(address => {
+      expect(isEvmAddress(address, 'WAN')).toBe(true);
+      expect(isEvmAddress(address, 'ETH')).toBe(false);
+      expect(isEvmAddress(address)).toBe(false);
+    });
+    EIP55.forEach(address => expect(isEvmAddress(address, 'WAN')).toBe(true));
+  });
+
+  it('accepts the xdc prefix on XDC only', () => {
+    const address = `xdc${EIP55[0].slice(2)}`;
+    expect(isEvmAddress(address, 'XDC')).toBe(true);
+    expect(isEvmAddress(address, 'ETH')).toBe(false);
+  });
+});
+
+describe('UTXO addresses', () => {
+  it('accepts base58check addresses', () => {
+    expect(isUtxoAddress('BTC', BTC.p2pkh)).toBe(true);
+    expect(isUtxoAddress('BTC', BTC.p2sh)).toBe(true);
+    expect(isUtxoAddress('DOGE', DOGE)).toBe(true);
+  });
+
+  it('rejects a wrong base58 checksum or character', () => {
+    expect(isUtxoAddress('BTC', corrupt(BTC.p2pkh))).toBe(false);
+    expect(isUtxoAddress('BTC', corrupt(BTC.p2sh))).toBe(false);
+    expect(isUtxoAddress('BTC', BTC.p2pkh.replace('v', '0'))).toBe(false);
+  });
+
+  it('rejects the addresses of another chain', () => {
+    expect(isUtxoAddress('DOGE', BTC.p2pkh)).toBe(false);
+    expect(isUtxoAddress('BTC', DOGE)).toBe(false);
+    expect(isUtxoAddress('LTC', BTC.p2wpkh)).toBe(false);
+    expect(isUtxoAddress('BTC', TRX)).toBe(false);
+    expect(isUtxoAddress('XRP', BTC.p2pkh)).toBe(false);
+  });
+
+  it('accepts bech32 and bech32m segwit addresses', () => {
+    expect(isUtxoAddress('BTC', BTC.p2wpkh)).toBe(true);
+    expect(isUtxoAddress('BTC', BTC.p2wpkh.toLowerCase())).toBe(true);
+    expect(isUtxoAddress('BTC', BTC.p2wsh)).toBe(true);
+    expect(isUtxoAddress('BTC', BTC.p2tr)).toBe(true);
+  });
+
+  it('rejects a wrong bech32 checksum, mixed case, or the checksum of another witness version', () => {
+    expect(isUtxoAddress('BTC', 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5')).toBe(false);
+    expect(isUtxoAddress('BTC', 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kV8F3T4')).toBe(false);
+    // BIP-350: a version 1 program with a bech32 checksum, and a version 0 program with a bech32m checksum
+    expect(isUtxoAddress('BTC', 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd')).toBe(false);
+    expect(isUtxoAddress('BTC', 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh')).toBe(false);
+  });
+});
+
+describe('XRP and TRX addresses', () => {
+  it('accepts XRP classic addresses', () => {
+    XRP.forEach(address => expect(isXrpAddress(address)).toBe(true));
+  });
+
+  it('rejects a wrong XRP checksum or an address of another chain', () => {
+    expect(isXrpAddress(corrupt(XRP[0]))).toBe(false);
+    expect(isXrpAddress(BTC.p2pkh)).toBe(false);
+    expect(isXrpAddress(EIP55[0])).toBe(false);
+  });
+
+  it('accepts TRX base58 addresses', () => {
+    expect(isTrxAddress(TRX)).toBe(true);
+  });
+
+  it('rejects a wrong TRX checksum or an address of another chain', () => {
+    expect(isTrxAddress(corrupt(TRX))).toBe(false);
+    expect(isTrxAddress(BTC.p2pkh)).toBe(false);
+    expect(isTrxAddress(XRP[0])).toBe(false);
+  });
+});
+
+describe('isValidAddress', () => {
+  it('checks an address against the family of its chain', () => {
+    expect(isValidAddress('ETH', EIP55[0])).toBe(true);
+    expect(isValidAddress('BTC', BTC.p2tr)).toBe(true);
+    expect(isValidAddress('XRP', XRP[0])).toBe(true);
+    expect(isValidAddress('TRX', TRX)).toBe(true);
+    expect(isValidAddress('BTC', EIP55[0])).toBe(false);
+    expect(isValidAddress('ETH', TRX)).toBe(false);
+  });
+
+  it('accepts any address of the unchecked families and rejects unknown chains', () => {
+    expect(isValidAddress('EOS', 'eosio.token')).toBe(true);
+    expect(isValidAddress('NOPE', EIP55[0])).toBe(false);
+  });
+
+  it('checks against the given registry', () => {
+    const registry = new ChainRegistry([]);
+    expect(isValidAddress('ETH', EIP55[0], registry)).toBe(false);
+  });
+});
+
+describe('validateParams', () => {
+  const error = (fn: () => void) => {
+    try {
+      fn();
+    } catch (err) {
+      return err;
+    }
+  };
+
+  it('accepts valid params', () => {
+    expect(() => validateParams('getBalance', { chainType: 'WAN', address: WAN_CHECKSUM[0] })).not.toThrow();
+    expect(() => validateParams('getUTXO', { chainType: 'BTC', address: [BTC.p2pkh, BTC.p2wpkh], minconf: 0 })).not.toThrow();
+    expect(() => validateParams('getTransactionReceipt', { chainType: 'ETH', txHash: `0x${'a'.repeat(64)}` })).not.toThrow();
+    expect(() => validateParams('getEpochID', {})).not.toThrow();
+  });
+
+  it('rejects an unknown chain type', () => {
+    expect(error(() => validateParams('getBalance', { chainType: 'NOPE', address: EIP55[0] }))).toMatchObject({
+      name: 'IWanValidationError', code: 'INVALID_PARAM', method: 'getBalance', argument: 'chainType', value: 'NOPE',
+    });
+    expect(error(() => validateParams('getCrossChainFees', { chainType: 'WAN', targetChainType: 1 }))).toMatchObject({ argument: 'targetChainType' });
+  });
+
+  it('rejects a malformed hash', () => {
+    expect(isByte32Hash('a'.repeat(64))).toBe(true);
+    expect(isByte32Hash(`0x${'a'.repeat(63)}`)).toBe(false);
+    expect(error(() => validateParams('getBlockByHash', { chainType: 'WAN', blockHash: '0x1234' }))).toMatchObject({ argument: 'blockHash' });
+  });
+
+  it('rejects a bad checksum and the address of another chain', () => {
+    const err = error(() => validateParams('getBalance', { chainType: 'ETH', address: WAN_CHECKSUM[0] }));
+    expect(err).toBeInstanceOf(IWanValidationError);
+    expect((err as Error).message).toBe('Invalid address of getBalance: not a valid ETH address');
+    expect(error(() => validateParams('getBalance', { chainType: 'BTC', address: EIP55[0] }))).toMatchObject({ argument: 'address' });
+    expect(error(() => validateParams('getBalance', { chainType: 'TRX', address: BTC.p2pkh }))).toMatchObject({ argument: 'address' });
+  });
+
+  it('names the invalid entry of an array', () => {
+    const params = { chainType: 'ETH', address: EIP55[0], tokenScAddrArray: [EIP55[1], corrupt(EIP55[2])] };
+    expect(error(() => validateParams('getMultiTokenBalance', params))).toMatchObject({ argument: 'tokenScAddrArray[1]' });
+  });
+
+  it('leaves unchecked families and one-time addresses to the server', () => {
+    expect(() => validateParams('getBalance', { chainType: 'EOS', address: 'not checked' })).not.toThrow();
+    expect(() => validateParams('getOTAMixSet', { chainType: 'WAN', address: '0x02abc' })).not.toThrow();
+  });
+});
@@ -1,16 +1,31 @@
 import { defineConfig } from 'tsdown'
 
-export default defineConfig({
+export default defineConfig([{
   entry: ['./src/index.ts'],
   outDir: 'dist',
-  format: ['cjs', 'esm', 'iife'],
-  globalName: 'IwanClient', // explorer window.IwanClient
+  format: ['esm'],
   dts: true,
   sourcemap: true,
   clean: true,
   minify: true,
   unused: true,
   platform: 'neutral',
+  deps: {
+    neverBundle: ['ws'],
+    alwaysBundle: ['eventemitter3', /^crypto-js(\/.*)?$/],
+    onlyBundle: ['eventemitter3', /^crypto-js(\/.*)?$/]
+  }
+}, {
+  // A CommonJS module or a global can only export one value, the client class carrying the named exports
+  entry: { index: './src/cjs.ts' },
+  outDir: 'dist',
+  format: ['cjs', 'iife'],
+  globalName: 'IwanClient', // explorer window.IwanClient
+  dts: true,
+  sourcemap: true,
+  minify: true,
+  unused: true,
+  platform: 'neutral',
   outputOptions: {
     globals: {
       'eventemitter3': 'eventemitter3',
@@ -24,4 +39,18 @@ export default defineConfig({
     alwaysBundle: ['eventemitter3', /^crypto-js(\/.*)?$/],
     onlyBundle: ['eventemitter3', /^crypto-js(\/.*)?$/]
   }
-});
\ No newline at end of file
+}, {
+  // The mock server and the fixture recording need ws and Node, so they ship as the separate '@wandevs/iwan-sdk/mock' entry
+  entry: ['./src/mock.ts'],
+  outDir: 'dist',
+  format: ['cjs', 'esm'],
+  dts: true,
+  sourcemap: true,
+  minify: true,
+  platform: 'neutral',
+  deps: {
+    neverBundle: ['ws', 'fs/promises', 'path'],
+    alwaysBundle: [/^crypto-js(\/.*)?$/],
+    onlyBundle: [/^crypto-js(\/.*)?$/]
+  }
+}]);
\ No newline at end of file
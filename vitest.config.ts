@@ -14,6 +14,10 @@ export default defineConfig({
                         'tests/**/*.test.ts',
                         'tests/**/*.test.cjs',
                         'tests/**/*.test.mjs'
+                    ],
+                    exclude: [
+                        'tests/**/*.browser.test.ts',
+                        'tests/**/*.browser.real.test.ts'
                     ]
                 }
             },